@@ -0,0 +1,426 @@
+/**
+ * Address Book Module for Lunsara
+ * The delivery addresses of the logged-in user, kept on their profile, with a default
+ * address and address types. Before login, addresses are kept in this browser under
+ * `deliveryAddresses` and moved to the profile when the user logs in.
+ * Pincodes are checked against the offline pincode directory.
+ * Changes are announced with an `addressesUpdated` event.
+ * Requires storage.js, auth.js and pincodes.js.
+ */
+
+const ADDRESS_TYPES = {
+    home: 'Home',
+    work: 'Work',
+    other: 'Other'
+};
+
+const GUEST_ADDRESSES_KEY = 'deliveryAddresses';
+
+class AddressBook {
+    /**
+     * @param {Repository} userRepository - Where user profiles are kept (defaults to repositories.users)
+     * @param {PincodeDirectory} directory - Pincode directory (defaults to pincodes)
+     */
+    constructor(userRepository = repositories.users, directory = pincodes) {
+        this.userRepository = userRepository;
+        this.directory = directory;
+        this.setupEventListeners();
+    }
+
+    /**
+     * Get the saved addresses, the default address first
+     * @returns {Array} Addresses
+     */
+    getAddresses() {
+        return this.readAddresses().sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+    }
+
+    /**
+     * Get an address by ID
+     * @param {string} addressId - Address ID
+     * @returns {Object|null} Address
+     */
+    getAddress(addressId) {
+        return this.readAddresses().find(address => address.id === addressId) || null;
+    }
+
+    /**
+     * Get the default address
+     * @returns {Object|null} Address
+     */
+    getDefaultAddress() {
+        const addresses = this.readAddresses();
+        return addresses.find(address => address.isDefault) || addresses[0] || null;
+    }
+
+    /**
+     * Save a new address. The first address becomes the default.
+     * @param {Object} data - Address fields
+     * @param {Object} options - Validation options (see validateAddress)
+     * @returns {Object} Result with success status, message, the address and field errors
+     */
+    addAddress(data, options = {}) {
+        const validation = this.validateAddress(data, options);
+        if (!validation.valid) {
+            return { success: false, message: i18n.t('address.correctFields'), errors: validation.errors };
+        }
+
+        const addresses = this.readAddresses();
+        const now = new Date().toISOString();
+        const address = {
+            ...this.cleanAddress(data),
+            id: `addr-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+            isDefault: addresses.length === 0 || Boolean(data.isDefault),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        if (address.isDefault) {
+            addresses.forEach(existing => { existing.isDefault = false; });
+        }
+        addresses.push(address);
+        this.writeAddresses(addresses);
+
+        return { success: true, message: 'Address saved successfully', address };
+    }
+
+    /**
+     * Change a saved address
+     * @param {string} addressId - Address ID
+     * @param {Object} data - Address fields
+     * @param {Object} options - Validation options (see validateAddress)
+     * @returns {Object} Result with success status, message, the address and field errors
+     */
+    updateAddress(addressId, data, options = {}) {
+        const addresses = this.readAddresses();
+        const index = addresses.findIndex(address => address.id === addressId);
+        if (index === -1) {
+            return { success: false, message: 'Address not found' };
+        }
+
+        const validation = this.validateAddress(data, options);
+        if (!validation.valid) {
+            return { success: false, message: i18n.t('address.correctFields'), errors: validation.errors };
+        }
+
+        const address = {
+            ...addresses[index],
+            ...this.cleanAddress(data),
+            updatedAt: new Date().toISOString()
+        };
+        addresses[index] = address;
+        this.writeAddresses(addresses);
+
+        // Keep the address chosen for checkout in step with its edits
+        const selected = this.getSelectedAddress();
+        if (selected && selected.id === addressId) {
+            localStorage.setItem('selectedDeliveryAddress', JSON.stringify(address));
+        }
+
+        return { success: true, message: 'Address updated successfully', address };
+    }
+
+    /**
+     * Delete an address. If it was the default, the oldest remaining address becomes the default.
+     * @param {string} addressId - Address ID
+     * @returns {Object} Result
+     */
+    deleteAddress(addressId) {
+        const addresses = this.readAddresses();
+        const removed = addresses.find(address => address.id === addressId);
+        if (!removed) {
+            return { success: false, message: 'Address not found' };
+        }
+
+        const remaining = addresses.filter(address => address !== removed);
+        if (removed.isDefault && remaining.length > 0) {
+            remaining[0].isDefault = true;
+        }
+        this.writeAddresses(remaining);
+
+        const selected = this.getSelectedAddress();
+        if (selected && selected.id === addressId) {
+            localStorage.removeItem('selectedDeliveryAddress');
+        }
+
+        return { success: true, message: 'Address deleted' };
+    }
+
+    /**
+     * Make an address the default
+     * @param {string} addressId - Address ID
+     * @returns {Object} Result
+     */
+    setDefaultAddress(addressId) {
+        const addresses = this.readAddresses();
+        if (!addresses.some(address => address.id === addressId)) {
+            return { success: false, message: 'Address not found' };
+        }
+
+        addresses.forEach(address => { address.isDefault = address.id === addressId; });
+        this.writeAddresses(addresses);
+        return { success: true, message: 'Default address updated' };
+    }
+
+    /**
+     * Choose the address an order is delivered to. Checkout reads it from `selectedDeliveryAddress`.
+     * @param {string} addressId - Address ID
+     * @returns {Object} Result with the address and its serviceability
+     */
+    selectForDelivery(addressId) {
+        const address = this.getAddress(addressId);
+        if (!address) {
+            return { success: false, message: 'Address not found' };
+        }
+
+        const serviceability = this.checkServiceability(address.pincode);
+        if (!serviceability.serviceable) {
+            return { success: false, message: serviceability.message, serviceability };
+        }
+
+        localStorage.setItem('selectedDeliveryAddress', JSON.stringify(address));
+        return { success: true, message: 'Delivery address selected', address, serviceability };
+    }
+
+    /**
+     * Get the address chosen for delivery
+     * @returns {Object|null} Address
+     */
+    getSelectedAddress() {
+        try {
+            return JSON.parse(localStorage.getItem('selectedDeliveryAddress'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check whether a pincode can be delivered to, whether cash on delivery is offered,
+     * and when an order placed now would arrive
+     * @param {string} pincode - Pincode
+     * @param {Date} placedAt - When the order would be placed (defaults to now)
+     * @returns {Object} { serviceable, codAvailable, message, estimate }
+     */
+    checkServiceability(pincode, placedAt = new Date()) {
+        const result = this.directory.lookup(pincode);
+        if (!result.valid || !result.serviceable) {
+            return { serviceable: false, codAvailable: false, message: result.message, estimate: null };
+        }
+
+        const estimate = this.directory.estimateDelivery(result.pincode, placedAt);
+        return {
+            serviceable: true,
+            codAvailable: result.codAvailable,
+            message: `Delivery by ${this.directory.formatDeliveryDate(estimate.deliveryDate)}` +
+                (result.codAvailable ? '' : ' · Cash on Delivery not available'),
+            estimate
+        };
+    }
+
+    /**
+     * Validate address fields, including the pincode against the chosen state
+     * @param {Object} data - Address fields
+     * @param {Object} options - Validation options
+     * @param {boolean} options.requireEmail - Whether an email address is required
+     * @returns {Object} { valid, errors } with a message per field
+     */
+    validateAddress(data, options = {}) {
+        const errors = {};
+        const value = field => String(data[field] || '').trim();
+
+        if (!value('firstName')) errors.firstName = i18n.t('address.firstNameRequired');
+        if (!value('lastName')) errors.lastName = i18n.t('address.lastNameRequired');
+        if (!/^[6-9]\d{9}$/.test(value('phone'))) errors.phone = i18n.t('address.invalidMobile');
+        if ((options.requireEmail || value('email')) && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value('email'))) {
+            errors.email = i18n.t('auth.invalidEmail');
+        }
+        if (!value('address')) errors.address = i18n.t('address.addressRequired');
+        if (!value('city')) errors.city = i18n.t('address.cityRequired');
+        if (!value('state')) errors.state = i18n.t('address.selectStateError');
+        if (data.type && !ADDRESS_TYPES[data.type]) errors.type = i18n.t('address.chooseType');
+
+        const pincodeCheck = this.directory.checkState(value('pincode'), value('state'));
+        if (!pincodeCheck.valid) {
+            errors.pincode = pincodeCheck.message;
+        }
+
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+
+    /**
+     * Keep only the address fields, trimmed
+     * @param {Object} data - Address fields
+     * @returns {Object} Address fields
+     */
+    cleanAddress(data) {
+        return {
+            type: ADDRESS_TYPES[data.type] ? data.type : 'home',
+            firstName: String(data.firstName || '').trim(),
+            lastName: String(data.lastName || '').trim(),
+            phone: String(data.phone || '').trim(),
+            email: String(data.email || '').trim(),
+            address: String(data.address || '').trim(),
+            city: String(data.city || '').trim(),
+            state: data.state,
+            pincode: String(data.pincode || '').trim(),
+            landmark: String(data.landmark || '').trim()
+        };
+    }
+
+    /**
+     * Read the addresses of the logged-in user, or this browser's addresses before login
+     * @returns {Array} Addresses
+     */
+    readAddresses() {
+        if (auth.isLoggedIn()) {
+            const user = auth.getUserProfile(auth.getCurrentUser().id);
+            return this.normalizeAddresses(user && user.profile ? user.profile.addresses : []);
+        }
+
+        try {
+            return this.normalizeAddresses(JSON.parse(localStorage.getItem(GUEST_ADDRESSES_KEY)));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Save the addresses of the logged-in user, or this browser's addresses before login
+     * @param {Array} addresses - Addresses
+     */
+    writeAddresses(addresses) {
+        if (auth.isLoggedIn()) {
+            const userId = auth.getCurrentUser().id;
+            const user = auth.getUserProfile(userId);
+            if (user) {
+                this.userRepository.save(userId, { ...user, profile: { ...user.profile, addresses } }).catch(() => {});
+            }
+        } else {
+            localStorage.setItem(GUEST_ADDRESSES_KEY, JSON.stringify(addresses));
+        }
+
+        window.dispatchEvent(new CustomEvent('addressesUpdated'));
+    }
+
+    /**
+     * Bring saved addresses into the current shape. Addresses saved by the profile page
+     * kept the street under `street`, and the delivery page's had no IDs.
+     * @param {Array|null} addresses - Saved addresses
+     * @returns {Array} Addresses
+     */
+    normalizeAddresses(addresses) {
+        return (addresses || []).map((address, index) => ({
+            ...address,
+            id: address.id || `addr-legacy-${index}`,
+            type: ADDRESS_TYPES[address.type] ? address.type : 'other',
+            address: address.address || address.street || '',
+            isDefault: Boolean(address.isDefault)
+        }));
+    }
+
+    /**
+     * Move the addresses saved before login to the user's profile, skipping ones they already have
+     * @returns {Promise<void>}
+     */
+    mergeGuestAddresses() {
+        let guestAddresses;
+        try {
+            guestAddresses = this.normalizeAddresses(JSON.parse(localStorage.getItem(GUEST_ADDRESSES_KEY)));
+        } catch (error) {
+            guestAddresses = [];
+        }
+        if (guestAddresses.length === 0 || !auth.isLoggedIn()) {
+            return Promise.resolve();
+        }
+
+        const userId = auth.getCurrentUser().id;
+        const sameAddress = (a, b) => a.pincode === b.pincode &&
+            a.address.toLowerCase() === b.address.toLowerCase() &&
+            a.phone === b.phone;
+
+        return this.userRepository.get(userId).then(user => {
+            if (!user) {
+                return;
+            }
+
+            const addresses = this.normalizeAddresses(user.profile ? user.profile.addresses : []);
+            guestAddresses
+                .filter(guest => !addresses.some(address => sameAddress(address, guest)))
+                .forEach(guest => addresses.push({ ...guest, isDefault: false }));
+            if (addresses.length > 0 && !addresses.some(address => address.isDefault)) {
+                addresses[0].isDefault = true;
+            }
+
+            return this.userRepository.save(userId, { ...user, profile: { ...user.profile, addresses } }).then(() => {
+                localStorage.removeItem(GUEST_ADDRESSES_KEY);
+                window.dispatchEvent(new CustomEvent('addressesUpdated'));
+            });
+        }).catch(error => console.error('Error merging guest addresses:', error));
+    }
+
+    /**
+     * Move the guest's addresses to the profile on login, including logins on
+     * pages that do not load the address book
+     */
+    setupEventListeners() {
+        auth.ready.then(() => this.mergeGuestAddresses());
+
+        window.addEventListener('authStateChanged', (e) => {
+            if (e.detail.reason === 'login') {
+                this.mergeGuestAddresses();
+            }
+        });
+    }
+}
+
+// Create global address book instance
+const addressBook = new AddressBook();
+
+/**
+ * Fills in the city and state of an address form from its pincode, and shows
+ * whether the pincode can be delivered to and when.
+ * @param {Object} fields - Form elements
+ * @param {HTMLInputElement} fields.pincode - Pincode input
+ * @param {HTMLInputElement} fields.city - City input
+ * @param {HTMLSelectElement} fields.state - State select
+ * @param {HTMLElement} fields.info - Element for the delivery message (optional)
+ */
+function setupPincodeLookup(fields) {
+    let filledCity = '';
+
+    fields.pincode.addEventListener('input', () => {
+        fields.pincode.value = fields.pincode.value.replace(/\D/g, '').substring(0, 6);
+        if (fields.info) {
+            fields.info.textContent = '';
+        }
+        if (fields.pincode.value.length < 6) {
+            return;
+        }
+
+        const result = pincodes.lookup(fields.pincode.value);
+        if (result.valid && result.city && (!fields.city.value || fields.city.value === filledCity)) {
+            fields.city.value = result.city;
+            filledCity = result.city;
+        }
+        if (result.valid && result.state && fields.state.value !== result.state) {
+            fields.state.value = result.state;
+            fields.state.dispatchEvent(new Event('change'));
+        }
+
+        if (fields.info) {
+            const serviceability = addressBook.checkServiceability(fields.pincode.value);
+            fields.info.textContent = serviceability.message;
+            fields.info.style.color = serviceability.serviceable ? '#388e3c' : '#ff6161';
+        }
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AddressBook, ADDRESS_TYPES, setupPincodeLookup };
+}
+
+// Make address book available globally
+window.AddressBook = AddressBook;
+window.addressBook = addressBook;
+window.setupPincodeLookup = setupPincodeLookup;
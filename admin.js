@@ -0,0 +1,768 @@
+/**
+ * Admin Module for Lunsara
+ * Store management behind the admin role: product changes and bulk CSV import/export,
+ * orders of every customer, stock levels, coupon codes, moderation of customer reviews and
+ * customer notifications that could not be delivered.
+ * Every change is written to an audit log recording who made it, what changed and when, kept in
+ * the shared auditLog repository so it can be read from any device.
+ * Requires storage.js, auth.js, catalog.js, inventory.js, pricing.js, orders.js, reviews.js
+ * and notifications.js.
+ */
+
+// Most log entries the console shows
+const AUDIT_LOG_LIMIT = 1000;
+
+// Columns of the catalog CSV, one row per variant. Lists are separated by "|",
+// and variant options are written as "name=value;name=value".
+const CATALOG_CSV_COLUMNS = [
+    'id', 'sku', 'name', 'brand', 'category', 'collections', 'material', 'hsn', 'colors',
+    'description', 'mrp', 'price', 'images', 'rating', 'reviewCount', 'addedAt',
+    'variantId', 'variantSku', 'variantOptions', 'variantPrice', 'variantMrp', 'stock'
+];
+
+const COUPON_TYPES = {
+    percent: 'Percentage off',
+    flat: 'Flat amount off'
+};
+
+class AuditLog {
+    /**
+     * @param {Repository} repository - Where entries are kept (defaults to repositories.auditLog)
+     */
+    constructor(repository = repositories.auditLog) {
+        this.repository = repository;
+    }
+
+    /**
+     * Record an action by the logged-in user
+     * @param {string} action - What was done, e.g. 'product.update'
+     * @param {string} target - What it was done to, e.g. a product or order ID
+     * @param {string} summary - Description for the log
+     * @param {Object} details - Values before and after the change
+     * @returns {Promise<Object>} Log entry, once saved; rejects if it could not be saved
+     */
+    record(action, target, summary, details = null) {
+        const user = auth.getCurrentUser();
+        const entry = {
+            id: `log-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+            at: new Date().toISOString(),
+            actor: user ? { id: user.id, name: user.name, email: user.email } : null,
+            action,
+            target,
+            summary
+        };
+        if (details) entry.details = details;
+
+        return this.repository.save(entry.id, entry).then(() => entry);
+    }
+
+    /**
+     * Get the latest log entries, newest first
+     * @param {Object} filter - Optional filters
+     * @param {string} filter.action - Only actions starting with this, e.g. 'product'
+     * @param {string} filter.query - Text to find in the target, summary or actor
+     * @returns {Promise<Array>} Log entries
+     */
+    getEntries(filter = {}) {
+        const query = (filter.query || '').trim().toLowerCase();
+        // Entries are stored oldest first, which orders those made in the same millisecond
+        return this.repository.find({}).then(entries => entries.reverse()
+            .filter(entry =>
+                (!filter.action || entry.action.startsWith(filter.action)) &&
+                (!query || [entry.target, entry.summary, entry.actor && entry.actor.email]
+                    .some(value => String(value || '').toLowerCase().includes(query))))
+            .sort((a, b) => new Date(b.at) - new Date(a.at))
+            .slice(0, AUDIT_LOG_LIMIT));
+    }
+}
+
+class AdminService {
+    /**
+     * @param {AuditLog} auditLog - Where admin actions are recorded
+     */
+    constructor(auditLog = new AuditLog()) {
+        this.auditLog = auditLog;
+    }
+
+    /**
+     * Check that the logged-in user is an administrator
+     * @returns {Object|null} Failed result to return, or null when access is allowed
+     */
+    checkAccess() {
+        return auth.isAdmin() ? null : { success: false, message: 'You need an administrator account to do this' };
+    }
+
+    /**
+     * Record a change that has been made in the audit log before reporting it
+     * @param {Object} result - Result of the change
+     * @param {string} action - What was done (see AuditLog.record)
+     * @param {string} target - What it was done to
+     * @param {string} summary - Description for the log
+     * @param {Object} details - Values before and after the change
+     * @returns {Promise<Object>} The result, saying so if the change is missing from the log
+     */
+    logged(result, action, target, summary, details = null) {
+        return this.auditLog.record(action, target, summary, details).then(() => result, error => {
+            console.error(`Error recording ${action} of ${target} in the audit log:`, error);
+            return { ...result, message: `${result.message}, but it could not be recorded in the audit log` };
+        });
+    }
+
+    // ---- Products ----
+
+    /**
+     * Check a product before it is saved
+     * @param {Object} product - Product with variants; each variant's `stock` is the units on hand
+     * @returns {Object} { valid, errors } with a message per field
+     */
+    validateProduct(product) {
+        const errors = {};
+        const slug = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+        if (!slug.test(product.id || '')) errors.id = 'Use lowercase letters, numbers and hyphens';
+        if (!product.sku) errors.sku = 'SKU is required';
+        if (!product.name) errors.name = 'Name is required';
+        if (!catalog.getCategory(product.category)) errors.category = 'Choose a category';
+        if (!(product.price > 0)) errors.price = 'Price must be more than zero';
+        if (!(product.mrp >= product.price)) errors.mrp = 'MRP cannot be less than the price';
+
+        const variants = product.variants || [];
+        if (variants.length === 0) {
+            errors.variants = 'Add at least one variant';
+        }
+        variants.forEach((variant, index) => {
+            const row = `Variant ${index + 1}`;
+            if (errors.variants) return;
+            if (!slug.test(variant.id || '')) {
+                errors.variants = `${row}: ID must use lowercase letters, numbers and hyphens`;
+            } else if (variants.findIndex(other => other.id === variant.id) !== index) {
+                errors.variants = `${row}: ID "${variant.id}" is used twice`;
+            } else if (!(variant.price > 0) || !(variant.mrp >= variant.price)) {
+                errors.variants = `${row}: price must be more than zero and no more than the MRP`;
+            } else if (!Number.isInteger(variant.stock) || variant.stock < 0) {
+                errors.variants = `${row}: stock must be a whole number of units`;
+            }
+        });
+
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+
+    /**
+     * Add or change a product. Each variant's `stock` sets its units on hand.
+     * @param {Object} product - Product with variants
+     * @param {string} originalId - ID of the product being edited, null for a new product.
+     *     Product IDs cannot change, because carts, wishlists and orders refer to them.
+     * @returns {Promise<Object>} Result with success status, message, the product and field errors
+     */
+    saveProduct(product, originalId = null) {
+        const denied = this.checkAccess();
+        if (denied) return Promise.resolve(denied);
+
+        const validation = this.validateProduct(product);
+        if (originalId && product.id !== originalId) {
+            validation.errors.id = 'Product IDs cannot be changed';
+        } else if (!originalId && catalog.getProduct(product.id)) {
+            validation.errors.id = 'Another product has this ID';
+        }
+        if (Object.keys(validation.errors).length > 0) {
+            return Promise.resolve({ success: false, message: 'Please correct the highlighted fields', errors: validation.errors });
+        }
+
+        const existing = originalId ? catalog.getProduct(originalId) : null;
+        return this.storeProduct(product, existing).then(({ product: saved, stockErrors }) => this.logged(
+            {
+                success: true,
+                message: (existing ? 'Product updated' : 'Product added') +
+                    (stockErrors.length > 0 ? `, but its stock could not be set: ${stockErrors.join('; ')}` : ''),
+                product: saved,
+                stockErrors
+            },
+            existing ? 'product.update' : 'product.create',
+            saved.id,
+            `${existing ? 'Updated' : 'Added'} product "${saved.name}"`,
+            existing ? { before: this.describeProduct(existing), after: this.describeProduct(saved) } : { after: this.describeProduct(saved) }
+        ), error => {
+            console.error(`Error saving product ${product.id}:`, error);
+            return { success: false, message: 'The product could not be saved. Please try again.' };
+        });
+    }
+
+    /**
+     * Remove a product from the catalog
+     * @param {string} productId - Product ID
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    deleteProduct(productId) {
+        const denied = this.checkAccess();
+        if (denied) return Promise.resolve(denied);
+
+        const product = catalog.getProduct(productId);
+        return catalog.deleteProduct(productId).then(deleted => (deleted
+            ? this.logged({ success: true, message: 'Product deleted' },
+                'product.delete', productId, `Deleted product "${product.name}"`, { before: this.describeProduct(product) })
+            : { success: false, message: 'Product not found' }
+        ), error => {
+            console.error(`Error deleting product ${productId}:`, error);
+            return { success: false, message: 'The product could not be deleted. Please try again.' };
+        });
+    }
+
+    /**
+     * Save a validated product to the catalog and set the stock of its variants.
+     * Variants keep the products.json stock they started with; the difference is an inventory adjustment.
+     * @param {Object} product - Product with variants
+     * @param {Object} existing - The product before the change, if any
+     * @returns {Promise<Object>} { product: the saved product, stockErrors: why the stock of a variant could not be set };
+     *     rejects if the product could not be saved
+     */
+    storeProduct(product, existing) {
+        const stockLevels = product.variants.map(variant => [variant.id, variant.stock]);
+        const saved = {
+            ...product,
+            // The console edits the English text; Tamil and Hindi names carry over from products.json
+            translations: product.translations || (existing ? existing.translations : undefined),
+            options: this.buildOptions(product.variants, existing ? existing.options : []),
+            variants: product.variants.map(variant => {
+                const previous = existing ? catalog.getVariant(existing, variant.id) : null;
+                return { ...variant, stock: previous ? previous.stock : variant.stock };
+            })
+        };
+
+        // One variant at a time, since each change goes to the same stock record
+        const stockErrors = [];
+        return catalog.saveProduct(saved).then(() => stockLevels.reduce((previous, [variantId, units]) => previous.then(() => {
+            if (inventory.getOnHand(saved.id, variantId) === units) return;
+            return inventory.setStock(saved.id, variantId, units).then(result => {
+                if (!result.success) stockErrors.push(`${catalog.getLineKey(saved.id, variantId)}: ${result.message}`);
+            });
+        }), Promise.resolve())).then(() => ({ product: saved, stockErrors }));
+    }
+
+    /**
+     * Build the option definitions of a product from the option values its variants use
+     * @param {Array} variants - Variants with `options` objects
+     * @param {Array} existingOptions - Current definitions, whose labels are kept
+     * @returns {Array} Options of { name, label, values: [{ value, label }] }
+     */
+    buildOptions(variants, existingOptions = []) {
+        const options = [];
+        const toLabel = text => String(text).replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[-_]/g, ' ')
+            .replace(/^./, letter => letter.toUpperCase());
+
+        variants.forEach(variant => {
+            Object.entries(variant.options || {}).forEach(([name, value]) => {
+                const existingOption = existingOptions.find(option => option.name === name);
+                let option = options.find(candidate => candidate.name === name);
+                if (!option) {
+                    option = { name, label: existingOption ? existingOption.label : toLabel(name), values: [] };
+                    options.push(option);
+                }
+                if (!option.values.some(item => item.value === value)) {
+                    const existingValue = existingOption && existingOption.values.find(item => item.value === value);
+                    option.values.push({ value, label: existingValue ? existingValue.label : toLabel(value) });
+                }
+            });
+        });
+
+        return options;
+    }
+
+    /**
+     * Summarise a product for the audit log
+     * @param {Object} product - Product
+     * @returns {Object} Name, prices and variant IDs
+     */
+    describeProduct(product) {
+        return {
+            name: product.name,
+            sku: product.sku,
+            category: product.category,
+            price: product.price,
+            mrp: product.mrp,
+            variants: catalog.getVariants(product).map(variant => `${variant.id} @ ${variant.price}`)
+        };
+    }
+
+    // ---- Catalog CSV ----
+
+    /**
+     * Export the catalog as CSV, one row per variant, with the units on hand
+     * @returns {string} CSV text
+     */
+    exportCatalogCsv() {
+        const rows = [CATALOG_CSV_COLUMNS];
+
+        catalog.getAllProducts().forEach(product => {
+            catalog.getVariants(product).forEach(variant => {
+                const values = {
+                    ...product,
+                    collections: (product.collections || []).join('|'),
+                    colors: (product.colors || []).join('|'),
+                    images: (product.images || []).join('|'),
+                    variantId: variant.id,
+                    variantSku: variant.sku,
+                    variantOptions: Object.entries(variant.options || {}).map(([name, value]) => `${name}=${value}`).join(';'),
+                    variantPrice: variant.price,
+                    variantMrp: variant.mrp,
+                    stock: inventory.getOnHand(product.id, variant.id)
+                };
+                rows.push(CATALOG_CSV_COLUMNS.map(column => values[column]));
+            });
+        });
+
+        return rows.map(row => row.map(value => this.toCsvValue(value)).join(',')).join('\r\n');
+    }
+
+    /**
+     * Add or update products from a CSV in the export format. Rows of the same product ID
+     * are its variants. Products that fail validation or cannot be saved are skipped and reported,
+     * as are products whose stock could not be set.
+     * @param {string} text - CSV text
+     * @returns {Promise<Object>} Result with success status, message, created and updated counts, and problems by row
+     */
+    importCatalogCsv(text) {
+        const denied = this.checkAccess();
+        if (denied) return Promise.resolve(denied);
+
+        const [header, ...rows] = this.parseCsv(text).filter(row => row.some(value => value.trim() !== ''));
+        const missing = ['id', 'name', 'variantId'].filter(column => !(header || []).includes(column));
+        if (!header || missing.length > 0) {
+            return Promise.resolve({ success: false, message: `The CSV needs the columns: ${missing.join(', ') || CATALOG_CSV_COLUMNS.join(', ')}` });
+        }
+
+        // Group the variant rows by product, remembering the line each came from
+        const groups = new Map();
+        rows.forEach((values, index) => {
+            const record = {};
+            header.forEach((column, columnIndex) => { record[column] = (values[columnIndex] || '').trim(); });
+            if (!groups.has(record.id)) groups.set(record.id, []);
+            groups.get(record.id).push({ record, line: index + 2 });
+        });
+
+        const errors = [];
+        let created = 0;
+        let updated = 0;
+        let skipped = 0;
+
+        // One product at a time, since each save changes the same catalog record
+        const imported = Array.from(groups.values()).reduce((previous, group) => previous.then(() => {
+            const existing = catalog.getProduct(group[0].record.id);
+            const product = this.productFromCsv(group.map(item => item.record), existing);
+            const validation = this.validateProduct(product);
+
+            if (!validation.valid) {
+                skipped++;
+                errors.push({ line: group[0].line, id: product.id, message: Object.values(validation.errors).join('; ') });
+                return;
+            }
+
+            return this.storeProduct(product, existing).then(({ stockErrors }) => {
+                if (existing) updated++; else created++;
+                if (stockErrors.length > 0) {
+                    errors.push({ line: group[0].line, id: product.id, message: `Saved, but its stock could not be set: ${stockErrors.join('; ')}` });
+                }
+            }, error => {
+                console.error(`Error saving product ${product.id}:`, error);
+                skipped++;
+                errors.push({ line: group[0].line, id: product.id, message: 'The product could not be saved' });
+            });
+        }), Promise.resolve());
+
+        return imported.then(() => this.logged({
+            success: errors.length === 0,
+            message: `Products added: ${created}, updated: ${updated}${skipped > 0 ? `, skipped: ${skipped}` : ''}`,
+            created,
+            updated,
+            errors
+        }, 'catalog.import', 'catalog', `Imported catalog CSV: ${created} added, ${updated} updated, ${skipped} skipped`,
+        errors.length > 0 ? { errors } : null));
+    }
+
+    /**
+     * Build a product from its CSV rows. Blank product columns keep the current values.
+     * @param {Array} records - Rows of the product, keyed by column
+     * @param {Object} existing - Current product, if any
+     * @returns {Object} Product with variants
+     */
+    productFromCsv(records, existing) {
+        const first = records[0];
+        const base = existing || { collections: [], colors: [], images: [], rating: 0, reviewCount: 0, addedAt: new Date().toISOString().split('T')[0] };
+        const text = column => (first[column] !== undefined && first[column] !== '' ? first[column] : base[column]);
+        const number = column => (first[column] ? Number(first[column]) : base[column]);
+        const list = column => (first[column] ? first[column].split('|').map(value => value.trim()).filter(Boolean) : base[column] || []);
+
+        return {
+            ...base,
+            id: first.id,
+            sku: text('sku'),
+            name: text('name'),
+            brand: text('brand') || '',
+            category: text('category'),
+            collections: list('collections'),
+            material: text('material') || '',
+            hsn: text('hsn') || '',
+            colors: list('colors'),
+            description: text('description') || '',
+            mrp: number('mrp'),
+            price: number('price'),
+            images: list('images'),
+            rating: number('rating') || 0,
+            reviewCount: number('reviewCount') || 0,
+            addedAt: text('addedAt'),
+            variants: records.map(record => {
+                const previous = existing ? catalog.getVariant(existing, record.variantId) : null;
+                const options = {};
+                (record.variantOptions || '').split(';').forEach(pair => {
+                    const [name, value] = pair.split('=').map(part => (part || '').trim());
+                    if (name && value) options[name] = value;
+                });
+
+                return {
+                    ...(previous || {}),
+                    id: record.variantId,
+                    sku: record.variantSku || (previous ? previous.sku : ''),
+                    options: Object.keys(options).length > 0 ? options : (previous ? previous.options : {}),
+                    price: record.variantPrice ? Number(record.variantPrice) : (previous ? previous.price : number('price')),
+                    mrp: record.variantMrp ? Number(record.variantMrp) : (previous ? previous.mrp : number('mrp')),
+                    stock: record.stock !== '' && record.stock !== undefined
+                        ? Number(record.stock)
+                        : (previous ? inventory.getOnHand(first.id, previous.id) : 0)
+                };
+            })
+        };
+    }
+
+    /**
+     * Split CSV text into rows of values. Quoted values may contain commas, quotes ("") and line breaks.
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let value = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+
+        if (value !== '' || row.length > 0) {
+            row.push(value);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * Quote a value for CSV when it needs it
+     * @param {*} value - Value
+     * @returns {string} CSV field
+     */
+    toCsvValue(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // ---- Orders ----
+
+    /**
+     * Load the orders of every customer, and the guest orders placed on this device
+     * @returns {Promise<Array>} Entries of { order, userId, customer, email }, newest first
+     */
+    loadOrders() {
+        if (this.checkAccess()) {
+            return Promise.resolve([]);
+        }
+
+        // get() keeps each record for synchronous lookups with a remote storage adapter
+        return repositories.users.find({})
+            .then(users => Promise.all(users.map(user => repositories.users.get(user.id))))
+            .then(users => {
+                const entries = [];
+                users.filter(Boolean).forEach(user => {
+                    new OrderManager({ userId: user.id }).getOrders().forEach(order => {
+                        entries.push({ order, userId: user.id, customer: user.name, email: user.email });
+                    });
+                });
+                new OrderManager({ userId: null }).getOrders().forEach(order => {
+                    entries.push({ order, userId: null, customer: 'Guest (this device)', email: '' });
+                });
+
+                return entries.sort((a, b) => new Date(b.order.placedAt) - new Date(a.order.placedAt));
+            });
+    }
+
+    /**
+     * Filter loaded orders
+     * @param {Array} entries - Entries from loadOrders
+     * @param {Object} filter - Filters
+     * @param {string} filter.status - Order status
+     * @param {string} filter.query - Order ID, customer name or email
+     * @param {string} filter.from - Earliest order date (YYYY-MM-DD)
+     * @param {string} filter.to - Latest order date (YYYY-MM-DD)
+     * @returns {Array} Matching entries
+     */
+    filterOrders(entries, filter = {}) {
+        const query = (filter.query || '').trim().toLowerCase();
+        return entries.filter(({ order, customer, email }) =>
+            (!filter.status || order.status === filter.status) &&
+            (!query || [order.id, customer, email].some(value => String(value || '').toLowerCase().includes(query))) &&
+            (!filter.from || order.date >= filter.from) &&
+            (!filter.to || order.date <= filter.to)
+        );
+    }
+
+    /**
+     * Move a customer's order to a new status
+     * @param {string|null} userId - Customer, or null for a guest order on this device
+     * @param {string} orderId - Order ID
+     * @param {string} status - Target status
+     * @param {string} note - Note shown on the customer's tracking timeline
+     * @param {Object} shipment - { carrier, trackingNumber } when the order ships; one is generated if left out
+     * @returns {Promise<Object>} Result with success status, message and the updated order
+     */
+    transitionOrder(userId, orderId, status, note = '', shipment = null) {
+        const denied = this.checkAccess();
+        if (denied) return Promise.resolve(denied);
+
+        const manager = new OrderManager({ userId });
+        const order = manager.getOrder(orderId);
+        if (!order) {
+            return Promise.resolve({ success: false, message: 'Order not found' });
+        }
+
+        const previousStatus = order.status;
+        const result = manager.applyTransition(order, status, status === 'cancelled'
+            ? { reason: note || 'Cancelled by the store' }
+            : { note, shipment: shipment || undefined });
+
+        if (!result.success) {
+            return Promise.resolve(result);
+        }
+        return result.saved.then(() => this.logged(result, 'order.status', orderId,
+            `Moved order ${orderId} from ${manager.getStatusLabel(previousStatus)} to ${manager.getStatusLabel(status)}`,
+            { before: previousStatus, after: status, note: note || undefined, shipment: status === 'shipped' ? result.order.shipment : undefined }
+        ), error => ({ success: false, message: error.status === 409 ? error.message : 'The order could not be saved. Please try again.' }));
+    }
+
+    // ---- Stock ----
+
+    /**
+     * Set or change the units on hand of a variant
+     * @param {string} productId - Product ID
+     * @param {string} variantId - Variant ID
+     * @param {number} units - Units on hand, or the units to add or remove when `relative` is set
+     * @param {Object} options - { relative: add to the current stock, reason: why the stock changed }
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    updateStock(productId, variantId, units, options = {}) {
+        const denied = this.checkAccess();
+        if (denied) return Promise.resolve(denied);
+
+        const change = options.relative
+            ? inventory.adjustStock(productId, variantId, units)
+            : inventory.setStock(productId, variantId, units);
+
+        return change.then(result => {
+            if (!result.success) {
+                return result;
+            }
+            const { before, after } = result;
+            return this.logged(result, options.relative ? 'stock.adjust' : 'stock.set', catalog.getLineKey(productId, variantId),
+                `Stock of ${catalog.getLineKey(productId, variantId)} changed from ${before} to ${after}${options.reason ? ` (${options.reason})` : ''}`,
+                { before, after, reason: options.reason || undefined });
+        });
+    }
+
+    // ---- Coupons ----
+
+    /**
+     * Get every coupon, including inactive and expired ones
+     * @returns {Array} Coupons
+     */
+    getCoupons() {
+        return pricing.getCoupons();
+    }
+
+    /**
+     * Check a coupon before it is saved
+     * @param {Object} coupon - Coupon definition (see DEFAULT_COUPONS in pricing.js)
+     * @returns {Object} { valid, errors } with a message per field
+     */
+    validateCoupon(coupon) {
+        const errors = {};
+        const isCount = value => value === undefined || (Number.isInteger(value) && value > 0);
+
+        if (!/^[A-Z0-9]{3,20}$/.test(coupon.code || '')) errors.code = 'Use 3 to 20 capital letters and numbers';
+        if (!coupon.description) errors.description = 'Describe the offer for customers';
+        if (!COUPON_TYPES[coupon.type]) errors.type = 'Choose a discount type';
+        if (!(coupon.value > 0) || (coupon.type === 'percent' && coupon.value > 100)) {
+            errors.value = coupon.type === 'percent' ? 'Enter a percentage between 1 and 100' : 'Enter an amount';
+        }
+        if (coupon.maxDiscount !== undefined && !(coupon.maxDiscount > 0)) errors.maxDiscount = 'Enter an amount';
+        if (coupon.minOrder !== undefined && !(coupon.minOrder > 0)) errors.minOrder = 'Enter an amount';
+        if (!isCount(coupon.usageLimit)) errors.usageLimit = 'Enter a whole number';
+        if (!isCount(coupon.perUserLimit)) errors.perUserLimit = 'Enter a whole number';
+        if (coupon.startsAt && coupon.expiresAt && new Date(coupon.expiresAt) <= new Date(coupon.startsAt)) {
+            errors.expiresAt = 'The coupon must end after it starts';
+        }
+
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+
+    /**
+     * Add or change a coupon
+     * @param {Object} coupon - Coupon definition
+     * @param {string} originalCode - Code of the coupon being edited, null for a new coupon
+     * @returns {Promise<Object>} Result with success status, message and field errors
+     */
+    saveCoupon(coupon, originalCode = null) {
+        const denied = this.checkAccess();
+        if (denied) return Promise.resolve(denied);
+
+        const validation = this.validateCoupon(coupon);
+        if (!validation.valid) {
+            return Promise.resolve({ success: false, message: 'Please correct the highlighted fields', errors: validation.errors });
+        }
+
+        // Checked against the latest coupons, in case another administrator changed them
+        let before = null;
+        let taken = false;
+        return pricing.saveCoupons(coupons => {
+            const index = originalCode ? coupons.findIndex(existing => existing.code === originalCode) : -1;
+            taken = coupons.some((existing, existingIndex) => existing.code === coupon.code && existingIndex !== index);
+            if (taken) return undefined;
+
+            before = index === -1 ? null : coupons[index];
+            return index === -1 ? [...coupons, coupon] : coupons.map((existing, existingIndex) => (existingIndex === index ? coupon : existing));
+        }).then(() => {
+            if (taken) {
+                return { success: false, message: 'Please correct the highlighted fields', errors: { code: 'Another coupon has this code' } };
+            }
+            return this.logged({ success: true, message: before ? 'Coupon updated' : 'Coupon added' },
+                before ? 'coupon.update' : 'coupon.create', coupon.code,
+                `${before ? 'Updated' : 'Added'} coupon ${coupon.code}`, before ? { before, after: coupon } : { after: coupon });
+        }, error => {
+            console.error(`Error saving coupon ${coupon.code}:`, error);
+            return { success: false, message: 'The coupon could not be saved. Please try again.' };
+        });
+    }
+
+    /**
+     * Delete a coupon
+     * @param {string} code - Coupon code
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    deleteCoupon(code) {
+        const denied = this.checkAccess();
+        if (denied) return Promise.resolve(denied);
+
+        let coupon = null;
+        return pricing.saveCoupons(coupons => {
+            coupon = coupons.find(existing => existing.code === code) || null;
+            return coupon ? coupons.filter(existing => existing !== coupon) : undefined;
+        }).then(() => (coupon
+            ? this.logged({ success: true, message: 'Coupon deleted' }, 'coupon.delete', code, `Deleted coupon ${code}`, { before: coupon })
+            : { success: false, message: 'Coupon not found' }
+        ), error => {
+            console.error(`Error deleting coupon ${code}:`, error);
+            return { success: false, message: 'The coupon could not be deleted. Please try again.' };
+        });
+    }
+
+    // ---- Reviews ----
+
+    /**
+     * Publish or hide a customer review
+     * @param {string} reviewId - Review ID
+     * @param {string} status - 'published' or 'hidden'
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    async moderateReview(reviewId, status) {
+        const denied = this.checkAccess();
+        if (denied) return denied;
+
+        const result = await reviews.setStatus(reviewId, status);
+        if (!result.success) {
+            return result;
+        }
+        const { before } = result;
+        return this.logged(result, status === 'hidden' ? 'review.hide' : 'review.publish', reviewId,
+            `${status === 'hidden' ? 'Hid' : 'Published'} ${before.author}'s review of ${before.productId}`,
+            { before: before.status, after: status, reports: before.reports.length });
+    }
+
+    /**
+     * Remove a customer review for good
+     * @param {string} reviewId - Review ID
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    async removeReview(reviewId) {
+        const denied = this.checkAccess();
+        if (denied) return denied;
+
+        const result = await reviews.removeReview(reviewId);
+        if (!result.success) {
+            return result;
+        }
+        return this.logged(result, 'review.remove', reviewId,
+            `Removed ${result.review.author}'s review of ${result.review.productId}`, { before: result.review });
+    }
+
+    // ---- Notifications ----
+
+    /**
+     * Send a customer notification that failed every delivery attempt again
+     * @param {string} notificationId - Notification ID from the delivery log
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    async retryNotification(notificationId) {
+        const denied = this.checkAccess();
+        if (denied) return denied;
+
+        const result = await notifications.retry(notificationId);
+        if (!result.notification) {
+            return result;
+        }
+        return this.logged(result, 'notification.retry', notificationId,
+            `Resent ${result.notification.event} ${result.notification.channel} to ${result.notification.to}`,
+            { after: result.notification.status });
+    }
+}
+
+// Create global admin service
+const admin = new AdminService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AdminService, AuditLog, CATALOG_CSV_COLUMNS, COUPON_TYPES };
+}
+
+// Make admin service available globally
+window.AdminService = AdminService;
+window.AuditLog = AuditLog;
+window.admin = admin;
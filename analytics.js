@@ -0,0 +1,758 @@
+/**
+ * Analytics Module for Lunsara
+ * First-party tracking of the shopping funnel. Pages and modules report what shoppers do with
+ * track(name, params); every event is checked against ANALYTICS_EVENTS, stamped with the
+ * session, shopper and page, and queued. The queue is kept in localStorage, so events reported
+ * just before leaving a page are not lost, and is sent in batches to a pluggable sink when it
+ * fills up, on a timer, when the page is hidden and when the connection returns.
+ *
+ * A sink has a `name`, a `label` and send(events, options), resolving with { success, message }.
+ * Ships with LocalSink, which keeps events on this device for development and can be downloaded
+ * as a JSON file from the admin console, and EndpointSink, which posts them to a collection URL.
+ * With records on a server, events go to the server's own collection endpoint
+ * (POST /api/analytics/collect); otherwise set the `analyticsTransport` localStorage key to
+ * 'endpoint' and `analyticsEndpoint` to a collection URL to post batches there.
+ *
+ * Nothing is recorded until the shopper allows it in the consent bar. The choice is kept on this
+ * device and, for logged-in users, in `profile.preferences.analytics`.
+ * getReport() builds the funnel, top products and cart abandonment from every shopper's events the
+ * server collected, or from the events kept on this device when there is no server.
+ * Uses storage.js for the shopper ID and the server's events, auth.js for the saved consent and catalog.js, when it is
+ * loaded, for product categories.
+ */
+
+const ANALYTICS_QUEUE_KEY = 'analyticsQueue';
+const ANALYTICS_EVENTS_KEY = 'analyticsEvents';
+const ANALYTICS_CONSENT_KEY = 'analyticsConsent';
+const ANALYTICS_SESSION_KEY = 'analyticsSession';
+
+// Collection endpoint of the server records are kept on, if they are
+const ANALYTICS_SERVER_ENDPOINT = storageAdapter instanceof RestStorageAdapter ? `${storageAdapter.baseUrl}/analytics/collect` : null;
+
+const ANALYTICS_CONFIG = {
+    // 'local' keeps events on this device; 'endpoint' posts them to the collection endpoint
+    transport: localStorage.getItem('analyticsTransport') || (ANALYTICS_SERVER_ENDPOINT ? 'endpoint' : 'local'),
+    endpoint: localStorage.getItem('analyticsEndpoint') || ANALYTICS_SERVER_ENDPOINT || ''
+};
+
+const ANALYTICS_SETTINGS = {
+    // Events sent together
+    batchSize: 10,
+    // Wait before sending a batch that is not full
+    flushIntervalMs: 5000,
+    // A session ends after this long without an event
+    sessionTimeoutMs: 30 * 60 * 1000,
+    // Products of a list recorded with view_item_list, from the top of the list
+    listItems: 12,
+    // Events waiting to be sent, and events the local sink keeps; the oldest are dropped
+    queueLimit: 500,
+    localLimit: 2000
+};
+
+const ANALYTICS_CURRENCY = 'INR';
+
+// Parameters of each event and their types. `items` is a list of
+// { item_id, item_name, item_variant, item_category, price, quantity }; a "?" marks an optional parameter.
+const ANALYTICS_EVENTS = {
+    view_item_list: { item_list_id: 'string', item_list_name: 'string', items: 'items' },
+    view_item: { currency: 'string', value: 'number', items: 'items' },
+    add_to_cart: { currency: 'string', value: 'number', items: 'items' },
+    begin_checkout: { currency: 'string', value: 'number', items: 'items', coupon: 'string?' },
+    add_shipping_info: { currency: 'string', value: 'number', items: 'items', shipping_tier: 'string?' },
+    add_payment_info: { currency: 'string', value: 'number', items: 'items', payment_type: 'string' },
+    purchase: {
+        transaction_id: 'string', currency: 'string', value: 'number', items: 'items',
+        tax: 'number?', shipping: 'number?', coupon: 'string?'
+    },
+    refund: { transaction_id: 'string', currency: 'string', value: 'number', items: 'items?' }
+};
+
+// Steps of the conversion funnel, from a category page to a placed order
+const ANALYTICS_FUNNEL = [
+    { event: 'view_item_list', label: 'Viewed a collection' },
+    { event: 'view_item', label: 'Viewed a product' },
+    { event: 'add_to_cart', label: 'Added to cart' },
+    { event: 'begin_checkout', label: 'Started checkout' },
+    { event: 'add_shipping_info', label: 'Chose a delivery address' },
+    { event: 'add_payment_info', label: 'Chose a payment method' },
+    { event: 'purchase', label: 'Placed an order' }
+];
+
+class LocalSink {
+    /**
+     * @param {Object} options - Sink options
+     * @param {string} options.storageKey - localStorage key of the kept events
+     * @param {number} options.limit - Events kept; the oldest are dropped
+     */
+    constructor(options = {}) {
+        this.name = 'local';
+        this.label = 'This device';
+        this.storageKey = options.storageKey || ANALYTICS_EVENTS_KEY;
+        this.limit = options.limit || ANALYTICS_SETTINGS.localLimit;
+    }
+
+    /**
+     * Keep a batch of events. An event already kept (sent again by another tab) is skipped.
+     * @param {Array} events - Events
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    send(events) {
+        const kept = this.getEvents();
+        const keptIds = new Set(kept.map(event => event.id));
+        const added = events.filter(event => !keptIds.has(event.id));
+
+        localStorage.setItem(this.storageKey, JSON.stringify([...kept, ...added].slice(-this.limit)));
+        return Promise.resolve({ success: true, message: `${added.length} event(s) saved` });
+    }
+
+    /**
+     * Get the kept events
+     * @returns {Array} Events, oldest first
+     */
+    getEvents() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Remove every kept event
+     */
+    clear() {
+        localStorage.removeItem(this.storageKey);
+    }
+}
+
+class EndpointSink {
+    /**
+     * @param {Object} options - Sink options
+     * @param {string} options.endpoint - URL that takes a JSON POST of { consent, events }
+     */
+    constructor(options = {}) {
+        this.name = 'endpoint';
+        this.label = 'Collection endpoint';
+        this.endpoint = options.endpoint;
+    }
+
+    /**
+     * Post a batch of events, with `consent: true` since events are only recorded once the shopper
+     * allowed it. While the page is being hidden the batch goes as a beacon, which the browser
+     * delivers after the page has gone.
+     * @param {Array} events - Events
+     * @param {Object} options - Send options
+     * @param {boolean} options.beacon - Send with navigator.sendBeacon
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    async send(events, options = {}) {
+        if (!this.endpoint) {
+            return { success: false, message: 'No analytics endpoint is configured' };
+        }
+
+        const body = JSON.stringify({ consent: true, events });
+        if (options.beacon && navigator.sendBeacon) {
+            const queued = navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'application/json' }));
+            return queued
+                ? { success: true, message: 'Events sent' }
+                : { success: false, message: 'The browser did not accept the events' };
+        }
+
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            });
+            if (!response.ok) {
+                return { success: false, message: `Analytics endpoint responded with ${response.status}` };
+            }
+            return { success: true, message: 'Events sent' };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+}
+
+class AnalyticsTracker {
+    /**
+     * @param {Object} sink - Where batches are sent (LocalSink or EndpointSink)
+     * @param {Object} settings - Overrides for ANALYTICS_SETTINGS
+     */
+    constructor(sink, settings = {}) {
+        this.sink = sink;
+        this.settings = { ...ANALYTICS_SETTINGS, ...settings };
+        this.flushTimer = null;
+        this.flushing = null;
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.init());
+        } else {
+            this.init();
+        }
+    }
+
+    /**
+     * Ask for consent when it has not been given or refused, and send what earlier pages queued
+     */
+    init() {
+        this.createStyles();
+        if (this.getConsent() === null) {
+            this.showConsentBar();
+        }
+
+        window.addEventListener('online', () => this.flush());
+        window.addEventListener('pagehide', () => this.flush({ beacon: true }));
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush({ beacon: true });
+        });
+        window.addEventListener('authStateChanged', event => {
+            if (event.detail.reason === 'login') this.applySavedConsent(event.detail.user);
+        });
+
+        this.scheduleFlush();
+    }
+
+    /**
+     * Get the shopper's consent on this device
+     * @returns {boolean|null} Whether analytics is allowed, or null when not asked yet
+     */
+    getConsent() {
+        const consent = localStorage.getItem(ANALYTICS_CONSENT_KEY);
+        if (consent === 'granted') return true;
+        if (consent === 'denied') return false;
+        return null;
+    }
+
+    /**
+     * Check whether events may be recorded
+     * @returns {boolean} Consent status
+     */
+    hasConsent() {
+        return this.getConsent() === true;
+    }
+
+    /**
+     * Allow or refuse analytics, on this device and in the customer's profile. Refusing drops
+     * the events still waiting to be sent.
+     * @param {boolean} granted - Whether analytics is allowed
+     * @returns {Object} Result with success status and message, and `saved`: a promise that rejects if the profile could not be saved
+     */
+    setConsent(granted) {
+        localStorage.setItem(ANALYTICS_CONSENT_KEY, granted ? 'granted' : 'denied');
+        if (!granted) {
+            this.writeQueue([]);
+        }
+        this.hideConsentBar();
+
+        const user = typeof auth !== 'undefined' && auth.isLoggedIn() ? auth.getUserProfile(auth.getCurrentUser().id) : null;
+        if (user) {
+            const profile = user.profile || {};
+            const result = auth.updateUserProfile(user.id, {
+                profile: { ...profile, preferences: { ...(profile.preferences || {}), analytics: granted } }
+            });
+            if (!result.success) return result;
+            return { success: true, message: i18n.t('analytics.saved'), saved: result.saved };
+        }
+
+        return { success: true, message: i18n.t('analytics.saved'), saved: Promise.resolve() };
+    }
+
+    /**
+     * Follow the choice saved in a customer's profile when they log in, or save the choice
+     * made on this device when they have none
+     * @param {Object} user - Session user
+     */
+    applySavedConsent(user) {
+        const profile = typeof auth !== 'undefined' ? auth.getUserProfile(user.id) : null;
+        const saved = profile && profile.profile && profile.profile.preferences && profile.profile.preferences.analytics;
+
+        if (typeof saved === 'boolean') {
+            localStorage.setItem(ANALYTICS_CONSENT_KEY, saved ? 'granted' : 'denied');
+            if (!saved) this.writeQueue([]);
+            this.hideConsentBar();
+        } else if (this.getConsent() !== null) {
+            this.setConsent(this.getConsent());
+        }
+    }
+
+    /**
+     * Record an event
+     * @param {string} name - One of ANALYTICS_EVENTS
+     * @param {Object} params - Parameters of the event
+     * @param {Date} now - Time of the event
+     * @returns {Object} Result with success status and message
+     */
+    track(name, params = {}, now = new Date()) {
+        if (!this.hasConsent()) {
+            return { success: false, message: 'Analytics is turned off' };
+        }
+
+        const validation = this.validate(name, params);
+        if (!validation.success) {
+            console.warn(`Analytics event ${name} was not recorded: ${validation.message}`);
+            return validation;
+        }
+
+        const event = {
+            id: `evt_${now.getTime().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+            name,
+            params,
+            sessionId: this.getSessionId(now),
+            shopperId: getStorageOwnerId(),
+            page: window.location.pathname.split('/').pop() || 'index.html',
+            at: now.toISOString()
+        };
+
+        const queue = this.readQueue();
+        queue.push(event);
+        this.writeQueue(queue.slice(-this.settings.queueLimit));
+
+        if (queue.length >= this.settings.batchSize) {
+            this.flush();
+        } else {
+            this.scheduleFlush();
+        }
+        return { success: true, message: 'Event recorded', event };
+    }
+
+    /**
+     * Record an event about cart lines, order items or catalog line items, with their value
+     * @param {string} name - One of ANALYTICS_EVENTS
+     * @param {Array} lines - Lines with id, name, price and quantity
+     * @param {Object} params - Other parameters of the event
+     * @returns {Object} Result with success status and message
+     */
+    trackItems(name, lines, params = {}) {
+        const items = lines.map(line => this.toItem(line));
+        return this.track(name, { currency: ANALYTICS_CURRENCY, value: this.getValue(items), items, ...params });
+    }
+
+    /**
+     * Record the view of a product list, such as a category page or search results
+     * @param {string} listId - List ID, e.g. the category ID
+     * @param {string} listName - List name
+     * @param {Array} products - Catalog products in the order shown
+     * @returns {Object} Result with success status and message
+     */
+    trackList(listId, listName, products) {
+        const items = products.slice(0, this.settings.listItems)
+            .map(product => this.toItem({ ...catalog.toLineItem(product), quantity: 1 }));
+        return this.track('view_item_list', { item_list_id: String(listId), item_list_name: String(listName), items });
+    }
+
+    /**
+     * Record a purchase or refund of an order
+     * @param {string} name - 'purchase' or 'refund'
+     * @param {Object} order - Order
+     * @returns {Object} Result with success status and message
+     */
+    trackOrder(name, order) {
+        const pricing = order.pricing || {};
+        const params = { transaction_id: order.id, value: Math.round(Number(order.total) || 0) };
+
+        if (name === 'purchase') {
+            params.tax = Math.round(pricing.tax || 0);
+            params.shipping = (pricing.deliveryCharge || 0) + (pricing.packagingFee || 0);
+            if (pricing.coupon) params.coupon = pricing.coupon.code;
+        }
+        return this.trackItems(name, order.items || [], params);
+    }
+
+    /**
+     * Check an event against its schema
+     * @param {string} name - Event name
+     * @param {Object} params - Parameters
+     * @returns {Object} Result with success status and message
+     */
+    validate(name, params) {
+        const schema = ANALYTICS_EVENTS[name];
+        if (!schema) {
+            return { success: false, message: `Unknown event "${name}"` };
+        }
+
+        const unknown = Object.keys(params).find(key => !schema[key]);
+        if (unknown) {
+            return { success: false, message: `Unknown parameter "${unknown}"` };
+        }
+
+        for (const [key, declared] of Object.entries(schema)) {
+            const optional = declared.endsWith('?');
+            const type = optional ? declared.slice(0, -1) : declared;
+            const value = params[key];
+
+            if (value === undefined || value === null) {
+                if (optional) continue;
+                return { success: false, message: `Missing parameter "${key}"` };
+            }
+            if (!this.isOfType(value, type)) {
+                return { success: false, message: `Parameter "${key}" must be ${type === 'items' ? 'a list of items' : `a ${type}`}` };
+            }
+        }
+
+        return { success: true, message: 'Valid event' };
+    }
+
+    /**
+     * @param {*} value - Parameter value
+     * @param {string} type - 'string', 'number' or 'items'
+     * @returns {boolean} Whether the value is of the type
+     */
+    isOfType(value, type) {
+        if (type === 'number') return typeof value === 'number' && isFinite(value);
+        if (type === 'items') {
+            return Array.isArray(value) && value.every(item =>
+                item && typeof item.item_id === 'string' && typeof item.price === 'number' && typeof item.quantity === 'number');
+        }
+        return typeof value === type;
+    }
+
+    /**
+     * Describe a line as an event item
+     * @param {Object} line - Cart line, order item or catalog line item
+     * @returns {Object} Item
+     */
+    toItem(line) {
+        const product = typeof catalog !== 'undefined' ? catalog.getProduct(line.id) : null;
+        const item = {
+            item_id: String(line.id),
+            item_name: line.name || (product ? product.name : ''),
+            price: Number(line.price) || 0,
+            quantity: parseInt(line.quantity) || 1
+        };
+        if (line.variantLabel) item.item_variant = line.variantLabel;
+        if (product && product.category) item.item_category = product.category;
+        return item;
+    }
+
+    /**
+     * @param {Array} items - Event items
+     * @returns {number} Total of price times quantity
+     */
+    getValue(items) {
+        return items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    }
+
+    /**
+     * Get the current session, starting a new one after a spell without events
+     * @param {Date} now - Time of the event
+     * @returns {string} Session ID
+     */
+    getSessionId(now = new Date()) {
+        let session = null;
+        try {
+            session = JSON.parse(localStorage.getItem(ANALYTICS_SESSION_KEY));
+        } catch (error) {
+            session = null;
+        }
+
+        if (!session || now.getTime() - new Date(session.lastAt).getTime() > this.settings.sessionTimeoutMs) {
+            session = { id: `ses_${now.getTime().toString(36)}${Math.random().toString(36).slice(2, 8)}` };
+        }
+        session.lastAt = now.toISOString();
+        localStorage.setItem(ANALYTICS_SESSION_KEY, JSON.stringify(session));
+        return session.id;
+    }
+
+    /**
+     * Send the queue shortly, unless a send is already scheduled
+     */
+    scheduleFlush() {
+        if (this.flushTimer || this.readQueue().length === 0) return;
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.settings.flushIntervalMs);
+    }
+
+    /**
+     * Send the queued events in batches. Events stay queued when a batch fails and are
+     * tried again on the next flush.
+     * @param {Object} options - Send options passed to the sink (e.g. beacon)
+     * @returns {Promise<number>} Number of events sent
+     */
+    flush(options = {}) {
+        if (this.flushing) {
+            return this.flushing;
+        }
+        if (!this.hasConsent() || !this.isOnline()) {
+            return Promise.resolve(0);
+        }
+
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        const sendNext = async (sent) => {
+            const batch = this.readQueue().slice(0, this.settings.batchSize);
+            if (batch.length === 0) {
+                return sent;
+            }
+
+            const result = await this.sink.send(batch, options);
+            if (!result.success) {
+                console.error('Error sending analytics events:', result.message);
+                return sent;
+            }
+
+            const batchIds = new Set(batch.map(event => event.id));
+            this.writeQueue(this.readQueue().filter(event => !batchIds.has(event.id)));
+            return sendNext(sent + batch.length);
+        };
+
+        this.flushing = sendNext(0).finally(() => {
+            this.flushing = null;
+        });
+        return this.flushing;
+    }
+
+    /**
+     * @returns {boolean} Online status
+     */
+    isOnline() {
+        return navigator.onLine !== false;
+    }
+
+    /**
+     * Get the events the local sink has kept
+     * @returns {Array} Events, oldest first (empty when events go to an endpoint; see loadEvents)
+     */
+    getEvents() {
+        return typeof this.sink.getEvents === 'function' ? this.sink.getEvents() : [];
+    }
+
+    /**
+     * Check whether events are sent to the server records are kept on, which keeps every shopper's events
+     * @returns {boolean} Whether the server collects the events
+     */
+    sendsToServer() {
+        return Boolean(ANALYTICS_SERVER_ENDPOINT) && this.sink.endpoint === ANALYTICS_SERVER_ENDPOINT;
+    }
+
+    /**
+     * Load the events to report on: every shopper's events the server collected (which only
+     * administrators can read), or those the local sink has kept
+     * @returns {Promise<Array>} Events, oldest first
+     */
+    loadEvents() {
+        if (this.sendsToServer()) {
+            return storageAdapter.find('analyticsEvents', {})
+                .then(events => events.sort((a, b) => new Date(a.at) - new Date(b.at)));
+        }
+        return Promise.resolve(this.getEvents());
+    }
+
+    /**
+     * Build the funnel, product and abandonment report
+     * @param {Object} options - Report options
+     * @param {Date} options.since - Leave out events before this time
+     * @param {number} options.topProducts - Products listed
+     * @param {Array} options.events - Events to report on (defaults to loadEvents)
+     * @param {Date} options.now - Time of the report; sessions still active are not counted as abandoned
+     * @returns {Promise<Object>} { sessions, orders, revenue, refunds, funnel, topProducts, abandonment }
+     */
+    getReport(options = {}) {
+        return (options.events ? Promise.resolve(options.events) : this.loadEvents())
+            .then(events => this.buildReport(events, options));
+    }
+
+    /**
+     * @param {Array} allEvents - Events to report on
+     * @param {Object} options - Report options, as for getReport
+     * @returns {Object} Report, as getReport resolves with it
+     */
+    buildReport(allEvents, options) {
+        const since = options.since ? options.since.getTime() : 0;
+        const now = options.now || new Date();
+        const events = allEvents.filter(event => new Date(event.at).getTime() >= since);
+
+        // Event names and last activity of each session
+        const sessions = new Map();
+        events.forEach(event => {
+            const session = sessions.get(event.sessionId) || { names: new Set(), lastAt: 0 };
+            session.names.add(event.name);
+            session.lastAt = Math.max(session.lastAt, new Date(event.at).getTime());
+            sessions.set(event.sessionId, session);
+        });
+        const allSessions = [...sessions.values()];
+
+        // A session counts at a step when it reached that step and every step before it
+        let previous = allSessions;
+        const funnel = ANALYTICS_FUNNEL.map((step, index) => {
+            const reached = previous.filter(session => session.names.has(step.event));
+            const entry = {
+                ...step,
+                sessions: reached.length,
+                stepRate: index === 0 ? null : this.getRate(reached.length, previous.length),
+                overallRate: this.getRate(reached.length, allSessions.length)
+            };
+            previous = reached;
+            return entry;
+        });
+
+        const purchases = events.filter(event => event.name === 'purchase');
+        const refunds = events.filter(event => event.name === 'refund');
+
+        return {
+            sessions: allSessions.length,
+            orders: purchases.length,
+            revenue: purchases.reduce((sum, event) => sum + event.params.value, 0),
+            refunds: refunds.reduce((sum, event) => sum + event.params.value, 0),
+            refundCount: refunds.length,
+            conversionRate: this.getRate(allSessions.filter(session => session.names.has('purchase')).length, allSessions.length),
+            funnel,
+            topProducts: this.getTopProducts(events, options.topProducts || 10),
+            abandonment: {
+                cart: this.getAbandonment(allSessions, 'add_to_cart', now),
+                checkout: this.getAbandonment(allSessions, 'begin_checkout', now)
+            }
+        };
+    }
+
+    /**
+     * Views, cart additions, units sold and revenue of each product
+     * @param {Array} events - Events
+     * @param {number} limit - Products listed
+     * @returns {Array} Products by revenue, then views
+     */
+    getTopProducts(events, limit) {
+        const products = new Map();
+        const getEntry = item => {
+            const entry = products.get(item.item_id) || { id: item.item_id, name: item.item_name, views: 0, addedToCart: 0, unitsSold: 0, revenue: 0 };
+            entry.name = item.item_name || entry.name;
+            products.set(item.item_id, entry);
+            return entry;
+        };
+
+        events.forEach(event => {
+            (event.params.items || []).forEach(item => {
+                if (event.name === 'view_item') {
+                    getEntry(item).views++;
+                } else if (event.name === 'add_to_cart') {
+                    getEntry(item).addedToCart += item.quantity;
+                } else if (event.name === 'purchase') {
+                    const entry = getEntry(item);
+                    entry.unitsSold += item.quantity;
+                    entry.revenue += item.price * item.quantity;
+                }
+            });
+        });
+
+        return [...products.values()]
+            .sort((a, b) => b.revenue - a.revenue || b.views - a.views)
+            .slice(0, limit);
+    }
+
+    /**
+     * Share of finished sessions that reached a step but placed no order
+     * @param {Array} sessions - Sessions with their event names and last activity
+     * @param {string} eventName - Step that starts the cart or checkout
+     * @param {Date} now - Time of the report
+     * @returns {Object} { started, abandoned, rate }
+     */
+    getAbandonment(sessions, eventName, now) {
+        const finished = sessions.filter(session =>
+            session.names.has(eventName) && now.getTime() - session.lastAt > this.settings.sessionTimeoutMs);
+        const abandoned = finished.filter(session => !session.names.has('purchase')).length;
+
+        return { started: finished.length, abandoned, rate: this.getRate(abandoned, finished.length) };
+    }
+
+    /**
+     * @param {number} part - Count
+     * @param {number} whole - Total
+     * @returns {number} Percentage with one decimal, 0 when the total is 0
+     */
+    getRate(part, whole) {
+        return whole > 0 ? Math.round(part / whole * 1000) / 10 : 0;
+    }
+
+    /**
+     * @returns {Array} Events waiting to be sent
+     */
+    readQueue() {
+        try {
+            return JSON.parse(localStorage.getItem(ANALYTICS_QUEUE_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * @param {Array} queue - Events waiting to be sent
+     */
+    writeQueue(queue) {
+        localStorage.setItem(ANALYTICS_QUEUE_KEY, JSON.stringify(queue));
+    }
+
+    /**
+     * Ask the shopper whether analytics may be recorded
+     */
+    showConsentBar() {
+        if (document.getElementById('analytics-consent')) return;
+
+        const bar = document.createElement('div');
+        bar.id = 'analytics-consent';
+        bar.className = 'analytics-consent';
+        bar.innerHTML = `
+            <span><i class="fas fa-chart-line"></i> ${i18n.t('analytics.consentMessage')}</span>
+            <div class="analytics-consent-actions">
+                <button type="button" class="analytics-consent-button" id="analytics-consent-allow">${i18n.t('analytics.allow')}</button>
+                <button type="button" class="analytics-consent-button analytics-consent-secondary" id="analytics-consent-decline">${i18n.t('analytics.decline')}</button>
+            </div>
+        `;
+        document.body.appendChild(bar);
+        document.getElementById('analytics-consent-allow').addEventListener('click', () => this.setConsent(true));
+        document.getElementById('analytics-consent-decline').addEventListener('click', () => this.setConsent(false));
+    }
+
+    /**
+     * Close the consent bar
+     */
+    hideConsentBar() {
+        const bar = document.getElementById('analytics-consent');
+        if (bar) {
+            bar.remove();
+        }
+    }
+
+    /**
+     * Add the styles of the consent bar to the page
+     */
+    createStyles() {
+        if (document.getElementById('analytics-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'analytics-styles';
+        style.textContent = `
+            .analytics-consent {
+                position: fixed; left: 20px; bottom: 20px; z-index: 14000; max-width: 380px;
+                padding: 16px 18px; border-radius: 10px; background: white; color: #333;
+                font-size: 14px; line-height: 1.5; box-shadow: 0 6px 20px rgba(0, 0, 0, 0.2);
+            }
+            .analytics-consent i { color: #8e44ad; margin-right: 4px; }
+            .analytics-consent-actions { display: flex; gap: 10px; margin-top: 12px; }
+            .analytics-consent-button {
+                padding: 6px 14px; border: none; border-radius: 6px; cursor: pointer;
+                font-size: 13px; font-weight: 600; background: #8e44ad; color: white;
+            }
+            .analytics-consent-secondary { background: transparent; color: #8e44ad; border: 1px solid #8e44ad; }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+// Create global analytics tracker with the sink of the configured transport
+const analytics = new AnalyticsTracker(ANALYTICS_CONFIG.transport === 'endpoint'
+    ? new EndpointSink({ endpoint: ANALYTICS_CONFIG.endpoint })
+    : new LocalSink());
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AnalyticsTracker, LocalSink, EndpointSink, ANALYTICS_EVENTS, ANALYTICS_FUNNEL, ANALYTICS_SETTINGS };
+}
+
+// Make analytics available globally
+window.AnalyticsTracker = AnalyticsTracker;
+window.analytics = analytics;
@@ -1,19 +1,267 @@
+/**
+ * Cart Module for Lunsara
+ * The cart service every page reads and changes the cart through. It keeps the
+ * guest cart and each user's cart in the carts repository, merges the guest cart
+ * into the user's cart on login, and follows changes made in other tabs.
+ * Changes are announced with a `cartUpdated` event whose detail.source is
+ * 'local', 'storage' (another tab), 'merge' (guest cart merged) or 'auth' (login or logout).
+ * Requires storage.js and catalog.js; additions are recorded by recommendations.js and analytics.js when they are loaded.
+ */
+
+// Web Locks name that tabs of this browser take to merge the guest cart one at a time
+const CART_MERGE_LOCK = 'lunsara-cart-merge';
+
+class CartService {
+    /**
+     * @param {Repository} cartRepository - Where carts are kept (defaults to repositories.carts)
+     */
+    constructor(cartRepository = repositories.carts) {
+        this.cartRepository = cartRepository;
+        this.merging = null;
+        this.setupEventListeners();
+    }
+
+    /**
+     * Get the current cart without waiting
+     * @returns {Array} Cart items
+     */
+    getItems() {
+        return this.cartRepository.peek(getStorageOwnerId()) || [];
+    }
+
+    /**
+     * Load the current cart, first merging in the guest cart if a user has logged in
+     * @returns {Promise<Array>} Cart items
+     */
+    load() {
+        return this.mergeGuestCart().then(() => this.cartRepository.get(getStorageOwnerId())).then(cart => cart || []);
+    }
+
+    /**
+     * Save the cart and announce the change
+     * @param {Array} cart - Cart items
+     * @returns {Promise<Array>} Saved cart
+     */
+    save(cart) {
+        const saved = this.cartRepository.save(getStorageOwnerId(), cart).catch(() => cart);
+        this.notify('local');
+        return saved;
+    }
+
+    /**
+     * Empty the cart, e.g. after an order is placed
+     * @returns {Promise<void>}
+     */
+    clear() {
+        const cleared = this.cartRepository.remove(getStorageOwnerId()).catch(() => {});
+        this.notify('local');
+        return cleared;
+    }
+
+    /**
+     * Count the units in a cart
+     * @param {Array} cart - Cart items (defaults to the current cart)
+     * @returns {number} Sum of quantities
+     */
+    getItemCount(cart = this.getItems()) {
+        return cart.reduce((sum, item) => sum + (item.quantity || 1), 0);
+    }
+
+    /**
+     * Add units of a product variant, up to the units in stock.
+     * Requires catalog.js to be loaded and the catalog to be available.
+     * @param {string} productId - Catalog product ID
+     * @param {string} variantId - Variant ID (defaults to the product's default variant)
+     * @param {number} quantity - Units to add
+     * @returns {Object} Result with success status, message, product and the units still available
+     */
+    addItem(productId, variantId = null, quantity = 1) {
+        const product = catalog.getProduct(productId);
+        if (!product) {
+            return { success: false, message: i18n.t('cart.unavailable') };
+        }
+
+        const variant = variantId ? catalog.getVariant(product, variantId) : catalog.getDefaultVariant(product);
+        const lineVariantId = variant ? variant.id : null;
+        const stock = catalog.getStock(product.id, lineVariantId);
+        const cart = this.getItems();
+
+        const existingItem = cart.find(item => catalog.isSameLine(item, product.id, lineVariantId));
+        const inCart = existingItem ? existingItem.quantity : 0;
+
+        if (inCart + quantity > stock) {
+            return {
+                success: false,
+                message: stock > 0
+                    ? i18n.t('cart.onlyAvailable', { count: stock, name: i18n.getProductText(product, 'name') })
+                    : i18n.t('cart.outOfStock', { name: i18n.getProductText(product, 'name') }),
+                product,
+                available: Math.max(0, stock - inCart)
+            };
+        }
+
+        if (existingItem) {
+            existingItem.quantity += quantity;
+        } else {
+            cart.push({ ...catalog.toLineItem(product, variant), quantity, dateAdded: new Date().toISOString() });
+        }
+
+        this.save(cart);
+        if (typeof recommendations !== 'undefined') {
+            recommendations.recordEvent('cart', product.id);
+        }
+        if (typeof analytics !== 'undefined') {
+            analytics.trackItems('add_to_cart', [{ ...catalog.toLineItem(product, variant), quantity }]);
+        }
+        return { success: true, message: i18n.t('cart.added', { name: i18n.getProductText(product, 'name') }), product, available: stock - inCart - quantity };
+    }
+
+    /**
+     * Move the guest cart into the logged-in user's cart. Quantities of the same
+     * variant are added together, capped at the units in stock. Every open tab merges
+     * on login, so the guest cart is taken out before it is added: a tab that merges
+     * after another finds nothing left to add.
+     * @returns {Promise<Object>} { merged: number of guest lines, limitedItems: names capped by stock }
+     */
+    mergeGuestCart() {
+        if (this.merging) {
+            return this.merging;
+        }
+
+        const ownerId = getStorageOwnerId();
+        const guestId = getGuestOwnerId();
+        if (ownerId === guestId) {
+            return Promise.resolve({ merged: 0, limitedItems: [] });
+        }
+
+        this.merging = this.withMergeLock(() => this.cartRepository.get(guestId).then(guestCart => {
+            if (!guestCart || guestCart.length === 0) {
+                return { merged: 0, limitedItems: [] };
+            }
+
+            return this.cartRepository.remove(guestId)
+                // Stock is checked against the catalog, when it can be loaded
+                .then(() => Promise.all([
+                    this.cartRepository.get(ownerId),
+                    catalog.load().catch(() => null)
+                ]))
+                .then(([userCart]) => {
+                    const { cart, limitedItems } = this.mergeCarts(userCart || [], guestCart);
+                    return this.cartRepository.save(ownerId, cart).then(() => {
+                        this.notify('merge', { limitedItems });
+                        return { merged: guestCart.length, limitedItems };
+                    });
+                })
+                // Put the guest cart back for the next load to merge
+                .catch(error => this.cartRepository.save(guestId, guestCart).then(() => {
+                    throw error;
+                }));
+        }))
+            .catch(error => {
+                console.error('Error merging guest cart:', error);
+                return { merged: 0, limitedItems: [] };
+            })
+            .finally(() => {
+                this.merging = null;
+            });
+
+        return this.merging;
+    }
+
+    /**
+     * Run a merge while no other tab of this browser is merging. Browsers without
+     * the Web Locks API run it straight away.
+     * @param {Function} merge - Starts the merge and returns its promise
+     * @returns {Promise<Object>} Merge result
+     */
+    withMergeLock(merge) {
+        if (typeof navigator !== 'undefined' && navigator.locks) {
+            return navigator.locks.request(CART_MERGE_LOCK, merge);
+        }
+        return merge();
+    }
+
+    /**
+     * Combine two carts
+     * @param {Array} userCart - Cart of the logged-in user
+     * @param {Array} guestCart - Cart built while logged out
+     * @returns {Object} { cart, limitedItems }
+     */
+    mergeCarts(userCart, guestCart) {
+        const cart = userCart.map(item => ({ ...item }));
+        const limitedItems = [];
+
+        guestCart.forEach(guestItem => {
+            const stock = catalog.getStock(guestItem.id, guestItem.variantId);
+            const existingItem = cart.find(item => catalog.isSameLine(item, guestItem.id, guestItem.variantId));
+            const wanted = (existingItem ? existingItem.quantity : 0) + guestItem.quantity;
+            const quantity = Math.min(wanted, stock);
+
+            if (quantity < wanted) {
+                limitedItems.push(guestItem.name);
+            }
+
+            if (existingItem) {
+                existingItem.quantity = quantity;
+            } else if (quantity > 0) {
+                cart.push({ ...guestItem, quantity });
+            }
+        });
+
+        return { cart, limitedItems };
+    }
+
+    /**
+     * Update the badge and tell the page the cart changed
+     * @param {string} source - What changed the cart
+     * @param {Object} details - Extra event detail
+     */
+    notify(source, details = {}) {
+        updateCartBadge();
+        window.dispatchEvent(new CustomEvent('cartUpdated', { detail: { source, ...details } }));
+    }
+
+    /**
+     * Follow logins, logouts and cart changes made in other tabs. Other tabs' changes
+     * arrive as `storage` events, which only fire while carts are kept in localStorage.
+     */
+    setupEventListeners() {
+        window.addEventListener('storage', (e) => {
+            const adapter = this.cartRepository.adapter;
+            if (adapter.getKey && e.key === adapter.getKey(this.cartRepository.collection, getStorageOwnerId())) {
+                this.notify('storage');
+            }
+        });
+
+        window.addEventListener('authStateChanged', (e) => {
+            if (e.detail.reason === 'login') {
+                this.load().then(() => this.notify('auth')).catch(() => {});
+            } else if (e.detail.reason === 'logout') {
+                this.notify('auth');
+            }
+        });
+    }
+}
+
+// Create global cart service
+const cartService = new CartService();
+
 // This function should run on every page to ensure the badge is always up-to-date.
 document.addEventListener('DOMContentLoaded', () => {
     updateCartBadge();
-    loadUserCart();
+    loadUserCart().then(updateCartBadge).catch(() => {});
 });
 
 /**
- * Updates the cart count badge in the header.
- * It gets the total quantity of items from user-specific cart storage.
+ * Updates the cart count badges in the header and the status bar.
+ * It gets the total quantity of items from the cart service.
  */
 function updateCartBadge() {
-    const cart = getUserCart();
     const cartCountElement = document.getElementById('cart-count');
+    const statusCartElement = document.getElementById('status-cart-text');
 
     // The count is the sum of quantities, not just the number of array entries.
-    const totalItems = cart.reduce((sum, item) => sum + item.quantity, 0);
+    const totalItems = cartService.getItemCount();
 
     if (cartCountElement) {
         cartCountElement.innerText = totalItems;
@@ -24,69 +272,56 @@ function updateCartBadge() {
             cartCountElement.style.display = 'none';
         }
     }
+
+    if (statusCartElement) {
+        statusCartElement.textContent = `(${totalItems})`;
+    }
 }
 
 /**
- * Adds a product to the cart. If the product already exists, it increases the quantity.
- * @param {string} name - The name of the product.
- * @param {number} price - The price of the product.
- * @param {string} image - The source URL of the product image.
+ * Adds a product variant to the cart. If the same variant is already in the cart,
+ * it increases the quantity, up to the units in stock.
+ * Requires catalog.js to be loaded and the catalog to be available.
+ * @param {string} productId - The catalog ID of the product.
+ * @param {string} variantId - The variant ID (defaults to the product's default variant).
+ * @param {number} quantity - The number of units to add.
+ * @returns {Object} Result with success status and message.
  */
-function addToCart(name, price, image) {
-    const cart = getUserCart();
-
-    // Check if item already exists in cart.
-    const existingProductIndex = cart.findIndex(item => item.name === name);
-
-    if (existingProductIndex > -1) {
-        // If it exists, just increase the quantity.
-        cart[existingProductIndex].quantity += 1;
-    } else {
-        // If it doesn't exist, add it as a new item with quantity 1.
-        const product = { name, price, image, quantity: 1 };
-        cart.push(product);
-    }
-
-    saveUserCart(cart);
-    updateCartBadge();
-    alert(`'${name}' has been added to your cart!`);
+function addToCart(productId, variantId = null, quantity = 1) {
+    const result = cartService.addItem(productId, variantId, quantity);
+    alert(result.message);
+    return result;
 }
 
 /**
- * Gets the current user's cart from localStorage
+ * Gets the current user's cart
  * @returns {Array} User's cart items
  */
 function getUserCart() {
-    if (typeof auth !== 'undefined' && auth.isLoggedIn()) {
-        const currentUser = auth.getCurrentUser();
-        const userCartKey = `cart_${currentUser.id}`;
-        return JSON.parse(localStorage.getItem(userCartKey)) || [];
-    } else {
-        // Fallback to general cart for non-logged-in users
-        return JSON.parse(localStorage.getItem('cart')) || [];
-    }
+    return cartService.getItems();
 }
 
 /**
- * Saves the cart to localStorage for the current user
+ * Saves the cart for the current user
  * @param {Array} cart - Cart items to save
  */
 function saveUserCart(cart) {
-    if (typeof auth !== 'undefined' && auth.isLoggedIn()) {
-        const currentUser = auth.getCurrentUser();
-        const userCartKey = `cart_${currentUser.id}`;
-        localStorage.setItem(userCartKey, JSON.stringify(cart));
-    } else {
-        // Fallback to general cart for non-logged-in users
-        localStorage.setItem('cart', JSON.stringify(cart));
-    }
+    cartService.save(cart);
 }
 
 /**
  * Loads user cart data (for pages that need to display cart contents)
+ * @returns {Promise<Array>} User's cart items, once loaded from storage
  */
 function loadUserCart() {
-    // This function can be used by cart.html and other pages that need to display cart contents
-    const cart = getUserCart();
-    return cart;
+    return cartService.load();
 }
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CartService;
+}
+
+// Make cart service available globally
+window.CartService = CartService;
+window.cartService = cartService;
@@ -0,0 +1,421 @@
+/**
+ * Product Catalog Module for Lunsara
+ * Loads the product catalog from products.json and provides product lookups.
+ * Products added, changed or deleted in the admin console are kept in one record of the
+ * shared catalogEdits repository, so every shopper sees them, and applied on top of products.json.
+ * Stock lookups go through inventory.js when it is loaded, so they count sales and reservations.
+ * Requires storage.js.
+ */
+
+// ID of the record in repositories.catalogEdits
+const CATALOG_EDITS_ID = 'edits';
+
+class CatalogManager {
+    /**
+     * @param {string} source - URL of the catalog data file
+     * @param {Repository} repository - Where admin console edits are kept (defaults to repositories.catalogEdits)
+     */
+    constructor(source = 'products.json', repository = repositories.catalogEdits) {
+        this.source = source;
+        this.repository = repository;
+        this.baseProducts = [];
+        this.products = [];
+        this.categories = [];
+        this.loadPromise = null;
+    }
+
+    /**
+     * Load the catalog data file and the admin console edits. Subsequent calls reuse the same request.
+     * @returns {Promise<CatalogManager>} Resolves once products are available
+     */
+    load() {
+        if (!this.loadPromise) {
+            // Without the edits, shoppers still see products.json
+            const edits = this.repository.get(CATALOG_EDITS_ID)
+                .catch(error => console.error('Error loading catalog edits:', error));
+            this.loadPromise = fetch(this.source)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Catalog request failed with status ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => edits.then(() => data))
+                .then(data => {
+                    this.setData(data);
+                    return this;
+                })
+                .catch(error => {
+                    console.error('Error loading catalog:', error);
+                    this.loadPromise = null;
+                    throw error;
+                });
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Replace the catalog contents. Edits made in the admin console are applied on top.
+     * @param {Object} data - Catalog data with `categories` and `products` arrays
+     */
+    setData(data) {
+        this.categories = data.categories || [];
+        this.baseProducts = data.products || [];
+        this.applyEdits();
+    }
+
+    /**
+     * Rebuild the product list from products.json and the saved edits.
+     * Changed products keep their place; added products come last.
+     */
+    applyEdits() {
+        const edits = this.getEdits();
+        const products = this.baseProducts
+            .filter(product => !edits.deleted.includes(product.id))
+            .map(product => edits.products[product.id] || product);
+
+        Object.values(edits.products).forEach(product => {
+            if (!products.some(existing => existing.id === product.id)) {
+                products.push(product);
+            }
+        });
+
+        this.products = products;
+    }
+
+    /**
+     * Add or replace a product
+     * @param {Object} product - Complete product record
+     * @returns {Promise<Object>} Saved product; rejects if it could not be saved
+     */
+    saveProduct(product) {
+        return this.saveEdits(edits => {
+            edits.products[product.id] = product;
+            edits.deleted = edits.deleted.filter(id => id !== product.id);
+        }).then(() => product);
+    }
+
+    /**
+     * Remove a product from the catalog
+     * @param {string} productId - Product ID
+     * @returns {Promise<boolean>} Whether the product existed; rejects if the change could not be saved
+     */
+    deleteProduct(productId) {
+        if (!this.getProduct(productId)) {
+            return Promise.resolve(false);
+        }
+
+        return this.saveEdits(edits => {
+            delete edits.products[productId];
+            if (this.baseProducts.some(product => product.id === productId) && !edits.deleted.includes(productId)) {
+                edits.deleted.push(productId);
+            }
+        }).then(() => true);
+    }
+
+    /**
+     * Read the edits made in the admin console, from the copy loaded last
+     * @returns {Object} { products: changed or added products by ID, deleted: IDs of removed products }
+     */
+    getEdits() {
+        return this.toEdits(this.repository.peek(CATALOG_EDITS_ID));
+    }
+
+    /**
+     * @param {Object|null} record - Edits record
+     * @returns {Object} Copy of its edits that can be changed (see getEdits)
+     */
+    toEdits(record) {
+        const saved = record || {};
+        return { products: { ...(saved.products || {}) }, deleted: [...(saved.deleted || [])] };
+    }
+
+    /**
+     * Change the latest admin console edits and apply them. The change is made again
+     * if another administrator saved first.
+     * @param {Function} change - Changes the edits it is given
+     * @returns {Promise<void>} Resolves once the edits have been saved
+     */
+    saveEdits(change) {
+        return this.repository.update(CATALOG_EDITS_ID, record => {
+            const edits = this.toEdits(record);
+            change(edits);
+            return edits;
+        }).then(() => this.applyEdits());
+    }
+
+    /**
+     * Get every product in the catalog
+     * @returns {Array} Products
+     */
+    getAllProducts() {
+        return this.products;
+    }
+
+    /**
+     * Get a product by its ID
+     * @param {string} productId - Product ID
+     * @returns {Object|null} Product
+     */
+    getProduct(productId) {
+        return this.products.find(product => product.id === String(productId)) || null;
+    }
+
+    /**
+     * Get a product by its SKU
+     * @param {string} sku - Product SKU
+     * @returns {Object|null} Product
+     */
+    getProductBySku(sku) {
+        return this.products.find(product => product.sku === sku) || null;
+    }
+
+    /**
+     * Get all products in a category
+     * @param {string} categoryId - Category ID (e.g. 'silk-sarees')
+     * @returns {Array} Products in the category
+     */
+    getProductsByCategory(categoryId) {
+        return this.products.filter(product => product.category === categoryId);
+    }
+
+    /**
+     * Get category metadata
+     * @param {string} categoryId - Category ID
+     * @returns {Object|null} Category
+     */
+    getCategory(categoryId) {
+        return this.categories.find(category => category.id === categoryId) || null;
+    }
+
+    /**
+     * Get the primary image of a product
+     * @param {Object} product - Product
+     * @returns {string} Image path
+     */
+    getPrimaryImage(product) {
+        return (product.images && product.images[0]) || 'images/logo.png';
+    }
+
+    /**
+     * Calculate the discount of a product against its MRP
+     * @param {Object} product - Product
+     * @returns {number} Discount percentage, rounded
+     */
+    getDiscountPercent(product) {
+        if (!product.mrp || product.mrp <= product.price) {
+            return 0;
+        }
+        return Math.round(((product.mrp - product.price) / product.mrp) * 100);
+    }
+
+    /**
+     * Get the URL of a product's detail page
+     * @param {string} productId - Product ID
+     * @param {string} variantId - Variant to preselect (optional)
+     * @returns {string} Detail page URL
+     */
+    getProductUrl(productId, variantId = null) {
+        const url = `product-detail.html?id=${encodeURIComponent(productId)}`;
+        return variantId ? `${url}&variant=${encodeURIComponent(variantId)}` : url;
+    }
+
+    /**
+     * Get the purchasable variants of a product
+     * @param {Object} product - Product
+     * @returns {Array} Variants (empty for products sold without options)
+     */
+    getVariants(product) {
+        return (product && product.variants) || [];
+    }
+
+    /**
+     * Get a variant of a product by its ID
+     * @param {Object} product - Product
+     * @param {string} variantId - Variant ID
+     * @returns {Object|null} Variant
+     */
+    getVariant(product, variantId) {
+        return this.getVariants(product).find(variant => variant.id === variantId) || null;
+    }
+
+    /**
+     * Get the variant shown when a product is first opened: the first one in stock
+     * @param {Object} product - Product
+     * @returns {Object|null} Variant
+     */
+    getDefaultVariant(product) {
+        const variants = this.getVariants(product);
+        return variants.find(variant => this.isVariantAvailable(variant, product)) || variants[0] || null;
+    }
+
+    /**
+     * Find the variant matching a set of option values
+     * @param {Object} product - Product
+     * @param {Object} selections - Option values keyed by option name (e.g. { colourway: 'red', blousePiece: 'with' })
+     * @returns {Object|null} Variant
+     */
+    findVariant(product, selections) {
+        return this.getVariants(product).find(variant =>
+            Object.entries(selections).every(([name, value]) => variant.options[name] === value)
+        ) || null;
+    }
+
+    /**
+     * Check whether a variant can be bought
+     * @param {Object} variant - Variant
+     * @param {Object} product - Product the variant belongs to; without it only products.json stock is checked
+     * @returns {boolean} Whether any stock is left
+     */
+    isVariantAvailable(variant, product = null) {
+        if (!variant) {
+            return false;
+        }
+        return product ? this.getStock(product.id, variant.id) > 0 : variant.stock > 0;
+    }
+
+    /**
+     * Check whether any variant of a product can be bought
+     * @param {Object} product - Product
+     * @returns {boolean} Stock status
+     */
+    isInStock(product) {
+        const variants = this.getVariants(product);
+        if (variants.length === 0) {
+            return product.inStock !== false;
+        }
+        return variants.some(variant => this.isVariantAvailable(variant, product));
+    }
+
+    /**
+     * Get the units available for a product variant
+     * @param {string} productId - Product ID
+     * @param {string} variantId - Variant ID
+     * @returns {number} Units in stock (Infinity when the catalog does not track stock for the item)
+     */
+    getStock(productId, variantId) {
+        if (typeof inventory !== 'undefined') {
+            return inventory.getAvailable(productId, variantId);
+        }
+
+        const product = this.getProduct(productId);
+        const variant = product ? this.getVariant(product, variantId) : null;
+        return variant ? variant.stock : Infinity;
+    }
+
+    /**
+     * Describe a variant by its option values
+     * @param {Object} product - Product
+     * @param {Object} variant - Variant
+     * @returns {string} Label such as "Red · Saree Only (5.5 m)"
+     */
+    getVariantLabel(product, variant) {
+        if (!variant) {
+            return '';
+        }
+
+        return (product.options || [])
+            .map(option => {
+                const value = option.values.find(item => item.value === variant.options[option.name]);
+                return value ? value.label : null;
+            })
+            .filter(Boolean)
+            .join(' · ');
+    }
+
+    /**
+     * Get the key identifying a product variant in carts, watchlists and orders
+     * @param {string} productId - Product ID
+     * @param {string} variantId - Variant ID
+     * @returns {string} Line key
+     */
+    getLineKey(productId, variantId) {
+        return variantId ? `${productId}:${variantId}` : String(productId);
+    }
+
+    /**
+     * Check whether a stored line refers to a product variant
+     * @param {Object} item - Cart, watchlist or order line
+     * @param {string} productId - Product ID
+     * @param {string} variantId - Variant ID
+     * @returns {boolean} Match result
+     */
+    isSameLine(item, productId, variantId) {
+        return this.getLineKey(item.id, item.variantId) === this.getLineKey(productId, variantId);
+    }
+
+    /**
+     * Build the compact product record stored in carts and watchlists
+     * @param {Object} product - Product
+     * @param {Object} variant - Variant to record (defaults to the product's default variant)
+     * @returns {Object} Product summary
+     */
+    toLineItem(product, variant = this.getDefaultVariant(product)) {
+        const item = {
+            id: product.id,
+            sku: product.sku,
+            name: product.name,
+            price: product.price,
+            originalPrice: product.mrp,
+            image: this.getPrimaryImage(product)
+        };
+
+        if (variant) {
+            item.variantId = variant.id;
+            item.variantLabel = this.getVariantLabel(product, variant);
+            item.sku = variant.sku || product.sku;
+            item.price = variant.price;
+            item.originalPrice = variant.mrp;
+            item.image = (variant.images && variant.images[0]) || item.image;
+        }
+
+        return item;
+    }
+
+    /**
+     * Build star icon markup for a rating
+     * @param {number} rating - Rating between 0 and 5
+     * @returns {string} Font Awesome star icons HTML
+     */
+    renderStars(rating) {
+        const rounded = Math.round(rating * 2) / 2;
+        const fullStars = Math.floor(rounded);
+        const hasHalfStar = rounded % 1 !== 0;
+        const emptyStars = 5 - fullStars - (hasHalfStar ? 1 : 0);
+
+        return '<i class="fas fa-star"></i>'.repeat(fullStars) +
+            (hasHalfStar ? '<i class="fas fa-star-half-alt"></i>' : '') +
+            '<i class="far fa-star"></i>'.repeat(emptyStars);
+    }
+
+    /**
+     * Get the name of a product, or of a cart or wishlist line, in the shopper's language
+     * @param {Object} item - Catalog product or line item (lines keep the product ID in `id`)
+     * @returns {string} Name
+     */
+    getDisplayName(item) {
+        const product = this.getProduct(item.id);
+        return product ? i18n.getProductText(product, 'name') : item.name;
+    }
+
+    /**
+     * Format an amount in rupees for the shopper's language
+     * @param {number} amount - Amount
+     * @returns {string} Formatted price
+     */
+    formatPrice(amount) {
+        return i18n.formatPrice(amount);
+    }
+}
+
+// Create global catalog instance
+const catalog = new CatalogManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CatalogManager;
+}
+
+// Make catalog available globally
+window.CatalogManager = CatalogManager;
+window.catalog = catalog;
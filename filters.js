@@ -0,0 +1,242 @@
+/**
+ * Product Filter Module for Lunsara
+ * Faceted filtering, facet counts and sorting over catalog product attributes
+ */
+
+// Sort options offered by the listing pages' sort dropdown
+const SORT_OPTIONS = {
+    relevance: 'Relevance',
+    'price-asc': 'Price: Low to High',
+    'price-desc': 'Price: High to Low',
+    newest: 'Newest First',
+    popularity: 'Popularity',
+    rating: 'Customer Rating'
+};
+
+class ProductFilterEngine {
+    /**
+     * @param {Object} options - Engine options
+     * @param {Array<string>} options.facets - Product attributes exposed as facets
+     * @param {Function} options.isInStock - Returns whether a product can be bought
+     * @param {Function} options.getRating - Returns the average rating of a product
+     * @param {Function} options.getReviewCount - Returns the number of reviews of a product
+     */
+    constructor(options = {}) {
+        this.facets = options.facets || ['collections', 'material', 'colors'];
+        this.isInStock = options.isInStock || (product => product.inStock !== false);
+        this.getRating = options.getRating || (product => product.rating || 0);
+        this.getReviewCount = options.getReviewCount || (product => product.reviewCount || 0);
+    }
+
+    /**
+     * Create an empty filter state
+     * @param {Object} overrides - Values to set on the new state
+     * @returns {Object} Filter state
+     */
+    createState(overrides = {}) {
+        const selections = {};
+        this.facets.forEach(facet => {
+            selections[facet] = [];
+        });
+
+        return {
+            selections,
+            modes: {},
+            minPrice: null,
+            maxPrice: null,
+            minRating: null,
+            inStockOnly: false,
+            sort: 'relevance',
+            ...overrides
+        };
+    }
+
+    /**
+     * Get the values a product has for a facet
+     * @param {Object} product - Catalog product
+     * @param {string} facet - Facet name
+     * @returns {Array<string>} Facet values
+     */
+    getFacetValues(product, facet) {
+        const value = product[facet];
+        if (value === undefined || value === null) {
+            return [];
+        }
+        return Array.isArray(value) ? value : [value];
+    }
+
+    /**
+     * Check a product against the selected values of one facet.
+     * 'any' (OR) matches if the product has one of the values; 'all' (AND) requires every value.
+     * @param {Object} product - Catalog product
+     * @param {string} facet - Facet name
+     * @param {Array<string>} selected - Selected values
+     * @param {string} mode - 'any' or 'all'
+     * @returns {boolean} Match result
+     */
+    matchesFacet(product, facet, selected, mode = 'any') {
+        if (!selected || selected.length === 0) {
+            return true;
+        }
+
+        const values = this.getFacetValues(product, facet);
+        return mode === 'all'
+            ? selected.every(value => values.includes(value))
+            : selected.some(value => values.includes(value));
+    }
+
+    /**
+     * Check a product against the whole filter state. Facets are combined with AND.
+     * @param {Object} product - Catalog product
+     * @param {Object} state - Filter state
+     * @param {string} skipFacet - Facet to ignore (used for facet counts)
+     * @returns {boolean} Match result
+     */
+    matches(product, state, skipFacet = null) {
+        const facetsMatch = this.facets.every(facet =>
+            facet === skipFacet ||
+            this.matchesFacet(product, facet, state.selections[facet], state.modes[facet])
+        );
+
+        if (!facetsMatch) return false;
+        if (state.minPrice !== null && product.price < state.minPrice) return false;
+        if (state.maxPrice !== null && product.price > state.maxPrice) return false;
+        if (state.minRating !== null && this.getRating(product) < state.minRating) return false;
+        if (state.inStockOnly && !this.isInStock(product)) return false;
+
+        return true;
+    }
+
+    /**
+     * Filter and sort products
+     * @param {Array} products - Catalog products
+     * @param {Object} state - Filter state
+     * @returns {Array} Matching products in display order
+     */
+    apply(products, state) {
+        return this.sort(products.filter(product => this.matches(product, state)), state.sort);
+    }
+
+    /**
+     * Count matching products per facet value.
+     * Each facet is counted with its own selection ignored, so the counts show
+     * what selecting another value of that facet would return.
+     * @param {Array} products - Catalog products
+     * @param {Object} state - Filter state
+     * @returns {Object} Counts keyed by facet, then by value
+     */
+    getFacetCounts(products, state) {
+        const counts = {};
+
+        this.facets.forEach(facet => {
+            counts[facet] = {};
+            products
+                .filter(product => this.matches(product, state, facet))
+                .forEach(product => {
+                    this.getFacetValues(product, facet).forEach(value => {
+                        counts[facet][value] = (counts[facet][value] || 0) + 1;
+                    });
+                });
+        });
+
+        return counts;
+    }
+
+    /**
+     * Sort products without modifying the input array
+     * @param {Array} products - Products to sort
+     * @param {string} sortKey - One of SORT_OPTIONS
+     * @returns {Array} Sorted products
+     */
+    sort(products, sortKey = 'relevance') {
+        const sorted = [...products];
+
+        switch (sortKey) {
+            case 'price-asc':
+                return sorted.sort((a, b) => a.price - b.price);
+            case 'price-desc':
+                return sorted.sort((a, b) => b.price - a.price);
+            case 'newest':
+                return sorted.sort((a, b) => new Date(b.addedAt || 0) - new Date(a.addedAt || 0));
+            case 'popularity':
+                return sorted.sort((a, b) =>
+                    this.getReviewCount(b) - this.getReviewCount(a) || this.getRating(b) - this.getRating(a)
+                );
+            case 'rating':
+                return sorted.sort((a, b) =>
+                    this.getRating(b) - this.getRating(a) || this.getReviewCount(b) - this.getReviewCount(a)
+                );
+            default:
+                return sorted;
+        }
+    }
+
+    /**
+     * Serialize a filter state into a URL query string
+     * @param {Object} state - Filter state
+     * @returns {string} Query string without the leading '?'
+     */
+    toQueryString(state) {
+        const params = new URLSearchParams();
+
+        this.facets.forEach(facet => {
+            const selected = state.selections[facet] || [];
+            if (selected.length > 0) {
+                params.set(facet, selected.join(','));
+            }
+        });
+
+        const allModeFacets = Object.keys(state.modes).filter(facet => state.modes[facet] === 'all');
+        if (allModeFacets.length > 0) params.set('matchAll', allModeFacets.join(','));
+        if (state.minPrice !== null) params.set('minPrice', state.minPrice);
+        if (state.maxPrice !== null) params.set('maxPrice', state.maxPrice);
+        if (state.minRating !== null) params.set('rating', state.minRating);
+        if (state.inStockOnly) params.set('inStock', '1');
+        if (state.sort && state.sort !== 'relevance') params.set('sort', state.sort);
+
+        return params.toString();
+    }
+
+    /**
+     * Restore a filter state from a URL query string. Unknown values are ignored.
+     * @param {string} queryString - Query string, with or without the leading '?'
+     * @returns {Object} Filter state
+     */
+    fromQueryString(queryString) {
+        const params = new URLSearchParams(queryString);
+        const state = this.createState();
+        const toNumber = value => {
+            const number = parseFloat(value);
+            return Number.isFinite(number) ? number : null;
+        };
+
+        this.facets.forEach(facet => {
+            if (params.get(facet)) {
+                state.selections[facet] = params.get(facet).split(',').filter(Boolean);
+            }
+        });
+
+        (params.get('matchAll') || '').split(',')
+            .filter(facet => this.facets.includes(facet))
+            .forEach(facet => {
+                state.modes[facet] = 'all';
+            });
+
+        state.minPrice = toNumber(params.get('minPrice'));
+        state.maxPrice = toNumber(params.get('maxPrice'));
+        state.minRating = toNumber(params.get('rating'));
+        state.inStockOnly = params.get('inStock') === '1';
+        state.sort = SORT_OPTIONS[params.get('sort')] ? params.get('sort') : 'relevance';
+
+        return state;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProductFilterEngine, SORT_OPTIONS };
+}
+
+// Make filter engine available globally
+window.ProductFilterEngine = ProductFilterEngine;
+window.SORT_OPTIONS = SORT_OPTIONS;
@@ -0,0 +1,437 @@
+/**
+ * Page Guard Module for Lunsara
+ * Pages declare who may open them with a `data-access` attribute on <body>:
+ *   guest    - only signed-out visitors (the login page); signed-in users are sent on
+ *   customer - any signed-in user
+ *   admin    - signed-in administrators
+ * Pages without the attribute are open to everyone. Visitors who may not open a page are
+ * sent to the login page with the page they wanted, query and hash included, and come back
+ * to it after signing in. Forms marked `data-preserve-state` are saved for this tab on the
+ * way out and filled in again on return; password and card fields are never saved.
+ * When the session expires on a protected page, a sign-in modal opens over the page so
+ * nothing typed is lost.
+ * Pages wait for `pageGuard.ready`, which resolves with whether the page may be shown.
+ * A page that denies a signed-in user shows its `[data-guard-denied]` element if it has one.
+ * Uses auth.js for the session and roles.
+ */
+
+const PAGE_ACCESS = {
+    guest: 'Signed-out visitors',
+    customer: 'Signed-in customers',
+    admin: 'Administrators'
+};
+
+const GUARD_SETTINGS = {
+    loginPage: 'login.html',
+    homePage: 'homepage.html',
+    // localStorage key of the page to return to after login
+    redirectKey: 'redirectAfterLogin',
+    // sessionStorage prefix of saved form state, by page path
+    stateKeyPrefix: 'pageState:'
+};
+
+// i18n keys of the messages shown on the login page, by the `reason` the guard sends
+const GUARD_LOGIN_REASONS = {
+    required: 'guard.reason.required',
+    expired: 'guard.reason.expired',
+    admin: 'guard.reason.admin'
+};
+
+class PageGuard {
+    /**
+     * @param {AuthManager} authManager - Session and roles (defaults to auth)
+     * @param {Object} settings - Pages and storage keys (defaults to GUARD_SETTINGS)
+     */
+    constructor(authManager = auth, settings = GUARD_SETTINGS) {
+        this.auth = authManager;
+        this.settings = settings;
+        this.access = null;
+        // The signed-in user when the page opened, offered again when their session expires
+        this.lastUser = null;
+
+        this.ready = new Promise(resolve => {
+            const start = () => this.protect().then(resolve);
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', start);
+            } else {
+                start();
+            }
+        });
+
+        window.addEventListener('authStateChanged', (e) => this.handleAuthChange(e.detail));
+    }
+
+    /**
+     * Access level the page declares
+     * @returns {string|null} Key of PAGE_ACCESS, or null for public pages
+     */
+    getAccess() {
+        const access = document.body ? document.body.dataset.access : null;
+        return PAGE_ACCESS[access] ? access : null;
+    }
+
+    /**
+     * Whether the current visitor may open a page
+     * @param {string|null} access - Key of PAGE_ACCESS
+     * @returns {Object} { allowed, reason } - reason is 'required', 'admin' or 'guest' when not allowed
+     */
+    check(access) {
+        const isLoggedIn = this.auth.isLoggedIn();
+
+        if (access === 'guest') {
+            return isLoggedIn ? { allowed: false, reason: 'guest' } : { allowed: true };
+        }
+        if (access && !isLoggedIn) {
+            return { allowed: false, reason: 'required' };
+        }
+        if (access === 'admin' && !this.auth.isAdmin()) {
+            return { allowed: false, reason: 'admin' };
+        }
+        return { allowed: true };
+    }
+
+    /**
+     * Check the page once the user's record has loaded, sending away visitors who may not see it
+     * @returns {Promise<boolean>} Whether the page may be shown
+     */
+    async protect() {
+        this.access = this.getAccess();
+        await this.auth.ready;
+
+        const result = this.check(this.access);
+        if (this.auth.isLoggedIn()) {
+            const user = this.auth.getCurrentUser();
+            this.lastUser = { id: user.id, email: user.email, provider: user.provider };
+        }
+
+        if (result.allowed) {
+            this.restoreState();
+            return true;
+        }
+
+        if (result.reason === 'guest') {
+            // Sign-in links and reset links carry tokens the login page still has to read
+            if (this.hasAuthCallback()) {
+                return true;
+            }
+            this.redirectAfterLogin();
+            return false;
+        }
+
+        if (result.reason === 'admin' && this.auth.isLoggedIn()) {
+            const denied = document.querySelector('[data-guard-denied]');
+            if (denied) {
+                denied.style.display = 'block';
+            } else {
+                alert(i18n.t('guard.adminOnly'));
+                window.location.href = this.settings.homePage;
+            }
+            return false;
+        }
+
+        this.redirectToLogin(result.reason);
+        return false;
+    }
+
+    /**
+     * @returns {boolean} Whether the URL carries an OAuth sign-in or password reset for the login page
+     */
+    hasAuthCallback() {
+        return /access_token=|error_description=/.test(window.location.hash) ||
+            new URLSearchParams(window.location.search).has('token');
+    }
+
+    /**
+     * Send the visitor to the login page, remembering this page and its form input
+     * @param {string} reason - Key of GUARD_LOGIN_REASONS
+     * @param {string} destination - Page to go to after login, when not this one
+     */
+    redirectToLogin(reason = 'required', destination = window.location.pathname + window.location.search + window.location.hash) {
+        this.saveState();
+        this.setRedirect(destination);
+        window.location.href = this.getLoginUrl(destination, reason);
+    }
+
+    /**
+     * @param {string} destination - Page to return to
+     * @param {string} reason - Key of GUARD_LOGIN_REASONS
+     * @returns {string} Login page URL
+     */
+    getLoginUrl(destination, reason = 'required') {
+        return `${this.settings.loginPage}?redirect=${encodeURIComponent(destination)}&reason=${encodeURIComponent(reason)}`;
+    }
+
+    /**
+     * Remember the page to return to after login
+     * @param {string} destination - Page on this site
+     */
+    setRedirect(destination) {
+        const safe = this.toSafeDestination(destination);
+        if (safe) {
+            localStorage.setItem(this.settings.redirectKey, safe);
+        }
+    }
+
+    /**
+     * Take the page to return to after login: the `redirect` query parameter, else the saved one
+     * @returns {string} Page on this site (the home page when there is none)
+     */
+    takeRedirect() {
+        const saved = localStorage.getItem(this.settings.redirectKey);
+        localStorage.removeItem(this.settings.redirectKey);
+        const requested = new URLSearchParams(window.location.search).get('redirect');
+        return this.toSafeDestination(requested) || this.toSafeDestination(saved) || this.settings.homePage;
+    }
+
+    /**
+     * Go to the page the user wanted before logging in
+     */
+    redirectAfterLogin() {
+        window.location.href = this.takeRedirect();
+    }
+
+    /**
+     * Keep redirects on this site, so a crafted login link cannot send users elsewhere
+     * @param {string} destination - Page path or URL
+     * @returns {string|null} Path, query and hash on this site, or null
+     */
+    toSafeDestination(destination) {
+        if (!destination) {
+            return null;
+        }
+
+        let url;
+        try {
+            url = new URL(destination, window.location.href);
+        } catch (error) {
+            return null;
+        }
+        if (url.origin !== window.location.origin || /(^|\/)login\.html$/.test(url.pathname)) {
+            return null;
+        }
+        return url.pathname + url.search + url.hash;
+    }
+
+    /**
+     * Message for the login page about why the visitor was sent there
+     * @returns {string} Message, or '' when they came by themselves
+     */
+    getLoginReason() {
+        const key = GUARD_LOGIN_REASONS[new URLSearchParams(window.location.search).get('reason')];
+        return key ? i18n.t(key) : '';
+    }
+
+    /**
+     * @param {string} path - Page path (defaults to this page)
+     * @returns {string} sessionStorage key of the page's saved form state
+     */
+    getStateKey(path = window.location.pathname) {
+        return this.settings.stateKeyPrefix + path;
+    }
+
+    /**
+     * Fields of a preserved form that may be saved
+     * @param {HTMLFormElement} form - Form
+     * @returns {Array} Inputs, selects and text areas with an id or name
+     */
+    getPreservedFields(form) {
+        return Array.from(form.elements).filter(field =>
+            (field.id || field.name) &&
+            !['password', 'file', 'submit', 'button', 'hidden'].includes(field.type) &&
+            !/^cc-/.test(field.getAttribute('autocomplete') || '') &&
+            field.dataset.preserve !== 'false'
+        );
+    }
+
+    /**
+     * Save what has been typed in the page's `data-preserve-state` forms for this tab
+     */
+    saveState() {
+        const forms = {};
+        document.querySelectorAll('form[data-preserve-state]').forEach(form => {
+            forms[form.id] = this.getPreservedFields(form).map(field => ({
+                id: field.id,
+                name: field.name,
+                value: field.value,
+                checked: field.checked
+            }));
+        });
+
+        if (Object.keys(forms).length > 0) {
+            sessionStorage.setItem(this.getStateKey(), JSON.stringify({ forms, savedAt: Date.now() }));
+        }
+    }
+
+    /**
+     * Fill in the forms saved by saveState, once
+     */
+    restoreState() {
+        let state;
+        try {
+            state = JSON.parse(sessionStorage.getItem(this.getStateKey()));
+        } catch (error) {
+            state = null;
+        }
+        sessionStorage.removeItem(this.getStateKey());
+        if (!state) {
+            return;
+        }
+
+        Object.entries(state.forms || {}).forEach(([formId, fields]) => {
+            const form = document.getElementById(formId);
+            if (!form) return;
+
+            const current = this.getPreservedFields(form);
+            fields.forEach(saved => {
+                const field = current.find(candidate => saved.id
+                    ? candidate.id === saved.id
+                    : candidate.name === saved.name && candidate.value === saved.value);
+                if (!field) return;
+
+                if (field.type === 'checkbox' || field.type === 'radio') {
+                    field.checked = saved.checked;
+                } else {
+                    field.value = saved.value;
+                }
+                field.dispatchEvent(new Event('change', { bubbles: true }));
+            });
+        });
+    }
+
+    /**
+     * Follow logouts and expiries on protected pages
+     * @param {Object} detail - authStateChanged detail
+     */
+    handleAuthChange(detail) {
+        if (detail.isLoggedIn) {
+            const user = detail.user;
+            this.lastUser = { id: user.id, email: user.email, provider: user.provider };
+            return;
+        }
+        if (!this.access || this.access === 'guest') {
+            return;
+        }
+
+        if (detail.reason === 'expired' && this.lastUser) {
+            this.showReloginModal();
+        } else {
+            this.redirectToLogin();
+        }
+    }
+
+    /**
+     * Ask the user to sign in again over the page, keeping what they have typed
+     */
+    showReloginModal() {
+        if (!document.getElementById('guard-relogin-modal')) {
+            this.createReloginModal();
+        }
+
+        const modal = document.getElementById('guard-relogin-modal');
+        document.getElementById('guard-relogin-email').value = this.lastUser.email;
+        document.getElementById('guard-relogin-password').value = '';
+        document.getElementById('guard-relogin-error').textContent = '';
+        modal.style.display = 'flex';
+        document.getElementById('guard-relogin-password').focus();
+    }
+
+    /**
+     * Close the sign-in modal
+     */
+    hideReloginModal() {
+        const modal = document.getElementById('guard-relogin-modal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Sign in from the modal. Signing in as someone else reloads the page for them.
+     * @param {string} password - Password
+     * @returns {Promise<Object>} Login result
+     */
+    async submitRelogin(password) {
+        const previous = this.lastUser;
+        const email = document.getElementById('guard-relogin-email').value.trim();
+        const result = await this.auth.login(email, password, previous.provider);
+
+        if (!result.success) {
+            document.getElementById('guard-relogin-error').textContent = result.message;
+            return result;
+        }
+
+        this.hideReloginModal();
+        if (result.user.id !== previous.id || !this.check(this.access).allowed) {
+            window.location.reload();
+        }
+        return result;
+    }
+
+    /**
+     * Add the sign-in modal and its styles to the page
+     */
+    createReloginModal() {
+        const style = document.createElement('style');
+        style.id = 'guard-relogin-styles';
+        style.textContent = `
+            #guard-relogin-modal {
+                display: none; position: fixed; inset: 0; z-index: 20000;
+                background: rgba(0, 0, 0, 0.5); align-items: center; justify-content: center;
+            }
+            .guard-relogin-content {
+                background: white; border-radius: 15px; padding: 30px; width: 90%; max-width: 400px;
+                font-family: inherit; box-shadow: 0 10px 30px rgba(0, 0, 0, 0.2);
+            }
+            .guard-relogin-content h3 { color: #8e44ad; margin: 0 0 8px; }
+            .guard-relogin-content p { color: #666; font-size: 14px; margin: 0 0 16px; }
+            .guard-relogin-content input {
+                width: 100%; box-sizing: border-box; padding: 12px 15px; margin-bottom: 10px;
+                border: 2px solid #e1e5e9; border-radius: 8px; font-size: 15px;
+            }
+            .guard-relogin-error { color: #e74c3c; font-size: 13px; min-height: 18px; }
+            .guard-relogin-actions { display: flex; gap: 10px; justify-content: space-between; margin-top: 10px; }
+            .guard-relogin-actions button {
+                padding: 10px 18px; border: none; border-radius: 8px; cursor: pointer; font-size: 14px; font-weight: 600;
+            }
+            .guard-relogin-primary { background: #8e44ad; color: white; }
+            .guard-relogin-secondary { background: #f1f1f1; color: #333; }
+        `;
+        document.head.appendChild(style);
+
+        const modal = document.createElement('div');
+        modal.id = 'guard-relogin-modal';
+        modal.innerHTML = `
+            <form class="guard-relogin-content" id="guard-relogin-form">
+                <h3>${i18n.t('guard.sessionExpired')}</h3>
+                <p>${i18n.t('guard.signInAgain')}</p>
+                <input type="email" id="guard-relogin-email" autocomplete="username" required>
+                <input type="password" id="guard-relogin-password" placeholder="${i18n.t('common.password')}" autocomplete="current-password" required>
+                <div class="guard-relogin-error" id="guard-relogin-error"></div>
+                <div class="guard-relogin-actions">
+                    <button type="button" class="guard-relogin-secondary" id="guard-relogin-page">${i18n.t('guard.goToLogin')}</button>
+                    <button type="submit" class="guard-relogin-primary">${i18n.t('login.signIn')}</button>
+                </div>
+            </form>
+        `;
+        document.body.appendChild(modal);
+
+        document.getElementById('guard-relogin-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitRelogin(document.getElementById('guard-relogin-password').value);
+        });
+        // Accounts without a password, such as Google sign-ins, continue on the login page
+        document.getElementById('guard-relogin-page').addEventListener('click', () => this.redirectToLogin('expired'));
+    }
+}
+
+// Create global page guard instance
+const pageGuard = new PageGuard();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PageGuard, PAGE_ACCESS, GUARD_SETTINGS, GUARD_LOGIN_REASONS };
+}
+
+// Make page guard available globally
+window.PageGuard = PageGuard;
+window.pageGuard = pageGuard;
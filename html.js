@@ -0,0 +1,27 @@
+/**
+ * HTML Module for Lunsara
+ * Puts text from customers and the catalog (names, reviews, addresses) safely into markup
+ * built with template strings.
+ */
+
+/**
+ * Escape text for use in markup, inside elements or quoted attributes
+ * @param {*} value - Text; null and undefined become ''
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { escapeHtml };
+}
+
+// Make the escaping helper available globally
+window.escapeHtml = escapeHtml;
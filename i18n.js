@@ -0,0 +1,2274 @@
+/**
+ * Language Module for Lunsara
+ * Shows the storefront in English, Tamil or Hindi:
+ *   - UI strings come from the message catalogs below. Pages mark static text with
+ *     `data-i18n` (and `data-i18n-placeholder`, `data-i18n-title`, `data-i18n-aria-label`
+ *     for attributes); scripts call i18n.t(key, params).
+ *   - Products carry their Tamil and Hindi names and descriptions under
+ *     `translations[locale]` in products.json; getProductText picks the right one.
+ *   - Numbers, prices and dates are formatted with Intl for the Indian locale of the language.
+ * The chosen language is kept in `profile.preferences.language` for logged-in customers
+ * and in localStorage for guests. Elements with `data-language-switcher` get a language picker.
+ * Missing translations fall back to English.
+ * Loaded right after storage.js on every page, so the other modules can use `i18n` directly.
+ */
+
+const I18N_LOCALES = {
+    en: { label: 'English', intl: 'en-IN' },
+    ta: { label: 'தமிழ்', intl: 'ta-IN' },
+    hi: { label: 'हिन्दी', intl: 'hi-IN' }
+};
+
+const I18N_DEFAULT_LOCALE = 'en';
+
+// localStorage key for the language of guests (and of the last customer on this device)
+const I18N_STORAGE_KEY = 'language';
+
+// Messages by locale. A message with {one, other} forms is picked by params.count.
+const I18N_MESSAGES = {
+    en: {
+        // Navigation and shared labels
+        'nav.home': 'Home',
+        'nav.watchlist': 'Watchlist',
+        'nav.cart': 'Cart',
+        'nav.logout': 'Logout',
+        'nav.login': 'Login',
+        'nav.profile': 'Profile',
+        'nav.welcome': 'Welcome!',
+        'nav.welcomeGuest': 'Welcome, Guest!',
+        'nav.welcomeUser': 'Welcome, {name}!',
+        'language.label': 'Language',
+        'common.cancel': 'Cancel',
+        'common.close': 'Close',
+        'common.confirm': 'Confirm',
+        'common.continue': 'Continue',
+        'common.later': 'Later',
+        'common.total': 'Total',
+        'common.totalAmount': 'Total Amount',
+        'common.discount': 'Discount',
+        'common.free': 'FREE',
+        'common.orderSummary': 'Order Summary',
+        'common.priceDetails': 'Price Details',
+        'common.deliveryCharges': 'Delivery Charges',
+        'common.packagingFee': 'Secured Packaging Fee',
+        'common.gstIncluded': 'GST included',
+        'common.confirmLogout': 'Confirm Logout',
+        'common.yesLogout': 'Yes, Logout',
+        'common.premiumMember': 'Premium Member',
+        'common.frequentlyBoughtTogether': 'Frequently Bought Together',
+        'common.recentlyViewed': 'Recently Viewed',
+        'common.recommendedForYou': 'Recommended for You',
+        'common.customerFavourites': 'Customer Favourites',
+        'common.myWatchlist': 'My Watchlist',
+        'common.deliveryAddress': 'Delivery Address',
+        'common.landmark': 'Landmark (Optional)',
+        'common.selectState': 'Select State',
+        'common.fullName': 'Full Name',
+        'common.email': 'Email Address',
+        'common.phone': 'Phone Number',
+        'common.password': 'Password',
+        'common.newPassword': 'New Password',
+        'common.confirmPassword': 'Confirm Password',
+        'common.loading': 'Loading...',
+        'common.logoutQuestion': 'Are you sure you want to logout? You\'ll need to sign in again to access your account.',
+        'common.logoutConfirm': 'Are you sure you want to logout?',
+        'common.loggedOut': 'You have been logged out successfully',
+        'common.securePromise': 'Safe and Secure Payments. Easy returns. 100% Authentic products.',
+        'common.myOrders': 'My Orders',
+        'common.adminConsole': 'Admin Console',
+        'common.products': 'Products',
+        'common.ok': 'OK',
+        'common.rename': 'Rename',
+        'common.delete': 'Delete',
+        'common.share': 'Share',
+
+        // Catalog: categories, collections, materials and colours
+        'catalog.silkSarees': 'Silk Sarees',
+        'catalog.printedSarees': 'Printed Sarees',
+        'catalog.lungis': 'Lungis',
+        'catalog.traditionalLungis': 'Traditional Lungis',
+        'catalog.designerLungis': 'Designer Lungis',
+        'catalog.kanchipuram': 'Kanchipuram Silk',
+        'catalog.banarasi': 'Banarasi Silk',
+        'catalog.designerSilk': 'Designer Silk',
+        'catalog.bridal': 'Bridal Collection',
+        'catalog.casualWear': 'Casual Wear',
+        'catalog.dailyWear': 'Daily Wear',
+        'catalog.officeWear': 'Office Wear',
+        'catalog.partyWear': 'Party Wear',
+        'catalog.floralPrints': 'Floral Prints',
+        'catalog.pureSilk': 'Pure Mulberry Silk',
+        'catalog.artSilk': 'Art Silk',
+        'catalog.silkBlend': 'Silk Blend',
+        'catalog.cottonBlend': 'Cotton Blend',
+        'catalog.cotton': '100% Cotton',
+        'catalog.pureCotton': 'Pure Cotton',
+        'catalog.silkCotton': 'Silk Cotton',
+        'catalog.georgette': 'Georgette',
+        'catalog.chiffon': 'Chiffon',
+        'catalog.crepe': 'Crepe',
+        'color.red': 'Red',
+        'color.gold': 'Gold',
+        'color.blue': 'Blue',
+        'color.green': 'Green',
+        'color.pink': 'Pink',
+        'color.black': 'Black',
+        'color.white': 'White',
+        'color.yellow': 'Yellow',
+        'color.purple': 'Purple',
+        'color.multi': 'Multi-Color',
+
+        // Listing pages
+        'filters.categories': 'Categories',
+        'filters.allCategories': 'All Categories',
+        'filters.matchAll': 'Match all selected',
+        'filters.material': 'Material',
+        'filters.allMaterials': 'All Materials',
+        'filters.color': 'Color',
+        'filters.allColors': 'All Colors',
+        'filters.rating': 'Customer Rating',
+        'filters.anyRating': 'Any Rating',
+        'filters.fourAndAbove': '4★ & above',
+        'filters.threeAndAbove': '3★ & above',
+        'filters.availability': 'Availability',
+        'filters.inStockOnly': 'In Stock Only',
+        'filters.priceRange': 'Price Range',
+        'filters.min': 'Min',
+        'filters.max': 'Max',
+        'filters.apply': 'Apply All Filters',
+        'sort.label': 'Sort by:',
+        'sort.relevance': 'Relevance',
+        'sort.priceAsc': 'Price: Low to High',
+        'sort.priceDesc': 'Price: High to Low',
+        'sort.newest': 'Newest First',
+        'sort.popularity': 'Popularity',
+        'listing.searchResults': 'Search results',
+        'listing.searchResultsFor': 'Search results for "{query}"',
+        'listing.showing': 'Showing {shown} of {total} products',
+        'listing.noMatches': 'No products match your filters',
+        'listing.adjustFilters': 'Try adjusting your filter criteria',
+        'listing.addToCart': 'Add to Cart',
+        'listing.percentOff': '{percent}% OFF',
+        'listing.addedToCart': 'Added to Cart',
+        'listing.addedToWishlist': 'Added to Wishlist',
+        'listing.removedFromWishlist': 'Removed from Wishlist',
+        'stock.outOfStock': 'Out of Stock',
+        'stock.inStock': 'In Stock',
+        'stock.onlyLeft': 'Only {count} left',
+        'stock.onlyInOption': 'Only {count} available in this option',
+        'stock.held': { one: 'Items held for {count} minute', other: 'Items held for {count} minutes' },
+
+        // Product page
+        'product.addToCart': 'ADD TO CART',
+        'product.addToWatchlist': 'ADD TO WATCHLIST',
+        'product.buyNow': 'BUY NOW',
+        'product.price': 'Price:',
+        'product.delivery': 'Delivery:',
+        'product.total': 'Total:',
+        'product.highlights': 'Product Highlights',
+        'product.highlightQuality': 'Premium quality fabric',
+        'product.highlightComfort': 'Comfortable and breathable',
+        'product.highlightOccasions': 'Perfect for daily wear and traditional occasions',
+        'product.highlightPatterns': 'Traditional patterns and modern designs',
+        'product.highlightCare': 'Easy to maintain and care for',
+        'product.deliveryOptions': 'Delivery Options',
+        'product.easyReturn': '30-day easy return available',
+        'product.soldBy': 'Sold by Lunsara Store',
+        'product.descriptionTab': 'Description',
+        'product.specifications': 'Specifications',
+        'product.reviewsTab': 'Reviews',
+        'product.description': 'Product Description',
+        'product.customerReviews': 'Customer Reviews',
+        'product.noReviews': 'No reviews yet',
+        'product.reviewSummary': { one: '{average} out of 5 · {count} review', other: '{average} out of 5 · {count} reviews' },
+        'product.ratingCount': { one: '{count} rating', other: '{count} ratings' },
+        'product.noRatings': 'No ratings yet',
+        'product.edited': '(edited)',
+        'product.youMightLike': 'You Might Also Like',
+        'product.careInstructions': 'Care Instructions:',
+        'product.length': 'Length',
+        'product.width': 'Width',
+        'product.pattern': 'Pattern',
+        'product.occasion': 'Occasion',
+        'product.care': 'Care',
+        'product.allStars': 'All stars',
+        'product.fiveStars': '5 stars',
+        'product.fourStars': '4 stars',
+        'product.threeStars': '3 stars',
+        'product.twoStars': '2 stars',
+        'product.oneStar': '1 star',
+        'product.noneSelected': 'No product selected. Please go back and select a product.',
+        'product.loadFailed': 'Error loading product data. Please try again.',
+        'product.nowShowing': 'Now showing: {name}',
+        'product.notFound': 'Product not found!',
+        'product.sortReviews': 'Sort by',
+        'product.showReviews': 'Show',
+        'product.withPhotos': 'With photos',
+
+        // Cart and checkout
+        'common.gst': 'GST',
+        'cart.title': 'My Cart',
+        'cart.subtitle': 'Review and manage items in your shopping cart',
+        'cart.apply': 'APPLY',
+        'cart.remove': 'REMOVE',
+        'cart.placeOrder': 'PLACE ORDER',
+        'cart.sslProtected': 'SSL Protected',
+        'cart.authentic': '100% Authentic',
+        'cart.easyReturns': 'Easy Returns',
+        'cart.empty': 'Your cart is empty!',
+        'cart.emptyHint': 'Looks like you haven\'t added anything to your cart yet.',
+        'cart.continueShopping': 'Continue Shopping',
+        'cart.unavailable': 'This product is no longer available.',
+        'cart.onlyAvailable': 'Only {count} of \'{name}\' available.',
+        'cart.outOfStock': '\'{name}\' is out of stock.',
+        'cart.added': '\'{name}\' has been added to your cart!',
+        'cart.updateToContinue': 'Please update your cart to continue.',
+        'checkout.paymentOptions': 'Payment Options',
+        'checkout.card': 'Credit/Debit Card',
+        'checkout.netBanking': 'Net Banking',
+        'checkout.allBanks': 'All major banks supported',
+        'checkout.cod': 'Cash on Delivery',
+        'checkout.payOnReceipt': 'Pay when you receive',
+        'checkout.placeOrder': 'Place Order',
+        'checkout.processingShort': 'Processing...',
+        'checkout.retryPayment': 'Retry Payment',
+        'checkout.subtotal': 'Subtotal',
+        'checkout.processing': 'Processing your payment...',
+        'checkout.refunding': 'Refunding your payment...',
+        'checkout.cancelPayment': 'Cancel Payment',
+        'cart.couponPlaceholder': 'Enter coupon code',
+        'cart.alsoBought': 'Customers who bought items in your cart also bought these, or ones like them',
+        'checkout.offersShort': 'Offers',
+        'checkout.offersWithCoupon': 'Offers & Coupon ({code})',
+        'checkout.itemsHeldUntil': 'Your items are held for you until {time}',
+        'checkout.cardNumber': 'Card Number',
+        'checkout.expiry': 'Expiry (MM/YY)',
+        'checkout.nameOnCard': 'Name on Card',
+        'checkout.upiId': 'UPI ID',
+        'checkout.bank': 'Bank',
+        'checkout.selectBank': 'Select your bank',
+        'checkout.confirmPayment': 'Confirm Payment',
+        'checkout.reviewBeforePaying': 'You are about to proceed to payment. Please review your order details and delivery address before continuing.',
+        'checkout.totalAmountLabel': 'Total Amount:',
+        'checkout.proceedToPayment': 'Proceed to Payment',
+        'checkout.reviewOrder': 'Review Order',
+        'checkout.loginRequired': 'Login Required',
+        'checkout.loginToPay': 'You need to be logged in to proceed with payment. Please sign in to your account to continue.',
+        'checkout.codUnavailable': 'Not available for this pincode',
+        'checkout.testMode': 'Test mode',
+        'checkout.testModeNote': 'Test mode: no money is charged. Use UPI ID {upiFailure} or card {cardFailure} to simulate a failed payment, and {upiPending} for a pending one.',
+        'checkout.selectPaymentMethod': 'Please select a payment method',
+        'checkout.updateQuantities': 'Please update the quantities in your cart.',
+        'checkout.orderFailed': 'Something went wrong while placing your order. If you were charged, please contact us with order ID {orderId} and we will refund you.',
+        'checkout.orderNotSaved': 'We could not save your order.',
+        'checkout.orderPlaced': '🎉 Order placed successfully!\n\n📋 Order ID: {orderId}\n💳 Payment Method: {method}\n✅ {status}. Your order will be delivered soon!\n\nClick OK to continue shopping.',
+
+        // Coupons
+        'coupon.applied': 'Coupon {code} applied. You save {amount}',
+        'coupon.invalid': 'Invalid coupon code',
+        'coupon.notActive': 'This coupon is not active yet',
+        'coupon.expired': 'This coupon has expired',
+        'coupon.usageLimit': 'This coupon has reached its usage limit',
+        'coupon.loginRequired': 'Please login to use this coupon',
+        'coupon.firstOrderOnly': 'This coupon is valid on your first order only',
+        'coupon.alreadyUsed': 'You have already used this coupon',
+        'coupon.noEligibleItems': 'No items in your cart are eligible for this coupon',
+        'coupon.addMore': 'Add items worth {amount} more to use this coupon',
+        'coupon.noSaving': 'This coupon does not reduce your order total',
+        'coupon.codeRequired': 'Please enter a coupon code',
+        'coupon.saving': 'You save {amount} with this coupon',
+
+        // Payments
+        'payment.methodUnavailable': 'This payment method is not available',
+        'payment.invalidUpi': 'Please enter a valid UPI ID (e.g. name@okbank)',
+        'payment.invalidCardNumber': 'Please enter a valid card number',
+        'payment.invalidExpiry': 'Please enter the expiry date as MM/YY',
+        'payment.cardExpired': 'This card has expired',
+        'payment.invalidCvv': 'Please enter the 3 or 4 digit CVV',
+        'payment.nameOnCardRequired': 'Please enter the name on the card',
+        'payment.chooseBank': 'Please choose your bank',
+        'payment.codConfirmed': 'Order confirmed. Please pay on delivery',
+        'payment.connecting': 'Connecting to the payment gateway...',
+        'payment.approveInUpi': 'Approve the payment request in your UPI app...',
+        'payment.completeOnBank': 'Complete the payment on your bank\'s page...',
+        'payment.authorizing': 'Authorizing your payment...',
+        'payment.waitingForBank': 'Waiting for your bank to confirm the payment...',
+        'payment.confirming': 'Confirming your payment...',
+        'payment.successful': 'Payment successful',
+        'payment.orderNotPlaced': 'Your order was not placed.',
+        'payment.notCaptured': 'We have not taken the money; if your bank is holding it, the bank will release it.',
+        'payment.refunded': 'Your payment has been refunded.',
+        'payment.refundFailed': 'We could not refund your payment automatically. Please contact us with order ID {orderId} and we will refund you.',
+        'payment.bankNotConfirmed': 'Your bank has not confirmed the payment yet.',
+        'payment.notVerified': 'We could not verify your payment.',
+        'payment.failed': 'Payment failed',
+        'payment.tryAnotherMethod': '{reason}. Please try again or use another payment method.',
+        'payment.notCompleted': 'Payment could not be completed',
+        'payment.cancelled': 'Payment cancelled. Your cart has been kept as it was.',
+        'payment.timeout': 'The payment took too long to complete. Please try again.',
+        'payment.error': 'Something went wrong while processing the payment. Please try again.',
+
+        // Addresses
+        'address.firstNameLabel': 'First Name *',
+        'address.lastNameLabel': 'Last Name *',
+        'address.phoneLabel': 'Phone Number *',
+        'address.emailLabel': 'Email Address *',
+        'address.addressLabel': 'Address *',
+        'address.cityLabel': 'City *',
+        'address.stateLabel': 'State *',
+        'address.pincodeLabel': 'Pincode *',
+        'address.firstName': 'First Name',
+        'address.lastName': 'Last Name',
+        'address.street': 'Street Address',
+        'address.city': 'City',
+        'address.state': 'State',
+        'address.pincode': 'Pincode',
+        'address.type': 'Address Type',
+        'address.work': 'Work',
+        'address.other': 'Other',
+        'address.firstNameRequired': 'First name is required',
+        'address.lastNameRequired': 'Last name is required',
+        'address.phoneRequired': 'Valid phone number is required',
+        'address.emailRequired': 'Valid email address is required',
+        'address.addressRequired': 'Address is required',
+        'address.cityRequired': 'City is required',
+        'address.stateRequired': 'State is required',
+        'address.pincodeRequired': 'Valid pincode is required',
+        'address.invalidMobile': 'Please enter a valid 10-digit mobile number',
+        'address.selectStateError': 'Please select a state',
+        'address.chooseType': 'Please choose an address type',
+        'address.correctFields': 'Please correct the highlighted fields',
+        'address.streetPlaceholder': 'Street address',
+        'address.landmarkPlaceholder': 'Near railway station, etc.',
+        'address.select': 'Select Delivery Address',
+        'address.addNew': 'Add New Address',
+        'address.add': 'Add Address',
+        'address.save': 'Save Address',
+        'address.continueToPayment': 'Continue to Payment',
+        'address.edit': 'Edit Address',
+        'address.saved': 'Address saved successfully!',
+        'address.saveFailed': 'Error saving address: {message}',
+        'address.selectRequired': 'Please select a delivery address',
+        'address.deleteConfirm': 'Are you sure you want to delete this address?',
+
+        // Reviews
+        'review.loginToReview': 'Please login to review this product',
+        'review.deliveredOnly': 'You can review this product once an order containing it has been delivered',
+        'review.ratingRequired': 'Please choose a rating from 1 to 5 stars',
+        'review.titleTooLong': 'Keep the title under {count} characters',
+        'review.textTooShort': 'Please write at least {count} characters',
+        'review.textTooLong': 'Please keep your review under {count} characters',
+        'review.tooManyPhotos': 'You can add up to {count} photos',
+        'review.correctFields': 'Please correct the highlighted fields',
+        'review.submitted': 'Thank you for your review!',
+        'review.updated': 'Your review has been updated',
+        'review.ownOnly': 'You can only delete your own reviews',
+        'review.deleted': 'Your review has been deleted',
+        'review.notFound': 'Review not found',
+        'review.loginToVote': 'Please login to vote on reviews',
+        'review.ownVote': 'You cannot vote on your own review',
+        'review.voted': 'Thanks for your feedback',
+        'review.voteRemoved': 'Vote removed',
+        'review.loginToReport': 'Please login to report a review',
+        'review.reasonRequired': 'Please choose a reason for reporting this review',
+        'review.ownReport': 'You cannot report your own review',
+        'review.alreadyReported': 'You have already reported this review',
+        'review.reported': 'Thanks for letting us know. Our team will review it.',
+        'review.saveFailed': 'Your review could not be saved. Please try again.',
+        'review.tooLarge': 'Your review is too large to save. Try fewer or smaller photos.',
+        'review.write': 'Write a review',
+        'review.edit': 'Edit your review',
+        'review.yourRating': 'You rated this product {rating} ★.',
+        'review.yourRatingHidden': 'You rated this product {rating} ★ · your review is hidden while it is checked by our team.',
+        'review.editButton': 'Edit Review',
+        'review.stars': { one: '{count} star', other: '{count} stars' },
+        'review.titlePlaceholder': 'Title (optional)',
+        'review.textPlaceholder': 'What did you like or dislike?',
+        'review.photos': 'Photos (up to {count})',
+        'review.photoAlt': 'Review photo {number}',
+        'review.removePhoto': 'Click to remove',
+        'review.submit': 'Submit Review',
+        'review.update': 'Update Review',
+        'review.deleteConfirm': 'Delete your review?',
+        'review.noMatches': 'No reviews match these filters.',
+        'review.verified': '✓ Verified Purchase',
+        'review.authorPhotoAlt': 'Photo {number} from {author}',
+        'review.foundHelpful': { one: '{count} person found this helpful', other: '{count} people found this helpful' },
+        'review.helpful': 'Helpful ({count})',
+        'review.report': 'Report',
+        'review.sendReport': 'Send',
+        'review.sort.helpful': 'Most Helpful',
+        'review.sort.recent': 'Most Recent',
+        'review.sort.ratingDesc': 'Highest Rating',
+        'review.sort.ratingAsc': 'Lowest Rating',
+        'review.reason.spam': 'Spam or advertising',
+        'review.reason.offensive': 'Offensive or abusive language',
+        'review.reason.offTopic': 'Not about this product',
+        'review.reason.personalInfo': 'Contains personal information',
+        'review.reason.other': 'Other',
+
+        // Images
+        'image.chooseImage': 'Please choose an image file',
+        'image.unreadable': 'The image could not be read',
+        'image.tooLarge': 'The image is too large. Please choose a smaller one.',
+
+        // Wishlist
+        'wishlist.subtitle': 'Your curated collection of favorite items.',
+        'wishlist.sharedSubtitle': 'A list shared with you',
+        'wishlist.created': 'Created "{name}"',
+        'wishlist.renamed': 'Renamed to "{name}"',
+        'wishlist.deleted': 'Deleted "{name}"',
+        'wishlist.cannotDeleteDefault': '"{name}" cannot be deleted',
+        'wishlist.listNotFound': 'List not found',
+        'wishlist.itemNotFound': 'Item not found',
+        'wishlist.nameRequired': 'Please enter a list name',
+        'wishlist.nameTooLong': 'List names can be at most {max} characters',
+        'wishlist.nameTaken': 'You already have a list called "{name}"',
+        'wishlist.alreadySaved': 'Already in "{list}"',
+        'wishlist.added': '"{name}" has been added to "{list}"',
+        'wishlist.removedFrom': '"{name}" was removed from "{list}"',
+        'wishlist.removed': '"{name}" has been removed.',
+        'wishlist.moved': 'Moved "{name}" to "{list}"',
+        'wishlist.noDetails': 'Could not find product details.',
+        'wishlist.savedForLater': 'Item saved for later!',
+        'wishlist.itemRemoved': 'Item removed',
+        'wishlist.emptyDefault': 'Your Watchlist Is Empty',
+        'wishlist.emptyNamed': '"{name}" Is Empty',
+        'wishlist.emptyShared': 'This List Is Empty',
+        'wishlist.emptyMessage': 'Add items you love to your watchlist to keep track of them!',
+        'wishlist.browse': 'Browse Collections',
+        'wishlist.priceDropped': 'Price dropped {amount}',
+        'wishlist.backInStock': 'Back in stock',
+        'wishlist.remove': 'Remove from watchlist',
+        'wishlist.moveToList': 'Move to another list…',
+        'wishlist.view': 'View',
+        'wishlist.moveToCart': 'Move to Cart',
+        'wishlist.sharedBanner': 'You are viewing a shared list. Prices and stock are current.',
+        'wishlist.newList': 'New List',
+        'wishlist.invalidShareLink': 'This shared list link is not valid.',
+        'wishlist.deleteConfirm': { one: 'Delete "{name}" and the {count} item in it?', other: 'Delete "{name}" and the {count} items in it?' },
+        'wishlist.linkCopied': 'Share link copied to clipboard.',
+        'wishlist.addToCartFailed': 'Could not add the item to your cart.',
+
+        // Login and account checks
+        'login.welcome': 'Welcome to Lunsara',
+        'login.subtitle': 'Sign in to your account or create a new one',
+        'login.register': 'Register',
+        'login.rememberMe': 'Remember me',
+        'login.forgotPassword': 'Forgot Password?',
+        'login.signIn': 'Sign In',
+        'login.createAccount': 'Create Account',
+        'login.sendResetLink': 'Send Reset Link',
+        'login.backToLogin': 'Back to Login',
+        'login.resetLinkSent': 'Reset Link Sent!',
+        'login.orContinueWith': 'Or continue with',
+        'login.updatePassword': 'Update Password',
+        'login.enterNewPassword': 'Enter your new password below to complete the reset.',
+        'login.emailRequired': 'Email is required',
+        'login.emailAddressRequired': 'Email address is required',
+        'login.passwordRequired': 'Password is required',
+        'login.nameRequired': 'Full name is required',
+        'login.phoneRequired': 'Phone is required',
+        'login.confirmPasswordRequired': 'Please confirm password',
+        'login.newPasswordRequired': 'New password is required',
+        'auth.nameTooShort': 'Name must be at least 2 characters long',
+        'auth.invalidEmail': 'Please enter a valid email address',
+        'auth.invalidPhone': 'Please enter a valid phone number',
+        'auth.passwordMismatch': 'Passwords do not match',
+        'auth.passwordTooShort': 'Password must be at least {count} characters long',
+        'auth.passwordTooLong': 'Password must be at most {count} characters long',
+        'auth.passwordCharacterTypes': 'Password must mix at least {count} of lower case letters, upper case letters, numbers and symbols',
+        'auth.passwordCommon': 'This password is too common',
+        'auth.passwordPersonal': 'Password must not contain your name or email',
+        'auth.strength0': 'Very weak',
+        'auth.strength1': 'Weak',
+        'auth.strength2': 'Fair',
+        'auth.strength3': 'Good',
+        'auth.strength4': 'Strong',
+        'auth.accountLocked': 'Too many failed attempts. This account is locked for {minutes} minutes.',
+        'auth.temporarilyLocked': 'This account is temporarily locked after too many failed attempts.',
+        'auth.tooManyAttempts': 'Too many sign-in attempts.',
+        'auth.tryAgainIn': { one: 'Please try again in {count} minute.', other: 'Please try again in {count} minutes.' },
+        'auth.attemptsLeft': { one: '{count} attempt left before the account is locked.', other: '{count} attempts left before the account is locked.' },
+        'login.resetHint': 'Enter your email address and we\'ll send you a secure link to reset your password.',
+        'login.resetSentHint': 'If an account exists for this email address, password reset instructions have been sent to it. Please check your inbox and follow the instructions to reset your password.',
+        'login.emailPlaceholder': 'Enter your email address',
+        'login.terms': 'Terms of Service',
+        'login.privacy': 'Privacy Policy',
+
+        // Page access
+        'guard.adminOnly': 'You need an administrator account to open this page.',
+        'guard.reason.required': 'Please log in to continue.',
+        'guard.reason.expired': 'Your session has expired. Please log in again to continue.',
+        'guard.reason.admin': 'Please log in with an administrator account.',
+        'guard.sessionExpired': 'Session Expired',
+        'guard.signInAgain': 'Please sign in again to carry on. Nothing you have entered on this page will be lost.',
+        'guard.goToLogin': 'Go to Login Page',
+
+        // Profile and orders
+        'profile.title': 'My Profile',
+        'profile.subtitle': 'Manage your account information and preferences',
+        'profile.personalInformation': 'Personal Information',
+        'profile.memberSince': 'Member Since',
+        'profile.addresses': 'Delivery Addresses',
+        'profile.loadingAddresses': 'Loading addresses...',
+        'profile.security': 'Security',
+        'profile.currentPassword': 'Current Password',
+        'profile.confirmNewPassword': 'Confirm New Password',
+        'profile.notifications': 'Notifications',
+        'profile.recentOrders': 'Recent Orders',
+        'profile.loadingOrders': 'Loading orders...',
+        'profile.offlineOrders': 'You are offline. These are the orders and invoices saved on this device; the latest updates will appear when you reconnect.',
+        'profile.noOrders': 'No orders found. Start shopping to see your orders here!',
+        'profile.orderNumber': 'Order #{id}',
+        'profile.quantity': 'Qty: {count}',
+        'profile.expectedBy': 'Expected by {date}',
+        'profile.invoice': 'Invoice',
+        'profile.creditNote': 'Credit Note',
+        'profile.cancelOrder': 'Cancel Order',
+        'profile.returnExchange': 'Return / Exchange',
+        'profile.returnWindow': 'Return window closes on {date}',
+        'profile.orderTotal': 'Total: {amount}',
+        'profile.returnOrExchange': 'Return or Exchange',
+        'profile.submitRequest': 'Submit Request',
+        'profile.reasonNote': 'Reason: {reason}',
+        'profile.tracking': '{carrier} · Tracking {number}',
+        'orders.status.placed': 'Order Placed',
+        'orders.status.packed': 'Packed',
+        'orders.status.shipped': 'Shipped',
+        'orders.status.out_for_delivery': 'Out for Delivery',
+        'orders.status.delivered': 'Delivered',
+        'orders.status.cancelled': 'Cancelled',
+        'orders.status.return_requested': 'Return Requested',
+        'orders.status.returned': 'Returned',
+        'orders.status.refunded': 'Refunded',
+        'profile.edit': 'Edit Profile',
+        'profile.saveChanges': 'Save Changes',
+        'profile.changePassword': 'Change Password',
+        'profile.passwordChangeHint': 'Changing your password signs you out on your other devices.',
+        'profile.signOutOthers': 'Sign Out of Other Devices',
+        'profile.notificationsHint': 'Choose how we keep you posted. Account and security emails are always sent.',
+        'profile.savePreferences': 'Save Preferences',
+        'profile.whatWouldYouLike': 'What would you like?',
+        'profile.returnForRefund': 'Return for a refund',
+        'profile.exchange': 'Exchange for another colour or size',
+        'profile.reason': 'Reason',
+        'profile.comments': 'Comments (Optional)',
+        'profile.tellUsMore': 'Tell us more',
+        'profile.confirmItsYou': 'Confirm It\'s You',
+        'profile.enterPassword': 'Please enter your password to continue.',
+        'profile.fillAllFields': 'Please fill in all fields',
+        'profile.updateFailed': 'Error updating profile: {message}',
+        'profile.updated': 'Profile updated successfully!',
+        'profile.saveFailed': 'Error updating profile: your changes could not be saved. Please try again.',
+        'profile.preferencesSaveFailed': 'Your preferences could not be saved. Please try again.',
+        'profile.privacySavedLocally': 'Your privacy preference was saved on this device but not in your profile. Please try again.',
+
+        // Invoices
+        'invoice.title.invoice': 'Tax Invoice',
+        'invoice.title.credit_note': 'Credit Note',
+        'invoice.notAvailable': 'Invoice not available',
+        'invoice.notFound': 'We could not find this document for your account. Please check that you are logged in with the account that placed the order.',
+        'invoice.openFromProfile': 'Open an invoice from the orders on your profile.',
+        'invoice.otherAccount': 'This document belongs to another account.',
+        'invoice.tagline': 'Your Trusted Online Shopping Partner',
+        'invoice.date': 'Date:',
+        'invoice.orderInformation': 'Order Information',
+        'invoice.orderDate': 'Order Date:',
+        'invoice.orderId': 'Order ID:',
+        'invoice.paymentMethod': 'Payment Method:',
+        'invoice.sellerGstin': 'Seller GSTIN:',
+        'invoice.placeOfSupply': 'Place of Supply:',
+        'invoice.notAvailableValue': 'Not available',
+        'invoice.billTo': 'Bill to / Ship to',
+        'invoice.items': 'Items',
+        'invoice.item': 'Item',
+        'invoice.quantity': 'Qty',
+        'invoice.rate': 'Rate',
+        'invoice.taxableValue': 'Taxable Value',
+        'invoice.gstSummary': 'GST Summary',
+        'invoice.totalGst': 'Total GST',
+        'invoice.deliveryPackaging': 'Delivery & Packaging',
+        'invoice.amountCredited': 'Amount Credited',
+        'invoice.creditNoteAgainst': 'Credit note against invoice {number}. {reason}',
+        'invoice.print': 'Print',
+        'invoice.downloadPdf': 'Download PDF',
+        'invoice.promises': '🛡️ 100% Authentic Products | 🔄 Easy Returns | 🚚 Fast Delivery | 💳 Secure Payments',
+        'invoice.computerGenerated': 'This is a computer generated document',
+        'invoice.pricesIncludeGst': 'All prices include GST',
+        'invoice.pricesExcludeGst': 'Prices exclude GST, which is added on top',
+
+        // Home page
+        'home.ourCollections': 'Our Collections',
+        'home.customerService': 'Customer Service',
+        'home.trackOrder': 'Track Order',
+        'home.returnPolicy': 'Return Policy',
+        'home.aboutUs': 'About Us',
+        'home.contactUs': 'Contact Us',
+        'home.welcome': 'Welcome to Lunsara!',
+        'home.loginNow': 'Login Now',
+        'home.tagline': 'Grace Draped in Every Thread, Woven from Loom to Legacy',
+        'home.artOfWeaves': 'The Art of Our Weaves',
+        'home.handwovenSilk': 'Handwoven Silk Sarees',
+        'home.handwovenSilkText': 'Each of our silk sarees is a masterpiece, brought to life on a traditional handloom. Our skilled artisans invest days of meticulous effort, weaving intricate patterns with pure silk threads. This timeless process ensures every saree has a unique character, exceptional quality, and a story of heritage woven into its very fabric.',
+        'home.lungiCraft': 'The Craft of Lungi Making',
+        'home.lungiCraftText': 'Our lungis are crafted for comfort and durability using time-honored techniques. Woven from high-quality cotton, they provide unmatched breathability and softness. The weaving process focuses on creating a strong yet supple fabric, making our lungis perfect for daily wear and a staple of traditional comfort.',
+        'home.printedSarees': 'Handloom Printed Sarees',
+        'home.printedSareesText': 'Experience the charm of our handloom printed sarees, where tradition meets contemporary design. The base fabric is first woven on a handloom, after which skilled craftsmen apply beautiful motifs using classic printing methods. This fusion of techniques results in vibrant, lightweight sarees that are perfect for any occasion.',
+        'home.lungisBlurb': 'Premium cotton and export quality lungis for every season.',
+        'home.silkBlurb': 'Luxurious silk sarees that define tradition and grace.',
+        'home.printedBlurb': 'Everyday printed sarees with modern and traditional designs.',
+        'home.comingSoon': 'COMING SOON',
+        'home.newCollection': 'New Collection',
+        'home.newCollectionText': 'Exciting new designs and patterns coming your way. Stay tuned!',
+        'home.about': 'About Lunsara',
+        'home.aboutText': 'Lunsara is your trusted destination for high-quality lungis and sarees, blending tradition with style. We specialize in local and international export, connecting artisans to the world.',
+        'home.onlineShopping': 'Online Shopping',
+        'home.allProducts': 'All Products',
+        'home.faq': 'FAQ',
+        'home.company': 'Company',
+        'home.careers': 'Careers',
+        'home.press': 'Press',
+        'home.sustainability': 'Sustainability',
+        'home.contactInfo': 'Contact Info',
+        'home.connect': 'Connect With Us',
+        'home.copyright': '© 2025 Lunsara. All Rights Reserved.',
+        'home.joinCommunity': 'Join our community to enjoy personalized shopping, exclusive offers, and faster checkout. Create your account today!',
+
+        // Offline support and updates
+        'pwa.updateAvailable': 'A new version of Lunsara is available.',
+        'pwa.reload': 'Reload',
+        'pwa.offline': 'You are offline. You can keep browsing.',
+        'pwa.offlinePending': { one: 'You are offline. You can keep browsing; {count} change will be saved when you reconnect.', other: 'You are offline. You can keep browsing; {count} changes will be saved when you reconnect.' },
+        'pwa.syncing': { one: 'Saving {count} change made offline...', other: 'Saving {count} changes made offline...' },
+        'pwa.synced': 'Your changes have been saved.',
+        'pwa.rejected': { one: '{count} change made offline could not be saved: {reason}', other: '{count} changes made offline could not be saved: {reason}' },
+        'pwa.dismiss': 'Dismiss',
+
+        // Usage analytics
+        'analytics.consentMessage': 'We record how shoppers use Lunsara, on our own systems only, to make the store better. Is that okay?',
+        'analytics.allow': 'Allow',
+        'analytics.decline': 'No thanks',
+        'analytics.saved': 'Privacy preference saved',
+        'profile.privacy': 'Privacy',
+        'profile.privacyHint': 'Usage data stays with Lunsara and is never shared with advertisers.',
+        'profile.shareUsage': 'Help improve the store by recording how I browse and shop',
+
+        // Reminders
+        'reminders.restored': { one: 'Restored {count} item to your cart.', other: 'Restored {count} items to your cart.' },
+        'reminders.restoreExpired': 'This cart link has expired.',
+        'reminders.nothingToRestore': 'Everything from that cart is already in your cart or no longer available.',
+        'reminders.invalidUnsubscribe': 'This unsubscribe link is not valid. You can change your messages under Notifications.',
+        'reminders.unsubscribeFailed': 'We could not change your messages just now. Please open the link again later.',
+        'reminders.unsubscribed.cart': 'You won\'t get cart reminders any more.',
+        'reminders.unsubscribed.wishlist': 'You won\'t get wishlist alerts any more.',
+        'reminders.unsubscribed.all': 'You won\'t get cart reminders or wishlist alerts any more.',
+        'profile.reminderFrequency': 'Cart and wishlist reminders'
+    },
+    ta: {
+        // Navigation and shared labels
+        'nav.home': 'முகப்பு',
+        'nav.watchlist': 'விருப்பப்பட்டியல்',
+        'nav.cart': 'கூடை',
+        'nav.logout': 'வெளியேறு',
+        'nav.login': 'உள்நுழை',
+        'nav.profile': 'சுயவிவரம்',
+        'nav.welcome': 'வணக்கம்!',
+        'nav.welcomeGuest': 'வணக்கம், விருந்தினரே!',
+        'nav.welcomeUser': 'வணக்கம், {name}!',
+        'language.label': 'மொழி',
+        'common.cancel': 'ரத்து செய்',
+        'common.close': 'மூடு',
+        'common.confirm': 'உறுதிசெய்',
+        'common.continue': 'தொடர்',
+        'common.later': 'பிறகு',
+        'common.total': 'மொத்தம்',
+        'common.totalAmount': 'மொத்தத் தொகை',
+        'common.discount': 'தள்ளுபடி',
+        'common.free': 'இலவசம்',
+        'common.orderSummary': 'ஆர்டர் சுருக்கம்',
+        'common.priceDetails': 'விலை விவரங்கள்',
+        'common.deliveryCharges': 'டெலிவரி கட்டணம்',
+        'common.packagingFee': 'பாதுகாப்பான பேக்கேஜிங் கட்டணம்',
+        'common.gstIncluded': 'GST உட்பட',
+        'common.confirmLogout': 'வெளியேறுவதை உறுதிசெய்யவும்',
+        'common.yesLogout': 'ஆம், வெளியேறு',
+        'common.premiumMember': 'பிரீமியம் உறுப்பினர்',
+        'common.frequentlyBoughtTogether': 'அடிக்கடி சேர்த்து வாங்கப்படுபவை',
+        'common.recentlyViewed': 'சமீபத்தில் பார்த்தவை',
+        'common.recommendedForYou': 'உங்களுக்கான பரிந்துரைகள்',
+        'common.customerFavourites': 'வாடிக்கையாளர்களின் விருப்பங்கள்',
+        'common.myWatchlist': 'என் விருப்பப்பட்டியல்',
+        'common.deliveryAddress': 'டெலிவரி முகவரி',
+        'common.landmark': 'அடையாளம் (விருப்பத்தேர்வு)',
+        'common.selectState': 'மாநிலத்தைத் தேர்ந்தெடுக்கவும்',
+        'common.fullName': 'முழுப் பெயர்',
+        'common.email': 'மின்னஞ்சல் முகவரி',
+        'common.phone': 'தொலைபேசி எண்',
+        'common.password': 'கடவுச்சொல்',
+        'common.newPassword': 'புதிய கடவுச்சொல்',
+        'common.confirmPassword': 'கடவுச்சொல்லை உறுதிசெய்யவும்',
+        'common.loading': 'ஏற்றப்படுகிறது...',
+        'common.logoutQuestion': 'நிச்சயமாக வெளியேற வேண்டுமா? உங்கள் கணக்கைப் பயன்படுத்த மீண்டும் உள்நுழைய வேண்டும்.',
+        'common.logoutConfirm': 'நிச்சயமாக வெளியேற வேண்டுமா?',
+        'common.loggedOut': 'நீங்கள் வெற்றிகரமாக வெளியேறிவிட்டீர்கள்',
+        'common.securePromise': 'பாதுகாப்பான கட்டணம். எளிதாகத் திருப்பி அனுப்பலாம். 100% அசல் பொருட்கள்.',
+        'common.myOrders': 'என் ஆர்டர்கள்',
+        'common.adminConsole': 'நிர்வாகக் கட்டுப்பாட்டகம்',
+        'common.products': 'பொருட்கள்',
+        'common.ok': 'சரி',
+        'common.rename': 'பெயர் மாற்று',
+        'common.delete': 'நீக்கு',
+        'common.share': 'பகிர்',
+
+        // Catalog: categories, collections, materials and colours
+        'catalog.silkSarees': 'பட்டுப் புடவைகள்',
+        'catalog.printedSarees': 'அச்சுப் புடவைகள்',
+        'catalog.lungis': 'லுங்கிகள்',
+        'catalog.traditionalLungis': 'பாரம்பரிய லுங்கிகள்',
+        'catalog.designerLungis': 'டிசைனர் லுங்கிகள்',
+        'catalog.kanchipuram': 'காஞ்சிபுரம் பட்டு',
+        'catalog.banarasi': 'பனாரசி பட்டு',
+        'catalog.designerSilk': 'டிசைனர் பட்டு',
+        'catalog.bridal': 'மணப்பெண் தொகுப்பு',
+        'catalog.casualWear': 'சாதாரண உடை',
+        'catalog.dailyWear': 'தினசரி உடை',
+        'catalog.officeWear': 'அலுவலக உடை',
+        'catalog.partyWear': 'விழாக்கால உடை',
+        'catalog.floralPrints': 'மலர் அச்சுகள்',
+        'catalog.pureSilk': 'தூய மல்பெரி பட்டு',
+        'catalog.artSilk': 'ஆர்ட் சில்க்',
+        'catalog.silkBlend': 'பட்டுக் கலவை',
+        'catalog.cottonBlend': 'பருத்திக் கலவை',
+        'catalog.cotton': '100% பருத்தி',
+        'catalog.pureCotton': 'தூய பருத்தி',
+        'catalog.silkCotton': 'பட்டுப் பருத்தி',
+        'catalog.georgette': 'ஜார்ஜெட்',
+        'catalog.chiffon': 'ஷிஃபான்',
+        'catalog.crepe': 'க்ரேப்',
+        'color.red': 'சிவப்பு',
+        'color.gold': 'தங்க நிறம்',
+        'color.blue': 'நீலம்',
+        'color.green': 'பச்சை',
+        'color.pink': 'இளஞ்சிவப்பு',
+        'color.black': 'கருப்பு',
+        'color.white': 'வெள்ளை',
+        'color.yellow': 'மஞ்சள்',
+        'color.purple': 'ஊதா',
+        'color.multi': 'பல வண்ணம்',
+
+        // Listing pages
+        'filters.categories': 'வகைகள்',
+        'filters.allCategories': 'அனைத்து வகைகளும்',
+        'filters.matchAll': 'தேர்ந்தெடுத்த அனைத்தும் பொருந்த வேண்டும்',
+        'filters.material': 'துணி',
+        'filters.allMaterials': 'அனைத்து துணிகளும்',
+        'filters.color': 'நிறம்',
+        'filters.allColors': 'அனைத்து நிறங்களும்',
+        'filters.rating': 'வாடிக்கையாளர் மதிப்பீடு',
+        'filters.anyRating': 'எந்த மதிப்பீடும்',
+        'filters.fourAndAbove': '4★ மற்றும் அதற்கு மேல்',
+        'filters.threeAndAbove': '3★ மற்றும் அதற்கு மேல்',
+        'filters.availability': 'இருப்பு',
+        'filters.inStockOnly': 'இருப்பில் உள்ளவை மட்டும்',
+        'filters.priceRange': 'விலை வரம்பு',
+        'filters.min': 'குறைந்தது',
+        'filters.max': 'அதிகபட்சம்',
+        'filters.apply': 'அனைத்து வடிகட்டிகளையும் பயன்படுத்து',
+        'sort.label': 'வரிசைப்படுத்து:',
+        'sort.relevance': 'பொருத்தம்',
+        'sort.priceAsc': 'விலை: குறைவிலிருந்து அதிகம்',
+        'sort.priceDesc': 'விலை: அதிகத்திலிருந்து குறைவு',
+        'sort.newest': 'புதியவை முதலில்',
+        'sort.popularity': 'பிரபலம்',
+        'listing.searchResults': 'தேடல் முடிவுகள்',
+        'listing.searchResultsFor': '"{query}" க்கான தேடல் முடிவுகள்',
+        'listing.showing': '{total} பொருட்களில் {shown} காட்டப்படுகின்றன',
+        'listing.noMatches': 'உங்கள் வடிகட்டிகளுக்குப் பொருந்தும் பொருட்கள் இல்லை',
+        'listing.adjustFilters': 'வடிகட்டிகளை மாற்றிப் பாருங்கள்',
+        'listing.addToCart': 'கூடையில் சேர்',
+        'listing.percentOff': '{percent}% தள்ளுபடி',
+        'listing.addedToCart': 'கூடையில் சேர்க்கப்பட்டது',
+        'listing.addedToWishlist': 'விருப்பப்பட்டியலில் சேர்க்கப்பட்டது',
+        'listing.removedFromWishlist': 'விருப்பப்பட்டியலிலிருந்து நீக்கப்பட்டது',
+        'stock.outOfStock': 'இருப்பில் இல்லை',
+        'stock.inStock': 'இருப்பில் உள்ளது',
+        'stock.onlyLeft': 'இன்னும் {count} மட்டுமே உள்ளன',
+        'stock.onlyInOption': 'இந்தத் தேர்வில் {count} மட்டுமே உள்ளன',
+        'stock.held': { one: 'பொருட்கள் {count} நிமிடத்துக்கு ஒதுக்கி வைக்கப்பட்டுள்ளன', other: 'பொருட்கள் {count} நிமிடங்களுக்கு ஒதுக்கி வைக்கப்பட்டுள்ளன' },
+
+        // Product page
+        'product.addToCart': 'கூடையில் சேர்',
+        'product.addToWatchlist': 'விருப்பப்பட்டியலில் சேர்',
+        'product.buyNow': 'இப்போதே வாங்கு',
+        'product.price': 'விலை:',
+        'product.delivery': 'டெலிவரி:',
+        'product.total': 'மொத்தம்:',
+        'product.highlights': 'பொருளின் சிறப்பம்சங்கள்',
+        'product.highlightQuality': 'உயர்தரத் துணி',
+        'product.highlightComfort': 'வசதியானது, காற்றோட்டமானது',
+        'product.highlightOccasions': 'தினசரி அணியவும் பாரம்பரிய விழாக்களுக்கும் ஏற்றது',
+        'product.highlightPatterns': 'பாரம்பரிய வடிவங்களும் நவீன வடிவமைப்புகளும்',
+        'product.highlightCare': 'பராமரிக்க எளிதானது',
+        'product.deliveryOptions': 'டெலிவரி விருப்பங்கள்',
+        'product.easyReturn': '30 நாட்களுக்குள் எளிதாகத் திருப்பி அனுப்பலாம்',
+        'product.soldBy': 'விற்பனையாளர்: லுன்சாரா ஸ்டோர்',
+        'product.descriptionTab': 'விளக்கம்',
+        'product.specifications': 'விவரக்குறிப்புகள்',
+        'product.reviewsTab': 'மதிப்புரைகள்',
+        'product.description': 'பொருள் விளக்கம்',
+        'product.customerReviews': 'வாடிக்கையாளர் மதிப்புரைகள்',
+        'product.noReviews': 'இன்னும் மதிப்புரைகள் இல்லை',
+        'product.reviewSummary': { one: '5க்கு {average} · {count} மதிப்புரை', other: '5க்கு {average} · {count} மதிப்புரைகள்' },
+        'product.ratingCount': { one: '{count} மதிப்பீடு', other: '{count} மதிப்பீடுகள்' },
+        'product.noRatings': 'இன்னும் மதிப்பீடுகள் இல்லை',
+        'product.edited': '(திருத்தப்பட்டது)',
+        'product.youMightLike': 'உங்களுக்குப் பிடிக்கக்கூடியவை',
+        'product.careInstructions': 'பராமரிப்பு வழிமுறைகள்:',
+        'product.length': 'நீளம்',
+        'product.width': 'அகலம்',
+        'product.pattern': 'வடிவமைப்பு',
+        'product.occasion': 'நிகழ்வு',
+        'product.care': 'பராமரிப்பு',
+        'product.allStars': 'அனைத்து நட்சத்திரங்களும்',
+        'product.fiveStars': '5 நட்சத்திரங்கள்',
+        'product.fourStars': '4 நட்சத்திரங்கள்',
+        'product.threeStars': '3 நட்சத்திரங்கள்',
+        'product.twoStars': '2 நட்சத்திரங்கள்',
+        'product.oneStar': '1 நட்சத்திரம்',
+        'product.noneSelected': 'எந்தப் பொருளும் தேர்ந்தெடுக்கப்படவில்லை. திரும்பிச் சென்று ஒரு பொருளைத் தேர்ந்தெடுக்கவும்.',
+        'product.loadFailed': 'பொருளின் விவரங்களை ஏற்ற முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+        'product.nowShowing': 'இப்போது காட்டப்படுவது: {name}',
+        'product.notFound': 'பொருள் கிடைக்கவில்லை!',
+        'product.sortReviews': 'வரிசைப்படுத்து',
+        'product.showReviews': 'காட்டு',
+        'product.withPhotos': 'புகைப்படங்களுடன்',
+
+        // Cart and checkout
+        'common.gst': 'GST',
+        'cart.title': 'என் கூடை',
+        'cart.subtitle': 'உங்கள் கூடையில் உள்ள பொருட்களைச் சரிபார்த்து நிர்வகிக்கவும்',
+        'cart.apply': 'பயன்படுத்து',
+        'cart.remove': 'நீக்கு',
+        'cart.placeOrder': 'ஆர்டர் செய்',
+        'cart.sslProtected': 'SSL பாதுகாப்பு',
+        'cart.authentic': '100% அசல்',
+        'cart.easyReturns': 'எளிதாகத் திருப்பி அனுப்பலாம்',
+        'cart.empty': 'உங்கள் கூடை காலியாக உள்ளது!',
+        'cart.emptyHint': 'நீங்கள் இன்னும் எதையும் கூடையில் சேர்க்கவில்லை.',
+        'cart.continueShopping': 'ஷாப்பிங்கைத் தொடரவும்',
+        'cart.unavailable': 'இந்தப் பொருள் இப்போது கிடைக்காது.',
+        'cart.onlyAvailable': '\'{name}\' இல் {count} மட்டுமே உள்ளன.',
+        'cart.outOfStock': '\'{name}\' இருப்பில் இல்லை.',
+        'cart.added': '\'{name}\' உங்கள் கூடையில் சேர்க்கப்பட்டது!',
+        'cart.updateToContinue': 'தொடர உங்கள் கூடையைப் புதுப்பிக்கவும்.',
+        'checkout.paymentOptions': 'கட்டண முறைகள்',
+        'checkout.card': 'கிரெடிட்/டெபிட் கார்டு',
+        'checkout.netBanking': 'நெட் பேங்கிங்',
+        'checkout.allBanks': 'அனைத்து முக்கிய வங்கிகளும் ஏற்கப்படும்',
+        'checkout.cod': 'டெலிவரியின்போது பணம்',
+        'checkout.payOnReceipt': 'பொருளைப் பெறும்போது செலுத்துங்கள்',
+        'checkout.placeOrder': 'ஆர்டர் செய்',
+        'checkout.processingShort': 'செயலாக்கப்படுகிறது...',
+        'checkout.retryPayment': 'மீண்டும் கட்டணம் செலுத்து',
+        'checkout.subtotal': 'உட்கூட்டுத்தொகை',
+        'checkout.processing': 'உங்கள் கட்டணம் செயலாக்கப்படுகிறது...',
+        'checkout.refunding': 'உங்கள் கட்டணம் திருப்பித் தரப்படுகிறது...',
+        'checkout.cancelPayment': 'கட்டணத்தை ரத்து செய்',
+        'cart.couponPlaceholder': 'கூப்பன் குறியீட்டை உள்ளிடவும்',
+        'cart.alsoBought': 'உங்கள் கூடையில் உள்ள பொருட்களை வாங்கியவர்கள் இவற்றையும் அல்லது இவை போன்றவற்றையும் வாங்கினர்',
+        'checkout.offersShort': 'சலுகைகள்',
+        'checkout.offersWithCoupon': 'சலுகைகள் & கூப்பன் ({code})',
+        'checkout.itemsHeldUntil': 'உங்கள் பொருட்கள் {time} வரை உங்களுக்காக ஒதுக்கப்பட்டுள்ளன',
+        'checkout.cardNumber': 'கார்டு எண்',
+        'checkout.expiry': 'காலாவதி (MM/YY)',
+        'checkout.nameOnCard': 'கார்டில் உள்ள பெயர்',
+        'checkout.upiId': 'UPI ஐடி',
+        'checkout.bank': 'வங்கி',
+        'checkout.selectBank': 'உங்கள் வங்கியைத் தேர்ந்தெடுக்கவும்',
+        'checkout.confirmPayment': 'கட்டணத்தை உறுதிசெய்',
+        'checkout.reviewBeforePaying': 'நீங்கள் கட்டணம் செலுத்தப் போகிறீர்கள். தொடர்வதற்கு முன் ஆர்டர் விவரங்களையும் டெலிவரி முகவரியையும் சரிபார்க்கவும்.',
+        'checkout.totalAmountLabel': 'மொத்தத் தொகை:',
+        'checkout.proceedToPayment': 'கட்டணம் செலுத்தத் தொடர்',
+        'checkout.reviewOrder': 'ஆர்டரைச் சரிபார்',
+        'checkout.loginRequired': 'உள்நுழைவு தேவை',
+        'checkout.loginToPay': 'கட்டணம் செலுத்த நீங்கள் உள்நுழைந்திருக்க வேண்டும். தொடர உங்கள் கணக்கில் உள்நுழையவும்.',
+        'checkout.codUnavailable': 'இந்த அஞ்சல் குறியீட்டிற்குக் கிடைக்காது',
+        'checkout.testMode': 'சோதனை முறை',
+        'checkout.testModeNote': 'சோதனை முறை: பணம் எதுவும் எடுக்கப்படாது. தோல்வியடைந்த கட்டணத்தைச் சோதிக்க UPI ஐடி {upiFailure} அல்லது கார்டு {cardFailure}, நிலுவையில் உள்ள கட்டணத்திற்கு {upiPending} பயன்படுத்தவும்.',
+        'checkout.selectPaymentMethod': 'கட்டண முறையைத் தேர்ந்தெடுக்கவும்',
+        'checkout.updateQuantities': 'உங்கள் கூடையில் உள்ள அளவுகளைப் புதுப்பிக்கவும்.',
+        'checkout.orderFailed': 'உங்கள் ஆர்டரைச் செய்யும்போது ஏதோ தவறு நடந்தது. உங்களிடம் கட்டணம் எடுக்கப்பட்டிருந்தால், ஆர்டர் ஐடி {orderId} உடன் எங்களைத் தொடர்புகொள்ளவும்; பணத்தைத் திருப்பித் தருவோம்.',
+        'checkout.orderNotSaved': 'உங்கள் ஆர்டரைச் சேமிக்க முடியவில்லை.',
+        'checkout.orderPlaced': '🎉 ஆர்டர் வெற்றிகரமாகச் செய்யப்பட்டது!\n\n📋 ஆர்டர் ஐடி: {orderId}\n💳 கட்டண முறை: {method}\n✅ {status}. உங்கள் ஆர்டர் விரைவில் டெலிவரி செய்யப்படும்!\n\nதொடர்ந்து ஷாப்பிங் செய்ய சரி என்பதைக் கிளிக் செய்யவும்.',
+
+        // Coupons
+        'coupon.applied': 'கூப்பன் {code} பயன்படுத்தப்பட்டது. நீங்கள் {amount} சேமிக்கிறீர்கள்',
+        'coupon.invalid': 'தவறான கூப்பன் குறியீடு',
+        'coupon.notActive': 'இந்தக் கூப்பன் இன்னும் செயல்பாட்டுக்கு வரவில்லை',
+        'coupon.expired': 'இந்தக் கூப்பன் காலாவதியாகிவிட்டது',
+        'coupon.usageLimit': 'இந்தக் கூப்பனின் பயன்பாட்டு வரம்பு முடிந்துவிட்டது',
+        'coupon.loginRequired': 'இந்தக் கூப்பனைப் பயன்படுத்த உள்நுழையவும்',
+        'coupon.firstOrderOnly': 'இந்தக் கூப்பன் உங்கள் முதல் ஆர்டருக்கு மட்டுமே செல்லும்',
+        'coupon.alreadyUsed': 'இந்தக் கூப்பனை ஏற்கெனவே பயன்படுத்திவிட்டீர்கள்',
+        'coupon.noEligibleItems': 'உங்கள் கூடையில் உள்ள எந்தப் பொருளுக்கும் இந்தக் கூப்பன் பொருந்தாது',
+        'coupon.addMore': 'இந்தக் கூப்பனைப் பயன்படுத்த மேலும் {amount} மதிப்புள்ள பொருட்களைச் சேர்க்கவும்',
+        'coupon.noSaving': 'இந்தக் கூப்பன் உங்கள் ஆர்டர் மொத்தத்தைக் குறைக்காது',
+        'coupon.codeRequired': 'கூப்பன் குறியீட்டை உள்ளிடவும்',
+        'coupon.saving': 'இந்தக் கூப்பனால் நீங்கள் {amount} சேமிக்கிறீர்கள்',
+
+        // Payments
+        'payment.methodUnavailable': 'இந்தக் கட்டண முறை கிடைக்கவில்லை',
+        'payment.invalidUpi': 'சரியான UPI ஐடியை உள்ளிடவும் (எ.கா. name@okbank)',
+        'payment.invalidCardNumber': 'சரியான கார்டு எண்ணை உள்ளிடவும்',
+        'payment.invalidExpiry': 'காலாவதி தேதியை MM/YY என உள்ளிடவும்',
+        'payment.cardExpired': 'இந்தக் கார்டு காலாவதியாகிவிட்டது',
+        'payment.invalidCvv': '3 அல்லது 4 இலக்க CVV-ஐ உள்ளிடவும்',
+        'payment.nameOnCardRequired': 'கார்டில் உள்ள பெயரை உள்ளிடவும்',
+        'payment.chooseBank': 'உங்கள் வங்கியைத் தேர்ந்தெடுக்கவும்',
+        'payment.codConfirmed': 'ஆர்டர் உறுதிசெய்யப்பட்டது. டெலிவரியின்போது பணம் செலுத்தவும்',
+        'payment.connecting': 'கட்டண நுழைவாயிலுடன் இணைக்கப்படுகிறது...',
+        'payment.approveInUpi': 'உங்கள் UPI செயலியில் கட்டணக் கோரிக்கையை அங்கீகரிக்கவும்...',
+        'payment.completeOnBank': 'உங்கள் வங்கியின் பக்கத்தில் கட்டணத்தை முடிக்கவும்...',
+        'payment.authorizing': 'உங்கள் கட்டணம் அங்கீகரிக்கப்படுகிறது...',
+        'payment.waitingForBank': 'உங்கள் வங்கி கட்டணத்தை உறுதிசெய்யக் காத்திருக்கிறோம்...',
+        'payment.confirming': 'உங்கள் கட்டணம் உறுதிசெய்யப்படுகிறது...',
+        'payment.successful': 'கட்டணம் வெற்றிகரமாகச் செலுத்தப்பட்டது',
+        'payment.orderNotPlaced': 'உங்கள் ஆர்டர் செய்யப்படவில்லை.',
+        'payment.notCaptured': 'நாங்கள் பணத்தை எடுக்கவில்லை; உங்கள் வங்கி அதை நிறுத்திவைத்திருந்தால், வங்கி அதை விடுவிக்கும்.',
+        'payment.refunded': 'உங்கள் கட்டணம் திருப்பித் தரப்பட்டது.',
+        'payment.refundFailed': 'உங்கள் கட்டணத்தைத் தானாகத் திருப்பித் தர முடியவில்லை. ஆர்டர் ஐடி {orderId} உடன் எங்களைத் தொடர்புகொள்ளவும்; பணத்தைத் திருப்பித் தருவோம்.',
+        'payment.bankNotConfirmed': 'உங்கள் வங்கி இன்னும் கட்டணத்தை உறுதிசெய்யவில்லை.',
+        'payment.notVerified': 'உங்கள் கட்டணத்தைச் சரிபார்க்க முடியவில்லை.',
+        'payment.failed': 'கட்டணம் தோல்வியடைந்தது',
+        'payment.tryAnotherMethod': '{reason}. மீண்டும் முயலவும் அல்லது வேறு கட்டண முறையைப் பயன்படுத்தவும்.',
+        'payment.notCompleted': 'கட்டணத்தை முடிக்க முடியவில்லை',
+        'payment.cancelled': 'கட்டணம் ரத்து செய்யப்பட்டது. உங்கள் கூடை அப்படியே வைக்கப்பட்டுள்ளது.',
+        'payment.timeout': 'கட்டணத்தை முடிக்க அதிக நேரம் ஆனது. மீண்டும் முயலவும்.',
+        'payment.error': 'கட்டணத்தைச் செயலாக்கும்போது ஏதோ தவறு நடந்தது. மீண்டும் முயலவும்.',
+
+        // Addresses
+        'address.firstNameLabel': 'முதல் பெயர் *',
+        'address.lastNameLabel': 'கடைசிப் பெயர் *',
+        'address.phoneLabel': 'தொலைபேசி எண் *',
+        'address.emailLabel': 'மின்னஞ்சல் முகவரி *',
+        'address.addressLabel': 'முகவரி *',
+        'address.cityLabel': 'நகரம் *',
+        'address.stateLabel': 'மாநிலம் *',
+        'address.pincodeLabel': 'அஞ்சல் குறியீடு *',
+        'address.firstName': 'முதல் பெயர்',
+        'address.lastName': 'கடைசிப் பெயர்',
+        'address.street': 'தெரு முகவரி',
+        'address.city': 'நகரம்',
+        'address.state': 'மாநிலம்',
+        'address.pincode': 'அஞ்சல் குறியீடு',
+        'address.type': 'முகவரி வகை',
+        'address.work': 'அலுவலகம்',
+        'address.other': 'மற்றவை',
+        'address.firstNameRequired': 'முதல் பெயர் தேவை',
+        'address.lastNameRequired': 'கடைசிப் பெயர் தேவை',
+        'address.phoneRequired': 'சரியான தொலைபேசி எண் தேவை',
+        'address.emailRequired': 'சரியான மின்னஞ்சல் முகவரி தேவை',
+        'address.addressRequired': 'முகவரி தேவை',
+        'address.cityRequired': 'நகரம் தேவை',
+        'address.stateRequired': 'மாநிலம் தேவை',
+        'address.pincodeRequired': 'சரியான அஞ்சல் குறியீடு தேவை',
+        'address.invalidMobile': 'சரியான 10 இலக்க மொபைல் எண்ணை உள்ளிடவும்',
+        'address.selectStateError': 'மாநிலத்தைத் தேர்ந்தெடுக்கவும்',
+        'address.chooseType': 'முகவரி வகையைத் தேர்ந்தெடுக்கவும்',
+        'address.correctFields': 'குறிக்கப்பட்ட புலங்களைச் சரிசெய்யவும்',
+        'address.streetPlaceholder': 'தெரு முகவரி',
+        'address.landmarkPlaceholder': 'ரயில் நிலையம் அருகில், போன்றவை',
+        'address.select': 'டெலிவரி முகவரியைத் தேர்ந்தெடுக்கவும்',
+        'address.addNew': 'புதிய முகவரியைச் சேர்',
+        'address.add': 'முகவரியைச் சேர்',
+        'address.save': 'முகவரியைச் சேமி',
+        'address.continueToPayment': 'கட்டணத்துக்குத் தொடர்',
+        'address.edit': 'முகவரியைத் திருத்து',
+        'address.saved': 'முகவரி சேமிக்கப்பட்டது!',
+        'address.saveFailed': 'முகவரியைச் சேமிக்க முடியவில்லை: {message}',
+        'address.selectRequired': 'டெலிவரி முகவரியைத் தேர்ந்தெடுக்கவும்',
+        'address.deleteConfirm': 'இந்த முகவரியை நிச்சயமாக நீக்க வேண்டுமா?',
+
+        // Reviews
+        'review.loginToReview': 'இந்தப் பொருளை மதிப்பாய்வு செய்ய உள்நுழையவும்',
+        'review.deliveredOnly': 'இந்தப் பொருள் உள்ள ஆர்டர் டெலிவரி செய்யப்பட்ட பிறகு இதை மதிப்பாய்வு செய்யலாம்',
+        'review.ratingRequired': '1 முதல் 5 நட்சத்திரங்கள் வரை மதிப்பீட்டைத் தேர்ந்தெடுக்கவும்',
+        'review.titleTooLong': 'தலைப்பை {count} எழுத்துகளுக்குள் வைக்கவும்',
+        'review.textTooShort': 'குறைந்தது {count} எழுத்துகள் எழுதவும்',
+        'review.textTooLong': 'உங்கள் மதிப்பாய்வை {count} எழுத்துகளுக்குள் வைக்கவும்',
+        'review.tooManyPhotos': 'அதிகபட்சம் {count} புகைப்படங்களைச் சேர்க்கலாம்',
+        'review.correctFields': 'குறிக்கப்பட்ட புலங்களைச் சரிசெய்யவும்',
+        'review.submitted': 'உங்கள் மதிப்பாய்வுக்கு நன்றி!',
+        'review.updated': 'உங்கள் மதிப்பாய்வு புதுப்பிக்கப்பட்டது',
+        'review.ownOnly': 'உங்கள் சொந்த மதிப்பாய்வுகளை மட்டுமே நீக்க முடியும்',
+        'review.deleted': 'உங்கள் மதிப்பாய்வு நீக்கப்பட்டது',
+        'review.notFound': 'மதிப்பாய்வு கிடைக்கவில்லை',
+        'review.loginToVote': 'மதிப்பாய்வுகளுக்கு வாக்களிக்க உள்நுழையவும்',
+        'review.ownVote': 'உங்கள் சொந்த மதிப்பாய்வுக்கு வாக்களிக்க முடியாது',
+        'review.voted': 'உங்கள் கருத்துக்கு நன்றி',
+        'review.voteRemoved': 'வாக்கு நீக்கப்பட்டது',
+        'review.loginToReport': 'மதிப்பாய்வைப் புகாரளிக்க உள்நுழையவும்',
+        'review.reasonRequired': 'இந்த மதிப்பாய்வைப் புகாரளிப்பதற்கான காரணத்தைத் தேர்ந்தெடுக்கவும்',
+        'review.ownReport': 'உங்கள் சொந்த மதிப்பாய்வைப் புகாரளிக்க முடியாது',
+        'review.alreadyReported': 'இந்த மதிப்பாய்வை ஏற்கெனவே புகாரளித்துவிட்டீர்கள்',
+        'review.reported': 'தெரிவித்ததற்கு நன்றி. எங்கள் குழு இதைப் பரிசீலிக்கும்.',
+        'review.saveFailed': 'உங்கள் மதிப்பாய்வைச் சேமிக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+        'review.tooLarge': 'உங்கள் மதிப்பாய்வு சேமிக்க முடியாத அளவு பெரியது. குறைவான அல்லது சிறிய புகைப்படங்களை முயற்சிக்கவும்.',
+        'review.write': 'மதிப்புரை எழுதுங்கள்',
+        'review.edit': 'உங்கள் மதிப்புரையைத் திருத்துங்கள்',
+        'review.yourRating': 'இந்தப் பொருளுக்கு நீங்கள் {rating} ★ கொடுத்துள்ளீர்கள்.',
+        'review.yourRatingHidden': 'இந்தப் பொருளுக்கு நீங்கள் {rating} ★ கொடுத்துள்ளீர்கள் · எங்கள் குழு சரிபார்க்கும் வரை உங்கள் மதிப்புரை மறைக்கப்பட்டுள்ளது.',
+        'review.editButton': 'மதிப்புரையைத் திருத்து',
+        'review.stars': { one: '{count} நட்சத்திரம்', other: '{count} நட்சத்திரங்கள்' },
+        'review.titlePlaceholder': 'தலைப்பு (விருப்பத்தேர்வு)',
+        'review.textPlaceholder': 'உங்களுக்கு என்ன பிடித்தது, என்ன பிடிக்கவில்லை?',
+        'review.photos': 'புகைப்படங்கள் ({count} வரை)',
+        'review.photoAlt': 'மதிப்புரைப் புகைப்படம் {number}',
+        'review.removePhoto': 'நீக்கக் கிளிக் செய்யவும்',
+        'review.submit': 'மதிப்புரையைச் சமர்ப்பி',
+        'review.update': 'மதிப்புரையைப் புதுப்பி',
+        'review.deleteConfirm': 'உங்கள் மதிப்புரையை நீக்க வேண்டுமா?',
+        'review.noMatches': 'இந்த வடிகட்டிகளுக்குப் பொருந்தும் மதிப்புரைகள் இல்லை.',
+        'review.verified': '✓ சரிபார்க்கப்பட்ட வாங்குதல்',
+        'review.authorPhotoAlt': '{author} பகிர்ந்த புகைப்படம் {number}',
+        'review.foundHelpful': { one: '{count} நபருக்கு இது பயனுள்ளதாக இருந்தது', other: '{count} பேருக்கு இது பயனுள்ளதாக இருந்தது' },
+        'review.helpful': 'பயனுள்ளது ({count})',
+        'review.report': 'புகார் செய்',
+        'review.sendReport': 'அனுப்பு',
+        'review.sort.helpful': 'மிகவும் பயனுள்ளவை',
+        'review.sort.recent': 'மிகச் சமீபத்தியவை',
+        'review.sort.ratingDesc': 'அதிக மதிப்பீடு',
+        'review.sort.ratingAsc': 'குறைந்த மதிப்பீடு',
+        'review.reason.spam': 'ஸ்பேம் அல்லது விளம்பரம்',
+        'review.reason.offensive': 'புண்படுத்தும் அல்லது தவறான மொழி',
+        'review.reason.offTopic': 'இந்தப் பொருளைப் பற்றியது அல்ல',
+        'review.reason.personalInfo': 'தனிப்பட்ட தகவல்கள் உள்ளன',
+        'review.reason.other': 'மற்றவை',
+
+        // Images
+        'image.chooseImage': 'ஒரு படக் கோப்பைத் தேர்ந்தெடுக்கவும்',
+        'image.unreadable': 'படத்தைப் படிக்க முடியவில்லை',
+        'image.tooLarge': 'படம் மிகப் பெரியது. சிறிய படத்தைத் தேர்ந்தெடுக்கவும்.',
+
+        // Wishlist
+        'wishlist.subtitle': 'நீங்கள் தேர்ந்தெடுத்த விருப்பமான பொருட்கள்.',
+        'wishlist.sharedSubtitle': 'உங்களுடன் பகிரப்பட்ட பட்டியல்',
+        'wishlist.created': '"{name}" உருவாக்கப்பட்டது',
+        'wishlist.renamed': '"{name}" எனப் பெயர் மாற்றப்பட்டது',
+        'wishlist.deleted': '"{name}" நீக்கப்பட்டது',
+        'wishlist.cannotDeleteDefault': '"{name}" ஐ நீக்க முடியாது',
+        'wishlist.listNotFound': 'பட்டியல் கிடைக்கவில்லை',
+        'wishlist.itemNotFound': 'பொருள் கிடைக்கவில்லை',
+        'wishlist.nameRequired': 'பட்டியலின் பெயரை உள்ளிடவும்',
+        'wishlist.nameTooLong': 'பட்டியலின் பெயர் அதிகபட்சம் {max} எழுத்துகள் இருக்கலாம்',
+        'wishlist.nameTaken': '"{name}" என்ற பட்டியல் ஏற்கனவே உள்ளது',
+        'wishlist.alreadySaved': 'ஏற்கனவே "{list}" இல் உள்ளது',
+        'wishlist.added': '"{name}" "{list}" இல் சேர்க்கப்பட்டது',
+        'wishlist.removedFrom': '"{name}" "{list}" இலிருந்து நீக்கப்பட்டது',
+        'wishlist.removed': '"{name}" நீக்கப்பட்டது.',
+        'wishlist.moved': '"{name}" "{list}" க்கு நகர்த்தப்பட்டது',
+        'wishlist.noDetails': 'பொருள் விவரங்கள் கிடைக்கவில்லை.',
+        'wishlist.savedForLater': 'பின்னர் வாங்க சேமிக்கப்பட்டது!',
+        'wishlist.itemRemoved': 'பொருள் நீக்கப்பட்டது',
+        'wishlist.emptyDefault': 'உங்கள் விருப்பப்பட்டியல் காலியாக உள்ளது',
+        'wishlist.emptyNamed': '"{name}" காலியாக உள்ளது',
+        'wishlist.emptyShared': 'இந்தப் பட்டியல் காலியாக உள்ளது',
+        'wishlist.emptyMessage': 'பிடித்த பொருட்களைக் கண்காணிக்க அவற்றை விருப்பப்பட்டியலில் சேர்க்கவும்!',
+        'wishlist.browse': 'தொகுப்புகளைப் பார்',
+        'wishlist.priceDropped': 'விலை {amount} குறைந்தது',
+        'wishlist.backInStock': 'மீண்டும் இருப்பில்',
+        'wishlist.remove': 'விருப்பப்பட்டியலிலிருந்து நீக்கு',
+        'wishlist.moveToList': 'வேறு பட்டியலுக்கு நகர்த்து…',
+        'wishlist.view': 'பார்',
+        'wishlist.moveToCart': 'கூடைக்கு நகர்த்து',
+        'wishlist.sharedBanner': 'பகிரப்பட்ட பட்டியலைப் பார்க்கிறீர்கள். விலைகளும் இருப்பும் தற்போதையவை.',
+        'wishlist.newList': 'புதிய பட்டியல்',
+        'wishlist.invalidShareLink': 'இந்தப் பகிர்ந்த பட்டியல் இணைப்பு செல்லாது.',
+        'wishlist.deleteConfirm': { one: '"{name}" பட்டியலையும் அதிலுள்ள {count} பொருளையும் நீக்க வேண்டுமா?', other: '"{name}" பட்டியலையும் அதிலுள்ள {count} பொருட்களையும் நீக்க வேண்டுமா?' },
+        'wishlist.linkCopied': 'பகிர்வு இணைப்பு நகலெடுக்கப்பட்டது.',
+        'wishlist.addToCartFailed': 'பொருளை உங்கள் கூடையில் சேர்க்க முடியவில்லை.',
+
+        // Login and account checks
+        'login.welcome': 'லுன்சாராவுக்கு வரவேற்கிறோம்',
+        'login.subtitle': 'உங்கள் கணக்கில் உள்நுழையவும் அல்லது புதிய கணக்கை உருவாக்கவும்',
+        'login.register': 'பதிவு செய்',
+        'login.rememberMe': 'என்னை நினைவில் வைத்துக்கொள்',
+        'login.forgotPassword': 'கடவுச்சொல் மறந்துவிட்டதா?',
+        'login.signIn': 'உள்நுழை',
+        'login.createAccount': 'கணக்கை உருவாக்கு',
+        'login.sendResetLink': 'மீட்டமைப்பு இணைப்பை அனுப்பு',
+        'login.backToLogin': 'உள்நுழைவுக்குத் திரும்பு',
+        'login.resetLinkSent': 'மீட்டமைப்பு இணைப்பு அனுப்பப்பட்டது!',
+        'login.orContinueWith': 'அல்லது இதன் மூலம் தொடரவும்',
+        'login.updatePassword': 'கடவுச்சொல்லைப் புதுப்பி',
+        'login.enterNewPassword': 'மீட்டமைப்பை முடிக்க உங்கள் புதிய கடவுச்சொல்லைக் கீழே உள்ளிடவும்.',
+        'login.emailRequired': 'மின்னஞ்சல் தேவை',
+        'login.emailAddressRequired': 'மின்னஞ்சல் முகவரி தேவை',
+        'login.passwordRequired': 'கடவுச்சொல் தேவை',
+        'login.nameRequired': 'முழுப் பெயர் தேவை',
+        'login.phoneRequired': 'தொலைபேசி எண் தேவை',
+        'login.confirmPasswordRequired': 'கடவுச்சொல்லை உறுதிசெய்யவும்',
+        'login.newPasswordRequired': 'புதிய கடவுச்சொல் தேவை',
+        'auth.nameTooShort': 'பெயரில் குறைந்தது 2 எழுத்துகள் இருக்க வேண்டும்',
+        'auth.invalidEmail': 'சரியான மின்னஞ்சல் முகவரியை உள்ளிடவும்',
+        'auth.invalidPhone': 'சரியான தொலைபேசி எண்ணை உள்ளிடவும்',
+        'auth.passwordMismatch': 'கடவுச்சொற்கள் பொருந்தவில்லை',
+        'auth.passwordTooShort': 'கடவுச்சொல்லில் குறைந்தது {count} எழுத்துகள் இருக்க வேண்டும்',
+        'auth.passwordTooLong': 'கடவுச்சொல்லில் அதிகபட்சம் {count} எழுத்துகள் இருக்கலாம்',
+        'auth.passwordCharacterTypes': 'கடவுச்சொல்லில் சிறிய எழுத்துகள், பெரிய எழுத்துகள், எண்கள், குறியீடுகள் ஆகியவற்றில் குறைந்தது {count} வகைகள் இருக்க வேண்டும்',
+        'auth.passwordCommon': 'இந்தக் கடவுச்சொல் மிகவும் பொதுவானது',
+        'auth.passwordPersonal': 'கடவுச்சொல்லில் உங்கள் பெயரோ மின்னஞ்சலோ இருக்கக்கூடாது',
+        'auth.strength0': 'மிகவும் பலவீனம்',
+        'auth.strength1': 'பலவீனம்',
+        'auth.strength2': 'பரவாயில்லை',
+        'auth.strength3': 'நன்று',
+        'auth.strength4': 'வலிமையானது',
+        'auth.accountLocked': 'பலமுறை தவறான முயற்சிகள். இந்தக் கணக்கு {minutes} நிமிடங்களுக்குப் பூட்டப்பட்டுள்ளது.',
+        'auth.temporarilyLocked': 'பலமுறை தவறான முயற்சிகளால் இந்தக் கணக்கு தற்காலிகமாகப் பூட்டப்பட்டுள்ளது.',
+        'auth.tooManyAttempts': 'மிக அதிகமான உள்நுழைவு முயற்சிகள்.',
+        'auth.tryAgainIn': { one: '{count} நிமிடம் கழித்து மீண்டும் முயலவும்.', other: '{count} நிமிடங்கள் கழித்து மீண்டும் முயலவும்.' },
+        'auth.attemptsLeft': { one: 'கணக்கு பூட்டப்படுவதற்கு முன் {count} முயற்சி மட்டுமே உள்ளது.', other: 'கணக்கு பூட்டப்படுவதற்கு முன் {count} முயற்சிகள் மட்டுமே உள்ளன.' },
+        'login.resetHint': 'உங்கள் மின்னஞ்சல் முகவரியை உள்ளிடவும்; கடவுச்சொல்லை மீட்டமைக்க பாதுகாப்பான இணைப்பை அனுப்புவோம்.',
+        'login.resetSentHint': 'இந்த மின்னஞ்சல் முகவரிக்குக் கணக்கு இருந்தால், கடவுச்சொல் மீட்டமைப்பு வழிமுறைகள் அதற்கு அனுப்பப்பட்டுள்ளன. உங்கள் இன்பாக்ஸைப் பார்த்து வழிமுறைகளைப் பின்பற்றவும்.',
+        'login.emailPlaceholder': 'உங்கள் மின்னஞ்சல் முகவரியை உள்ளிடவும்',
+        'login.terms': 'சேவை விதிமுறைகள்',
+        'login.privacy': 'தனியுரிமைக் கொள்கை',
+
+        // Page access
+        'guard.adminOnly': 'இந்தப் பக்கத்தைத் திறக்க நிர்வாகி கணக்கு தேவை.',
+        'guard.reason.required': 'தொடர உள்நுழையவும்.',
+        'guard.reason.expired': 'உங்கள் அமர்வு காலாவதியாகிவிட்டது. தொடர மீண்டும் உள்நுழையவும்.',
+        'guard.reason.admin': 'நிர்வாகி கணக்கில் உள்நுழையவும்.',
+        'guard.sessionExpired': 'அமர்வு காலாவதியானது',
+        'guard.signInAgain': 'தொடர மீண்டும் உள்நுழையவும். இந்தப் பக்கத்தில் நீங்கள் உள்ளிட்டவை எதுவும் இழக்கப்படாது.',
+        'guard.goToLogin': 'உள்நுழைவுப் பக்கத்திற்குச் செல்',
+
+        // Profile and orders
+        'profile.title': 'என் சுயவிவரம்',
+        'profile.subtitle': 'உங்கள் கணக்குத் தகவல்களையும் விருப்பங்களையும் நிர்வகிக்கவும்',
+        'profile.personalInformation': 'தனிப்பட்ட தகவல்',
+        'profile.memberSince': 'உறுப்பினரான நாள்',
+        'profile.addresses': 'டெலிவரி முகவரிகள்',
+        'profile.loadingAddresses': 'முகவரிகள் ஏற்றப்படுகின்றன...',
+        'profile.security': 'பாதுகாப்பு',
+        'profile.currentPassword': 'தற்போதைய கடவுச்சொல்',
+        'profile.confirmNewPassword': 'புதிய கடவுச்சொல்லை உறுதிசெய்யவும்',
+        'profile.notifications': 'அறிவிப்புகள்',
+        'profile.recentOrders': 'சமீபத்திய ஆர்டர்கள்',
+        'profile.loadingOrders': 'ஆர்டர்கள் ஏற்றப்படுகின்றன...',
+        'profile.offlineOrders': 'நீங்கள் ஆஃப்லைனில் உள்ளீர்கள். இவை இந்தச் சாதனத்தில் சேமிக்கப்பட்ட ஆர்டர்களும் விலைப்பட்டியல்களும்; மீண்டும் இணைந்ததும் புதிய தகவல்கள் தோன்றும்.',
+        'profile.noOrders': 'ஆர்டர்கள் எதுவும் இல்லை. ஷாப்பிங் செய்யத் தொடங்குங்கள், உங்கள் ஆர்டர்கள் இங்கே தோன்றும்!',
+        'profile.orderNumber': 'ஆர்டர் #{id}',
+        'profile.quantity': 'அளவு: {count}',
+        'profile.expectedBy': '{date} க்குள் எதிர்பார்க்கலாம்',
+        'profile.invoice': 'விலைப்பட்டியல்',
+        'profile.creditNote': 'வரவுக் குறிப்பு',
+        'profile.cancelOrder': 'ஆர்டரை ரத்து செய்',
+        'profile.returnExchange': 'திருப்பி அனுப்பு / மாற்று',
+        'profile.returnWindow': 'திருப்பி அனுப்பும் காலம் {date} அன்று முடிகிறது',
+        'profile.orderTotal': 'மொத்தம்: {amount}',
+        'profile.returnOrExchange': 'திருப்பி அனுப்புதல் அல்லது மாற்றுதல்',
+        'profile.submitRequest': 'கோரிக்கையைச் சமர்ப்பி',
+        'profile.reasonNote': 'காரணம்: {reason}',
+        'profile.tracking': '{carrier} · கண்காணிப்பு எண் {number}',
+        'orders.status.placed': 'ஆர்டர் செய்யப்பட்டது',
+        'orders.status.packed': 'பேக் செய்யப்பட்டது',
+        'orders.status.shipped': 'அனுப்பப்பட்டது',
+        'orders.status.out_for_delivery': 'டெலிவரிக்கு வெளியே உள்ளது',
+        'orders.status.delivered': 'டெலிவரி செய்யப்பட்டது',
+        'orders.status.cancelled': 'ரத்து செய்யப்பட்டது',
+        'orders.status.return_requested': 'திருப்பி அனுப்பக் கோரப்பட்டது',
+        'orders.status.returned': 'திருப்பி அனுப்பப்பட்டது',
+        'orders.status.refunded': 'பணம் திருப்பித் தரப்பட்டது',
+        'profile.edit': 'சுயவிவரத்தைத் திருத்து',
+        'profile.saveChanges': 'மாற்றங்களைச் சேமி',
+        'profile.changePassword': 'கடவுச்சொல்லை மாற்று',
+        'profile.passwordChangeHint': 'கடவுச்சொல்லை மாற்றினால் உங்கள் பிற சாதனங்களில் வெளியேற்றப்படுவீர்கள்.',
+        'profile.signOutOthers': 'பிற சாதனங்களிலிருந்து வெளியேறு',
+        'profile.notificationsHint': 'உங்களுக்குத் தகவல் தெரிவிக்கும் வழிகளைத் தேர்ந்தெடுக்கவும். கணக்கு மற்றும் பாதுகாப்பு மின்னஞ்சல்கள் எப்போதும் அனுப்பப்படும்.',
+        'profile.savePreferences': 'விருப்பங்களைச் சேமி',
+        'profile.whatWouldYouLike': 'நீங்கள் என்ன செய்ய விரும்புகிறீர்கள்?',
+        'profile.returnForRefund': 'பணத்தைத் திரும்பப் பெறத் திருப்பி அனுப்பு',
+        'profile.exchange': 'வேறு நிறம் அல்லது அளவுக்கு மாற்று',
+        'profile.reason': 'காரணம்',
+        'profile.comments': 'கருத்துகள் (விருப்பத்தேர்வு)',
+        'profile.tellUsMore': 'மேலும் சொல்லுங்கள்',
+        'profile.confirmItsYou': 'நீங்கள்தான் என்பதை உறுதிசெய்யவும்',
+        'profile.enterPassword': 'தொடர உங்கள் கடவுச்சொல்லை உள்ளிடவும்.',
+        'profile.fillAllFields': 'அனைத்துப் புலங்களையும் நிரப்பவும்',
+        'profile.updateFailed': 'சுயவிவரத்தைப் புதுப்பிக்க முடியவில்லை: {message}',
+        'profile.updated': 'சுயவிவரம் புதுப்பிக்கப்பட்டது!',
+        'profile.saveFailed': 'சுயவிவரத்தைப் புதுப்பிக்க முடியவில்லை: உங்கள் மாற்றங்களைச் சேமிக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+        'profile.preferencesSaveFailed': 'உங்கள் விருப்பங்களைச் சேமிக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+        'profile.privacySavedLocally': 'உங்கள் தனியுரிமை விருப்பம் இந்தச் சாதனத்தில் சேமிக்கப்பட்டது, ஆனால் உங்கள் சுயவிவரத்தில் சேமிக்கப்படவில்லை. மீண்டும் முயற்சிக்கவும்.',
+
+        // Invoices
+        'invoice.title.invoice': 'வரி விலைப்பட்டியல்',
+        'invoice.title.credit_note': 'வரவுக் குறிப்பு',
+        'invoice.notAvailable': 'விலைப்பட்டியல் கிடைக்கவில்லை',
+        'invoice.notFound': 'உங்கள் கணக்கில் இந்த ஆவணம் கிடைக்கவில்லை. ஆர்டர் செய்த கணக்கில்தான் உள்நுழைந்துள்ளீர்களா என்று சரிபார்க்கவும்.',
+        'invoice.openFromProfile': 'உங்கள் சுயவிவரத்தில் உள்ள ஆர்டர்களிலிருந்து விலைப்பட்டியலைத் திறக்கவும்.',
+        'invoice.otherAccount': 'இந்த ஆவணம் வேறொரு கணக்கைச் சேர்ந்தது.',
+        'invoice.tagline': 'உங்கள் நம்பகமான ஆன்லைன் ஷாப்பிங் துணை',
+        'invoice.date': 'தேதி:',
+        'invoice.orderInformation': 'ஆர்டர் விவரங்கள்',
+        'invoice.orderDate': 'ஆர்டர் தேதி:',
+        'invoice.orderId': 'ஆர்டர் எண்:',
+        'invoice.paymentMethod': 'கட்டண முறை:',
+        'invoice.sellerGstin': 'விற்பனையாளர் GSTIN:',
+        'invoice.placeOfSupply': 'வழங்கல் இடம்:',
+        'invoice.notAvailableValue': 'கிடைக்கவில்லை',
+        'invoice.billTo': 'பில் மற்றும் டெலிவரி முகவரி',
+        'invoice.items': 'பொருட்கள்',
+        'invoice.item': 'பொருள்',
+        'invoice.quantity': 'அளவு',
+        'invoice.rate': 'விலை',
+        'invoice.taxableValue': 'வரிக்குட்பட்ட மதிப்பு',
+        'invoice.gstSummary': 'GST சுருக்கம்',
+        'invoice.totalGst': 'மொத்த GST',
+        'invoice.deliveryPackaging': 'டெலிவரி & பேக்கேஜிங்',
+        'invoice.amountCredited': 'வரவு வைக்கப்பட்ட தொகை',
+        'invoice.creditNoteAgainst': 'விலைப்பட்டியல் {number} க்கான வரவுக் குறிப்பு. {reason}',
+        'invoice.print': 'அச்சிடு',
+        'invoice.downloadPdf': 'PDF பதிவிறக்கு',
+        'invoice.promises': '🛡️ 100% அசல் பொருட்கள் | 🔄 எளிதாகத் திருப்பி அனுப்பலாம் | 🚚 விரைவான டெலிவரி | 💳 பாதுகாப்பான கட்டணம்',
+        'invoice.computerGenerated': 'இது கணினியால் உருவாக்கப்பட்ட ஆவணம்',
+        'invoice.pricesIncludeGst': 'அனைத்து விலைகளும் GST உட்பட',
+        'invoice.pricesExcludeGst': 'விலைகளில் GST சேர்க்கப்படவில்லை, அது தனியாகக் கூட்டப்படும்',
+
+        // Home page
+        'home.ourCollections': 'எங்கள் தொகுப்புகள்',
+        'home.customerService': 'வாடிக்கையாளர் சேவை',
+        'home.trackOrder': 'ஆர்டரைக் கண்காணி',
+        'home.returnPolicy': 'திருப்பி அனுப்பும் கொள்கை',
+        'home.aboutUs': 'எங்களைப் பற்றி',
+        'home.contactUs': 'எங்களைத் தொடர்பு கொள்ள',
+        'home.welcome': 'லுன்சாராவுக்கு வரவேற்கிறோம்!',
+        'home.loginNow': 'இப்போது உள்நுழை',
+        'home.tagline': 'ஒவ்வொரு இழையிலும் நளினம், தறியிலிருந்து பாரம்பரியம் வரை நெய்யப்பட்டது',
+        'home.artOfWeaves': 'எங்கள் நெசவுக் கலை',
+        'home.handwovenSilk': 'கைத்தறிப் பட்டுப் புடவைகள்',
+        'home.handwovenSilkText': 'எங்கள் ஒவ்வொரு பட்டுப் புடவையும் பாரம்பரியக் கைத்தறியில் உருவாகும் ஒரு தலைசிறந்த படைப்பு. திறமையான கைவினைஞர்கள் பல நாட்கள் கவனமாக உழைத்து, தூய பட்டு இழைகளால் நுணுக்கமான வடிவங்களை நெய்கிறார்கள். இந்தக் காலத்தால் அழியாத முறையால் ஒவ்வொரு புடவைக்கும் தனித்தன்மையும், சிறந்த தரமும், அதன் துணியிலேயே நெய்யப்பட்ட பாரம்பரியக் கதையும் கிடைக்கிறது.',
+        'home.lungiCraft': 'லுங்கி தயாரிக்கும் கலை',
+        'home.lungiCraftText': 'எங்கள் லுங்கிகள் காலங்காலமாகப் பின்பற்றப்படும் முறைகளில், வசதிக்கும் நீடித்த உழைப்புக்கும் ஏற்ப உருவாக்கப்படுகின்றன. உயர்தரப் பருத்தியில் நெய்யப்படுவதால் அவை ஒப்பற்ற காற்றோட்டமும் மென்மையும் தருகின்றன. உறுதியான அதே நேரம் மிருதுவான துணியை உருவாக்குவதே எங்கள் நெசவின் நோக்கம்; அதனால் எங்கள் லுங்கிகள் தினசரி உடைக்கு ஏற்றவை.',
+        'home.printedSarees': 'கைத்தறி அச்சுப் புடவைகள்',
+        'home.printedSareesText': 'பாரம்பரியமும் நவீன வடிவமைப்பும் சந்திக்கும் எங்கள் கைத்தறி அச்சுப் புடவைகளின் அழகை அனுபவியுங்கள். முதலில் அடிப்படைத் துணி கைத்தறியில் நெய்யப்படுகிறது; பின்னர் திறமையான கைவினைஞர்கள் பாரம்பரிய அச்சு முறைகளில் அழகிய வடிவங்களைப் பதிக்கிறார்கள். இந்த முறைகளின் இணைவால் எந்த நிகழ்வுக்கும் ஏற்ற, வண்ணமயமான, இலகுவான புடவைகள் கிடைக்கின்றன.',
+        'home.lungisBlurb': 'ஒவ்வொரு பருவத்துக்கும் பிரீமியம் பருத்தி மற்றும் ஏற்றுமதித் தர லுங்கிகள்.',
+        'home.silkBlurb': 'பாரம்பரியத்தையும் நளினத்தையும் வெளிப்படுத்தும் ஆடம்பரப் பட்டுப் புடவைகள்.',
+        'home.printedBlurb': 'நவீன மற்றும் பாரம்பரிய வடிவமைப்புகளில் தினசரி அச்சுப் புடவைகள்.',
+        'home.comingSoon': 'விரைவில் வருகிறது',
+        'home.newCollection': 'புதிய தொகுப்பு',
+        'home.newCollectionText': 'புதிய வடிவமைப்புகள் விரைவில் உங்களுக்காக வருகின்றன. காத்திருங்கள்!',
+        'home.about': 'லுன்சாரா பற்றி',
+        'home.aboutText': 'பாரம்பரியத்தையும் நவீனத்தையும் இணைக்கும் உயர்தர லுங்கிகள் மற்றும் புடவைகளுக்கான உங்கள் நம்பகமான இடம் லுன்சாரா. உள்ளூர் மற்றும் சர்வதேச ஏற்றுமதியில் சிறந்து, கைவினைஞர்களை உலகுடன் இணைக்கிறோம்.',
+        'home.onlineShopping': 'ஆன்லைன் ஷாப்பிங்',
+        'home.allProducts': 'அனைத்து பொருட்களும்',
+        'home.faq': 'அடிக்கடி கேட்கப்படும் கேள்விகள்',
+        'home.company': 'நிறுவனம்',
+        'home.careers': 'வேலைவாய்ப்புகள்',
+        'home.press': 'செய்தியாளர்கள்',
+        'home.sustainability': 'நிலைத்தன்மை',
+        'home.contactInfo': 'தொடர்பு விவரங்கள்',
+        'home.connect': 'எங்களுடன் இணையுங்கள்',
+        'home.copyright': '© 2025 லுன்சாரா. அனைத்து உரிமைகளும் பாதுகாக்கப்பட்டவை.',
+        'home.joinCommunity': 'தனிப்பட்ட ஷாப்பிங், பிரத்யேகச் சலுகைகள், விரைவான செக்அவுட் ஆகியவற்றைப் பெற எங்கள் சமூகத்தில் இணையுங்கள். இன்றே உங்கள் கணக்கை உருவாக்குங்கள்!',
+
+        // Offline support and updates
+        'pwa.updateAvailable': 'லுன்சாராவின் புதிய பதிப்பு கிடைக்கிறது.',
+        'pwa.reload': 'மீண்டும் ஏற்று',
+        'pwa.offline': 'நீங்கள் ஆஃப்லைனில் உள்ளீர்கள். தொடர்ந்து உலாவலாம்.',
+        'pwa.offlinePending': { one: 'நீங்கள் ஆஃப்லைனில் உள்ளீர்கள். தொடர்ந்து உலாவலாம்; மீண்டும் இணைந்ததும் {count} மாற்றம் சேமிக்கப்படும்.', other: 'நீங்கள் ஆஃப்லைனில் உள்ளீர்கள். தொடர்ந்து உலாவலாம்; மீண்டும் இணைந்ததும் {count} மாற்றங்கள் சேமிக்கப்படும்.' },
+        'pwa.syncing': { one: 'ஆஃப்லைனில் செய்த {count} மாற்றம் சேமிக்கப்படுகிறது...', other: 'ஆஃப்லைனில் செய்த {count} மாற்றங்கள் சேமிக்கப்படுகின்றன...' },
+        'pwa.synced': 'உங்கள் மாற்றங்கள் சேமிக்கப்பட்டன.',
+        'pwa.rejected': { one: 'ஆஃப்லைனில் செய்த {count} மாற்றத்தைச் சேமிக்க முடியவில்லை: {reason}', other: 'ஆஃப்லைனில் செய்த {count} மாற்றங்களைச் சேமிக்க முடியவில்லை: {reason}' },
+        'pwa.dismiss': 'மூடு',
+
+        // Usage analytics
+        'analytics.consentMessage': 'கடையை மேம்படுத்த, வாடிக்கையாளர்கள் லுன்சாராவை எப்படிப் பயன்படுத்துகிறார்கள் என்பதை எங்கள் சொந்த அமைப்புகளில் மட்டும் பதிவு செய்கிறோம். சம்மதமா?',
+        'analytics.allow': 'அனுமதி',
+        'analytics.decline': 'வேண்டாம்',
+        'analytics.saved': 'தனியுரிமை விருப்பம் சேமிக்கப்பட்டது',
+        'profile.privacy': 'தனியுரிமை',
+        'profile.privacyHint': 'பயன்பாட்டுத் தரவு லுன்சாராவிடம் மட்டுமே இருக்கும்; விளம்பரதாரர்களுடன் பகிரப்படாது.',
+        'profile.shareUsage': 'நான் உலாவுவதையும் வாங்குவதையும் பதிவு செய்து கடையை மேம்படுத்த உதவு',
+
+        // Reminders
+        'reminders.restored': { one: 'உங்கள் கூடையில் {count} பொருள் மீட்டமைக்கப்பட்டது.', other: 'உங்கள் கூடையில் {count} பொருட்கள் மீட்டமைக்கப்பட்டன.' },
+        'reminders.restoreExpired': 'இந்தக் கூடை இணைப்பு காலாவதியாகிவிட்டது.',
+        'reminders.nothingToRestore': 'அந்தக் கூடையில் இருந்தவை அனைத்தும் ஏற்கனவே உங்கள் கூடையில் உள்ளன அல்லது இப்போது கிடைக்கவில்லை.',
+        'reminders.invalidUnsubscribe': 'இந்த விலகல் இணைப்பு செல்லாது. அறிவிப்புகள் பகுதியில் உங்கள் செய்திகளை மாற்றலாம்.',
+        'reminders.unsubscribeFailed': 'இப்போது உங்கள் செய்தி அமைப்புகளை மாற்ற முடியவில்லை. பின்னர் இணைப்பை மீண்டும் திறக்கவும்.',
+        'reminders.unsubscribed.cart': 'இனி கூடை நினைவூட்டல்கள் வராது.',
+        'reminders.unsubscribed.wishlist': 'இனி விருப்பப்பட்டியல் அறிவிப்புகள் வராது.',
+        'reminders.unsubscribed.all': 'இனி கூடை நினைவூட்டல்களும் விருப்பப்பட்டியல் அறிவிப்புகளும் வராது.',
+        'profile.reminderFrequency': 'கூடை மற்றும் விருப்பப்பட்டியல் நினைவூட்டல்கள்'
+    },
+    hi: {
+        // Navigation and shared labels
+        'nav.home': 'होम',
+        'nav.watchlist': 'वॉचलिस्ट',
+        'nav.cart': 'कार्ट',
+        'nav.logout': 'लॉग आउट',
+        'nav.login': 'लॉग इन',
+        'nav.profile': 'प्रोफ़ाइल',
+        'nav.welcome': 'स्वागत है!',
+        'nav.welcomeGuest': 'स्वागत है, मेहमान!',
+        'nav.welcomeUser': 'स्वागत है, {name}!',
+        'language.label': 'भाषा',
+        'common.cancel': 'रद्द करें',
+        'common.close': 'बंद करें',
+        'common.confirm': 'पुष्टि करें',
+        'common.continue': 'जारी रखें',
+        'common.later': 'बाद में',
+        'common.total': 'कुल',
+        'common.totalAmount': 'कुल राशि',
+        'common.discount': 'छूट',
+        'common.free': 'मुफ़्त',
+        'common.orderSummary': 'ऑर्डर सारांश',
+        'common.priceDetails': 'मूल्य विवरण',
+        'common.deliveryCharges': 'डिलीवरी शुल्क',
+        'common.packagingFee': 'सुरक्षित पैकेजिंग शुल्क',
+        'common.gstIncluded': 'GST सहित',
+        'common.confirmLogout': 'लॉग आउट की पुष्टि करें',
+        'common.yesLogout': 'हाँ, लॉग आउट करें',
+        'common.premiumMember': 'प्रीमियम सदस्य',
+        'common.frequentlyBoughtTogether': 'अक्सर साथ खरीदे जाने वाले',
+        'common.recentlyViewed': 'हाल ही में देखे गए',
+        'common.recommendedForYou': 'आपके लिए सुझाव',
+        'common.customerFavourites': 'ग्राहकों की पसंद',
+        'common.myWatchlist': 'मेरी वॉचलिस्ट',
+        'common.deliveryAddress': 'डिलीवरी पता',
+        'common.landmark': 'लैंडमार्क (वैकल्पिक)',
+        'common.selectState': 'राज्य चुनें',
+        'common.fullName': 'पूरा नाम',
+        'common.email': 'ईमेल पता',
+        'common.phone': 'फ़ोन नंबर',
+        'common.password': 'पासवर्ड',
+        'common.newPassword': 'नया पासवर्ड',
+        'common.confirmPassword': 'पासवर्ड की पुष्टि करें',
+        'common.loading': 'लोड हो रहा है...',
+        'common.logoutQuestion': 'क्या आप सच में लॉग आउट करना चाहते हैं? अपने खाते का इस्तेमाल करने के लिए आपको फिर से साइन इन करना होगा।',
+        'common.logoutConfirm': 'क्या आप सच में लॉग आउट करना चाहते हैं?',
+        'common.loggedOut': 'आप सफलतापूर्वक लॉग आउट हो गए हैं',
+        'common.securePromise': 'सुरक्षित भुगतान। आसान वापसी। 100% असली उत्पाद।',
+        'common.myOrders': 'मेरे ऑर्डर',
+        'common.adminConsole': 'एडमिन कंसोल',
+        'common.products': 'उत्पाद',
+        'common.ok': 'ठीक है',
+        'common.rename': 'नाम बदलें',
+        'common.delete': 'हटाएँ',
+        'common.share': 'शेयर करें',
+
+        // Catalog: categories, collections, materials and colours
+        'catalog.silkSarees': 'सिल्क साड़ियाँ',
+        'catalog.printedSarees': 'प्रिंटेड साड़ियाँ',
+        'catalog.lungis': 'लुंगी',
+        'catalog.traditionalLungis': 'पारंपरिक लुंगी',
+        'catalog.designerLungis': 'डिज़ाइनर लुंगी',
+        'catalog.kanchipuram': 'कांचीपुरम सिल्क',
+        'catalog.banarasi': 'बनारसी सिल्क',
+        'catalog.designerSilk': 'डिज़ाइनर सिल्क',
+        'catalog.bridal': 'ब्राइडल कलेक्शन',
+        'catalog.casualWear': 'कैज़ुअल वियर',
+        'catalog.dailyWear': 'रोज़ाना पहनने के लिए',
+        'catalog.officeWear': 'ऑफ़िस वियर',
+        'catalog.partyWear': 'पार्टी वियर',
+        'catalog.floralPrints': 'फ्लोरल प्रिंट',
+        'catalog.pureSilk': 'शुद्ध मलबरी सिल्क',
+        'catalog.artSilk': 'आर्ट सिल्क',
+        'catalog.silkBlend': 'सिल्क ब्लेंड',
+        'catalog.cottonBlend': 'कॉटन ब्लेंड',
+        'catalog.cotton': '100% कॉटन',
+        'catalog.pureCotton': 'शुद्ध कॉटन',
+        'catalog.silkCotton': 'सिल्क कॉटन',
+        'catalog.georgette': 'जॉर्जेट',
+        'catalog.chiffon': 'शिफॉन',
+        'catalog.crepe': 'क्रेप',
+        'color.red': 'लाल',
+        'color.gold': 'सुनहरा',
+        'color.blue': 'नीला',
+        'color.green': 'हरा',
+        'color.pink': 'गुलाबी',
+        'color.black': 'काला',
+        'color.white': 'सफ़ेद',
+        'color.yellow': 'पीला',
+        'color.purple': 'बैंगनी',
+        'color.multi': 'बहुरंगी',
+
+        // Listing pages
+        'filters.categories': 'श्रेणियाँ',
+        'filters.allCategories': 'सभी श्रेणियाँ',
+        'filters.matchAll': 'सभी चुने गए से मेल खाएँ',
+        'filters.material': 'कपड़ा',
+        'filters.allMaterials': 'सभी कपड़े',
+        'filters.color': 'रंग',
+        'filters.allColors': 'सभी रंग',
+        'filters.rating': 'ग्राहक रेटिंग',
+        'filters.anyRating': 'कोई भी रेटिंग',
+        'filters.fourAndAbove': '4★ और उससे ऊपर',
+        'filters.threeAndAbove': '3★ और उससे ऊपर',
+        'filters.availability': 'उपलब्धता',
+        'filters.inStockOnly': 'केवल स्टॉक में उपलब्ध',
+        'filters.priceRange': 'मूल्य सीमा',
+        'filters.min': 'न्यूनतम',
+        'filters.max': 'अधिकतम',
+        'filters.apply': 'सभी फ़िल्टर लागू करें',
+        'sort.label': 'क्रम:',
+        'sort.relevance': 'प्रासंगिकता',
+        'sort.priceAsc': 'कीमत: कम से ज़्यादा',
+        'sort.priceDesc': 'कीमत: ज़्यादा से कम',
+        'sort.newest': 'नए पहले',
+        'sort.popularity': 'लोकप्रियता',
+        'listing.searchResults': 'खोज के नतीजे',
+        'listing.searchResultsFor': '"{query}" के लिए खोज के नतीजे',
+        'listing.showing': '{total} में से {shown} उत्पाद दिखाए जा रहे हैं',
+        'listing.noMatches': 'आपके फ़िल्टर से कोई उत्पाद मेल नहीं खाता',
+        'listing.adjustFilters': 'फ़िल्टर बदलकर देखें',
+        'listing.addToCart': 'कार्ट में डालें',
+        'listing.percentOff': '{percent}% छूट',
+        'listing.addedToCart': 'कार्ट में जोड़ा गया',
+        'listing.addedToWishlist': 'वॉचलिस्ट में जोड़ा गया',
+        'listing.removedFromWishlist': 'वॉचलिस्ट से हटाया गया',
+        'stock.outOfStock': 'स्टॉक में नहीं',
+        'stock.inStock': 'स्टॉक में है',
+        'stock.onlyLeft': 'केवल {count} बचे हैं',
+        'stock.onlyInOption': 'इस विकल्प में केवल {count} उपलब्ध हैं',
+        'stock.held': { one: 'सामान {count} मिनट के लिए रोका गया है', other: 'सामान {count} मिनट के लिए रोका गया है' },
+
+        // Product page
+        'product.addToCart': 'कार्ट में डालें',
+        'product.addToWatchlist': 'वॉचलिस्ट में डालें',
+        'product.buyNow': 'अभी खरीदें',
+        'product.price': 'कीमत:',
+        'product.delivery': 'डिलीवरी:',
+        'product.total': 'कुल:',
+        'product.highlights': 'उत्पाद की खूबियाँ',
+        'product.highlightQuality': 'प्रीमियम गुणवत्ता का कपड़ा',
+        'product.highlightComfort': 'आरामदायक और हवादार',
+        'product.highlightOccasions': 'रोज़ पहनने और पारंपरिक अवसरों के लिए उपयुक्त',
+        'product.highlightPatterns': 'पारंपरिक पैटर्न और आधुनिक डिज़ाइन',
+        'product.highlightCare': 'देखभाल में आसान',
+        'product.deliveryOptions': 'डिलीवरी के विकल्प',
+        'product.easyReturn': '30 दिन में आसान वापसी उपलब्ध',
+        'product.soldBy': 'विक्रेता: लुनसारा स्टोर',
+        'product.descriptionTab': 'विवरण',
+        'product.specifications': 'विशेषताएँ',
+        'product.reviewsTab': 'समीक्षाएँ',
+        'product.description': 'उत्पाद विवरण',
+        'product.customerReviews': 'ग्राहक समीक्षाएँ',
+        'product.noReviews': 'अभी कोई समीक्षा नहीं',
+        'product.reviewSummary': { one: '5 में से {average} · {count} समीक्षा', other: '5 में से {average} · {count} समीक्षाएँ' },
+        'product.ratingCount': { one: '{count} रेटिंग', other: '{count} रेटिंग' },
+        'product.noRatings': 'अभी कोई रेटिंग नहीं',
+        'product.edited': '(संपादित)',
+        'product.youMightLike': 'आपको ये भी पसंद आ सकते हैं',
+        'product.careInstructions': 'देखभाल के निर्देश:',
+        'product.length': 'लंबाई',
+        'product.width': 'चौड़ाई',
+        'product.pattern': 'पैटर्न',
+        'product.occasion': 'अवसर',
+        'product.care': 'देखभाल',
+        'product.allStars': 'सभी स्टार',
+        'product.fiveStars': '5 स्टार',
+        'product.fourStars': '4 स्टार',
+        'product.threeStars': '3 स्टार',
+        'product.twoStars': '2 स्टार',
+        'product.oneStar': '1 स्टार',
+        'product.noneSelected': 'कोई उत्पाद नहीं चुना गया। कृपया वापस जाकर कोई उत्पाद चुनें।',
+        'product.loadFailed': 'उत्पाद की जानकारी लोड नहीं हो सकी। कृपया फिर से कोशिश करें।',
+        'product.nowShowing': 'अब दिखाया जा रहा है: {name}',
+        'product.notFound': 'उत्पाद नहीं मिला!',
+        'product.sortReviews': 'क्रम',
+        'product.showReviews': 'दिखाएँ',
+        'product.withPhotos': 'फ़ोटो वाली',
+
+        // Cart and checkout
+        'common.gst': 'GST',
+        'cart.title': 'मेरा कार्ट',
+        'cart.subtitle': 'अपने कार्ट का सामान देखें और बदलें',
+        'cart.apply': 'लागू करें',
+        'cart.remove': 'हटाएँ',
+        'cart.placeOrder': 'ऑर्डर करें',
+        'cart.sslProtected': 'SSL सुरक्षित',
+        'cart.authentic': '100% असली',
+        'cart.easyReturns': 'आसान वापसी',
+        'cart.empty': 'आपका कार्ट खाली है!',
+        'cart.emptyHint': 'लगता है आपने अभी तक कार्ट में कुछ नहीं डाला है।',
+        'cart.continueShopping': 'खरीदारी जारी रखें',
+        'cart.unavailable': 'यह उत्पाद अब उपलब्ध नहीं है।',
+        'cart.onlyAvailable': '\'{name}\' के केवल {count} उपलब्ध हैं।',
+        'cart.outOfStock': '\'{name}\' स्टॉक में नहीं है।',
+        'cart.added': '\'{name}\' आपके कार्ट में जोड़ दिया गया है!',
+        'cart.updateToContinue': 'जारी रखने के लिए कृपया अपना कार्ट अपडेट करें।',
+        'checkout.paymentOptions': 'भुगतान के विकल्प',
+        'checkout.card': 'क्रेडिट/डेबिट कार्ड',
+        'checkout.netBanking': 'नेट बैंकिंग',
+        'checkout.allBanks': 'सभी प्रमुख बैंक समर्थित',
+        'checkout.cod': 'कैश ऑन डिलीवरी',
+        'checkout.payOnReceipt': 'सामान मिलने पर भुगतान करें',
+        'checkout.placeOrder': 'ऑर्डर करें',
+        'checkout.processingShort': 'प्रोसेस हो रहा है...',
+        'checkout.retryPayment': 'फिर से भुगतान करें',
+        'checkout.subtotal': 'उप-योग',
+        'checkout.processing': 'आपका भुगतान हो रहा है...',
+        'checkout.refunding': 'आपका भुगतान वापस किया जा रहा है...',
+        'checkout.cancelPayment': 'भुगतान रद्द करें',
+        'cart.couponPlaceholder': 'कूपन कोड डालें',
+        'cart.alsoBought': 'आपके कार्ट का सामान खरीदने वालों ने ये या इनके जैसे उत्पाद भी खरीदे',
+        'checkout.offersShort': 'ऑफ़र',
+        'checkout.offersWithCoupon': 'ऑफ़र और कूपन ({code})',
+        'checkout.itemsHeldUntil': 'आपका सामान {time} तक आपके लिए रखा गया है',
+        'checkout.cardNumber': 'कार्ड नंबर',
+        'checkout.expiry': 'समाप्ति (MM/YY)',
+        'checkout.nameOnCard': 'कार्ड पर नाम',
+        'checkout.upiId': 'UPI आईडी',
+        'checkout.bank': 'बैंक',
+        'checkout.selectBank': 'अपना बैंक चुनें',
+        'checkout.confirmPayment': 'भुगतान की पुष्टि करें',
+        'checkout.reviewBeforePaying': 'आप भुगतान करने जा रहे हैं। आगे बढ़ने से पहले अपने ऑर्डर की जानकारी और डिलीवरी पता जाँच लें।',
+        'checkout.totalAmountLabel': 'कुल राशि:',
+        'checkout.proceedToPayment': 'भुगतान के लिए आगे बढ़ें',
+        'checkout.reviewOrder': 'ऑर्डर देखें',
+        'checkout.loginRequired': 'लॉग इन ज़रूरी है',
+        'checkout.loginToPay': 'भुगतान के लिए आपको लॉग इन होना होगा। जारी रखने के लिए अपने खाते में साइन इन करें।',
+        'checkout.codUnavailable': 'इस पिनकोड के लिए उपलब्ध नहीं',
+        'checkout.testMode': 'टेस्ट मोड',
+        'checkout.testModeNote': 'टेस्ट मोड: कोई पैसा नहीं कटेगा। असफल भुगतान आज़माने के लिए UPI आईडी {upiFailure} या कार्ड {cardFailure}, और रुके हुए भुगतान के लिए {upiPending} इस्तेमाल करें।',
+        'checkout.selectPaymentMethod': 'कृपया भुगतान का तरीका चुनें',
+        'checkout.updateQuantities': 'कृपया अपने कार्ट में मात्रा बदलें।',
+        'checkout.orderFailed': 'आपका ऑर्डर करते समय कुछ गड़बड़ हो गई। अगर आपसे पैसे कटे हैं, तो ऑर्डर आईडी {orderId} के साथ हमसे संपर्क करें, हम आपको पैसे लौटा देंगे।',
+        'checkout.orderNotSaved': 'हम आपका ऑर्डर सहेज नहीं सके।',
+        'checkout.orderPlaced': '🎉 ऑर्डर सफलतापूर्वक हो गया!\n\n📋 ऑर्डर आईडी: {orderId}\n💳 भुगतान का तरीका: {method}\n✅ {status}। आपका ऑर्डर जल्द ही पहुँचा दिया जाएगा!\n\nखरीदारी जारी रखने के लिए OK पर क्लिक करें।',
+
+        // Coupons
+        'coupon.applied': 'कूपन {code} लग गया। आपकी {amount} की बचत हुई',
+        'coupon.invalid': 'अमान्य कूपन कोड',
+        'coupon.notActive': 'यह कूपन अभी चालू नहीं हुआ है',
+        'coupon.expired': 'यह कूपन समाप्त हो चुका है',
+        'coupon.usageLimit': 'यह कूपन अपनी इस्तेमाल की सीमा तक पहुँच गया है',
+        'coupon.loginRequired': 'यह कूपन इस्तेमाल करने के लिए कृपया लॉग इन करें',
+        'coupon.firstOrderOnly': 'यह कूपन सिर्फ़ आपके पहले ऑर्डर पर मान्य है',
+        'coupon.alreadyUsed': 'आप यह कूपन पहले ही इस्तेमाल कर चुके हैं',
+        'coupon.noEligibleItems': 'आपके कार्ट का कोई भी सामान इस कूपन के लिए योग्य नहीं है',
+        'coupon.addMore': 'यह कूपन इस्तेमाल करने के लिए {amount} का और सामान जोड़ें',
+        'coupon.noSaving': 'यह कूपन आपके ऑर्डर की कुल राशि कम नहीं करता',
+        'coupon.codeRequired': 'कृपया कूपन कोड डालें',
+        'coupon.saving': 'इस कूपन से आपकी {amount} की बचत होगी',
+
+        // Payments
+        'payment.methodUnavailable': 'भुगतान का यह तरीका उपलब्ध नहीं है',
+        'payment.invalidUpi': 'कृपया सही UPI आईडी दर्ज करें (जैसे name@okbank)',
+        'payment.invalidCardNumber': 'कृपया सही कार्ड नंबर दर्ज करें',
+        'payment.invalidExpiry': 'कृपया समाप्ति तिथि MM/YY के रूप में दर्ज करें',
+        'payment.cardExpired': 'इस कार्ड की अवधि समाप्त हो चुकी है',
+        'payment.invalidCvv': 'कृपया 3 या 4 अंकों का CVV दर्ज करें',
+        'payment.nameOnCardRequired': 'कृपया कार्ड पर लिखा नाम दर्ज करें',
+        'payment.chooseBank': 'कृपया अपना बैंक चुनें',
+        'payment.codConfirmed': 'ऑर्डर पक्का हो गया। कृपया डिलीवरी पर भुगतान करें',
+        'payment.connecting': 'पेमेंट गेटवे से जुड़ रहे हैं...',
+        'payment.approveInUpi': 'अपने UPI ऐप में भुगतान अनुरोध स्वीकार करें...',
+        'payment.completeOnBank': 'अपने बैंक के पेज पर भुगतान पूरा करें...',
+        'payment.authorizing': 'आपके भुगतान को मंज़ूरी दी जा रही है...',
+        'payment.waitingForBank': 'आपके बैंक की पुष्टि का इंतज़ार है...',
+        'payment.confirming': 'आपके भुगतान की पुष्टि हो रही है...',
+        'payment.successful': 'भुगतान सफल रहा',
+        'payment.orderNotPlaced': 'आपका ऑर्डर नहीं हुआ।',
+        'payment.notCaptured': 'हमने पैसे नहीं लिए हैं; अगर आपके बैंक ने राशि रोकी है, तो बैंक उसे छोड़ देगा।',
+        'payment.refunded': 'आपका भुगतान वापस कर दिया गया है।',
+        'payment.refundFailed': 'हम आपका भुगतान अपने-आप वापस नहीं कर सके। कृपया ऑर्डर आईडी {orderId} के साथ हमसे संपर्क करें, हम आपको पैसे लौटा देंगे।',
+        'payment.bankNotConfirmed': 'आपके बैंक ने अभी तक भुगतान की पुष्टि नहीं की है।',
+        'payment.notVerified': 'हम आपके भुगतान की पुष्टि नहीं कर सके।',
+        'payment.failed': 'भुगतान असफल रहा',
+        'payment.tryAnotherMethod': '{reason}। कृपया फिर से कोशिश करें या भुगतान का कोई दूसरा तरीका चुनें।',
+        'payment.notCompleted': 'भुगतान पूरा नहीं हो सका',
+        'payment.cancelled': 'भुगतान रद्द हो गया। आपका कार्ट पहले जैसा ही रखा गया है।',
+        'payment.timeout': 'भुगतान पूरा होने में बहुत समय लगा। कृपया फिर से कोशिश करें।',
+        'payment.error': 'भुगतान करते समय कुछ गड़बड़ हो गई। कृपया फिर से कोशिश करें।',
+
+        // Addresses
+        'address.firstNameLabel': 'पहला नाम *',
+        'address.lastNameLabel': 'अंतिम नाम *',
+        'address.phoneLabel': 'फ़ोन नंबर *',
+        'address.emailLabel': 'ईमेल पता *',
+        'address.addressLabel': 'पता *',
+        'address.cityLabel': 'शहर *',
+        'address.stateLabel': 'राज्य *',
+        'address.pincodeLabel': 'पिनकोड *',
+        'address.firstName': 'पहला नाम',
+        'address.lastName': 'अंतिम नाम',
+        'address.street': 'गली का पता',
+        'address.city': 'शहर',
+        'address.state': 'राज्य',
+        'address.pincode': 'पिनकोड',
+        'address.type': 'पते का प्रकार',
+        'address.work': 'ऑफ़िस',
+        'address.other': 'अन्य',
+        'address.firstNameRequired': 'पहला नाम ज़रूरी है',
+        'address.lastNameRequired': 'अंतिम नाम ज़रूरी है',
+        'address.phoneRequired': 'सही फ़ोन नंबर ज़रूरी है',
+        'address.emailRequired': 'सही ईमेल पता ज़रूरी है',
+        'address.addressRequired': 'पता ज़रूरी है',
+        'address.cityRequired': 'शहर ज़रूरी है',
+        'address.stateRequired': 'राज्य ज़रूरी है',
+        'address.pincodeRequired': 'सही पिनकोड ज़रूरी है',
+        'address.invalidMobile': 'कृपया सही 10 अंकों का मोबाइल नंबर दर्ज करें',
+        'address.selectStateError': 'कृपया राज्य चुनें',
+        'address.chooseType': 'कृपया पते का प्रकार चुनें',
+        'address.correctFields': 'कृपया चिह्नित जानकारी ठीक करें',
+        'address.streetPlaceholder': 'गली का पता',
+        'address.landmarkPlaceholder': 'रेलवे स्टेशन के पास, आदि',
+        'address.select': 'डिलीवरी पता चुनें',
+        'address.addNew': 'नया पता जोड़ें',
+        'address.add': 'पता जोड़ें',
+        'address.save': 'पता सहेजें',
+        'address.continueToPayment': 'भुगतान पर जाएँ',
+        'address.edit': 'पता बदलें',
+        'address.saved': 'पता सहेज लिया गया!',
+        'address.saveFailed': 'पता सहेजा नहीं जा सका: {message}',
+        'address.selectRequired': 'कृपया डिलीवरी का पता चुनें',
+        'address.deleteConfirm': 'क्या आप सच में यह पता हटाना चाहते हैं?',
+
+        // Reviews
+        'review.loginToReview': 'इस उत्पाद की समीक्षा करने के लिए कृपया लॉग इन करें',
+        'review.deliveredOnly': 'इस उत्पाद वाला ऑर्डर डिलीवर होने के बाद आप इसकी समीक्षा कर सकते हैं',
+        'review.ratingRequired': 'कृपया 1 से 5 स्टार तक रेटिंग चुनें',
+        'review.titleTooLong': 'शीर्षक {count} अक्षरों से कम रखें',
+        'review.textTooShort': 'कृपया कम से कम {count} अक्षर लिखें',
+        'review.textTooLong': 'कृपया अपनी समीक्षा {count} अक्षरों से कम रखें',
+        'review.tooManyPhotos': 'आप ज़्यादा से ज़्यादा {count} फ़ोटो जोड़ सकते हैं',
+        'review.correctFields': 'कृपया चिह्नित फ़ील्ड ठीक करें',
+        'review.submitted': 'आपकी समीक्षा के लिए धन्यवाद!',
+        'review.updated': 'आपकी समीक्षा अपडेट हो गई है',
+        'review.ownOnly': 'आप सिर्फ़ अपनी समीक्षाएँ हटा सकते हैं',
+        'review.deleted': 'आपकी समीक्षा हटा दी गई है',
+        'review.notFound': 'समीक्षा नहीं मिली',
+        'review.loginToVote': 'समीक्षाओं पर वोट करने के लिए कृपया लॉग इन करें',
+        'review.ownVote': 'आप अपनी समीक्षा पर वोट नहीं कर सकते',
+        'review.voted': 'आपकी प्रतिक्रिया के लिए धन्यवाद',
+        'review.voteRemoved': 'वोट हटा दिया गया',
+        'review.loginToReport': 'समीक्षा की शिकायत करने के लिए कृपया लॉग इन करें',
+        'review.reasonRequired': 'कृपया इस समीक्षा की शिकायत का कारण चुनें',
+        'review.ownReport': 'आप अपनी समीक्षा की शिकायत नहीं कर सकते',
+        'review.alreadyReported': 'आप इस समीक्षा की शिकायत पहले ही कर चुके हैं',
+        'review.reported': 'बताने के लिए धन्यवाद। हमारी टीम इसे देखेगी।',
+        'review.saveFailed': 'आपकी समीक्षा सहेजी नहीं जा सकी। कृपया फिर से कोशिश करें।',
+        'review.tooLarge': 'आपकी समीक्षा सहेजने के लिए बहुत बड़ी है। कम या छोटी तस्वीरें आज़माएँ।',
+        'review.write': 'समीक्षा लिखें',
+        'review.edit': 'अपनी समीक्षा बदलें',
+        'review.yourRating': 'आपने इस उत्पाद को {rating} ★ दिए हैं।',
+        'review.yourRatingHidden': 'आपने इस उत्पाद को {rating} ★ दिए हैं · हमारी टीम की जाँच तक आपकी समीक्षा छिपी है।',
+        'review.editButton': 'समीक्षा बदलें',
+        'review.stars': { one: '{count} स्टार', other: '{count} स्टार' },
+        'review.titlePlaceholder': 'शीर्षक (वैकल्पिक)',
+        'review.textPlaceholder': 'आपको क्या पसंद आया और क्या नहीं?',
+        'review.photos': 'फ़ोटो ({count} तक)',
+        'review.photoAlt': 'समीक्षा फ़ोटो {number}',
+        'review.removePhoto': 'हटाने के लिए क्लिक करें',
+        'review.submit': 'समीक्षा भेजें',
+        'review.update': 'समीक्षा अपडेट करें',
+        'review.deleteConfirm': 'अपनी समीक्षा हटाएँ?',
+        'review.noMatches': 'इन फ़िल्टरों से मेल खाती कोई समीक्षा नहीं है।',
+        'review.verified': '✓ सत्यापित खरीद',
+        'review.authorPhotoAlt': '{author} की फ़ोटो {number}',
+        'review.foundHelpful': { one: '{count} व्यक्ति को यह उपयोगी लगा', other: '{count} लोगों को यह उपयोगी लगा' },
+        'review.helpful': 'उपयोगी ({count})',
+        'review.report': 'रिपोर्ट करें',
+        'review.sendReport': 'भेजें',
+        'review.sort.helpful': 'सबसे उपयोगी',
+        'review.sort.recent': 'सबसे नई',
+        'review.sort.ratingDesc': 'सबसे ऊँची रेटिंग',
+        'review.sort.ratingAsc': 'सबसे कम रेटिंग',
+        'review.reason.spam': 'स्पैम या विज्ञापन',
+        'review.reason.offensive': 'आपत्तिजनक या अपमानजनक भाषा',
+        'review.reason.offTopic': 'इस उत्पाद के बारे में नहीं',
+        'review.reason.personalInfo': 'इसमें निजी जानकारी है',
+        'review.reason.other': 'अन्य',
+
+        // Images
+        'image.chooseImage': 'कृपया कोई इमेज फ़ाइल चुनें',
+        'image.unreadable': 'इमेज पढ़ी नहीं जा सकी',
+        'image.tooLarge': 'इमेज बहुत बड़ी है। कृपया छोटी इमेज चुनें।',
+
+        // Wishlist
+        'wishlist.subtitle': 'आपकी पसंदीदा चीज़ों का संग्रह।',
+        'wishlist.sharedSubtitle': 'आपके साथ शेयर की गई सूची',
+        'wishlist.created': '"{name}" बनाई गई',
+        'wishlist.renamed': 'नाम बदलकर "{name}" किया गया',
+        'wishlist.deleted': '"{name}" हटाई गई',
+        'wishlist.cannotDeleteDefault': '"{name}" को हटाया नहीं जा सकता',
+        'wishlist.listNotFound': 'सूची नहीं मिली',
+        'wishlist.itemNotFound': 'सामान नहीं मिला',
+        'wishlist.nameRequired': 'कृपया सूची का नाम लिखें',
+        'wishlist.nameTooLong': 'सूची का नाम अधिकतम {max} अक्षरों का हो सकता है',
+        'wishlist.nameTaken': '"{name}" नाम की सूची पहले से है',
+        'wishlist.alreadySaved': 'पहले से "{list}" में है',
+        'wishlist.added': '"{name}" को "{list}" में जोड़ा गया',
+        'wishlist.removedFrom': '"{name}" को "{list}" से हटाया गया',
+        'wishlist.removed': '"{name}" हटा दिया गया।',
+        'wishlist.moved': '"{name}" को "{list}" में ले जाया गया',
+        'wishlist.noDetails': 'उत्पाद की जानकारी नहीं मिली।',
+        'wishlist.savedForLater': 'सामान बाद के लिए सहेजा गया!',
+        'wishlist.itemRemoved': 'सामान हटाया गया',
+        'wishlist.emptyDefault': 'आपकी वॉचलिस्ट खाली है',
+        'wishlist.emptyNamed': '"{name}" खाली है',
+        'wishlist.emptyShared': 'यह सूची खाली है',
+        'wishlist.emptyMessage': 'पसंदीदा चीज़ों पर नज़र रखने के लिए उन्हें वॉचलिस्ट में डालें!',
+        'wishlist.browse': 'कलेक्शन देखें',
+        'wishlist.priceDropped': 'कीमत {amount} घटी',
+        'wishlist.backInStock': 'फिर से स्टॉक में',
+        'wishlist.remove': 'वॉचलिस्ट से हटाएँ',
+        'wishlist.moveToList': 'दूसरी सूची में ले जाएँ…',
+        'wishlist.view': 'देखें',
+        'wishlist.moveToCart': 'कार्ट में ले जाएँ',
+        'wishlist.sharedBanner': 'आप एक साझा सूची देख रहे हैं। कीमतें और स्टॉक ताज़ा हैं।',
+        'wishlist.newList': 'नई सूची',
+        'wishlist.invalidShareLink': 'साझा की गई सूची का यह लिंक मान्य नहीं है।',
+        'wishlist.deleteConfirm': { one: '"{name}" और उसमें रखी {count} चीज़ हटाएँ?', other: '"{name}" और उसमें रखी {count} चीज़ें हटाएँ?' },
+        'wishlist.linkCopied': 'शेयर लिंक कॉपी हो गया।',
+        'wishlist.addToCartFailed': 'चीज़ आपके कार्ट में नहीं जोड़ी जा सकी।',
+
+        // Login and account checks
+        'login.welcome': 'लुनसारा में आपका स्वागत है',
+        'login.subtitle': 'अपने खाते में साइन इन करें या नया खाता बनाएँ',
+        'login.register': 'रजिस्टर करें',
+        'login.rememberMe': 'मुझे याद रखें',
+        'login.forgotPassword': 'पासवर्ड भूल गए?',
+        'login.signIn': 'साइन इन करें',
+        'login.createAccount': 'खाता बनाएँ',
+        'login.sendResetLink': 'रीसेट लिंक भेजें',
+        'login.backToLogin': 'लॉग इन पर वापस जाएँ',
+        'login.resetLinkSent': 'रीसेट लिंक भेज दिया गया!',
+        'login.orContinueWith': 'या इसके साथ जारी रखें',
+        'login.updatePassword': 'पासवर्ड अपडेट करें',
+        'login.enterNewPassword': 'रीसेट पूरा करने के लिए नीचे अपना नया पासवर्ड दर्ज करें।',
+        'login.emailRequired': 'ईमेल ज़रूरी है',
+        'login.emailAddressRequired': 'ईमेल पता ज़रूरी है',
+        'login.passwordRequired': 'पासवर्ड ज़रूरी है',
+        'login.nameRequired': 'पूरा नाम ज़रूरी है',
+        'login.phoneRequired': 'फ़ोन नंबर ज़रूरी है',
+        'login.confirmPasswordRequired': 'कृपया पासवर्ड की पुष्टि करें',
+        'login.newPasswordRequired': 'नया पासवर्ड ज़रूरी है',
+        'auth.nameTooShort': 'नाम कम से कम 2 अक्षरों का होना चाहिए',
+        'auth.invalidEmail': 'कृपया सही ईमेल पता दर्ज करें',
+        'auth.invalidPhone': 'कृपया सही फ़ोन नंबर दर्ज करें',
+        'auth.passwordMismatch': 'पासवर्ड मेल नहीं खाते',
+        'auth.passwordTooShort': 'पासवर्ड कम से कम {count} अक्षरों का होना चाहिए',
+        'auth.passwordTooLong': 'पासवर्ड अधिकतम {count} अक्षरों का हो सकता है',
+        'auth.passwordCharacterTypes': 'पासवर्ड में छोटे अक्षर, बड़े अक्षर, अंक और चिह्न में से कम से कम {count} तरह के वर्ण होने चाहिए',
+        'auth.passwordCommon': 'यह पासवर्ड बहुत आम है',
+        'auth.passwordPersonal': 'पासवर्ड में आपका नाम या ईमेल नहीं होना चाहिए',
+        'auth.strength0': 'बहुत कमज़ोर',
+        'auth.strength1': 'कमज़ोर',
+        'auth.strength2': 'ठीक-ठाक',
+        'auth.strength3': 'अच्छा',
+        'auth.strength4': 'मज़बूत',
+        'auth.accountLocked': 'बहुत बार गलत प्रयास। यह खाता {minutes} मिनट के लिए लॉक है।',
+        'auth.temporarilyLocked': 'बहुत बार गलत प्रयासों के कारण यह खाता कुछ समय के लिए लॉक है।',
+        'auth.tooManyAttempts': 'साइन इन के बहुत ज़्यादा प्रयास।',
+        'auth.tryAgainIn': { one: 'कृपया {count} मिनट बाद फिर से कोशिश करें।', other: 'कृपया {count} मिनट बाद फिर से कोशिश करें।' },
+        'auth.attemptsLeft': { one: 'खाता लॉक होने से पहले {count} प्रयास बाकी है।', other: 'खाता लॉक होने से पहले {count} प्रयास बाकी हैं।' },
+        'login.resetHint': 'अपना ईमेल पता दर्ज करें, हम पासवर्ड रीसेट करने के लिए एक सुरक्षित लिंक भेजेंगे।',
+        'login.resetSentHint': 'अगर इस ईमेल पते से कोई खाता है, तो पासवर्ड रीसेट के निर्देश उस पर भेज दिए गए हैं। कृपया अपना इनबॉक्स देखें और निर्देशों का पालन करें।',
+        'login.emailPlaceholder': 'अपना ईमेल पता दर्ज करें',
+        'login.terms': 'सेवा की शर्तें',
+        'login.privacy': 'गोपनीयता नीति',
+
+        // Page access
+        'guard.adminOnly': 'यह पेज खोलने के लिए एडमिन खाता ज़रूरी है।',
+        'guard.reason.required': 'जारी रखने के लिए कृपया लॉग इन करें।',
+        'guard.reason.expired': 'आपका सत्र समाप्त हो गया है। जारी रखने के लिए फिर से लॉग इन करें।',
+        'guard.reason.admin': 'कृपया एडमिन खाते से लॉग इन करें।',
+        'guard.sessionExpired': 'सत्र समाप्त',
+        'guard.signInAgain': 'जारी रखने के लिए फिर से साइन इन करें। इस पेज पर आपने जो भी भरा है, वह नहीं मिटेगा।',
+        'guard.goToLogin': 'लॉग इन पेज पर जाएँ',
+
+        // Profile and orders
+        'profile.title': 'मेरी प्रोफ़ाइल',
+        'profile.subtitle': 'अपने खाते की जानकारी और पसंद सँभालें',
+        'profile.personalInformation': 'निजी जानकारी',
+        'profile.memberSince': 'सदस्य कब से',
+        'profile.addresses': 'डिलीवरी पते',
+        'profile.loadingAddresses': 'पते लोड हो रहे हैं...',
+        'profile.security': 'सुरक्षा',
+        'profile.currentPassword': 'मौजूदा पासवर्ड',
+        'profile.confirmNewPassword': 'नए पासवर्ड की पुष्टि करें',
+        'profile.notifications': 'सूचनाएँ',
+        'profile.recentOrders': 'हाल के ऑर्डर',
+        'profile.loadingOrders': 'ऑर्डर लोड हो रहे हैं...',
+        'profile.offlineOrders': 'आप ऑफ़लाइन हैं। ये इस डिवाइस पर सहेजे गए ऑर्डर और बीजक हैं; दोबारा कनेक्ट होने पर नई जानकारी दिखेगी।',
+        'profile.noOrders': 'कोई ऑर्डर नहीं मिला। खरीदारी शुरू करें और अपने ऑर्डर यहाँ देखें!',
+        'profile.orderNumber': 'ऑर्डर #{id}',
+        'profile.quantity': 'मात्रा: {count}',
+        'profile.expectedBy': '{date} तक अपेक्षित',
+        'profile.invoice': 'बीजक',
+        'profile.creditNote': 'क्रेडिट नोट',
+        'profile.cancelOrder': 'ऑर्डर रद्द करें',
+        'profile.returnExchange': 'वापसी / बदलाव',
+        'profile.returnWindow': 'वापसी की अवधि {date} को खत्म होगी',
+        'profile.orderTotal': 'कुल: {amount}',
+        'profile.returnOrExchange': 'वापसी या बदलाव',
+        'profile.submitRequest': 'अनुरोध भेजें',
+        'profile.reasonNote': 'कारण: {reason}',
+        'profile.tracking': '{carrier} · ट्रैकिंग {number}',
+        'orders.status.placed': 'ऑर्डर दिया गया',
+        'orders.status.packed': 'पैक हो गया',
+        'orders.status.shipped': 'भेज दिया गया',
+        'orders.status.out_for_delivery': 'डिलीवरी के लिए निकला',
+        'orders.status.delivered': 'डिलीवर हो गया',
+        'orders.status.cancelled': 'रद्द',
+        'orders.status.return_requested': 'वापसी का अनुरोध किया गया',
+        'orders.status.returned': 'वापस किया गया',
+        'orders.status.refunded': 'पैसे लौटाए गए',
+        'profile.edit': 'प्रोफ़ाइल बदलें',
+        'profile.saveChanges': 'बदलाव सहेजें',
+        'profile.changePassword': 'पासवर्ड बदलें',
+        'profile.passwordChangeHint': 'पासवर्ड बदलने पर आप अपने दूसरे डिवाइस से साइन आउट हो जाएँगे।',
+        'profile.signOutOthers': 'दूसरे डिवाइस से साइन आउट करें',
+        'profile.notificationsHint': 'चुनें कि हम आपको कैसे जानकारी दें। खाते और सुरक्षा से जुड़े ईमेल हमेशा भेजे जाते हैं।',
+        'profile.savePreferences': 'पसंद सहेजें',
+        'profile.whatWouldYouLike': 'आप क्या करना चाहेंगे?',
+        'profile.returnForRefund': 'रिफ़ंड के लिए वापस करें',
+        'profile.exchange': 'दूसरे रंग या साइज़ से बदलें',
+        'profile.reason': 'कारण',
+        'profile.comments': 'टिप्पणी (वैकल्पिक)',
+        'profile.tellUsMore': 'हमें और बताएँ',
+        'profile.confirmItsYou': 'पुष्टि करें कि यह आप हैं',
+        'profile.enterPassword': 'जारी रखने के लिए अपना पासवर्ड दर्ज करें।',
+        'profile.fillAllFields': 'कृपया सभी फ़ील्ड भरें',
+        'profile.updateFailed': 'प्रोफ़ाइल अपडेट नहीं हो सकी: {message}',
+        'profile.updated': 'प्रोफ़ाइल अपडेट हो गई!',
+        'profile.saveFailed': 'प्रोफ़ाइल अपडेट नहीं हो सकी: आपके बदलाव सहेजे नहीं जा सके। कृपया फिर से कोशिश करें।',
+        'profile.preferencesSaveFailed': 'आपकी पसंद सहेजी नहीं जा सकी। कृपया फिर से कोशिश करें।',
+        'profile.privacySavedLocally': 'आपकी निजता की पसंद इस डिवाइस पर सहेजी गई, पर आपकी प्रोफ़ाइल में नहीं। कृपया फिर से कोशिश करें।',
+
+        // Invoices
+        'invoice.title.invoice': 'टैक्स इनवॉइस',
+        'invoice.title.credit_note': 'क्रेडिट नोट',
+        'invoice.notAvailable': 'इनवॉइस उपलब्ध नहीं है',
+        'invoice.notFound': 'हमें आपके खाते में यह दस्तावेज़ नहीं मिला। कृपया जाँचें कि आपने उसी खाते से लॉग इन किया है जिससे ऑर्डर दिया गया था।',
+        'invoice.openFromProfile': 'अपनी प्रोफ़ाइल के ऑर्डर से इनवॉइस खोलें।',
+        'invoice.otherAccount': 'यह दस्तावेज़ किसी दूसरे खाते का है।',
+        'invoice.tagline': 'आपका भरोसेमंद ऑनलाइन शॉपिंग साथी',
+        'invoice.date': 'दिनांक:',
+        'invoice.orderInformation': 'ऑर्डर की जानकारी',
+        'invoice.orderDate': 'ऑर्डर की तारीख:',
+        'invoice.orderId': 'ऑर्डर आईडी:',
+        'invoice.paymentMethod': 'भुगतान का तरीका:',
+        'invoice.sellerGstin': 'विक्रेता GSTIN:',
+        'invoice.placeOfSupply': 'आपूर्ति का स्थान:',
+        'invoice.notAvailableValue': 'उपलब्ध नहीं',
+        'invoice.billTo': 'बिल और डिलीवरी पता',
+        'invoice.items': 'सामान',
+        'invoice.item': 'सामान',
+        'invoice.quantity': 'मात्रा',
+        'invoice.rate': 'दर',
+        'invoice.taxableValue': 'कर योग्य मूल्य',
+        'invoice.gstSummary': 'GST सारांश',
+        'invoice.totalGst': 'कुल GST',
+        'invoice.deliveryPackaging': 'डिलीवरी और पैकेजिंग',
+        'invoice.amountCredited': 'जमा की गई राशि',
+        'invoice.creditNoteAgainst': 'इनवॉइस {number} पर क्रेडिट नोट। {reason}',
+        'invoice.print': 'प्रिंट करें',
+        'invoice.downloadPdf': 'PDF डाउनलोड करें',
+        'invoice.promises': '🛡️ 100% असली उत्पाद | 🔄 आसान वापसी | 🚚 तेज़ डिलीवरी | 💳 सुरक्षित भुगतान',
+        'invoice.computerGenerated': 'यह कंप्यूटर से बना दस्तावेज़ है',
+        'invoice.pricesIncludeGst': 'सभी कीमतों में GST शामिल है',
+        'invoice.pricesExcludeGst': 'कीमतों में GST शामिल नहीं है, यह अलग से जोड़ा जाता है',
+
+        // Home page
+        'home.ourCollections': 'हमारे कलेक्शन',
+        'home.customerService': 'ग्राहक सेवा',
+        'home.trackOrder': 'ऑर्डर ट्रैक करें',
+        'home.returnPolicy': 'वापसी नीति',
+        'home.aboutUs': 'हमारे बारे में',
+        'home.contactUs': 'संपर्क करें',
+        'home.welcome': 'लुनसारा में आपका स्वागत है!',
+        'home.loginNow': 'अभी लॉग इन करें',
+        'home.tagline': 'हर धागे में लिपटी नज़ाकत, करघे से विरासत तक बुनी हुई',
+        'home.artOfWeaves': 'हमारी बुनाई की कला',
+        'home.handwovenSilk': 'हथकरघा सिल्क साड़ियाँ',
+        'home.handwovenSilkText': 'हमारी हर सिल्क साड़ी पारंपरिक हथकरघे पर बनी एक उत्कृष्ट कृति है। हमारे कुशल कारीगर कई दिनों की बारीक मेहनत से शुद्ध रेशमी धागों में जटिल डिज़ाइन बुनते हैं। इस पुरानी कारीगरी से हर साड़ी को अपना अलग रूप, बेहतरीन गुणवत्ता और उसके कपड़े में बुनी विरासत की कहानी मिलती है।',
+        'home.lungiCraft': 'लुंगी बनाने की कला',
+        'home.lungiCraftText': 'हमारी लुंगियाँ पुरानी आज़माई हुई तकनीकों से आराम और टिकाऊपन के लिए बनाई जाती हैं। बढ़िया कॉटन से बुनी होने के कारण ये बेजोड़ हवादार और मुलायम होती हैं। बुनाई में मज़बूत और साथ ही लचीला कपड़ा बनाने पर ध्यान दिया जाता है, इसलिए हमारी लुंगियाँ रोज़ पहनने के लिए एकदम सही हैं।',
+        'home.printedSarees': 'हथकरघा प्रिंटेड साड़ियाँ',
+        'home.printedSareesText': 'हमारी हथकरघा प्रिंटेड साड़ियों का आकर्षण अनुभव करें, जहाँ परंपरा आधुनिक डिज़ाइन से मिलती है। पहले कपड़ा हथकरघे पर बुना जाता है, फिर कुशल कारीगर पारंपरिक छपाई के तरीकों से सुंदर डिज़ाइन बनाते हैं। इन तकनीकों के मेल से रंग-बिरंगी, हल्की साड़ियाँ बनती हैं जो हर मौके के लिए सही हैं।',
+        'home.lungisBlurb': 'हर मौसम के लिए प्रीमियम कॉटन और एक्सपोर्ट क्वालिटी की लुंगियाँ।',
+        'home.silkBlurb': 'परंपरा और नज़ाकत की पहचान, शानदार सिल्क साड़ियाँ।',
+        'home.printedBlurb': 'आधुनिक और पारंपरिक डिज़ाइन वाली रोज़ाना की प्रिंटेड साड़ियाँ।',
+        'home.comingSoon': 'जल्द आ रहा है',
+        'home.newCollection': 'नया कलेक्शन',
+        'home.newCollectionText': 'नए डिज़ाइन और पैटर्न जल्द आ रहे हैं। बने रहें!',
+        'home.about': 'लुनसारा के बारे में',
+        'home.aboutText': 'लुनसारा बढ़िया लुंगियों और साड़ियों के लिए आपकी भरोसेमंद जगह है, जहाँ परंपरा और स्टाइल साथ मिलते हैं। हम देश और विदेश में निर्यात करते हैं और कारीगरों को दुनिया से जोड़ते हैं।',
+        'home.onlineShopping': 'ऑनलाइन शॉपिंग',
+        'home.allProducts': 'सभी उत्पाद',
+        'home.faq': 'अक्सर पूछे जाने वाले सवाल',
+        'home.company': 'कंपनी',
+        'home.careers': 'करियर',
+        'home.press': 'प्रेस',
+        'home.sustainability': 'सस्टेनेबिलिटी',
+        'home.contactInfo': 'संपर्क जानकारी',
+        'home.connect': 'हमसे जुड़ें',
+        'home.copyright': '© 2025 लुनसारा। सर्वाधिकार सुरक्षित।',
+        'home.joinCommunity': 'खास आपके लिए शॉपिंग, एक्सक्लूसिव ऑफ़र और तेज़ चेकआउट के लिए हमारे समुदाय से जुड़ें। आज ही अपना खाता बनाएँ!',
+
+        // Offline support and updates
+        'pwa.updateAvailable': 'लुनसारा का नया संस्करण उपलब्ध है।',
+        'pwa.reload': 'रीलोड करें',
+        'pwa.offline': 'आप ऑफ़लाइन हैं। आप ब्राउज़ करते रह सकते हैं।',
+        'pwa.offlinePending': { one: 'आप ऑफ़लाइन हैं। आप ब्राउज़ करते रह सकते हैं; दोबारा कनेक्ट होने पर {count} बदलाव सहेजा जाएगा।', other: 'आप ऑफ़लाइन हैं। आप ब्राउज़ करते रह सकते हैं; दोबारा कनेक्ट होने पर {count} बदलाव सहेजे जाएँगे।' },
+        'pwa.syncing': { one: 'ऑफ़लाइन किया गया {count} बदलाव सहेजा जा रहा है...', other: 'ऑफ़लाइन किए गए {count} बदलाव सहेजे जा रहे हैं...' },
+        'pwa.synced': 'आपके बदलाव सहेज लिए गए हैं।',
+        'pwa.rejected': { one: 'ऑफ़लाइन किया गया {count} बदलाव सहेजा नहीं जा सका: {reason}', other: 'ऑफ़लाइन किए गए {count} बदलाव सहेजे नहीं जा सके: {reason}' },
+        'pwa.dismiss': 'हटाएँ',
+
+        // Usage analytics
+        'analytics.consentMessage': 'स्टोर को बेहतर बनाने के लिए हम दर्ज करते हैं कि ग्राहक लुनसारा का उपयोग कैसे करते हैं, केवल अपने सिस्टम पर। क्या यह ठीक है?',
+        'analytics.allow': 'अनुमति दें',
+        'analytics.decline': 'नहीं, धन्यवाद',
+        'analytics.saved': 'गोपनीयता पसंद सहेजी गई',
+        'profile.privacy': 'गोपनीयता',
+        'profile.privacyHint': 'उपयोग का डेटा लुनसारा के पास ही रहता है और विज्ञापनदाताओं से कभी साझा नहीं किया जाता।',
+        'profile.shareUsage': 'मेरे ब्राउज़ और खरीदारी करने के तरीके को दर्ज करके स्टोर को बेहतर बनाने में मदद करें',
+
+        // Reminders
+        'reminders.restored': { one: 'आपकी कार्ट में {count} आइटम वापस जोड़ा गया।', other: 'आपकी कार्ट में {count} आइटम वापस जोड़े गए।' },
+        'reminders.restoreExpired': 'इस कार्ट लिंक की समय-सीमा समाप्त हो गई है।',
+        'reminders.nothingToRestore': 'उस कार्ट का सब कुछ पहले से आपकी कार्ट में है या अब उपलब्ध नहीं है।',
+        'reminders.invalidUnsubscribe': 'यह अनसब्सक्राइब लिंक मान्य नहीं है। आप सूचनाएँ में अपने संदेश बदल सकते हैं।',
+        'reminders.unsubscribeFailed': 'हम अभी आपके संदेश नहीं बदल सके। कृपया बाद में लिंक फिर से खोलें।',
+        'reminders.unsubscribed.cart': 'अब आपको कार्ट रिमाइंडर नहीं मिलेंगे।',
+        'reminders.unsubscribed.wishlist': 'अब आपको विशलिस्ट अलर्ट नहीं मिलेंगे।',
+        'reminders.unsubscribed.all': 'अब आपको कार्ट रिमाइंडर या विशलिस्ट अलर्ट नहीं मिलेंगे।',
+        'profile.reminderFrequency': 'कार्ट और विशलिस्ट रिमाइंडर'
+    }
+};
+
+class I18nManager {
+    /**
+     * @param {Object} messages - Message catalogs by locale
+     */
+    constructor(messages = I18N_MESSAGES) {
+        this.messages = messages;
+        this.locale = this.getLocale();
+        this.formatters = {};
+
+        document.documentElement.lang = this.locale;
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.init());
+        } else {
+            this.init();
+        }
+    }
+
+    /**
+     * Translate the page and fill in the language switchers
+     */
+    init() {
+        this.createStyles();
+        this.translatePage();
+        this.renderSwitchers();
+
+        // A customer who signs in gets the language saved in their profile
+        window.addEventListener('authStateChanged', event => {
+            if (event.detail.reason !== 'login') return;
+
+            const saved = this.getSavedLocale(event.detail.user);
+            if (saved && saved !== this.locale) {
+                this.applyLocale(saved);
+            } else if (!saved && this.locale !== I18N_DEFAULT_LOCALE) {
+                this.saveLocale(this.locale);
+            }
+        });
+    }
+
+    /**
+     * Check whether a language is supported
+     * @param {string} locale - Language code
+     * @returns {boolean} Supported status
+     */
+    isSupported(locale) {
+        return Object.prototype.hasOwnProperty.call(I18N_LOCALES, locale);
+    }
+
+    /**
+     * Get the language saved in a customer's profile
+     * @param {Object|null} user - Session user (defaults to the logged-in customer)
+     * @returns {string|null} Language code, or null when none is saved
+     */
+    getSavedLocale(user = typeof auth !== 'undefined' ? auth.getCurrentUser() : null) {
+        if (!user || typeof auth === 'undefined') return null;
+
+        const profile = auth.getUserProfile(user.id);
+        const saved = profile && profile.profile && profile.profile.preferences && profile.profile.preferences.language;
+        return this.isSupported(saved) ? saved : null;
+    }
+
+    /**
+     * Work out the language to show: the customer's saved choice, then this device's,
+     * then the browser's languages
+     * @returns {string} Language code
+     */
+    getLocale() {
+        const saved = this.getSavedLocale();
+        if (saved) return saved;
+
+        const stored = localStorage.getItem(I18N_STORAGE_KEY);
+        if (this.isSupported(stored)) return stored;
+
+        const browserLanguages = navigator.languages || [navigator.language || ''];
+        const match = browserLanguages
+            .map(language => String(language).toLowerCase().split('-')[0])
+            .find(language => this.isSupported(language));
+        return match || I18N_DEFAULT_LOCALE;
+    }
+
+    /**
+     * Get the Intl locale of the current language, e.g. 'ta-IN'
+     * @returns {string} BCP 47 tag
+     */
+    getIntlLocale() {
+        return I18N_LOCALES[this.locale].intl;
+    }
+
+    /**
+     * Choose a language, remember it and show the page in it
+     * @param {string} locale - Language code
+     * @returns {Object} Result with success status and message
+     */
+    setLocale(locale) {
+        if (!this.isSupported(locale)) {
+            return { success: false, message: 'Language not supported' };
+        }
+
+        const result = this.saveLocale(locale);
+        if (!result.success) {
+            return result;
+        }
+        this.applyLocale(locale);
+
+        return { success: true, message: 'Language updated' };
+    }
+
+    /**
+     * Remember a language on this device and in the customer's profile
+     * @param {string} locale - Language code
+     * @returns {Object} Result with success status and message
+     */
+    saveLocale(locale) {
+        localStorage.setItem(I18N_STORAGE_KEY, locale);
+
+        const user = typeof auth !== 'undefined' && auth.isLoggedIn() ? auth.getUserProfile(auth.getCurrentUser().id) : null;
+        if (!user) {
+            return { success: true, message: 'Language saved' };
+        }
+
+        const profile = user.profile || {};
+        const result = auth.updateUserProfile(user.id, {
+            profile: { ...profile, preferences: { ...(profile.preferences || {}), language: locale } }
+        });
+        return result.success ? { success: true, message: 'Language saved' } : result;
+    }
+
+    /**
+     * Switch the page to a language and tell the page about it
+     * @param {string} locale - Language code
+     */
+    applyLocale(locale) {
+        this.locale = locale;
+        this.formatters = {};
+        document.documentElement.lang = locale;
+
+        this.translatePage();
+        this.renderSwitchers();
+
+        window.dispatchEvent(new CustomEvent('localeChanged', {
+            detail: { locale }
+        }));
+    }
+
+    /**
+     * Translate a message
+     * @param {string} key - Message key, e.g. 'cart.added'
+     * @param {Object} params - Values for the message's {placeholders}; `count` also picks the plural form
+     * @returns {string} Translated message, the English one when missing, or the key itself
+     */
+    t(key, params = {}) {
+        let message = this.lookup(this.locale, key);
+        if (message === undefined) message = this.lookup(I18N_DEFAULT_LOCALE, key);
+        if (message === undefined) return key;
+
+        if (typeof message === 'object') {
+            const form = typeof params.count === 'number'
+                ? new Intl.PluralRules(this.getIntlLocale()).select(params.count)
+                : 'other';
+            message = message[form] || message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!Object.prototype.hasOwnProperty.call(params, name)) return match;
+            const value = params[name];
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+
+    /**
+     * Check whether a message exists
+     * @param {string} key - Message key
+     * @returns {boolean} Whether an English message exists for the key
+     */
+    has(key) {
+        return this.lookup(I18N_DEFAULT_LOCALE, key) !== undefined;
+    }
+
+    /**
+     * @param {string} locale - Language code
+     * @param {string} key - Message key
+     * @returns {string|Object|undefined} Message
+     */
+    lookup(locale, key) {
+        const catalog = this.messages[locale];
+        return catalog ? catalog[key] : undefined;
+    }
+
+    /**
+     * Translate the marked elements of a page, or of part of one
+     * @param {ParentNode} root - Element to translate inside
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.setAttribute('placeholder', this.t(element.dataset.i18nPlaceholder));
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.setAttribute('title', this.t(element.dataset.i18nTitle));
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nAriaLabel));
+        });
+    }
+
+    /**
+     * Fill every `data-language-switcher` element with a language picker. Choosing a
+     * language reloads the page so that text built by scripts is shown in it too.
+     */
+    renderSwitchers() {
+        document.querySelectorAll('[data-language-switcher]').forEach(container => {
+            container.innerHTML = `
+                <select class="language-select" aria-label="${this.t('language.label')}">
+                    ${Object.entries(I18N_LOCALES).map(([code, locale]) =>
+                        `<option value="${code}" lang="${code}" ${code === this.locale ? 'selected' : ''}>${locale.label}</option>`
+                    ).join('')}
+                </select>
+            `;
+            container.querySelector('select').addEventListener('change', event => {
+                const result = this.setLocale(event.target.value);
+                if (result.success) {
+                    window.location.reload();
+                }
+            });
+        });
+    }
+
+    /**
+     * Add the styles of the language picker to the page
+     */
+    createStyles() {
+        if (document.getElementById('i18n-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'i18n-styles';
+        style.textContent = `
+            .language-switcher { display: inline-flex; align-items: center; margin: 0 6px; vertical-align: middle; }
+            .language-select {
+                padding: 5px 8px; border: 1px solid #d2b4de; border-radius: 6px; cursor: pointer;
+                font-size: 13px; background: white; color: #8e44ad;
+            }
+            .language-select:focus { outline: 2px solid #8e44ad; outline-offset: 1px; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    // ---- Formatting ----
+
+    /**
+     * @param {string} name - Cache key
+     * @param {Function} create - Creates the formatter for the current locale
+     * @returns {Object} Cached Intl formatter
+     */
+    getFormatter(name, create) {
+        if (!this.formatters[name]) {
+            this.formatters[name] = create(this.getIntlLocale());
+        }
+        return this.formatters[name];
+    }
+
+    /**
+     * Format a number with Indian digit grouping, e.g. 1,23,456
+     * @param {number} value - Number
+     * @returns {string} Formatted number
+     */
+    formatNumber(value) {
+        return this.getFormatter('number', locale => new Intl.NumberFormat(locale))
+            .format(Number(value || 0));
+    }
+
+    /**
+     * Format an amount in rupees, e.g. ₹1,23,456 (or ₹1,234.50 when there are paise)
+     * @param {number} amount - Amount in rupees
+     * @returns {string} Formatted price
+     */
+    formatPrice(amount) {
+        const value = Number(amount || 0);
+        const digits = Number.isInteger(value) ? 0 : 2;
+
+        return this.getFormatter(`price${digits}`, locale => new Intl.NumberFormat(locale, {
+            style: 'currency',
+            currency: 'INR',
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits
+        })).format(value);
+    }
+
+    /**
+     * Format a date
+     * @param {Date|string|number} date - Date
+     * @param {Object} options - Intl.DateTimeFormat options (defaults to e.g. "12 Mar 2025")
+     * @returns {string} Formatted date
+     */
+    formatDate(date, options = { day: 'numeric', month: 'short', year: 'numeric' }) {
+        const value = date instanceof Date ? date : new Date(date);
+        if (isNaN(value.getTime())) return '';
+
+        return new Intl.DateTimeFormat(this.getIntlLocale(), options).format(value);
+    }
+
+    /**
+     * Get a product's name or description in the current language
+     * @param {Object} product - Catalog product
+     * @param {string} field - 'name' or 'description'
+     * @returns {string} Translated text, or the English text when there is none
+     */
+    getProductText(product, field) {
+        if (!product) return '';
+
+        const translation = product.translations && product.translations[this.locale];
+        return (translation && translation[field]) || product[field] || '';
+    }
+}
+
+// Create global language instance
+const i18n = new I18nManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { I18nManager, I18N_LOCALES, I18N_MESSAGES, I18N_DEFAULT_LOCALE };
+}
+
+// Make language support available globally
+window.I18nManager = I18nManager;
+window.i18n = i18n;
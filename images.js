@@ -0,0 +1,73 @@
+/**
+ * Image Module for Lunsara
+ * Reads images chosen in the browser (product photos, review photos) as data URLs,
+ * scaled down and re-encoded as JPEG so that each stays small enough to store.
+ */
+
+const IMAGE_SETTINGS = {
+    // Longest side in pixels
+    maxSize: 800,
+    // Longest data URL kept, in characters (about 150 KB)
+    maxLength: 150000,
+    // JPEG qualities tried in turn until the image is short enough
+    qualities: [0.85, 0.7, 0.55, 0.4]
+};
+
+/**
+ * Read an image file, scaled down so its longest side is at most maxSize and
+ * re-encoded until it fits in IMAGE_SETTINGS.maxLength
+ * @param {File} file - Image chosen by the user
+ * @param {number} maxSize - Longest side in pixels
+ * @returns {Promise<string>} Data URL of the image
+ */
+function readImageFile(file, maxSize = IMAGE_SETTINGS.maxSize) {
+    return new Promise((resolve, reject) => {
+        if (!file || !/^image\//.test(file.type)) {
+            reject(new Error(i18n.t('image.chooseImage')));
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onerror = () => reject(new Error(i18n.t('image.unreadable')));
+        reader.onload = () => {
+            const image = new Image();
+            image.onerror = () => reject(new Error(i18n.t('image.unreadable')));
+            image.onload = () => {
+                const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+                const canvas = document.createElement('canvas');
+                const context = canvas.getContext && canvas.getContext('2d');
+                if (!context) {
+                    // Without a canvas the file is kept as it is, if it is small enough
+                    if (reader.result.length <= IMAGE_SETTINGS.maxLength) resolve(reader.result);
+                    else reject(new Error(i18n.t('image.tooLarge')));
+                    return;
+                }
+                canvas.width = Math.max(1, Math.round(image.width * scale));
+                canvas.height = Math.max(1, Math.round(image.height * scale));
+                // JPEG has no transparency, so transparent areas are filled with white rather than black
+                context.fillStyle = '#fff';
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+                for (const quality of IMAGE_SETTINGS.qualities) {
+                    const dataUrl = canvas.toDataURL('image/jpeg', quality);
+                    if (dataUrl.length <= IMAGE_SETTINGS.maxLength) {
+                        resolve(dataUrl);
+                        return;
+                    }
+                }
+                reject(new Error(i18n.t('image.tooLarge')));
+            };
+            image.src = reader.result;
+        };
+        reader.readAsDataURL(file);
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { readImageFile, IMAGE_SETTINGS };
+}
+
+// Make the image reader available globally
+window.readImageFile = readImageFile;
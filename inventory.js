@@ -0,0 +1,469 @@
+/**
+ * Inventory Module for Lunsara
+ * Units on hand for each product variant, and the reservations that hold units for a
+ * checkout while its payment is in progress. Stock starts at the levels in products.json;
+ * sales, cancellations, returns and manual changes are kept as adjustments in one record of
+ * the shared inventory repository, so every shopper sees the same stock. Every change goes
+ * through Repository.update, which applies it to the latest copy, so two checkouts can never
+ * both take the last unit. Lookups answer from the copy loaded last; changes are announced
+ * with an `inventoryUpdated` event.
+ * Requires storage.js; uses catalog.js for the starting stock and product names.
+ */
+
+// ID of the record in repositories.inventory
+const INVENTORY_RECORD_ID = 'stock';
+
+// localStorage key of the ID this browser holds stock under while nobody is logged in
+const STOCK_HOLDER_KEY = 'stockHolderId';
+
+const INVENTORY_RULES = {
+    // How long a checkout may hold units before they go back on sale
+    reservationMinutes: 10,
+    // Listings say "Only N left" at or below this many units
+    lowStockThreshold: 3
+};
+
+class InventoryManager {
+    /**
+     * @param {Object} options - Manager options
+     * @param {Repository} options.repository - Where the stock record is kept (defaults to repositories.inventory)
+     * @param {Object} options.rules - Overrides for INVENTORY_RULES
+     */
+    constructor(options = {}) {
+        this.repository = options.repository || repositories.inventory;
+        this.rules = { ...INVENTORY_RULES, ...(options.rules || {}) };
+        this.setupEventListeners();
+        this.ready = this.load();
+    }
+
+    /**
+     * Load the latest stock record, for lookups
+     * @returns {Promise<void>}
+     */
+    load() {
+        return this.repository.get(INVENTORY_RECORD_ID)
+            .then(() => this.notify('load'))
+            .catch(error => console.error('Error loading inventory:', error));
+    }
+
+    /**
+     * Get the units on the shelf, including units held by checkouts
+     * @param {string} productId - Product ID
+     * @param {string} variantId - Variant ID
+     * @param {Object} state - Inventory state to look in (defaults to the copy loaded last)
+     * @returns {number} Units on hand (Infinity when the catalog does not track stock for the item)
+     */
+    getOnHand(productId, variantId, state = this.readState()) {
+        const baseStock = this.getBaseStock(productId, variantId);
+        if (baseStock === Infinity) {
+            return Infinity;
+        }
+
+        const adjustment = state.adjustments[catalog.getLineKey(productId, variantId)] || 0;
+        return Math.max(0, baseStock + adjustment);
+    }
+
+    /**
+     * Get the units held by checkouts other than the given owner's
+     * @param {string} productId - Product ID
+     * @param {string} variantId - Variant ID
+     * @param {string} ownerId - Owner whose own reservation is not counted
+     * @param {Object} state - Inventory state to look in (defaults to the copy loaded last)
+     * @returns {number} Units reserved
+     */
+    getReserved(productId, variantId, ownerId = this.getHolderId(), state = this.readState()) {
+        const key = catalog.getLineKey(productId, variantId);
+        return state.reservations
+            .filter(reservation => reservation.ownerId !== ownerId)
+            .reduce((sum, reservation) => sum + reservation.lines
+                .filter(line => line.key === key)
+                .reduce((lineSum, line) => lineSum + line.quantity, 0), 0);
+    }
+
+    /**
+     * Get the units a shopper can still buy
+     * @param {string} productId - Product ID
+     * @param {string} variantId - Variant ID
+     * @param {string} ownerId - Shopper (defaults to the current user or guest)
+     * @param {Object} state - Inventory state to look in (defaults to the copy loaded last)
+     * @returns {number} Units available
+     */
+    getAvailable(productId, variantId, ownerId = this.getHolderId(), state = this.readState()) {
+        const onHand = this.getOnHand(productId, variantId, state);
+        return onHand === Infinity ? Infinity : Math.max(0, onHand - this.getReserved(productId, variantId, ownerId, state));
+    }
+
+    /**
+     * Get the units available across every variant of a product
+     * @param {Object} product - Catalog product
+     * @returns {number} Units available (Infinity when stock is not tracked)
+     */
+    getProductAvailable(product) {
+        const variants = catalog.getVariants(product);
+        if (variants.length === 0) {
+            return product.inStock === false ? 0 : Infinity;
+        }
+        return variants.reduce((sum, variant) => sum + this.getAvailable(product.id, variant.id), 0);
+    }
+
+    /**
+     * Describe how much of a product is left, for listings
+     * @param {Object} product - Catalog product
+     * @returns {Object} { status: 'in_stock' | 'low_stock' | 'out_of_stock', available, label }
+     */
+    getStockStatus(product) {
+        const available = this.getProductAvailable(product);
+        if (available <= 0) {
+            return { status: 'out_of_stock', available: 0, label: i18n.t('stock.outOfStock') };
+        }
+        if (available <= this.rules.lowStockThreshold) {
+            return { status: 'low_stock', available, label: i18n.t('stock.onlyLeft', { count: available }) };
+        }
+        return { status: 'in_stock', available, label: i18n.t('stock.inStock') };
+    }
+
+    /**
+     * Find the lines asking for more units than the shopper can buy
+     * @param {Array} items - Cart or order lines
+     * @param {string} ownerId - Shopper (defaults to the current user or guest)
+     * @param {Object} state - Inventory state to look in (defaults to the copy loaded last)
+     * @returns {Array} Shortages of { id, variantId, name, requested, available }
+     */
+    findShortages(items, ownerId = this.getHolderId(), state = this.readState()) {
+        return this.groupLines(items)
+            .map(line => ({ ...line, available: this.getAvailable(line.id, line.variantId, ownerId, state) }))
+            .filter(line => line.quantity > line.available)
+            .map(line => ({ id: line.id, variantId: line.variantId, name: line.name, requested: line.quantity, available: line.available }));
+    }
+
+    /**
+     * Hold the units of a checkout so nobody else can buy them while the payment is in progress.
+     * A shopper has one reservation at a time; reserving again replaces it and restarts the clock.
+     * @param {Array} items - Cart lines
+     * @param {Object} options - Reservation options
+     * @param {string} options.ownerId - Shopper (defaults to the current user or guest)
+     * @param {Date} options.now - Current time
+     * @returns {Promise<Object>} Result with success status, message, the reservation and any shortages
+     */
+    reserve(items, options = {}) {
+        const ownerId = options.ownerId || this.getHolderId();
+        const now = options.now || new Date();
+
+        return this.updateState(state => {
+            const shortages = this.findShortages(items, ownerId, state);
+            if (shortages.length > 0) {
+                return { success: false, message: this.describeShortages(shortages), shortages };
+            }
+
+            const reservation = {
+                id: `res-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+                ownerId,
+                lines: this.groupLines(items).map(line => ({ key: line.key, id: line.id, variantId: line.variantId, quantity: line.quantity })),
+                createdAt: now.toISOString(),
+                expiresAt: new Date(now.getTime() + this.rules.reservationMinutes * 60 * 1000).toISOString()
+            };
+
+            state.reservations = state.reservations.filter(existing => existing.ownerId !== ownerId);
+            state.reservations.push(reservation);
+            return { success: true, message: i18n.t('stock.held', { count: this.rules.reservationMinutes }), reservation, shortages: [] };
+        }, now);
+    }
+
+    /**
+     * Get an active reservation
+     * @param {string} reservationId - Reservation ID
+     * @param {Date} now - Current time
+     * @returns {Object|null} Reservation, or null once it has expired or been released
+     */
+    getReservation(reservationId, now = new Date()) {
+        return this.readState(now).reservations.find(reservation => reservation.id === reservationId) || null;
+    }
+
+    /**
+     * Put the units of a reservation back on sale, e.g. after a failed payment
+     * @param {string} reservationId - Reservation ID
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    releaseReservation(reservationId) {
+        return this.updateState(state => {
+            const remaining = state.reservations.filter(reservation => reservation.id !== reservationId);
+            if (remaining.length === state.reservations.length) {
+                return { success: false, message: 'Reservation not found' };
+            }
+
+            state.reservations = remaining;
+            return { success: true, message: 'Reservation released' };
+        });
+    }
+
+    /**
+     * Take the units of a confirmed order off the shelf. The stock and the reservation are
+     * saved in one write to the latest stock record, so an order either takes all of its units
+     * or none. A reservation that has expired is renewed while the units are still free.
+     * @param {Object} reservation - Reservation returned by reserve
+     * @param {string} orderId - Order the units were sold to
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Result with success status, message and any shortages
+     */
+    commitReservation(reservation, orderId, now = new Date()) {
+        return this.updateState(state => {
+            if (!state.reservations.some(existing => existing.id === reservation.id)) {
+                return { success: false, expired: true, message: 'Reservation expired' };
+            }
+
+            reservation.lines.forEach(line => {
+                state.adjustments[line.key] = (state.adjustments[line.key] || 0) - line.quantity;
+            });
+            state.reservations = state.reservations.filter(existing => existing.id !== reservation.id);
+            // Noted so the units can be put back if the order is not placed after all
+            state.sales[orderId] = { ownerId: reservation.ownerId, lines: reservation.lines, at: now.toISOString() };
+            return { success: true, message: `Stock updated for order ${orderId}`, shortages: [] };
+        }, now).then(result => {
+            if (!result.expired) {
+                return result;
+            }
+            return this.reserve(reservation.lines, { ownerId: reservation.ownerId, now })
+                .then(renewed => (renewed.success ? this.commitReservation(renewed.reservation, orderId, now) : renewed));
+        });
+    }
+
+    /**
+     * Put back the units taken off the shelf for an order that could not be placed
+     * @param {string} orderId - Order the units were sold to
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    releaseSale(orderId) {
+        return this.updateState(state => {
+            const sale = state.sales[orderId];
+            if (!sale) {
+                return { success: false, message: 'Sale not found' };
+            }
+            if (state.restocked[orderId]) {
+                return { success: true, unchanged: true, message: 'Stock already restored' };
+            }
+
+            sale.lines.forEach(line => {
+                state.adjustments[line.key] = (state.adjustments[line.key] || 0) + line.quantity;
+            });
+            state.restocked[orderId] = new Date().toISOString();
+            return { success: true, message: 'Stock restored' };
+        });
+    }
+
+    /**
+     * Put the units of a cancelled or returned order back on the shelf. Each order is
+     * put back once, however many times this is called for it.
+     * @param {Array} items - Order lines
+     * @param {string} orderId - Order the units come from
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    restock(items, orderId) {
+        return this.updateState(state => {
+            if (state.restocked[orderId]) {
+                return { success: true, unchanged: true, message: 'Stock already restored' };
+            }
+
+            this.groupLines(items).forEach(line => {
+                state.adjustments[line.key] = (state.adjustments[line.key] || 0) + line.quantity;
+            });
+            state.restocked[orderId] = new Date().toISOString();
+            return { success: true, message: 'Stock restored' };
+        });
+    }
+
+    /**
+     * Set the units on hand of a variant, e.g. after a stock count.
+     * Requires the catalog to be loaded.
+     * @param {string} productId - Product ID
+     * @param {string} variantId - Variant ID
+     * @param {number} units - Units on hand
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    setStock(productId, variantId, units) {
+        if (!Number.isInteger(units) || units < 0) {
+            return Promise.resolve({ success: false, message: 'Stock must be a whole number of units' });
+        }
+        return this.changeStock(productId, variantId, () => units);
+    }
+
+    /**
+     * Add or remove units of a variant, e.g. for a delivery from the weaver or damaged stock.
+     * Requires the catalog to be loaded.
+     * @param {string} productId - Product ID
+     * @param {string} variantId - Variant ID
+     * @param {number} delta - Units to add (negative to remove)
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    adjustStock(productId, variantId, delta) {
+        if (!Number.isInteger(delta) || delta === 0) {
+            return Promise.resolve({ success: false, message: 'Enter the number of units to add or remove' });
+        }
+        return this.changeStock(productId, variantId, onHand => onHand + delta);
+    }
+
+    /**
+     * Change the units on hand of a variant, working from the latest stock record
+     * @param {string} productId - Product ID
+     * @param {string} variantId - Variant ID
+     * @param {Function} getUnits - Given the units on hand, returns the new units on hand
+     * @returns {Promise<Object>} Result with success status and message, and the units on hand
+     *   before and after the change
+     */
+    changeStock(productId, variantId, getUnits) {
+        const baseStock = this.getBaseStock(productId, variantId);
+        if (baseStock === Infinity) {
+            return Promise.resolve({ success: false, message: 'This item does not track stock' });
+        }
+
+        return this.updateState(state => {
+            const onHand = this.getOnHand(productId, variantId, state);
+            const units = getUnits(onHand);
+            if (units < 0) {
+                return { success: false, message: `Only ${onHand} units are on hand` };
+            }
+
+            state.adjustments[catalog.getLineKey(productId, variantId)] = units - baseStock;
+            return { success: true, message: 'Stock updated', before: onHand, after: units };
+        });
+    }
+
+    /**
+     * Describe the lines a checkout cannot get
+     * @param {Array} shortages - Shortages from findShortages
+     * @returns {string} Message for the shopper
+     */
+    describeShortages(shortages) {
+        return shortages
+            .map(line => (line.available > 0
+                ? i18n.t('cart.onlyAvailable', { count: line.available, name: line.name })
+                : i18n.t('cart.outOfStock', { name: line.name })))
+            .join(' ');
+    }
+
+    /**
+     * Get the stock of a variant in products.json
+     * @param {string} productId - Product ID
+     * @param {string} variantId - Variant ID
+     * @returns {number} Units (Infinity when the catalog does not track stock for the item)
+     */
+    getBaseStock(productId, variantId) {
+        const product = catalog.getProduct(productId);
+        const variant = product ? catalog.getVariant(product, variantId) : null;
+        return variant ? variant.stock : Infinity;
+    }
+
+    /**
+     * Add up the quantities of lines for the same variant
+     * @param {Array} items - Cart, order or reservation lines
+     * @returns {Array} Lines of { key, id, variantId, name, quantity }
+     */
+    groupLines(items) {
+        const lines = new Map();
+        items.forEach(item => {
+            const key = catalog.getLineKey(item.id, item.variantId);
+            const line = lines.get(key) || { key, id: item.id, variantId: item.variantId || null, name: item.name || item.id, quantity: 0 };
+            line.quantity += item.quantity || 1;
+            lines.set(key, line);
+        });
+        return [...lines.values()];
+    }
+
+    /**
+     * Get the ID this browser's checkouts hold stock under: the logged-in user's ID, or a
+     * random ID kept for this browser (not the guest cart's ID, which the stock record would reveal)
+     * @returns {string} Holder ID
+     */
+    getHolderId() {
+        if (typeof auth !== 'undefined' && auth.isLoggedIn()) {
+            return auth.getCurrentUser().id;
+        }
+
+        let holderId = localStorage.getItem(STOCK_HOLDER_KEY);
+        if (!holderId) {
+            holderId = `guest-hold-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 10)}`;
+            localStorage.setItem(STOCK_HOLDER_KEY, holderId);
+        }
+        return holderId;
+    }
+
+    /**
+     * Read the stock adjustments and the reservations that have not expired, from the copy loaded last
+     * @param {Date} now - Current time
+     * @returns {Object} { adjustments: units by line key, reservations, restocked: when each order was put back,
+     *     sales: the holder and lines of each order's units }
+     */
+    readState(now = new Date()) {
+        return this.toState(this.repository.peek(INVENTORY_RECORD_ID), now);
+    }
+
+    /**
+     * @param {Object|null} record - Stock record
+     * @param {Date} now - Current time
+     * @returns {Object} Copy of its state that can be changed (see readState)
+     */
+    toState(record, now) {
+        const saved = record || {};
+        return {
+            adjustments: { ...(saved.adjustments || {}) },
+            reservations: (saved.reservations || []).filter(reservation => new Date(reservation.expiresAt) > now),
+            restocked: { ...(saved.restocked || {}) },
+            sales: { ...(saved.sales || {}) }
+        };
+    }
+
+    /**
+     * Change the latest stock record and announce the change. The change is made again
+     * if another shopper saved the record first.
+     * @param {Function} change - Changes the state it is given and returns a result; nothing is saved
+     *     unless the result has success set, and unchanged not set
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Result of the change
+     */
+    updateState(change, now = new Date()) {
+        let result;
+        return this.repository.update(INVENTORY_RECORD_ID, record => {
+            const state = this.toState(record, now);
+            result = change(state);
+            return result.success && !result.unchanged ? state : undefined;
+        }).then(() => {
+            if (result.success && !result.unchanged) {
+                this.notify('local');
+            }
+            return result;
+        }).catch(error => {
+            console.error('Error updating inventory:', error);
+            return { success: false, message: 'Stock could not be updated. Please try again.' };
+        });
+    }
+
+    /**
+     * Tell the page stock levels changed
+     * @param {string} source - 'local', 'load' once the latest stock has been loaded, or 'storage' for changes made in another tab
+     */
+    notify(source) {
+        window.dispatchEvent(new CustomEvent('inventoryUpdated', { detail: { source } }));
+    }
+
+    /**
+     * Follow stock changes made in other tabs
+     */
+    setupEventListeners() {
+        window.addEventListener('storage', (e) => {
+            if (e.key === LOCAL_STORAGE_KEYS.inventory()) {
+                this.notify('storage');
+            }
+        });
+    }
+}
+
+// Create global inventory instance
+const inventory = new InventoryManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InventoryManager, INVENTORY_RULES, INVENTORY_RECORD_ID };
+}
+
+// Make inventory available globally
+window.InventoryManager = InventoryManager;
+window.inventory = inventory;
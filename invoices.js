@@ -0,0 +1,487 @@
+/**
+ * Invoice Module for Lunsara
+ * Issues GST tax invoices for whole orders and credit notes when an order is cancelled or
+ * returned. Each series starts again every financial year (April to March in Indian Standard Time),
+ * e.g. LUN/26-27/00001, and every shopper's documents are numbered in one sequence. With the server,
+ * the server numbers and saves each document in one step, so no number is skipped (see
+ * server/server.js); in local storage, numbers come from a counter in the counters repository.
+ * Documents are kept in the invoices repository, one per order and type. Issued documents keep a
+ * copy of the amounts, buyer and seller details as they were, so later price or profile changes
+ * do not alter them.
+ * Uses storage.js, tax.js for GST and auth.js for buyer details. PDFs are saved from invoice.html
+ * through the browser's print dialog.
+ */
+
+// Document series; numbers are PREFIX/YY-YY/sequence
+const INVOICE_SERIES = {
+    invoice: { prefix: 'LUN', title: 'Tax Invoice' },
+    credit_note: { prefix: 'LCN', title: 'Credit Note' }
+};
+
+// Digits of the sequence part of a number (GST allows up to 16 characters in all)
+const INVOICE_NUMBER_DIGITS = 5;
+
+// Financial years run from April in Indian Standard Time (UTC+05:30)
+const IST_OFFSET_MINUTES = 330;
+
+// Names of the order charges on documents, by their type in the price breakdown
+const INVOICE_CHARGE_LABELS = {
+    delivery: 'Delivery charge',
+    packaging: 'Packaging fee'
+};
+
+class InvoiceManager {
+    /**
+     * @param {Object} options - Manager options
+     * @param {Repository} options.repository - Where issued documents are kept (defaults to repositories.invoices)
+     * @param {Repository} options.counters - Where the series counters are kept (defaults to repositories.counters)
+     * @param {Object} options.series - Document series (defaults to INVOICE_SERIES)
+     * @param {Object} options.seller - Seller shown on documents (defaults to SELLER_DETAILS)
+     */
+    constructor(options = {}) {
+        this.repository = options.repository || repositories.invoices;
+        this.counters = options.counters || repositories.counters;
+        this.series = options.series || INVOICE_SERIES;
+        this.seller = options.seller || SELLER_DETAILS;
+    }
+
+    /**
+     * Get issued documents
+     * @param {Object} filter - Optional orderId, userId and type to match
+     * @returns {Promise<Array>} Documents, oldest first
+     */
+    getDocuments(filter = {}) {
+        return this.repository.find().then(documents => documents
+            .filter(doc =>
+                (filter.orderId === undefined || doc.orderId === filter.orderId) &&
+                (filter.userId === undefined || doc.userId === filter.userId) &&
+                (filter.type === undefined || doc.type === filter.type))
+            .sort((a, b) => new Date(a.issuedAt) - new Date(b.issuedAt)));
+    }
+
+    /**
+     * Find a document by its number
+     * @param {string} number - Invoice or credit note number
+     * @returns {Promise<Object|null>} Document
+     */
+    getDocument(number) {
+        return this.repository.findOne({ number });
+    }
+
+    /**
+     * Get the invoice of an order
+     * @param {string} orderId - Order ID
+     * @returns {Promise<Object|null>} Invoice
+     */
+    getInvoice(orderId) {
+        return this.repository.get(this.getDocumentId('invoice', orderId));
+    }
+
+    /**
+     * Get the credit note of an order
+     * @param {string} orderId - Order ID
+     * @returns {Promise<Object|null>} Credit note
+     */
+    getCreditNote(orderId) {
+        return this.repository.get(this.getDocumentId('credit_note', orderId));
+    }
+
+    /**
+     * @param {string} type - 'invoice' or 'credit_note'
+     * @param {string} orderId - Order ID
+     * @returns {string} ID of the order's document of that type
+     */
+    getDocumentId(type, orderId) {
+        return `${type}:${orderId}`;
+    }
+
+    /**
+     * Issue the invoice of an order. An order has one invoice, so asking again returns it.
+     * @param {Object} order - Order with items, pricing, address and payment details
+     * @param {string|null} userId - Customer the order belongs to, or null for a guest order
+     * @param {Date} now - Issue time (defaults to now)
+     * @returns {Promise<Object>} Result with success status, message and the invoice
+     */
+    issueInvoice(order, userId, now = new Date()) {
+        if (!order || !Array.isArray(order.items) || order.items.length === 0) {
+            return Promise.resolve({ success: false, message: 'An invoice needs an order with items' });
+        }
+
+        const placeOfSupply = this.getPlaceOfSupply(order);
+        const lines = this.buildLines(order, placeOfSupply);
+        const charges = this.buildCharges(order, lines);
+
+        return this.issue('invoice', {
+            orderId: order.id,
+            orderDate: order.placedAt || order.date,
+            userId: userId || null,
+            buyer: this.getBuyer(order, userId),
+            placeOfSupply,
+            supplyType: taxCalculator.getSupplyType(placeOfSupply),
+            paymentMethod: order.paymentMethod || '',
+            lines,
+            charges,
+            taxSummary: taxCalculator.summarize([...lines, ...charges.filter(charge => this.isTaxed(charge))]),
+            totals: this.getTotals(lines, charges),
+            pricesIncludeTax: taxCalculator.pricesIncludeTax
+        }, now);
+    }
+
+    /**
+     * Issue a credit note reversing the invoice of a cancelled or returned order.
+     * The invoice is issued first if the order was placed before invoicing started.
+     * @param {Object} order - Order
+     * @param {string|null} userId - Customer the order belongs to, or null for a guest order
+     * @param {Object} options - Credit note options
+     * @param {string} options.reason - Why the order was credited
+     * @param {Date} options.now - Issue time (defaults to now)
+     * @returns {Promise<Object>} Result with success status, message and the credit note
+     */
+    issueCreditNote(order, userId, options = {}) {
+        const now = options.now || new Date();
+        return this.issueInvoice(order, userId, now).then(invoiceResult => {
+            if (!invoiceResult.success) {
+                return invoiceResult;
+            }
+
+            const invoice = invoiceResult.document;
+            return this.issue('credit_note', {
+                orderId: invoice.orderId,
+                orderDate: invoice.orderDate,
+                userId: invoice.userId,
+                invoiceNumber: invoice.number,
+                reason: options.reason || this.getCreditReason(order),
+                buyer: invoice.buyer,
+                placeOfSupply: invoice.placeOfSupply,
+                supplyType: invoice.supplyType,
+                paymentMethod: invoice.paymentMethod,
+                lines: invoice.lines,
+                charges: invoice.charges,
+                taxSummary: invoice.taxSummary,
+                totals: invoice.totals,
+                pricesIncludeTax: invoice.pricesIncludeTax
+            }, now);
+        });
+    }
+
+    /**
+     * Issue whichever documents an order should have and does not have yet,
+     * for orders placed or cancelled before invoicing started
+     * @param {Object} order - Order
+     * @param {string|null} userId - Customer the order belongs to, or null for a guest order
+     * @returns {Promise<Array>} The order's documents
+     */
+    syncOrder(order, userId) {
+        const issued = this.needsCreditNote(order) ? this.issueCreditNote(order, userId) : this.issueInvoice(order, userId);
+        return issued.then(() => Promise.all([this.getInvoice(order.id), this.getCreditNote(order.id)]))
+            .then(documents => documents.filter(Boolean));
+    }
+
+    /**
+     * Check whether an order's invoice has to be reversed: it was cancelled, or returned
+     * for a refund (an exchange keeps the sale)
+     * @param {Object} order - Order
+     * @returns {boolean} Whether the order needs a credit note
+     */
+    needsCreditNote(order) {
+        const reached = status => (order.history || []).some(event => event.status === status) || order.status === status;
+        const isExchange = order.returnRequest && order.returnRequest.type === 'exchange';
+        return reached('cancelled') || (reached('returned') && !isExchange);
+    }
+
+    /**
+     * Check whether the shopper on this page may see a document
+     * @param {Object} doc - Invoice or credit note
+     * @returns {boolean} Whether it belongs to them, or they are an administrator
+     */
+    canView(doc) {
+        if (typeof auth === 'undefined' || !auth.isLoggedIn()) {
+            return doc.userId === null;
+        }
+        return doc.userId === auth.getCurrentUser().id || auth.isAdmin();
+    }
+
+    /**
+     * Number and save a new document, unless the order already has one of that type
+     * @param {string} type - 'invoice' or 'credit_note'
+     * @param {Object} fields - Document contents
+     * @param {Date} now - Issue time
+     * @returns {Promise<Object>} Result with success status, message and the document
+     */
+    issue(type, fields, now) {
+        const contents = { ...fields, seller: { ...this.seller } };
+        const issued = this.repository.adapter.post
+            ? this.repository.adapter.post('documents/issue', { type, fields: contents })
+            : this.issueLocally(type, contents, now);
+
+        return issued.then(({ document, issued: isNew }) => ({
+            success: true,
+            message: `${this.getTitle(document)} ${document.number} ${isNew ? 'issued' : 'was already issued'}`,
+            document
+        })).catch(error => {
+            console.error(`Error issuing ${this.series[type].title.toLowerCase()}:`, error);
+            return { success: false, message: `The ${this.series[type].title.toLowerCase()} could not be issued. Please try again.` };
+        });
+    }
+
+    /**
+     * Number and save a new document in local storage. The number is taken from the latest copy
+     * of the series counter; it is only left unused if another tab issues the same document at
+     * the same moment.
+     * @param {string} type - 'invoice' or 'credit_note'
+     * @param {Object} fields - Document contents
+     * @param {Date} now - Issue time
+     * @returns {Promise<Object>} { document, issued: false when it had already been issued }
+     */
+    issueLocally(type, fields, now) {
+        const id = this.getDocumentId(type, fields.orderId);
+
+        return this.repository.get(id).then(existing => {
+            if (existing) {
+                return { document: existing, issued: false };
+            }
+
+            const financialYear = this.getFinancialYear(now);
+            const counterKey = `${type}:${financialYear}`;
+            return this.counters.update(counterKey, counter => ({ id: counterKey, value: ((counter && counter.value) || 0) + 1 }))
+                .then(counter => {
+                    const doc = {
+                        ...fields,
+                        id,
+                        type,
+                        number: this.formatNumber(type, financialYear, counter.value),
+                        financialYear,
+                        sequence: counter.value,
+                        issuedAt: now.toISOString()
+                    };
+                    // Another tab may have issued the order's document in the meantime
+                    return this.repository.update(id, current => (current ? undefined : doc))
+                        .then(saved => ({ document: saved, issued: saved.number === doc.number }));
+                });
+        });
+    }
+
+    /**
+     * Get the financial year a moment falls in, in Indian Standard Time whatever the device's time zone
+     * @param {Date} date - Moment
+     * @returns {string} Year such as '2026-27'
+     */
+    getFinancialYear(date) {
+        const ist = new Date(date.getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+        const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+        return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+    }
+
+    /**
+     * Build a document number
+     * @param {string} type - 'invoice' or 'credit_note'
+     * @param {string} financialYear - Financial year such as '2026-27'
+     * @param {number} sequence - Position in the year's series
+     * @returns {string} Number such as 'LUN/26-27/00001'
+     */
+    formatNumber(type, financialYear, sequence) {
+        return `${this.series[type].prefix}/${financialYear.slice(2)}/${String(sequence).padStart(INVOICE_NUMBER_DIGITS, '0')}`;
+    }
+
+    /**
+     * Get the heading of a document
+     * @param {Object} doc - Invoice or credit note
+     * @returns {string} Title such as 'Tax Invoice'
+     */
+    getTitle(doc) {
+        return this.series[doc.type].title;
+    }
+
+    /**
+     * Build the invoice lines of an order with the amounts charged at checkout.
+     * Orders placed before HSN-wise GST have the tax worked out on the amount charged.
+     * @param {Object} order - Order
+     * @param {string|null} placeOfSupply - Delivery state code
+     * @returns {Array} Lines
+     */
+    buildLines(order, placeOfSupply) {
+        return order.items.map(item => {
+            const quantity = parseInt(item.quantity) || 1;
+            let line = item.pricing || {
+                quantity,
+                unitPrice: Number(item.price) || 0,
+                amount: (Number(item.price) || 0) * quantity,
+                offerDiscount: 0,
+                couponDiscount: 0,
+                category: item.category,
+                hsn: item.hsn
+            };
+            if (!line.hsn || line.total === undefined) {
+                line = { ...line, ...taxCalculator.calculateLine(line, line.amount - line.offerDiscount - line.couponDiscount, placeOfSupply) };
+            }
+
+            return {
+                description: item.name,
+                variantLabel: item.variantLabel || '',
+                sku: item.sku || '',
+                hsn: line.hsn,
+                quantity: line.quantity,
+                unitPrice: line.unitPrice,
+                discount: line.offerDiscount + line.couponDiscount,
+                taxableValue: line.taxableValue,
+                taxRate: line.taxRate,
+                cgst: line.cgst,
+                sgst: line.sgst,
+                igst: line.igst,
+                tax: line.tax,
+                total: line.total
+            };
+        });
+    }
+
+    /**
+     * Build the delivery and packaging charges of an order, with the GST worked out when it
+     * was priced. Orders priced before charges were taxed keep them as they were, and older
+     * orders without a price breakdown show whatever the order total has on top of its lines.
+     * @param {Object} order - Order
+     * @param {Array} lines - Invoice lines
+     * @returns {Array} Charges of { label, amount }, with the GST fields of a line when taxed
+     */
+    buildCharges(order, lines) {
+        if (order.pricing && order.pricing.charges) {
+            return order.pricing.charges.map(charge => ({
+                label: INVOICE_CHARGE_LABELS[charge.type] || charge.type,
+                hsn: charge.hsn,
+                taxableValue: charge.taxableValue,
+                taxRate: charge.taxRate,
+                cgst: charge.cgst,
+                sgst: charge.sgst,
+                igst: charge.igst,
+                tax: charge.tax,
+                amount: charge.total
+            }));
+        }
+        if (order.pricing) {
+            return [
+                { label: 'Delivery charge', amount: order.pricing.deliveryCharge || 0 },
+                { label: 'Packaging fee', amount: order.pricing.packagingFee || 0 }
+            ].filter(charge => charge.amount > 0);
+        }
+
+        const remainder = (Number(order.total) || 0) - lines.reduce((sum, line) => sum + line.total, 0);
+        return remainder > 0 ? [{ label: 'Delivery and packaging', amount: remainder }] : [];
+    }
+
+    /**
+     * Add up a document's amounts
+     * @param {Array} lines - Invoice lines
+     * @param {Array} charges - Charges
+     * @returns {Object} Taxable value and GST split of the lines and taxed charges, the charges
+     *     without GST, and grand total
+     */
+    getTotals(lines, charges) {
+        const taxed = [...lines, ...charges.filter(charge => this.isTaxed(charge))];
+        const sum = field => taxed.reduce((total, row) => total + (row[field] || 0), 0);
+        const untaxedCharges = charges.filter(charge => !this.isTaxed(charge)).reduce((total, charge) => total + charge.amount, 0);
+        const chargeTotal = charges.reduce((total, charge) => total + charge.amount, 0);
+
+        return {
+            taxableValue: sum('taxableValue'),
+            cgst: sum('cgst'),
+            sgst: sum('sgst'),
+            igst: sum('igst'),
+            tax: sum('tax'),
+            charges: untaxedCharges,
+            total: lines.reduce((total, line) => total + (line.total || 0), 0) + chargeTotal
+        };
+    }
+
+    /**
+     * @param {Object} charge - Document charge
+     * @returns {boolean} Whether GST was worked out on the charge
+     */
+    isTaxed(charge) {
+        return charge.taxRate !== undefined;
+    }
+
+    /**
+     * Get the buyer shown on a document
+     * @param {Object} order - Order, optionally with the customer details given at checkout
+     * @param {string|null} userId - Customer the order belongs to
+     * @returns {Object} Name, email, phone and address
+     */
+    getBuyer(order, userId) {
+        const profile = userId && typeof auth !== 'undefined' ? auth.getUserProfile(userId) : null;
+        const customer = order.customer || {};
+
+        return {
+            name: customer.name || (profile && profile.name) || 'Customer',
+            email: customer.email || (profile && profile.email) || '',
+            phone: customer.phone || (profile && profile.phone) || '',
+            address: order.deliveryAddress || ''
+        };
+    }
+
+    /**
+     * Get the delivery state of an order. Older orders only have it inside the address text.
+     * @param {Object} order - Saved order
+     * @returns {string|null} State code
+     */
+    getPlaceOfSupply(order) {
+        if (order.deliveryState) {
+            return order.deliveryState;
+        }
+        const match = /, ([A-Z]{2}) - \d{6}$/.exec(order.deliveryAddress || '');
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Describe why an order was credited
+     * @param {Object} order - Cancelled or returned order
+     * @returns {string} Reason
+     */
+    getCreditReason(order) {
+        const event = [...(order.history || [])].reverse()
+            .find(candidate => candidate.status === 'cancelled' || candidate.status === 'return_requested');
+        const base = order.history && order.history.some(candidate => candidate.status === 'cancelled')
+            ? 'Order cancelled'
+            : 'Goods returned';
+        return event && event.reason ? `${base}: ${event.reason}` : base;
+    }
+
+    /**
+     * Check whether the prices on a document include GST. Documents issued before this was
+     * recorded follow the current setting of the tax calculator.
+     * @param {Object} doc - Invoice or credit note
+     * @returns {boolean} Whether prices include GST
+     */
+    pricesIncludeTax(doc) {
+        return doc.pricesIncludeTax !== undefined ? doc.pricesIncludeTax : taxCalculator.pricesIncludeTax;
+    }
+
+    /**
+     * Open a document on the invoice page with the print dialog, to save it as a PDF. The browser
+     * draws the page, so the rupee sign and Tamil or Hindi names print as they show on screen.
+     * @param {string} orderId - Order ID
+     * @param {string} type - 'invoice' or 'credit_note'
+     */
+    downloadPdf(orderId, type) {
+        window.open(`invoice.html?orderId=${encodeURIComponent(orderId)}&type=${type}&print=1`, '_blank');
+    }
+
+    /**
+     * Get the file name of a document's PDF
+     * @param {Object} doc - Invoice or credit note
+     * @returns {string} File name such as 'Lunsara_Tax_Invoice_LUN-26-27-00001.pdf'
+     */
+    getFileName(doc) {
+        return `Lunsara_${this.getTitle(doc).replace(/\s+/g, '_')}_${doc.number.replace(/\//g, '-')}.pdf`;
+    }
+}
+
+// Create global invoice manager instance
+const invoicing = new InvoiceManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InvoiceManager, INVOICE_SERIES };
+}
+
+// Make invoice manager available globally
+window.InvoiceManager = InvoiceManager;
+window.invoicing = invoicing;
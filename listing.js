@@ -0,0 +1,485 @@
+/**
+ * Product Listing Module for Lunsara
+ * Shared product grid, filters, wishlist and cart behaviour for the category pages.
+ * Requires catalog.js, inventory.js, reviews.js, filters.js and analytics.js to be loaded first.
+ */
+
+/**
+ * Creates a filter engine that rates and ranks products by their customer reviews.
+ * @param {Array<string>} facets - Product attributes offered as facets (defaults to the engine's).
+ * @returns {ProductFilterEngine} Filter engine.
+ */
+function createFilterEngine(facets) {
+    return new ProductFilterEngine({
+        facets,
+        isInStock: product => catalog.isInStock(product),
+        getRating: product => reviews.getAverageRating(product.id),
+        getReviewCount: product => reviews.getReviewCount(product.id)
+    });
+}
+
+// Listing state shared by the filter controls on the current page
+let filterEngine = createFilterEngine();
+let listingSource = null;
+let listingParams = {};
+let filterState = filterEngine.createState();
+
+/**
+ * Loads the catalog and renders the products of a category into the grid,
+ * applying any filters bookmarked in the page URL.
+ * @param {string} categoryId - Catalog category to display (e.g. 'silk-sarees'), or null with options.getProducts.
+ * @param {Object} options - Listing options.
+ * @param {Function} options.getProducts - Returns the products to list, in relevance order.
+ * @param {Array<string>} options.facets - Product attributes offered as facets.
+ * @param {Object} options.params - Extra URL parameters to keep when filters change (e.g. the search query).
+ * @param {Object} options.list - ID and name of the list reported to analytics (defaults to the category).
+ * @returns {Promise<Array>} The rendered products.
+ */
+function initializeListingPage(categoryId, options = {}) {
+    if (options.facets) {
+        filterEngine = createFilterEngine(options.facets);
+    }
+    listingParams = options.params || {};
+    filterState = filterEngine.fromQueryString(window.location.search);
+
+    return catalog.load()
+        .then(() => {
+            listingSource = options.getProducts || (() => catalog.getProductsByCategory(categoryId));
+            syncFilterControls(filterState);
+            const displayedProducts = renderFilteredProducts();
+
+            const category = categoryId ? catalog.getCategory(categoryId) : null;
+            const list = options.list || { id: categoryId, name: category ? category.name : categoryId };
+            analytics.trackList(list.id, list.name, displayedProducts);
+            return displayedProducts;
+        })
+        .catch(() => {
+            const productsGrid = document.getElementById('productsGrid');
+            if (productsGrid) {
+                productsGrid.innerHTML = `
+                    <div style="grid-column: 1 / -1; text-align: center; padding: 40px;">
+                        <h3 style="color: #666; margin-bottom: 10px;">Unable to load products</h3>
+                        <p style="color: #999;">Please refresh the page to try again</p>
+                    </div>
+                `;
+            }
+            return [];
+        });
+}
+
+/**
+ * Gets the products the current listing page filters over.
+ * @returns {Array} Catalog products.
+ */
+function getListingProducts() {
+    return listingSource ? listingSource() : [];
+}
+
+/**
+ * Applies the current filter state to the grid, facet counts and result count.
+ * @returns {Array} The displayed products.
+ */
+function renderFilteredProducts() {
+    const products = getListingProducts();
+    const filteredProducts = filterEngine.apply(products, filterState);
+
+    renderProductGrid(filteredProducts);
+    updateFacetCounts(filterEngine.getFacetCounts(products, filterState));
+
+    const resultsCount = document.getElementById('results-count');
+    if (resultsCount) {
+        resultsCount.textContent = i18n.t('listing.showing', { shown: filteredProducts.length, total: products.length });
+    }
+
+    return filteredProducts;
+}
+
+/**
+ * Reads the sidebar controls into a filter state.
+ * @returns {Object} Filter state.
+ */
+function readFilterControls() {
+    const state = filterEngine.createState({ sort: filterState.sort });
+    const toNumber = value => (value === '' || isNaN(parseFloat(value)) ? null : parseFloat(value));
+
+    document.querySelectorAll('input[data-facet]:checked').forEach(input => {
+        const facet = input.dataset.facet;
+        if (state.selections[facet]) {
+            state.selections[facet].push(input.dataset.value);
+        }
+    });
+
+    document.querySelectorAll('input[data-facet-mode]:checked').forEach(input => {
+        state.modes[input.dataset.facetMode] = 'all';
+    });
+
+    const minRating = document.querySelector('input[name="min-rating"]:checked');
+    state.minRating = minRating ? toNumber(minRating.value) : null;
+    state.inStockOnly = Boolean(document.getElementById('in-stock-only')?.checked);
+    state.minPrice = toNumber(document.getElementById('minPrice')?.value || '');
+    state.maxPrice = toNumber(document.getElementById('maxPrice')?.value || '');
+
+    return state;
+}
+
+/**
+ * Updates the sidebar controls to reflect a filter state.
+ * @param {Object} state - Filter state.
+ */
+function syncFilterControls(state) {
+    document.querySelectorAll('input[data-facet]').forEach(input => {
+        const selected = state.selections[input.dataset.facet] || [];
+        input.checked = selected.includes(input.dataset.value);
+    });
+
+    document.querySelectorAll('input[data-facet-all]').forEach(input => {
+        const selected = state.selections[input.dataset.facetAll] || [];
+        input.checked = selected.length === 0;
+    });
+
+    document.querySelectorAll('input[data-facet-mode]').forEach(input => {
+        input.checked = state.modes[input.dataset.facetMode] === 'all';
+    });
+
+    const ratingInput = document.querySelector(`input[name="min-rating"][value="${state.minRating === null ? '' : state.minRating}"]`);
+    if (ratingInput) ratingInput.checked = true;
+
+    const inStockOnly = document.getElementById('in-stock-only');
+    if (inStockOnly) inStockOnly.checked = state.inStockOnly;
+
+    const minPrice = document.getElementById('minPrice');
+    const maxPrice = document.getElementById('maxPrice');
+    if (minPrice) minPrice.value = state.minPrice === null ? '' : state.minPrice;
+    if (maxPrice) maxPrice.value = state.maxPrice === null ? '' : state.maxPrice;
+
+    const sortSelect = document.getElementById('sort-select');
+    if (sortSelect) sortSelect.value = state.sort;
+}
+
+/**
+ * Shows the number of matching products next to each facet option.
+ * @param {Object} counts - Facet counts from ProductFilterEngine.getFacetCounts.
+ */
+function updateFacetCounts(counts) {
+    document.querySelectorAll('input[data-facet]').forEach(input => {
+        const label = document.querySelector(`label[for="${input.id}"]`);
+        if (!label) return;
+
+        let countElement = label.querySelector('.facet-count');
+        if (!countElement) {
+            countElement = document.createElement('span');
+            countElement.className = 'facet-count';
+            label.appendChild(countElement);
+        }
+        countElement.textContent = `(${(counts[input.dataset.facet] || {})[input.dataset.value] || 0})`;
+    });
+}
+
+/**
+ * Writes the filter state into the page URL so the view can be bookmarked and shared.
+ */
+function updateFilterUrl() {
+    const params = new URLSearchParams(listingParams);
+    new URLSearchParams(filterEngine.toQueryString(filterState)).forEach((value, key) => params.set(key, value));
+    const queryString = params.toString();
+    const url = `${window.location.pathname}${queryString ? `?${queryString}` : ''}`;
+    window.history.replaceState(null, '', url);
+}
+
+/**
+ * Applies the filters selected in the sidebar.
+ */
+function applyAllFilters() {
+    filterState = readFilterControls();
+    syncFilterControls(filterState);
+    updateFilterUrl();
+    renderFilteredProducts();
+}
+
+/**
+ * Changes the sort order of the listing.
+ * @param {string} sortKey - One of SORT_OPTIONS.
+ */
+function changeSort(sortKey) {
+    filterState.sort = SORT_OPTIONS[sortKey] ? sortKey : 'relevance';
+    updateFilterUrl();
+    renderFilteredProducts();
+}
+
+/**
+ * Keeps each "All ..." checkbox exclusive with the specific options of its facet.
+ * Checking "All Categories" also resets every other facet.
+ */
+function setupCheckboxBehavior() {
+    document.querySelectorAll('input[data-facet-all]').forEach(allCheckbox => {
+        const facet = allCheckbox.dataset.facetAll;
+
+        allCheckbox.addEventListener('change', function() {
+            if (!this.checked) return;
+
+            const resetFacets = facet === 'collections'
+                ? Array.from(document.querySelectorAll('input[data-facet-all]')).map(input => input.dataset.facetAll)
+                : [facet];
+
+            resetFacets.forEach(resetFacet => {
+                document.querySelectorAll(`input[data-facet="${resetFacet}"]`).forEach(input => {
+                    input.checked = false;
+                });
+                const resetAll = document.querySelector(`input[data-facet-all="${resetFacet}"]`);
+                if (resetAll) resetAll.checked = true;
+            });
+            // Don't apply filters immediately - wait for user to click Apply button
+        });
+    });
+
+    document.querySelectorAll('input[data-facet]').forEach(input => {
+        input.addEventListener('change', function() {
+            const allCheckbox = document.querySelector(`input[data-facet-all="${this.dataset.facet}"]`);
+            if (!allCheckbox) return;
+
+            const anySelected = document.querySelectorAll(`input[data-facet="${this.dataset.facet}"]:checked`).length > 0;
+            allCheckbox.checked = !anySelected;
+        });
+    });
+}
+
+// Restore filters when navigating back/forward between filtered views
+window.addEventListener('popstate', () => {
+    if (!listingSource) return;
+    filterState = filterEngine.fromQueryString(window.location.search);
+    syncFilterControls(filterState);
+    renderFilteredProducts();
+});
+
+/**
+ * Renders a list of products into the products grid.
+ * @param {Array} products - Catalog products to display.
+ */
+function renderProductGrid(products) {
+    const productsGrid = document.getElementById('productsGrid');
+    if (!productsGrid) return;
+
+    if (products.length === 0) {
+        productsGrid.innerHTML = `
+            <div style="grid-column: 1 / -1; text-align: center; padding: 40px;">
+                <h3 style="color: #666; margin-bottom: 10px;">${i18n.t('listing.noMatches')}</h3>
+                <p style="color: #999;">${i18n.t('listing.adjustFilters')}</p>
+            </div>
+        `;
+        return;
+    }
+
+    productsGrid.innerHTML = products.map(createProductCard).join('');
+    initializeWishlistButtons();
+}
+
+/**
+ * Builds the markup for a single product card.
+ * @param {Object} product - Catalog product.
+ * @returns {string} Product card HTML.
+ */
+function createProductCard(product) {
+    const discount = catalog.getDiscountPercent(product);
+    const stock = inventory.getStockStatus(product);
+    const inStock = stock.status !== 'out_of_stock';
+    const rating = reviews.getSummary(product.id);
+    const name = i18n.getProductText(product, 'name');
+
+    return `
+        <div class="product-card" data-product-id="${product.id}" onclick="viewProduct('${product.id}')">
+            <div class="product-image">
+                <img src="${catalog.getPrimaryImage(product)}" alt="${name}">
+                <button class="wishlist-btn" data-product-id="${product.id}" onclick="toggleWishlist(event, '${product.id}')">
+                    <i class="far fa-heart"></i>
+                </button>
+                ${inStock ? `
+                <button class="add-to-cart-btn" onclick="addToCart(event, '${product.id}')">
+                    ${i18n.t('listing.addToCart')}
+                </button>` : `
+                <div class="out-of-stock-badge">${i18n.t('stock.outOfStock')}</div>`}
+            </div>
+            <div class="product-info">
+                <div class="product-brand">${product.brand}</div>
+                <div class="product-name">${name}</div>
+                <div class="product-details">${i18n.getProductText(product, 'description')}</div>
+                ${rating.count > 0 ? `
+                <div class="product-rating-summary">
+                    <span class="rating-badge">${rating.average.toFixed(1)} <i class="fas fa-star"></i></span>
+                    <span class="rating-total">(${i18n.formatNumber(rating.count)})</span>
+                </div>` : ''}
+                <div class="price-section">
+                    <span class="current-price">${catalog.formatPrice(product.price)}</span>
+                    ${discount > 0 ? `
+                    <span class="original-price">${catalog.formatPrice(product.mrp)}</span>
+                    <span class="discount">${i18n.t('listing.percentOff', { percent: discount })}</span>` : ''}
+                </div>
+                ${stock.status === 'low_stock' ? `<div class="low-stock-note">${stock.label}</div>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Opens the detail page of a product.
+ * @param {string} productId - Catalog product ID.
+ */
+function viewProduct(productId) {
+    if (catalog.getProduct(productId)) {
+        window.location.href = catalog.getProductUrl(productId);
+    }
+}
+
+/**
+ * Adds the default variant of a product from the grid to the cart.
+ * @param {Event} event - Click event from the card button.
+ * @param {string} productId - Catalog product ID.
+ */
+function addToCart(event, productId) {
+    event.stopPropagation();
+    if (!catalog.getProduct(productId)) return;
+
+    // The cart service saves the line and announces it with cartUpdated
+    const result = cartService.addItem(productId);
+
+    if (!result.success) {
+        showNotification(i18n.t('stock.outOfStock'), result.message, 'fas fa-box-open', 'info');
+        return;
+    }
+
+    showNotification(i18n.t('listing.addedToCart'), result.message, 'fas fa-shopping-cart', 'success');
+}
+
+/**
+ * Toggles a product in the watchlist from its card.
+ * @param {Event} event - Click event from the heart button.
+ * @param {string} productId - Catalog product ID.
+ */
+function toggleWishlist(event, productId) {
+    event.stopPropagation();
+    const button = event.currentTarget;
+    const icon = button.querySelector('i');
+    button.classList.add('clicked');
+    setTimeout(() => button.classList.remove('clicked'), 300);
+
+    const result = wishlist.toggleProduct(productId);
+    if (!result.success) return;
+
+    icon.classList.toggle('fas', result.added);
+    icon.classList.toggle('far', !result.added);
+    button.classList.toggle('favorited', result.added);
+    updateWatchlistCount();
+
+    if (result.added) {
+        showNotification(i18n.t('listing.addedToWishlist'), result.message, 'fas fa-heart', 'success');
+    } else {
+        showNotification(i18n.t('listing.removedFromWishlist'), result.message, 'fas fa-trash-alt', 'info');
+    }
+}
+
+/**
+ * Marks the heart button of every product in a wishlist, and unmarks the rest.
+ */
+function initializeWishlistButtons() {
+    document.querySelectorAll('.wishlist-btn[data-product-id]').forEach(button => {
+        const saved = wishlist.hasProduct(button.dataset.productId);
+        const icon = button.querySelector('i');
+        icon.classList.toggle('fas', saved);
+        icon.classList.toggle('far', !saved);
+        button.classList.toggle('favorited', saved);
+    });
+}
+
+// Wishlists change on login, logout and in other tabs
+window.addEventListener('watchlistUpdated', initializeWishlistButtons);
+
+// Stock changes when orders are placed or cancelled, and ratings when reviews are written,
+// here or in other tabs
+['inventoryUpdated', 'reviewsUpdated'].forEach(eventName => {
+    window.addEventListener(eventName, () => {
+        if (listingSource) renderFilteredProducts();
+    });
+});
+
+/**
+ * Updates the watchlist and cart counts in the status bar.
+ */
+function updateWatchlistCount() {
+    const badge = document.getElementById('status-watchlist-text');
+    if (badge) {
+        badge.textContent = `(${wishlist.getItemCount()})`;
+    }
+
+    const totalCartItems = cartService.getItemCount();
+    const cartBadge = document.getElementById('status-cart-text');
+    if (cartBadge) {
+        cartBadge.textContent = `(${totalCartItems})`;
+    }
+}
+
+/**
+ * Shows a toast notification in the top-right corner.
+ * @param {string} title - Notification heading.
+ * @param {string} message - Notification body.
+ * @param {string} iconClass - Font Awesome icon classes.
+ * @param {string} type - 'success' or 'info'.
+ */
+function showNotification(title, message, iconClass, type = 'success') {
+    const existingNotification = document.getElementById('dynamic-notification');
+    if (existingNotification) {
+        existingNotification.remove();
+    }
+
+    const styles = {
+        success: {
+            background: 'linear-gradient(135deg, #27ae60, #2ecc71)',
+            boxShadow: '0 8px 25px rgba(39, 174, 96, 0.3)',
+            borderColor: '#219a52',
+            iconColor: '#2ecc71'
+        },
+        info: {
+            background: 'linear-gradient(135deg, #e74c3c, #c0392b)',
+            boxShadow: '0 8px 25px rgba(231, 76, 60, 0.3)',
+            borderColor: '#b33525',
+            iconColor: '#e74c3c'
+        }
+    };
+    const currentStyle = styles[type] || styles.success;
+
+    const notification = document.createElement('div');
+    notification.id = 'dynamic-notification';
+    notification.style.cssText = `
+        position: fixed; top: 100px; right: 20px; z-index: 10000;
+        background: ${currentStyle.background}; color: white;
+        padding: 1rem 1.2rem; border-radius: 20px;
+        box-shadow: ${currentStyle.boxShadow};
+        transform: translateX(120%); opacity: 0;
+        transition: all 0.4s cubic-bezier(0.175, 0.885, 0.32, 1.275);
+        min-width: 300px; max-width: 350px;
+        border-left: 4px solid ${currentStyle.borderColor};
+    `;
+
+    notification.innerHTML = `
+        <div style="display: flex; align-items: center; gap: 15px;">
+            <div style="font-size: 22px; color: ${currentStyle.iconColor}; background: white; width: 44px; height: 44px; border-radius: 50%; display: flex; align-items: center; justify-content: center; flex-shrink: 0;">
+                <i class="${iconClass}"></i>
+            </div>
+            <div style="flex: 1;">
+                <div style="font-weight: 600; font-size: 16px; margin-bottom: 4px;">${title}</div>
+                <div style="font-size: 14px; opacity: 0.9;">${message}</div>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(notification);
+
+    setTimeout(() => {
+        notification.style.transform = 'translateX(0)';
+        notification.style.opacity = '1';
+    }, 50);
+
+    setTimeout(() => {
+        notification.style.transform = 'translateX(120%)';
+        notification.style.opacity = '0';
+        setTimeout(() => notification.remove(), 400);
+    }, 3000);
+}
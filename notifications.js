@@ -0,0 +1,808 @@
+/**
+ * Notification Module for Lunsara
+ * Sends transactional messages (order confirmation, shipping, delivery, cancellation, refunds,
+ * password resets and the welcome message) and the reminders scheduled by reminders.js
+ * (abandoned carts, wishlist price drops and restocks) from templates, through pluggable channels.
+ *
+ * A channel has a `name` ('email', 'sms' or 'whatsapp'), a `label`, an `addressField`
+ * ('email' or 'phone') and send(message), resolving with { success, message, providerId }.
+ * Every message is kept in a delivery log; failed deliveries are retried with a growing delay.
+ * Customers choose which messages reach them on which channel in `profile.preferences.notifications`.
+ *
+ * Ships with OutboxChannel, which keeps messages on this device instead of sending them, for
+ * development and testing. Set the `notificationTransport` localStorage key to 'live' to send
+ * through EmailJS and the SMS and WhatsApp gateways configured in NOTIFICATION_CONFIG.
+ * Uses auth.js for recipients and preferences.
+ */
+
+const NOTIFICATIONS_STORAGE_KEY = 'notifications';
+const NOTIFICATION_OUTBOX_KEY = 'notificationOutbox';
+
+const NOTIFICATION_CONFIG = {
+    // 'outbox' keeps every message in the local outbox; 'live' sends them
+    transport: localStorage.getItem('notificationTransport') || 'outbox',
+    // EmailJS template with to_email, to_name, subject and message parameters
+    emailjs: {
+        serviceId: 'service_your_actual_service_id', // ⚠️ REPLACE: EmailJS Dashboard > Email Services
+        publicKey: 'your_actual_public_key', // ⚠️ REPLACE: EmailJS Dashboard > Account > General
+        templateId: 'template_your_actual_template_id', // ⚠️ REPLACE: EmailJS Dashboard > Email Templates
+        sdkUrl: 'https://cdn.jsdelivr.net/npm/@emailjs/browser@3/dist/email.min.js'
+    },
+    // Gateways that take a JSON POST of { to, text }
+    sms: { endpoint: localStorage.getItem('smsGatewayUrl') || '' },
+    whatsapp: { endpoint: localStorage.getItem('whatsappGatewayUrl') || '' },
+    supportEmail: 'support@lunsara.com'
+};
+
+const NOTIFICATION_SETTINGS = {
+    maxAttempts: 4,
+    // Wait before each retry; the last delay repeats if there are more attempts than delays
+    retryDelaysMs: [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000],
+    logLimit: 500
+};
+
+const NOTIFICATION_CHANNELS = {
+    email: 'Email',
+    sms: 'SMS',
+    whatsapp: 'WhatsApp'
+};
+
+// Kinds of message customers can turn on or off per channel.
+// Required categories always go out by email, whatever the preferences say.
+const NOTIFICATION_CATEGORIES = {
+    orders: { label: 'Order, delivery and refund updates', required: false },
+    account: { label: 'Account and security', required: true },
+    cart: { label: 'Reminders about items left in your cart', required: false },
+    wishlist: { label: 'Price drops and restocks on your wishlist', required: false }
+};
+
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+    email: { orders: true, account: true, cart: true, wishlist: true },
+    sms: { orders: false, account: false, cart: false, wishlist: false },
+    whatsapp: { orders: false, account: false, cart: false, wishlist: false }
+};
+
+// Outbox recipients (email or phone) that simulate failed deliveries
+const OUTBOX_TEST_RECIPIENTS = {
+    failure: ['bounce@lunsara.test', '9000000001'],
+    // Fails the first attempt, then succeeds on retry
+    flaky: ['flaky@lunsara.test', '9000000002']
+};
+
+// Message templates. Each gets the template data and the notification service (for
+// formatting helpers) and returns a subject, the full text, and a short text for SMS and WhatsApp.
+const NOTIFICATION_TEMPLATES = {
+    order_confirmation: {
+        category: 'orders',
+        subject: data => `Your Lunsara order ${data.order.id} is confirmed`,
+        text: (data, service) => [
+            `Hi ${data.name},`,
+            '',
+            `Thank you for shopping with Lunsara. We have received your order ${data.order.id}.`,
+            '',
+            ...service.getItemLines(data.order),
+            '',
+            `Total: ${service.formatAmount(data.order.total)}`,
+            data.order.deliveryAddress ? `Delivering to: ${data.order.deliveryAddress}` : null,
+            data.order.invoiceNumber ? `Invoice: ${data.order.invoiceNumber}` : null,
+            '',
+            `Track your order: ${service.getLink('profile.html')}`
+        ],
+        short: (data, service) =>
+            `Lunsara: order ${data.order.id} for ${service.formatAmount(data.order.total)} is confirmed. We will let you know when it ships.`
+    },
+    order_shipped: {
+        category: 'orders',
+        subject: data => `Your order ${data.order.id} has shipped`,
+        text: (data, service) => [
+            `Hi ${data.name},`,
+            '',
+            `Good news! Your order ${data.order.id} is on its way.`,
+            '',
+            ...service.getItemLines(data.order),
+            '',
+            data.order.shipment ? `Carrier: ${data.order.shipment.carrier}` : null,
+            data.order.shipment ? `Tracking number: ${data.order.shipment.trackingNumber}` : null,
+            `Track your order: ${service.getLink('profile.html')}`
+        ],
+        short: data =>
+            `Lunsara: order ${data.order.id} has shipped${data.order.shipment ? ` with ${data.order.shipment.carrier}, tracking ${data.order.shipment.trackingNumber}` : ''}.`
+    },
+    order_delivered: {
+        category: 'orders',
+        subject: data => `Your order ${data.order.id} has been delivered`,
+        text: (data, service) => [
+            `Hi ${data.name},`,
+            '',
+            `Your order ${data.order.id} has been delivered. We hope you love it!`,
+            '',
+            ...service.getItemLines(data.order),
+            '',
+            data.returnWindowDays ? `If something is not right, you can request a return within ${data.returnWindowDays} days.` : null,
+            `Review your purchase: ${service.getLink('profile.html')}`
+        ],
+        short: data => `Lunsara: order ${data.order.id} has been delivered. Enjoy!`
+    },
+    order_cancelled: {
+        category: 'orders',
+        subject: data => `Your order ${data.order.id} has been cancelled`,
+        text: (data, service) => [
+            `Hi ${data.name},`,
+            '',
+            `Your order ${data.order.id} has been cancelled${data.reason ? ` (${data.reason})` : ''}.`,
+            '',
+            ...service.getItemLines(data.order),
+            '',
+            data.refundDue ? `A refund of ${service.formatAmount(data.order.total)} will be processed to your original payment method.` : null
+        ],
+        short: (data, service) =>
+            `Lunsara: order ${data.order.id} has been cancelled.${data.refundDue ? ` Your refund of ${service.formatAmount(data.order.total)} will follow.` : ''}`
+    },
+    refund_issued: {
+        category: 'orders',
+        subject: data => `Refund issued for order ${data.order.id}`,
+        text: (data, service) => [
+            `Hi ${data.name},`,
+            '',
+            `We have refunded ${service.formatAmount(data.order.total)} for order ${data.order.id} to your original payment method.`,
+            'Depending on your bank, it can take 5-7 working days to appear in your account.',
+            data.order.creditNoteNumber ? `Credit note: ${data.order.creditNoteNumber}` : null
+        ],
+        short: (data, service) =>
+            `Lunsara: ${service.formatAmount(data.order.total)} for order ${data.order.id} has been refunded to your original payment method.`
+    },
+    password_reset: {
+        category: 'account',
+        subject: () => 'Reset your Lunsara password',
+        text: data => [
+            `Hi ${data.name},`,
+            '',
+            'We received a request to reset the password of your Lunsara account.',
+            `Open this link to choose a new password: ${data.resetLink}`,
+            `The link expires in ${data.expiresInMinutes} minutes.`,
+            '',
+            'If you did not ask for this, you can ignore this message; your password will not change.'
+        ],
+        short: data => `Lunsara: reset your password at ${data.resetLink} (expires in ${data.expiresInMinutes} minutes).`
+    },
+    welcome: {
+        category: 'account',
+        subject: () => 'Welcome to Lunsara',
+        text: (data, service) => [
+            `Hi ${data.name},`,
+            '',
+            'Welcome to Lunsara! Your account is ready.',
+            `Browse our silk sarees, printed sarees and lungis: ${service.getLink('index.html')}`,
+            '',
+            `Questions? Write to us at ${NOTIFICATION_CONFIG.supportEmail}.`
+        ],
+        short: () => 'Welcome to Lunsara! Your account is ready.'
+    },
+    abandoned_cart: {
+        category: 'cart',
+        subject: data => data.reminderNumber > 1 ? 'Your cart is still waiting for you' : 'You left something in your cart',
+        text: (data, service) => [
+            `Hi ${data.name},`,
+            '',
+            `You left ${data.items.length === 1 ? 'an item' : `${data.items.length} items`} in your Lunsara cart.`,
+            '',
+            ...service.getItemLines(data),
+            '',
+            `Total: ${service.formatAmount(data.total)}`,
+            `Pick up where you left off: ${data.restoreLink}`,
+            '',
+            `Don't want cart reminders? Unsubscribe: ${data.unsubscribeLink}`
+        ],
+        short: data => `Lunsara: your cart is waiting. Restore it in one click: ${data.restoreLink}`
+    },
+    wishlist_alert: {
+        category: 'wishlist',
+        subject: data => data.alerts.length > 1
+            ? `Good news about ${data.alerts.length} items on your wishlist`
+            : data.alerts[0].type === 'restock' ? `${data.alerts[0].name} is back in stock` : `Price drop on ${data.alerts[0].name}`,
+        text: (data, service) => [
+            `Hi ${data.name},`,
+            '',
+            'Something you saved on Lunsara has changed:',
+            '',
+            ...data.alerts.map(alert => alert.type === 'restock'
+                ? `${alert.name} is back in stock at ${service.formatAmount(alert.price)}: ${alert.link}`
+                : `${alert.name} is now ${service.formatAmount(alert.price)} (was ${service.formatAmount(alert.savedPrice)}): ${alert.link}`),
+            '',
+            `See your wishlist: ${service.getLink('watchlist.html')}`,
+            '',
+            `Don't want wishlist alerts? Unsubscribe: ${data.unsubscribeLink}`
+        ],
+        short: (data, service) => data.alerts.length > 1
+            ? `Lunsara: ${data.alerts.length} items on your wishlist dropped in price or are back in stock.`
+            : `Lunsara: ${data.alerts[0].name} is ${data.alerts[0].type === 'restock' ? 'back in stock' : `now ${service.formatAmount(data.alerts[0].price)}`}. ${data.alerts[0].link}`
+    }
+};
+
+// Order statuses that send a message, and the template they use
+const ORDER_STATUS_NOTIFICATIONS = {
+    placed: 'order_confirmation',
+    shipped: 'order_shipped',
+    delivered: 'order_delivered',
+    cancelled: 'order_cancelled',
+    refunded: 'refund_issued'
+};
+
+class OutboxChannel {
+    /**
+     * @param {Object} options - Channel options
+     * @param {string} options.name - Channel name ('email', 'sms' or 'whatsapp')
+     * @param {string} options.storageKey - localStorage key of the outbox
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'email';
+        this.label = `${NOTIFICATION_CHANNELS[this.name] || this.name} (outbox)`;
+        this.addressField = this.name === 'email' ? 'email' : 'phone';
+        this.storageKey = options.storageKey || NOTIFICATION_OUTBOX_KEY;
+        this.attempts = {};
+    }
+
+    /**
+     * Keep a message in the outbox
+     * @param {Object} message - { id, to, name, subject, text }
+     * @returns {Promise<Object>} Result with success status, message and the outbox ID
+     */
+    send(message) {
+        this.attempts[message.id] = (this.attempts[message.id] || 0) + 1;
+
+        if (OUTBOX_TEST_RECIPIENTS.failure.includes(message.to)) {
+            return Promise.resolve({ success: false, message: `${message.to} rejected the message` });
+        }
+        if (OUTBOX_TEST_RECIPIENTS.flaky.includes(message.to) && this.attempts[message.id] === 1) {
+            return Promise.resolve({ success: false, message: 'Temporary delivery failure' });
+        }
+
+        const outbox = this.getMessages();
+        const entry = {
+            id: `out_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            channel: this.name,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            sentAt: new Date().toISOString()
+        };
+        outbox.unshift(entry);
+        localStorage.setItem(this.storageKey, JSON.stringify(outbox.slice(0, NOTIFICATION_SETTINGS.logLimit)));
+
+        return Promise.resolve({ success: true, message: 'Saved to outbox', providerId: entry.id });
+    }
+
+    /**
+     * Get the messages in the outbox, of every channel
+     * @returns {Array} Messages, newest first
+     */
+    getMessages() {
+        return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+    }
+}
+
+class EmailJsChannel {
+    /**
+     * @param {Object} config - EmailJS settings (see NOTIFICATION_CONFIG.emailjs)
+     */
+    constructor(config = NOTIFICATION_CONFIG.emailjs) {
+        this.name = 'email';
+        this.label = 'Email (EmailJS)';
+        this.addressField = 'email';
+        this.config = config;
+        this.sdk = null;
+    }
+
+    /**
+     * @param {Object} message - { id, to, name, subject, text }
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    async send(message) {
+        try {
+            const emailjs = await this.loadSdk();
+            const response = await emailjs.send(this.config.serviceId, this.config.templateId, {
+                to_email: message.to,
+                to_name: message.name,
+                subject: message.subject,
+                message: message.text,
+                company_name: 'Lunsara',
+                support_email: NOTIFICATION_CONFIG.supportEmail
+            }, this.config.publicKey);
+            return { success: true, message: 'Email sent', providerId: response.text || '' };
+        } catch (error) {
+            return { success: false, message: (error && (error.text || error.message)) || 'Failed to send email' };
+        }
+    }
+
+    /**
+     * Load the EmailJS browser SDK the first time an email is sent
+     * @returns {Promise<Object>} The emailjs global
+     */
+    loadSdk() {
+        if (typeof window.emailjs !== 'undefined') {
+            return Promise.resolve(window.emailjs);
+        }
+        if (!this.sdk) {
+            this.sdk = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = this.config.sdkUrl;
+                script.onload = () => resolve(window.emailjs);
+                script.onerror = () => {
+                    this.sdk = null;
+                    reject(new Error('Email service is temporarily unavailable'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return this.sdk;
+    }
+}
+
+class WebhookChannel {
+    /**
+     * @param {Object} options - Channel options
+     * @param {string} options.name - Channel name ('sms' or 'whatsapp')
+     * @param {string} options.endpoint - Gateway URL that takes a JSON POST of { to, text }
+     */
+    constructor(options = {}) {
+        this.name = options.name;
+        this.label = NOTIFICATION_CHANNELS[this.name] || this.name;
+        this.addressField = 'phone';
+        this.endpoint = options.endpoint;
+    }
+
+    /**
+     * @param {Object} message - { id, to, short }
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    async send(message) {
+        if (!this.endpoint) {
+            return { success: false, message: `No ${this.label} gateway is configured` };
+        }
+
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ to: message.to, text: message.short, reference: message.id })
+            });
+            if (!response.ok) {
+                return { success: false, message: `${this.label} gateway responded with ${response.status}` };
+            }
+            return { success: true, message: `${this.label} sent` };
+        } catch (error) {
+            return { success: false, message: error.message };
+        }
+    }
+}
+
+class NotificationService {
+    /**
+     * @param {Object} options - Service options
+     * @param {Object} options.settings - Overrides for NOTIFICATION_SETTINGS
+     * @param {Object} options.templates - Message templates (defaults to NOTIFICATION_TEMPLATES)
+     * @param {string} options.storageKey - localStorage key of the delivery log
+     */
+    constructor(options = {}) {
+        this.settings = { ...NOTIFICATION_SETTINGS, ...(options.settings || {}) };
+        this.templates = options.templates || NOTIFICATION_TEMPLATES;
+        this.storageKey = options.storageKey || NOTIFICATIONS_STORAGE_KEY;
+        this.channels = {};
+        this.inFlight = new Set();
+        this.retryTimer = null;
+    }
+
+    /**
+     * Register the channel that delivers messages of its name, replacing any earlier one
+     * @param {Object} channel - Channel with name, label, addressField and send
+     */
+    registerChannel(channel) {
+        this.channels[channel.name] = channel;
+    }
+
+    /**
+     * Get the channel for a name
+     * @param {string} name - Channel name
+     * @returns {Object|null} Channel
+     */
+    getChannel(name) {
+        return this.channels[name] || null;
+    }
+
+    // ---- Preferences ----
+
+    /**
+     * Get a customer's notification preferences, filled in with the defaults
+     * @param {string|null} userId - User ID, or null for a guest
+     * @returns {Object} { [channel]: { [category]: boolean } }
+     */
+    getPreferences(userId) {
+        const user = userId && typeof auth !== 'undefined' ? auth.getUserProfile(userId) : null;
+        const saved = (user && user.profile && user.profile.preferences && user.profile.preferences.notifications) || {};
+
+        return Object.fromEntries(Object.keys(NOTIFICATION_CHANNELS).map(channel => [
+            channel,
+            Object.fromEntries(Object.keys(NOTIFICATION_CATEGORIES).map(category => {
+                const value = saved[channel] && typeof saved[channel][category] === 'boolean'
+                    ? saved[channel][category]
+                    : DEFAULT_NOTIFICATION_PREFERENCES[channel][category];
+                return [category, value];
+            }))
+        ]));
+    }
+
+    /**
+     * Save a customer's notification preferences
+     * @param {string} userId - User ID
+     * @param {Object} preferences - { [channel]: { [category]: boolean } }
+     * @returns {Object} Result with success status and message, and `saved`: a promise that rejects if the profile could not be saved
+     */
+    savePreferences(userId, preferences) {
+        const user = auth.getUserProfile(userId);
+        if (!user) {
+            return { success: false, message: 'User not found' };
+        }
+
+        const notificationPreferences = Object.fromEntries(Object.keys(NOTIFICATION_CHANNELS).map(channel => [
+            channel,
+            Object.fromEntries(Object.keys(NOTIFICATION_CATEGORIES).map(category => [
+                category,
+                (channel === 'email' && NOTIFICATION_CATEGORIES[category].required) ||
+                    Boolean(preferences[channel] && preferences[channel][category])
+            ]))
+        ]));
+
+        const enablesPhone = Object.keys(NOTIFICATION_CHANNELS)
+            .some(channel => channel !== 'email' && Object.values(notificationPreferences[channel]).some(Boolean));
+        if (enablesPhone && !user.phone) {
+            return { success: false, message: 'Add a phone number to your profile to get SMS or WhatsApp messages' };
+        }
+
+        const profile = user.profile || {};
+        const result = auth.updateUserProfile(userId, {
+            profile: { ...profile, preferences: { ...(profile.preferences || {}), notifications: notificationPreferences } }
+        });
+        return result.success ? { success: true, message: 'Notification preferences saved', saved: result.saved } : result;
+    }
+
+    /**
+     * Choose the channels a message goes out on
+     * @param {string} category - Template category
+     * @param {Object} preferences - Preferences from getPreferences
+     * @returns {Array} Channel names
+     */
+    getChannelsFor(category, preferences) {
+        return Object.keys(NOTIFICATION_CHANNELS).filter(channel =>
+            (channel === 'email' && NOTIFICATION_CATEGORIES[category].required) || preferences[channel][category]);
+    }
+
+    // ---- Sending ----
+
+    /**
+     * Render a template
+     * @param {string} event - Template name
+     * @param {Object} data - Template data; `name` is the recipient's name
+     * @returns {Object|null} { subject, text, short }, or null for an unknown template
+     */
+    render(event, data) {
+        const template = this.templates[event];
+        if (!template) {
+            return null;
+        }
+
+        return {
+            subject: template.subject(data, this),
+            // Templates give null for optional lines that do not apply
+            text: template.text(data, this).filter(line => line !== null).join('\n'),
+            short: template.short(data, this)
+        };
+    }
+
+    /**
+     * Send a templated message on every channel the recipient has chosen for it.
+     * Deliveries that fail are retried later; see processQueue.
+     * @param {string} event - Template name
+     * @param {Object} recipient - { userId, name, email, phone }; userId is null for guests
+     * @param {Object} data - Template data
+     * @param {Object} options - { reference: order or other ID the message is about }
+     * @returns {Promise<Object>} Result with success status, message and the logged notifications
+     */
+    async send(event, recipient, data = {}, options = {}) {
+        const template = this.templates[event];
+        if (!template) {
+            return { success: false, message: `Unknown notification "${event}"`, notifications: [] };
+        }
+
+        const content = this.render(event, { ...data, name: recipient.name || 'Customer' });
+        const preferences = this.getPreferences(recipient.userId || null);
+        const now = new Date().toISOString();
+
+        const channelNames = this.getChannelsFor(template.category, preferences);
+        if (channelNames.length === 0) {
+            return { success: false, message: 'The customer has turned off these messages', notifications: [] };
+        }
+
+        const entries = channelNames
+            .map(channelName => ({ channelName, channel: this.getChannel(channelName) }))
+            .filter(({ channel }) => channel && recipient[channel.addressField])
+            .map(({ channelName, channel }) => ({
+                id: `ntf_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+                event,
+                channel: channelName,
+                userId: recipient.userId || null,
+                to: String(recipient[channel.addressField]).trim(),
+                name: recipient.name || 'Customer',
+                reference: options.reference || null,
+                ...content,
+                status: 'pending',
+                attempts: 0,
+                createdAt: now,
+                updatedAt: now,
+                nextAttemptAt: now,
+                sentAt: null,
+                lastError: null
+            }));
+
+        if (entries.length === 0) {
+            return { success: false, message: 'There is no way to reach this customer', notifications: [] };
+        }
+
+        this.writeLog([...entries, ...this.readLog()]);
+        const delivered = await Promise.all(entries.map(entry => this.deliver(entry.id)));
+
+        // A message waiting to be retried has not failed yet
+        const success = delivered.some(entry => entry && entry.status !== 'failed');
+        return {
+            success,
+            message: success ? 'Notification sent' : delivered[0].lastError,
+            notifications: delivered
+        };
+    }
+
+    /**
+     * Send a message about an order's current status, if that status has one
+     * @param {Object} order - Order
+     * @param {string|null} userId - Owner of the order, or null for a guest order
+     * @returns {Promise<Object>|null} Send result, or null when the status sends nothing
+     */
+    notifyOrderStatus(order, userId) {
+        const event = ORDER_STATUS_NOTIFICATIONS[order.status];
+        if (!event) {
+            return null;
+        }
+
+        const lastEvent = order.history[order.history.length - 1] || {};
+        const data = {
+            order,
+            reason: lastEvent.reason,
+            refundDue: order.status === 'cancelled' && typeof orderManager !== 'undefined' && orderManager.isPrepaid(order),
+            returnWindowDays: typeof ORDER_RULES !== 'undefined' ? ORDER_RULES.returnWindowDays : null
+        };
+        return this.send(event, this.getOrderRecipient(order, userId), data, { reference: order.id });
+    }
+
+    /**
+     * Work out who to tell about an order: the account holder, or the guest's checkout details
+     * @param {Object} order - Order
+     * @param {string|null} userId - Owner of the order
+     * @returns {Object} { userId, name, email, phone }
+     */
+    getOrderRecipient(order, userId) {
+        const user = userId && typeof auth !== 'undefined' ? auth.getUserProfile(userId) : null;
+        const customer = order.customer || {};
+
+        return {
+            userId: userId || null,
+            name: (user && user.name) || customer.name || 'Customer',
+            email: (user && user.email) || customer.email || '',
+            phone: (user && user.phone) || customer.phone || ''
+        };
+    }
+
+    /**
+     * Try to deliver a logged message once
+     * @param {string} id - Notification ID
+     * @param {Date} now - Current time
+     * @returns {Promise<Object|null>} Updated log entry
+     */
+    async deliver(id, now = new Date()) {
+        const entry = this.getNotification(id);
+        if (!entry || entry.status !== 'pending' || this.inFlight.has(id)) {
+            return entry;
+        }
+
+        const channel = this.getChannel(entry.channel);
+        this.inFlight.add(id);
+        let result;
+        try {
+            result = channel ? await channel.send(entry) : { success: false, message: `No ${entry.channel} channel is set up` };
+        } catch (error) {
+            result = { success: false, message: error.message };
+        } finally {
+            this.inFlight.delete(id);
+        }
+
+        const attempts = entry.attempts + 1;
+        const changes = { attempts, updatedAt: now.toISOString() };
+        if (result.success) {
+            Object.assign(changes, { status: 'sent', sentAt: now.toISOString(), nextAttemptAt: null, lastError: null, providerId: result.providerId || null });
+        } else if (attempts >= this.settings.maxAttempts) {
+            Object.assign(changes, { status: 'failed', nextAttemptAt: null, lastError: result.message });
+        } else {
+            const delays = this.settings.retryDelaysMs;
+            const delay = delays[Math.min(attempts - 1, delays.length - 1)];
+            Object.assign(changes, { nextAttemptAt: new Date(now.getTime() + delay).toISOString(), lastError: result.message });
+        }
+
+        const updated = this.updateNotification(id, changes);
+        this.scheduleRetry();
+        return updated;
+    }
+
+    /**
+     * Retry the deliveries that are due
+     * @param {Date} now - Current time
+     * @returns {Promise<number>} Number of messages attempted
+     */
+    async processQueue(now = new Date()) {
+        const due = this.readLog().filter(entry =>
+            entry.status === 'pending' && entry.nextAttemptAt && new Date(entry.nextAttemptAt) <= now);
+
+        for (const entry of due) {
+            await this.deliver(entry.id, now);
+        }
+        return due.length;
+    }
+
+    /**
+     * Send a failed message again, starting a new round of attempts
+     * @param {string} id - Notification ID
+     * @returns {Promise<Object>} Result with success status, message and the log entry
+     */
+    async retry(id) {
+        const entry = this.getNotification(id);
+        if (!entry) {
+            return { success: false, message: 'Notification not found' };
+        }
+        if (entry.status !== 'failed') {
+            return { success: false, message: 'Only failed notifications can be sent again' };
+        }
+
+        this.updateNotification(id, { status: 'pending', attempts: 0, nextAttemptAt: new Date().toISOString() });
+        const updated = await this.deliver(id);
+        return {
+            success: updated.status !== 'failed',
+            message: updated.status === 'sent' ? 'Notification sent' : updated.status === 'pending' ? 'Delivery failed; it will be retried' : updated.lastError,
+            notification: updated
+        };
+    }
+
+    /**
+     * Wake up when the next retry is due, while this page is open
+     */
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        const next = this.readLog()
+            .filter(entry => entry.status === 'pending' && entry.nextAttemptAt)
+            .map(entry => new Date(entry.nextAttemptAt).getTime())
+            .sort((a, b) => a - b)[0];
+
+        if (next !== undefined) {
+            this.retryTimer = setTimeout(() => this.processQueue(), Math.max(0, next - Date.now()));
+        }
+    }
+
+    // ---- Delivery log ----
+
+    /**
+     * Get logged notifications
+     * @param {Object} filter - { status, channel, event, userId, reference }
+     * @returns {Array} Notifications, newest first
+     */
+    getLog(filter = {}) {
+        return this.readLog().filter(entry =>
+            Object.entries(filter).every(([field, value]) => value === undefined || value === '' || entry[field] === value));
+    }
+
+    /**
+     * Find a logged notification
+     * @param {string} id - Notification ID
+     * @returns {Object|null} Notification
+     */
+    getNotification(id) {
+        return this.readLog().find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * @param {string} id - Notification ID
+     * @param {Object} changes - Fields to change
+     * @returns {Object|null} Updated notification
+     */
+    updateNotification(id, changes) {
+        const log = this.readLog();
+        const entry = log.find(candidate => candidate.id === id);
+        if (!entry) {
+            return null;
+        }
+
+        Object.assign(entry, changes);
+        this.writeLog(log);
+        return entry;
+    }
+
+    // ---- Helpers for templates ----
+
+    /**
+     * @param {Object} order - Order, or a cart with its items
+     * @returns {Array} One line per item, e.g. "2 × Silk Saree (Red) - ₹25,000"
+     */
+    getItemLines(order) {
+        return (order.items || []).map(item =>
+            `${item.quantity} × ${item.name}${item.variantLabel ? ` (${item.variantLabel})` : ''} - ${this.formatAmount(item.price * item.quantity)}`);
+    }
+
+    /**
+     * @param {number} amount - Amount in rupees
+     * @returns {string} Formatted amount
+     */
+    formatAmount(amount) {
+        return i18n.formatPrice(Math.round(amount || 0));
+    }
+
+    /**
+     * @param {string} page - Page of the site
+     * @returns {string} Absolute link to the page
+     */
+    getLink(page) {
+        return `${window.location.origin}/${page}`;
+    }
+
+    /**
+     * @returns {Array} Logged notifications, newest first
+     */
+    readLog() {
+        return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+    }
+
+    /**
+     * @param {Array} log - Notifications, newest first; the oldest beyond the limit are dropped
+     */
+    writeLog(log) {
+        localStorage.setItem(this.storageKey, JSON.stringify(log.slice(0, this.settings.logLimit)));
+        window.dispatchEvent(new CustomEvent('notificationsUpdated'));
+    }
+}
+
+// Create global notification service with the channels of the configured transport
+const notifications = new NotificationService();
+if (NOTIFICATION_CONFIG.transport === 'live') {
+    [
+        new EmailJsChannel(NOTIFICATION_CONFIG.emailjs),
+        new WebhookChannel({ name: 'sms', endpoint: NOTIFICATION_CONFIG.sms.endpoint }),
+        new WebhookChannel({ name: 'whatsapp', endpoint: NOTIFICATION_CONFIG.whatsapp.endpoint })
+    ].forEach(channel => notifications.registerChannel(channel));
+} else {
+    Object.keys(NOTIFICATION_CHANNELS).forEach(name => notifications.registerChannel(new OutboxChannel({ name })));
+}
+
+// Pick up retries left over from earlier visits
+setTimeout(() => notifications.processQueue(), 0);
+window.addEventListener('online', () => notifications.processQueue());
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        NotificationService,
+        OutboxChannel,
+        EmailJsChannel,
+        WebhookChannel,
+        NOTIFICATION_TEMPLATES,
+        NOTIFICATION_CHANNELS,
+        NOTIFICATION_CATEGORIES,
+        OUTBOX_TEST_RECIPIENTS
+    };
+}
+
+// Make notification service available globally
+window.NotificationService = NotificationService;
+window.notifications = notifications;
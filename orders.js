@@ -0,0 +1,578 @@
+/**
+ * Order Module for Lunsara
+ * Order lifecycle as a state machine: placed → packed → shipped → out for delivery → delivered,
+ * with cancellation before dispatch, returns within the return window, and refunds.
+ * Every status change is kept as a timestamped event for the tracking timeline.
+ * Orders only move on when the customer, the store (admin.js) or the payment gateway moves them;
+ * the time alone never changes an order.
+ * Uses auth.js for logged-in users' orders; guest orders are kept under `userOrders`.
+ * Uses inventory.js, when it is loaded, to put the units of cancelled and returned orders back on sale,
+ * invoices.js, when it is loaded, to invoice new orders and credit cancelled and returned ones,
+ * notifications.js, when it is loaded, to tell the customer when their order moves on,
+ * recommendations.js, when it is loaded, to learn what is bought together,
+ * and analytics.js, when it is loaded, to record purchases and refunds.
+ */
+
+// Order statuses in the order the delivery timeline shows them
+const ORDER_STATUSES = {
+    placed: 'Order Placed',
+    packed: 'Packed',
+    shipped: 'Shipped',
+    out_for_delivery: 'Out for Delivery',
+    delivered: 'Delivered',
+    cancelled: 'Cancelled',
+    return_requested: 'Return Requested',
+    returned: 'Returned',
+    refunded: 'Refunded'
+};
+
+// Statuses each status may move to. A rejected return goes back to delivered.
+const ORDER_TRANSITIONS = {
+    placed: ['packed', 'cancelled'],
+    packed: ['shipped', 'cancelled'],
+    shipped: ['out_for_delivery'],
+    out_for_delivery: ['delivered'],
+    delivered: ['return_requested'],
+    return_requested: ['returned', 'delivered'],
+    returned: ['refunded'],
+    cancelled: ['refunded'],
+    refunded: []
+};
+
+// Steps every order goes through before it reaches the customer
+const DELIVERY_STEPS = ['placed', 'packed', 'shipped', 'out_for_delivery', 'delivered'];
+
+// How long each delivery step usually takes, in hours, for the dates the tracking timeline
+// estimates when an order has no expected dates of its own
+const DELIVERY_ESTIMATE_HOURS = {
+    placed: 24,
+    packed: 24,
+    shipped: 48,
+    out_for_delivery: 24
+};
+
+const ORDER_RULES = {
+    returnWindowDays: 7,
+    // Carrier of shipments handed over without one being named
+    defaultCarrier: 'Lunsara Express'
+};
+
+const CANCELLATION_REASONS = [
+    'Ordered by mistake',
+    'Found a better price elsewhere',
+    'Delivery is taking too long',
+    'Want to change the size or colour',
+    'Other'
+];
+
+const RETURN_REASONS = [
+    'Colour or design differs from the photos',
+    'Damaged or defective product',
+    'Wrong item delivered',
+    'Size or length does not fit',
+    'Quality not as expected',
+    'Other'
+];
+
+class OrderManager {
+    /**
+     * @param {Object} options - Manager options
+     * @param {Object} options.estimates - Hours each delivery step takes (defaults to DELIVERY_ESTIMATE_HOURS)
+     * @param {Object} options.rules - Overrides for ORDER_RULES
+     * @param {string|null} options.userId - Manage this user's orders instead of the logged-in user's,
+     *     or null for the guest orders on this device (used by the admin console)
+     */
+    constructor(options = {}) {
+        this.estimates = options.estimates || DELIVERY_ESTIMATE_HOURS;
+        this.rules = { ...ORDER_RULES, ...(options.rules || {}) };
+        this.userId = options.userId;
+    }
+
+    /**
+     * Get the orders of the logged-in user, or the guest orders on this device
+     * @returns {Array} Orders, newest first
+     */
+    getOrders() {
+        const orders = this.isUserOrders()
+            ? auth.getUserOrders(this.getUserId())
+            : JSON.parse(localStorage.getItem('userOrders') || '[]');
+
+        return orders
+            .map(order => this.normalizeOrder(order))
+            .sort((a, b) => new Date(b.placedAt) - new Date(a.placedAt));
+    }
+
+    /**
+     * Find an order by ID
+     * @param {string} orderId - Order ID
+     * @returns {Object|null} Order
+     */
+    getOrder(orderId) {
+        return this.getOrders().find(order => order.id === orderId) || null;
+    }
+
+    /**
+     * Create and save a new order in the placed status
+     * @param {Object} orderData - Items, pricing, address and payment details, and optionally
+     *     `expectedDates`: when each delivery step is expected, from pincodes.estimateDelivery, and
+     *     `reservationId`: the inventory reservation its units were taken from, and
+     *     `customer`: the name, email and phone shown on its invoice
+     * @returns {Promise<Object>} Saved order, with the number of its invoice once issued
+     */
+    createOrder(orderData) {
+        const placedAt = new Date().toISOString();
+        const order = {
+            ...orderData,
+            date: placedAt.split('T')[0],
+            placedAt,
+            status: 'placed',
+            history: [{ status: 'placed', at: placedAt }]
+        };
+
+        const saved = this.isUserOrders()
+            ? auth.addUserOrder(this.getUserId(), order)
+            : Promise.resolve().then(() => {
+                const existingOrders = JSON.parse(localStorage.getItem('userOrders') || '[]');
+                existingOrders.unshift(order);
+                localStorage.setItem('userOrders', JSON.stringify(existingOrders));
+            });
+
+        // The invoice is issued once the order is saved, since the server only invoices orders on the
+        // customer's record, and its number is then saved with the order. It is issued again later if this fails.
+        return saved.then(() => {
+            if (typeof invoicing === 'undefined') {
+                return;
+            }
+            return invoicing.issueInvoice(order, this.getUserId()).then(invoice => {
+                if (!invoice.success) return;
+                order.invoiceNumber = invoice.document.number;
+                return this.saveOrder(order);
+            }).catch(error => console.error(`Error saving the invoice number of order ${order.id}:`, error));
+        }).then(() => {
+            this.notify(order);
+            this.sendStatusNotification(order);
+            if (typeof recommendations !== 'undefined') {
+                recommendations.recordPurchase(order);
+            }
+            if (typeof analytics !== 'undefined') {
+                analytics.trackOrder('purchase', order);
+            }
+            return order;
+        });
+    }
+
+    /**
+     * Save changes to an existing order
+     * @param {Object} order - Order to save
+     * @param {Object} loaded - { status, events }: the status and number of history events the order had
+     *     when it was loaded; the save is refused if it has moved on since
+     * @returns {Promise<void>} Resolves once the order has been saved; rejects if it could not be
+     */
+    saveOrder(order, loaded = null) {
+        let saved = Promise.resolve();
+        if (this.isUserOrders()) {
+            const result = auth.updateUserOrder(this.getUserId(), order, loaded);
+            saved = result.success ? result.saved : Promise.reject(new Error(result.message));
+        } else {
+            const orders = JSON.parse(localStorage.getItem('userOrders') || '[]');
+            const orderIndex = orders.findIndex(savedOrder => savedOrder.id === order.id);
+            if (orderIndex !== -1) {
+                orders[orderIndex] = order;
+                localStorage.setItem('userOrders', JSON.stringify(orders));
+            }
+        }
+
+        this.notify(order);
+        return saved;
+    }
+
+    /**
+     * Check whether an order may move to a status
+     * @param {Object} order - Order
+     * @param {string} status - Target status
+     * @returns {boolean} Whether the transition is allowed
+     */
+    canTransition(order, status) {
+        return (ORDER_TRANSITIONS[order.status] || []).includes(status);
+    }
+
+    /**
+     * Move an order to a new status and record the event
+     * @param {string} orderId - Order ID
+     * @param {string} status - Target status
+     * @param {Object} details - Event details
+     * @param {string} details.reason - Reason given for the change
+     * @param {string} details.note - Extra information shown on the timeline
+     * @param {Date} details.at - When the change happened (defaults to now)
+     * @param {Object} details.shipment - { carrier, trackingNumber } when the order ships
+     * @returns {Object} Result with success status, message and the updated order
+     */
+    transition(orderId, status, details = {}) {
+        const order = this.getOrder(orderId);
+        if (!order) {
+            return { success: false, message: 'Order not found' };
+        }
+
+        return this.applyTransition(order, status, details);
+    }
+
+    /**
+     * Move an already loaded order to a new status and save it
+     * @param {Object} order - Order
+     * @param {string} status - Target status
+     * @param {Object} details - Event details (see transition)
+     * @returns {Object} Result with success status, message and the updated order, with `saved`: a promise
+     *     that resolves once the order has been saved and rejects if it could not be, or was changed meanwhile
+     */
+    applyTransition(order, status, details = {}) {
+        if (!this.canTransition(order, status)) {
+            return {
+                success: false,
+                message: `Cannot move an order from "${this.getStatusLabel(order.status)}" to "${this.getStatusLabel(status)}"`
+            };
+        }
+
+        const loaded = { status: order.status, events: order.history.length };
+        const event = { status, at: (details.at || new Date()).toISOString() };
+        const note = details.note ||
+            (status === 'refunded' ? `${this.formatAmount(order.total)} refunded to your original payment method` : null);
+        if (details.reason) event.reason = details.reason;
+        if (note) event.note = note;
+
+        order.status = status;
+        order.history.push(event);
+        if (status === 'shipped' && !order.shipment) {
+            order.shipment = this.createShipment(details.shipment);
+        }
+        const restock = this.shouldRestock(order);
+        if (restock) {
+            order.stockRestored = true;
+        }
+        const saved = this.saveOrder(order, loaded);
+        // The rest only follows once the order shows its new status; restocking needs it to show
+        // as cancelled or returned, and the notification mentions the credit note
+        saved.then(() => {
+            if (restock) {
+                inventory.restock(order.items, order.id).then(result => {
+                    if (!result.success) console.error(`Error restocking order ${order.id}:`, result.message);
+                });
+            }
+            if (status === 'refunded' && typeof analytics !== 'undefined') {
+                analytics.trackOrder('refund', order);
+            }
+            if (!this.shouldIssueCreditNote(order)) {
+                this.sendStatusNotification(order);
+                return;
+            }
+            invoicing.issueCreditNote(order, this.getUserId()).then(result => {
+                if (!result.success) {
+                    console.error(`Error issuing the credit note of order ${order.id}:`, result.message);
+                    return;
+                }
+                order.creditNoteNumber = result.document.number;
+                return this.saveOrder(order);
+            }).catch(error => {
+                console.error(`Error saving the credit note number of order ${order.id}:`, error);
+            }).then(() => this.sendStatusNotification(order));
+        }, error => console.error(`Error saving order ${order.id}:`, error));
+
+        return { success: true, message: `Order ${this.getStatusLabel(status).toLowerCase()}`, order, saved };
+    }
+
+    /**
+     * Record the carrier and tracking number of a shipment
+     * @param {Object} shipment - { carrier, trackingNumber } given by whoever shipped it, if any
+     * @returns {Object} Shipment
+     */
+    createShipment(shipment = {}) {
+        return {
+            carrier: shipment.carrier || this.rules.defaultCarrier,
+            trackingNumber: shipment.trackingNumber ||
+                `LX${Date.now().toString().slice(-8)}${Math.floor(Math.random() * 100).toString().padStart(2, '0')}IN`
+        };
+    }
+
+    /**
+     * Tell the customer about their order's new status. Messages are sent in the background
+     * and retried by the notification service if they fail.
+     * @param {Object} order - Order that changed
+     */
+    sendStatusNotification(order) {
+        if (typeof notifications !== 'undefined') {
+            notifications.notifyOrderStatus(order, this.getUserId());
+        }
+    }
+
+    /**
+     * Cancel an order that has not been shipped yet
+     * @param {string} orderId - Order ID
+     * @param {string} reason - Cancellation reason
+     * @returns {Object} Result with success status and message
+     */
+    cancelOrder(orderId, reason) {
+        const order = this.getOrder(orderId);
+        if (!order) {
+            return { success: false, message: 'Order not found' };
+        }
+        if (!reason) {
+            return { success: false, message: 'Please choose a reason for cancelling' };
+        }
+        if (!this.canCancel(order)) {
+            return { success: false, message: 'This order has already been shipped and can no longer be cancelled' };
+        }
+
+        const note = this.isPrepaid(order) ? 'Your refund will be processed within 24 hours' : null;
+        const result = this.applyTransition(order, 'cancelled', { reason, note });
+        return result.success ? { ...result, message: 'Your order has been cancelled' } : result;
+    }
+
+    /**
+     * Request a return or exchange of a delivered order
+     * @param {string} orderId - Order ID
+     * @param {string} reason - Return reason
+     * @param {Object} options - Request options
+     * @param {string} options.type - 'return' for a refund or 'exchange' for a replacement
+     * @param {string} options.comment - Customer's description of the problem
+     * @param {Date} options.now - Current time, for the return window check
+     * @returns {Object} Result with success status and message
+     */
+    requestReturn(orderId, reason, options = {}) {
+        const order = this.getOrder(orderId);
+        const now = options.now || new Date();
+        if (!order) {
+            return { success: false, message: 'Order not found' };
+        }
+        if (!reason) {
+            return { success: false, message: 'Please choose a reason for the return' };
+        }
+        if (order.status !== 'delivered') {
+            return { success: false, message: 'Only delivered orders can be returned' };
+        }
+        if (!this.isReturnWindowOpen(order, now)) {
+            return { success: false, message: `The ${this.rules.returnWindowDays}-day return window for this order has closed` };
+        }
+
+        const type = options.type === 'exchange' ? 'exchange' : 'return';
+        order.returnRequest = { type, reason, comment: options.comment || '', requestedAt: now.toISOString() };
+
+        const result = this.applyTransition(order, 'return_requested', {
+            reason,
+            note: type === 'exchange' ? 'Exchange requested' : 'Pickup will be scheduled within 48 hours',
+            at: now
+        });
+        return result.success
+            ? { ...result, message: type === 'exchange' ? 'Your exchange request has been placed' : 'Your return request has been placed' }
+            : result;
+    }
+
+    /**
+     * Check whether the customer can still cancel an order
+     * @param {Object} order - Order
+     * @returns {boolean} Whether it can be cancelled
+     */
+    canCancel(order) {
+        return this.canTransition(order, 'cancelled');
+    }
+
+    /**
+     * Get the last day a delivered order can be returned
+     * @param {Object} order - Order
+     * @returns {Date|null} Deadline, or null if the order has not been delivered
+     */
+    getReturnDeadline(order) {
+        const deliveredAt = this.getStatusTime(order, 'delivered');
+        if (!deliveredAt) {
+            return null;
+        }
+        return new Date(deliveredAt.getTime() + this.rules.returnWindowDays * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Check whether a delivered order is still within its return window
+     * @param {Object} order - Order
+     * @param {Date} now - Current time
+     * @returns {boolean} Whether a return can be requested
+     */
+    isReturnWindowOpen(order, now = new Date()) {
+        const deadline = this.getReturnDeadline(order);
+        return order.status === 'delivered' && !order.returnRequest && deadline !== null && now <= deadline;
+    }
+
+    /**
+     * Build the tracking timeline of an order: completed events with their times,
+     * followed by the expected dates of the delivery steps still to come
+     * @param {Object} order - Order
+     * @returns {Array} Steps of { status, label, at, expectedAt, completed, current, reason, note }
+     */
+    getTimeline(order) {
+        const timeline = order.history.map((event, index) => ({
+            status: event.status,
+            label: this.getStatusLabel(event.status),
+            at: new Date(event.at),
+            expectedAt: null,
+            completed: true,
+            current: index === order.history.length - 1,
+            reason: event.reason || null,
+            note: event.note || null
+        }));
+
+        // Upcoming delivery steps with estimated dates, while the order is on its way
+        if (DELIVERY_STEPS.includes(order.status) && order.status !== 'delivered') {
+            let expectedAt = this.getStatusTime(order, order.status);
+            DELIVERY_STEPS.slice(DELIVERY_STEPS.indexOf(order.status) + 1).forEach(status => {
+                const previousStatus = DELIVERY_STEPS[DELIVERY_STEPS.indexOf(status) - 1];
+                expectedAt = this.getExpectedTime(order, status) ||
+                    new Date(expectedAt.getTime() + this.estimates[previousStatus] * 60 * 60 * 1000);
+                timeline.push({
+                    status,
+                    label: this.getStatusLabel(status),
+                    at: null,
+                    expectedAt,
+                    completed: false,
+                    current: false,
+                    reason: null,
+                    note: null
+                });
+            });
+        }
+
+        return timeline;
+    }
+
+    /**
+     * Get when an order last entered a status
+     * @param {Object} order - Order
+     * @param {string} status - Status
+     * @returns {Date|null} Time of the event
+     */
+    getStatusTime(order, status) {
+        const event = [...order.history].reverse().find(candidate => candidate.status === status);
+        return event ? new Date(event.at) : null;
+    }
+
+    /**
+     * Get when a delivery step of an order is expected, as estimated for its pincode at checkout
+     * @param {Object} order - Order
+     * @param {string} status - Delivery step
+     * @returns {Date|null} Expected time, or null for orders without an estimate
+     */
+    getExpectedTime(order, status) {
+        return order.expectedDates && order.expectedDates[status] ? new Date(order.expectedDates[status]) : null;
+    }
+
+    /**
+     * Get the display name of a status
+     * @param {string} status - Status
+     * @returns {string} Label
+     */
+    getStatusLabel(status) {
+        return ORDER_STATUSES[status] ? i18n.t(`orders.status.${status}`) : status;
+    }
+
+    /**
+     * Check whether an order's units should go back on sale: it has been cancelled, or returned
+     * for a refund (an exchange sends out a replacement instead), and it took its units from
+     * the inventory when it was placed
+     * @param {Object} order - Order
+     * @returns {boolean} Whether to restock the order's items
+     */
+    shouldRestock(order) {
+        const isExchange = order.returnRequest && order.returnRequest.type === 'exchange';
+        return typeof inventory !== 'undefined' && Boolean(order.reservationId) && !order.stockRestored &&
+            (order.status === 'cancelled' || (order.status === 'returned' && !isExchange));
+    }
+
+    /**
+     * Check whether an order's invoice should now be reversed with a credit note
+     * @param {Object} order - Order
+     * @returns {boolean} Whether to issue a credit note
+     */
+    shouldIssueCreditNote(order) {
+        return typeof invoicing !== 'undefined' && !order.creditNoteNumber && invoicing.needsCreditNote(order);
+    }
+
+    /**
+     * Check whether an order was paid before delivery
+     * @param {Object} order - Order
+     * @returns {boolean} Whether a cancellation needs a refund
+     */
+    isPrepaid(order) {
+        return String(order.paymentMethod || '').toUpperCase() !== 'COD';
+    }
+
+    /**
+     * Bring orders saved before the state machine into the current shape
+     * @param {Object} order - Saved order
+     * @returns {Object} Copy of the order with placedAt, a known status and an event history,
+     *     which can be changed without changing the saved one
+     */
+    normalizeOrder(order) {
+        if (order.history) {
+            return { ...order, history: [...order.history] };
+        }
+
+        const placedAt = order.placedAt || new Date(order.date).toISOString();
+        const status = ORDER_STATUSES[order.status] ? order.status : 'placed';
+        const history = [{ status: 'placed', at: placedAt }];
+        if (status !== 'placed') {
+            history.push({ status, at: placedAt });
+        }
+
+        return { ...order, placedAt, status, history };
+    }
+
+    /**
+     * Get the user whose orders are managed
+     * @returns {string|null} User ID, or null for the guest order list
+     */
+    getUserId() {
+        if (this.userId !== undefined) {
+            return this.userId;
+        }
+        return typeof auth !== 'undefined' && auth.isLoggedIn() ? auth.getCurrentUser().id : null;
+    }
+
+    /**
+     * Whether orders belong to a user rather than the guest order list
+     * @returns {boolean}
+     */
+    isUserOrders() {
+        return this.getUserId() !== null;
+    }
+
+    /**
+     * Let open pages know an order changed
+     * @param {Object} order - Changed order
+     */
+    notify(order) {
+        window.dispatchEvent(new CustomEvent('orderUpdated', { detail: { order } }));
+    }
+
+    /**
+     * Format a rupee amount for the shopper's language
+     * @param {number} amount - Amount
+     * @returns {string} Formatted amount
+     */
+    formatAmount(amount) {
+        return i18n.formatPrice(Math.round(amount));
+    }
+}
+
+// Create global order manager instance
+const orderManager = new OrderManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        OrderManager,
+        ORDER_STATUSES,
+        ORDER_TRANSITIONS,
+        DELIVERY_ESTIMATE_HOURS,
+        CANCELLATION_REASONS,
+        RETURN_REASONS
+    };
+}
+
+// Make order manager available globally
+window.OrderManager = OrderManager;
+window.orderManager = orderManager;
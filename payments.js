@@ -0,0 +1,746 @@
+/**
+ * Payment Module for Lunsara
+ * Takes payments through a gateway in three steps: create a gateway order, authorize the
+ * payment with the customer's chosen method, then capture it and verify the gateway's signature.
+ * Payments whose order cannot be placed afterwards are refunded through the gateway.
+ * Each payment method (UPI, card, netbanking, COD) is an adapter registered with the service.
+ *
+ * With the REST storage adapter, payments go through the server's gateway (ServerPaymentGateway),
+ * and the server checks the signature with a key secret only it holds; orders are only accepted
+ * with payments it verified. Without a server, MockPaymentGateway, a local gateway that behaves
+ * like a hosted one, takes them in the browser. Both simulate failed, pending, slow and abandoned
+ * payments, triggered with the test details in MOCK_GATEWAY_TEST_DETAILS.
+ * Requires storage.js; uses timingSafeEqual from auth.js to check the local gateway's signatures.
+ */
+
+// Payment outcomes returned by PaymentService.pay
+const PAYMENT_STATUS = {
+    captured: 'captured',
+    codConfirmed: 'cod_confirmed',
+    failed: 'failed',
+    pending: 'pending',
+    timeout: 'timeout',
+    abandoned: 'abandoned',
+    invalid: 'invalid',
+    verificationFailed: 'verification_failed'
+};
+
+const PAYMENT_SETTINGS = {
+    // How long to wait for the customer to authorize a payment
+    authorizationTimeoutMs: 30000,
+    // How often and how many times to ask the gateway about a pending payment
+    pendingPollIntervalMs: 2000,
+    pendingPollAttempts: 5
+};
+
+// Details that make the mock gateway simulate each outcome
+const MOCK_GATEWAY_TEST_DETAILS = {
+    upi: { success: 'success@lunsara', failure: 'failure@lunsara', pending: 'pending@lunsara', timeout: 'timeout@lunsara' },
+    card: { success: '4111111111111111', failure: '4000000000000002', pending: '4000000000000119', timeout: '4000000000000259' },
+    netbanking: { success: 'SBIN', failure: 'FAIL', pending: 'PEND', timeout: 'SLOW' }
+};
+
+const NETBANKING_BANKS = {
+    SBIN: 'State Bank of India',
+    HDFC: 'HDFC Bank',
+    ICIC: 'ICICI Bank',
+    UTIB: 'Axis Bank',
+    IOBA: 'Indian Overseas Bank',
+    IDIB: 'Indian Bank',
+    KKBK: 'Kotak Mahindra Bank'
+};
+
+/**
+ * Sign a message with HMAC-SHA256
+ * @param {string} secret - Signing key
+ * @param {string} message - Message to sign
+ * @returns {Promise<string>} Hex signature
+ */
+async function createPaymentSignature(secret, message) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+        'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+    return Array.from(new Uint8Array(signature)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+class MockPaymentGateway {
+    /**
+     * @param {Object} options - Gateway options
+     * @param {string} options.keySecret - Secret the gateway signs payments with
+     * @param {number} options.latencyMs - Simulated network delay per request
+     * @param {number} options.pendingPolls - Status checks before a pending payment succeeds
+     */
+    constructor(options = {}) {
+        this.keySecret = options.keySecret || 'lunsara_test_secret';
+        // Payments are simulated with MOCK_GATEWAY_TEST_DETAILS
+        this.testMode = true;
+        this.latencyMs = options.latencyMs !== undefined ? options.latencyMs : 800;
+        this.pendingPolls = options.pendingPolls || 2;
+        this.orders = {};
+        this.payments = {};
+    }
+
+    /**
+     * Create a gateway order for an amount to be collected
+     * @param {Object} request - Order request
+     * @param {number} request.amount - Amount in rupees
+     * @param {string} request.receipt - Store reference for the order
+     * @returns {Promise<Object>} Gateway order with its ID
+     */
+    createOrder({ amount, receipt }) {
+        const order = {
+            id: this.generateId('order'),
+            amount,
+            currency: 'INR',
+            receipt,
+            status: 'created'
+        };
+        this.orders[order.id] = order;
+        return this.respond(order);
+    }
+
+    /**
+     * Authorize a payment against a gateway order
+     * @param {string} orderId - Gateway order ID
+     * @param {string} method - Payment method
+     * @param {string} testDetail - UPI ID, card number or bank code the customer used
+     * @returns {Promise<Object>} Payment with status 'authorized', 'failed' or 'pending'
+     */
+    authorize(orderId, method, testDetail) {
+        const order = this.orders[orderId];
+        if (!order) {
+            return this.respond({ status: 'failed', error: 'Unknown payment order' });
+        }
+
+        const outcome = this.getTestOutcome(method, testDetail);
+        const payment = {
+            id: this.generateId('pay'),
+            orderId,
+            method,
+            amount: order.amount,
+            status: outcome === 'failure' ? 'failed' : outcome === 'pending' ? 'pending' : 'authorized',
+            error: outcome === 'failure' ? 'Payment declined by the bank' : null,
+            polls: 0
+        };
+        this.payments[payment.id] = payment;
+
+        // A slow bank never answers within the checkout's timeout
+        if (outcome === 'timeout') {
+            return new Promise(() => {});
+        }
+        return this.respond({ id: payment.id, status: payment.status, error: payment.error });
+    }
+
+    /**
+     * Check the status of a payment that was pending
+     * @param {string} paymentId - Payment ID
+     * @returns {Promise<Object>} Payment with its current status
+     */
+    getPaymentStatus(paymentId) {
+        const payment = this.payments[paymentId];
+        if (!payment) {
+            return this.respond({ status: 'failed', error: 'Unknown payment' });
+        }
+
+        if (payment.status === 'pending' && ++payment.polls >= this.pendingPolls) {
+            payment.status = 'authorized';
+        }
+        return this.respond({ id: payment.id, status: payment.status, error: payment.error });
+    }
+
+    /**
+     * Capture an authorized payment and return the signed confirmation
+     * @param {string} paymentId - Payment ID
+     * @returns {Promise<Object>} Confirmation with orderId, paymentId and signature
+     */
+    async capture(paymentId) {
+        const payment = this.payments[paymentId];
+        if (!payment || payment.status !== 'authorized') {
+            return this.respond({ status: 'failed', error: 'Payment is not authorized' });
+        }
+
+        payment.status = 'captured';
+        this.orders[payment.orderId].status = 'paid';
+        const signature = await createPaymentSignature(this.keySecret, `${payment.orderId}|${payment.id}`);
+        return this.respond({ status: 'captured', orderId: payment.orderId, paymentId: payment.id, signature });
+    }
+
+    /**
+     * Give back a captured payment in full
+     * @param {string} paymentId - Payment ID
+     * @returns {Promise<Object>} Refund with status 'refunded', or 'failed' with an error
+     */
+    refund(paymentId) {
+        const payment = this.payments[paymentId];
+        if (!payment || payment.status !== 'captured') {
+            return this.respond({ status: 'failed', error: 'Only captured payments can be refunded' });
+        }
+
+        payment.status = 'refunded';
+        return this.respond({ status: 'refunded', paymentId: payment.id, amount: payment.amount });
+    }
+
+    /**
+     * Work out which outcome a test detail asks for
+     * @param {string} method - Payment method
+     * @param {string} testDetail - UPI ID, card number or bank code
+     * @returns {string} 'success', 'failure', 'pending' or 'timeout'
+     */
+    getTestOutcome(method, testDetail) {
+        const testDetails = MOCK_GATEWAY_TEST_DETAILS[method] || {};
+        const outcome = Object.keys(testDetails).find(key => testDetails[key] === testDetail);
+        return outcome || 'success';
+    }
+
+    /**
+     * Generate a gateway-style ID
+     * @param {string} prefix - ID prefix
+     * @returns {string} ID
+     */
+    generateId(prefix) {
+        return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`;
+    }
+
+    /**
+     * Resolve with a copy of the response after the simulated network delay
+     * @param {Object} response - Response body
+     * @returns {Promise<Object>} Response
+     */
+    respond(response) {
+        return new Promise(resolve => setTimeout(() => resolve({ ...response }), this.latencyMs));
+    }
+}
+
+class ServerPaymentGateway {
+    /**
+     * @param {RestStorageAdapter} adapter - Adapter of the server that takes payments
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+        // The server's gateway simulates payments with MOCK_GATEWAY_TEST_DETAILS too
+        this.testMode = true;
+    }
+
+    /**
+     * Create a gateway order for an amount to be collected
+     * @param {Object} request - { amount in rupees, receipt: store order ID }
+     * @returns {Promise<Object>} Gateway order with its ID
+     */
+    createOrder({ amount, receipt }) {
+        return this.adapter.post('payments/orders', { amount, receipt });
+    }
+
+    /**
+     * Authorize a payment against a gateway order
+     * @param {string} orderId - Gateway order ID
+     * @param {string} method - Payment method
+     * @param {string} testDetail - UPI ID, card number or bank code the customer used
+     * @returns {Promise<Object>} Payment with status 'authorized', 'failed' or 'pending'
+     */
+    authorize(orderId, method, testDetail) {
+        return this.adapter.post('payments/authorize', { orderId, method, testDetail });
+    }
+
+    /**
+     * Check the status of a payment that was pending
+     * @param {string} paymentId - Payment ID
+     * @returns {Promise<Object>} Payment with its current status
+     */
+    getPaymentStatus(paymentId) {
+        return this.adapter.post('payments/status', { paymentId });
+    }
+
+    /**
+     * Capture an authorized payment and return the signed confirmation
+     * @param {string} paymentId - Payment ID
+     * @returns {Promise<Object>} Confirmation with orderId, paymentId and signature
+     */
+    capture(paymentId) {
+        return this.adapter.post('payments/capture', { paymentId });
+    }
+
+    /**
+     * Give back a captured payment in full. The server refuses once an order was placed with it.
+     * @param {string} paymentId - Payment ID
+     * @returns {Promise<Object>} Refund with status 'refunded', or 'failed' with an error
+     */
+    refund(paymentId) {
+        return this.adapter.post('payments/refund', { paymentId });
+    }
+
+    /**
+     * Have the server check the confirmation's signature. Orders are only accepted with payments it verified.
+     * @param {Object} confirmation - { paymentId, signature }
+     * @param {string} gatewayOrderId - Gateway order the payment was made against
+     * @returns {Promise<boolean>} Whether the signature matches
+     */
+    verify(confirmation, gatewayOrderId) {
+        return this.adapter.post('payments/verify', {
+            orderId: gatewayOrderId,
+            paymentId: confirmation.paymentId,
+            signature: confirmation.signature
+        }).then(response => Boolean(response && response.verified));
+    }
+}
+
+class UpiPaymentAdapter {
+    constructor() {
+        this.method = 'upi';
+        this.label = 'UPI';
+    }
+
+    /**
+     * @param {Object} details - { upiId }
+     * @returns {string|null} Error message, or null when the details are valid
+     */
+    validate(details) {
+        return /^[\w.-]{2,256}@[a-zA-Z]{2,64}$/.test(details.upiId || '') ? null : i18n.t('payment.invalidUpi');
+    }
+
+    /**
+     * @param {MockPaymentGateway} gateway - Payment gateway
+     * @param {Object} gatewayOrder - Gateway order
+     * @param {Object} details - { upiId }
+     * @returns {Promise<Object>} Gateway authorization response
+     */
+    authorize(gateway, gatewayOrder, details) {
+        return gateway.authorize(gatewayOrder.id, this.method, details.upiId.trim().toLowerCase());
+    }
+
+    /**
+     * @param {Object} details - { upiId }
+     * @returns {Object} Details safe to keep on the order
+     */
+    describe(details) {
+        return { upiId: details.upiId.trim().toLowerCase() };
+    }
+}
+
+class CardPaymentAdapter {
+    constructor() {
+        this.method = 'card';
+        this.label = 'Credit/Debit Card';
+    }
+
+    /**
+     * @param {Object} details - { number, expiry (MM/YY), cvv, name }
+     * @param {Date} now - Current time, for the expiry check
+     * @returns {string|null} Error message, or null when the details are valid
+     */
+    validate(details, now = new Date()) {
+        const number = this.getDigits(details.number);
+        if (number.length < 12 || number.length > 19 || !this.passesLuhnCheck(number)) {
+            return i18n.t('payment.invalidCardNumber');
+        }
+
+        const expiry = /^(0[1-9]|1[0-2])\/(\d{2})$/.exec((details.expiry || '').trim());
+        if (!expiry) {
+            return i18n.t('payment.invalidExpiry');
+        }
+        const expiresAt = new Date(2000 + parseInt(expiry[2], 10), parseInt(expiry[1], 10), 1);
+        if (expiresAt <= now) {
+            return i18n.t('payment.cardExpired');
+        }
+
+        if (!/^\d{3,4}$/.test(details.cvv || '')) {
+            return i18n.t('payment.invalidCvv');
+        }
+        if (!(details.name || '').trim()) {
+            return i18n.t('payment.nameOnCardRequired');
+        }
+        return null;
+    }
+
+    /**
+     * @param {MockPaymentGateway} gateway - Payment gateway
+     * @param {Object} gatewayOrder - Gateway order
+     * @param {Object} details - Card details
+     * @returns {Promise<Object>} Gateway authorization response
+     */
+    authorize(gateway, gatewayOrder, details) {
+        return gateway.authorize(gatewayOrder.id, this.method, this.getDigits(details.number));
+    }
+
+    /**
+     * Only the network and last four digits are kept; the full number and CVV never are
+     * @param {Object} details - Card details
+     * @returns {Object} Details safe to keep on the order
+     */
+    describe(details) {
+        const number = this.getDigits(details.number);
+        return { network: this.getNetwork(number), last4: number.slice(-4) };
+    }
+
+    /**
+     * @param {string} number - Card number
+     * @returns {string} Card network name
+     */
+    getNetwork(number) {
+        if (/^4/.test(number)) return 'Visa';
+        if (/^(5[1-5]|2[2-7])/.test(number)) return 'MasterCard';
+        if (/^(60|65|81|82|508)/.test(number)) return 'RuPay';
+        if (/^3[47]/.test(number)) return 'American Express';
+        return 'Card';
+    }
+
+    /**
+     * @param {string} number - Card number with or without spaces
+     * @returns {string} Digits only
+     */
+    getDigits(number) {
+        return String(number || '').replace(/\D/g, '');
+    }
+
+    /**
+     * @param {string} number - Card number digits
+     * @returns {boolean} Whether the number has a valid check digit
+     */
+    passesLuhnCheck(number) {
+        let sum = 0;
+        number.split('').reverse().forEach((digit, index) => {
+            let value = parseInt(digit, 10);
+            if (index % 2 === 1) {
+                value *= 2;
+                if (value > 9) value -= 9;
+            }
+            sum += value;
+        });
+        return sum % 10 === 0;
+    }
+}
+
+class NetbankingPaymentAdapter {
+    constructor() {
+        this.method = 'netbanking';
+        this.label = 'Net Banking';
+    }
+
+    /**
+     * @param {Object} details - { bank } bank code
+     * @returns {string|null} Error message, or null when the details are valid
+     */
+    validate(details) {
+        return details.bank ? null : i18n.t('payment.chooseBank');
+    }
+
+    /**
+     * @param {MockPaymentGateway} gateway - Payment gateway
+     * @param {Object} gatewayOrder - Gateway order
+     * @param {Object} details - { bank }
+     * @returns {Promise<Object>} Gateway authorization response
+     */
+    authorize(gateway, gatewayOrder, details) {
+        return gateway.authorize(gatewayOrder.id, this.method, details.bank);
+    }
+
+    /**
+     * @param {Object} details - { bank }
+     * @returns {Object} Details safe to keep on the order
+     */
+    describe(details) {
+        return { bank: NETBANKING_BANKS[details.bank] || details.bank };
+    }
+}
+
+class CodPaymentAdapter {
+    constructor() {
+        this.method = 'cod';
+        this.label = 'Cash on Delivery';
+        // Cash is collected at the door, so nothing goes through the gateway
+        this.offline = true;
+    }
+
+    /**
+     * @returns {string|null} Error message, or null when the details are valid
+     */
+    validate() {
+        return null;
+    }
+
+    /**
+     * @returns {Object} Details safe to keep on the order
+     */
+    describe() {
+        return {};
+    }
+}
+
+class PaymentService {
+    /**
+     * @param {Object} options - Service options
+     * @param {Object} options.gateway - Payment gateway (defaults to the server's, or a MockPaymentGateway without one)
+     * @param {Object} options.settings - Overrides for PAYMENT_SETTINGS
+     */
+    constructor(options = {}) {
+        this.gateway = options.gateway ||
+            (storageAdapter instanceof RestStorageAdapter ? new ServerPaymentGateway(storageAdapter) : new MockPaymentGateway());
+        this.settings = { ...PAYMENT_SETTINGS, ...(options.settings || {}) };
+        this.adapters = {};
+        this.activePayment = null;
+    }
+
+    /**
+     * Register the adapter for a payment method
+     * @param {Object} adapter - Adapter with method, validate, authorize and describe
+     */
+    registerAdapter(adapter) {
+        this.adapters[adapter.method] = adapter;
+    }
+
+    /**
+     * Get the adapter for a payment method
+     * @param {string} method - Payment method
+     * @returns {Object|null} Adapter
+     */
+    getAdapter(method) {
+        return this.adapters[method] || null;
+    }
+
+    /**
+     * Take a payment. The result's success is true only for a captured payment whose
+     * signature has been verified, or a confirmed cash on delivery order.
+     * @param {Object} request - Payment request
+     * @param {string} request.method - Payment method
+     * @param {number} request.amount - Amount in rupees
+     * @param {string} request.receipt - Store order ID
+     * @param {Object} request.details - Method details entered by the customer
+     * @param {Function} request.onStatus - Called with progress messages for the customer
+     * @returns {Promise<Object>} Result with success, status, message and the payment record
+     */
+    async pay({ method, amount, receipt, details = {}, onStatus = () => {} }) {
+        const adapter = this.getAdapter(method);
+        if (!adapter) {
+            return this.result(PAYMENT_STATUS.invalid, i18n.t('payment.methodUnavailable'));
+        }
+
+        const validationError = adapter.validate(details);
+        if (validationError) {
+            return this.result(PAYMENT_STATUS.invalid, validationError);
+        }
+
+        const payment = { method, amount, receipt, ...adapter.describe(details), attemptedAt: new Date().toISOString() };
+
+        if (adapter.offline) {
+            return this.result(PAYMENT_STATUS.codConfirmed, i18n.t('payment.codConfirmed'), {
+                ...payment, status: PAYMENT_STATUS.codConfirmed
+            });
+        }
+
+        const activePayment = this.startPayment();
+        try {
+            onStatus(i18n.t('payment.connecting'));
+            const gatewayOrder = await this.whileActive(activePayment, this.gateway.createOrder({ amount, receipt }));
+            payment.gatewayOrderId = gatewayOrder.id;
+
+            onStatus(this.getAuthorizationPrompt(adapter));
+            let authorization = await this.whileActive(
+                activePayment,
+                adapter.authorize(this.gateway, gatewayOrder, details),
+                this.settings.authorizationTimeoutMs
+            );
+
+            // The bank has not decided yet: ask again a few times before giving up
+            for (let attempt = 0; authorization.status === 'pending' && attempt < this.settings.pendingPollAttempts; attempt++) {
+                onStatus(i18n.t('payment.waitingForBank'));
+                await this.whileActive(activePayment, this.delay(this.settings.pendingPollIntervalMs));
+                authorization = await this.whileActive(activePayment, this.gateway.getPaymentStatus(authorization.id));
+            }
+
+            if (authorization.status === 'pending') {
+                // The payment is never captured, so the bank releases anything it has held
+                return this.result(PAYMENT_STATUS.pending,
+                    `${i18n.t('payment.bankNotConfirmed')} ${i18n.t('payment.orderNotPlaced')} ${i18n.t('payment.notCaptured')}`,
+                    { ...payment, paymentId: authorization.id, status: PAYMENT_STATUS.pending });
+            }
+            if (authorization.status !== 'authorized') {
+                return this.result(PAYMENT_STATUS.failed, i18n.t('payment.tryAnotherMethod', { reason: authorization.error || i18n.t('payment.failed') }),
+                    { ...payment, paymentId: authorization.id, status: PAYMENT_STATUS.failed });
+            }
+
+            onStatus(i18n.t('payment.confirming'));
+            const confirmation = await this.whileActive(activePayment, this.gateway.capture(authorization.id));
+            if (confirmation.status !== 'captured') {
+                return this.result(PAYMENT_STATUS.failed, confirmation.error || i18n.t('payment.notCompleted'));
+            }
+
+            const verified = await this.verifySignature(confirmation, gatewayOrder.id);
+            if (!verified) {
+                const refund = await this.refund({ ...payment, paymentId: confirmation.paymentId, status: PAYMENT_STATUS.captured });
+                return this.result(PAYMENT_STATUS.verificationFailed, `${i18n.t('payment.notVerified')} ${refund.message}`,
+                    { ...payment, paymentId: confirmation.paymentId, status: PAYMENT_STATUS.verificationFailed });
+            }
+
+            return this.result(PAYMENT_STATUS.captured, i18n.t('payment.successful'), {
+                ...payment,
+                paymentId: confirmation.paymentId,
+                signature: confirmation.signature,
+                status: PAYMENT_STATUS.captured,
+                paidAt: new Date().toISOString()
+            });
+        } catch (error) {
+            if (error.status === PAYMENT_STATUS.abandoned) {
+                return this.result(PAYMENT_STATUS.abandoned, i18n.t('payment.cancelled'), {
+                    ...payment, status: PAYMENT_STATUS.abandoned
+                });
+            }
+            if (error.status === PAYMENT_STATUS.timeout) {
+                return this.result(PAYMENT_STATUS.timeout, i18n.t('payment.timeout'), {
+                    ...payment, status: PAYMENT_STATUS.timeout
+                });
+            }
+            console.error('Payment error:', error);
+            return this.result(PAYMENT_STATUS.failed, i18n.t('payment.error'));
+        } finally {
+            if (this.activePayment === activePayment) {
+                this.activePayment = null;
+            }
+        }
+    }
+
+    /**
+     * Give back the payment of an order that could not be placed
+     * @param {Object} payment - Payment record from pay
+     * @returns {Promise<Object>} Result with success status and a message for the customer saying the
+     *     order was not placed and whether the money was given back
+     */
+    refund(payment) {
+        const notPlaced = i18n.t('payment.orderNotPlaced');
+        // Cash on delivery and payments that were not captured took no money
+        if (!payment || payment.status !== PAYMENT_STATUS.captured) {
+            return Promise.resolve({ success: true, message: notPlaced });
+        }
+
+        return this.gateway.refund(payment.paymentId).then(refund => {
+            if (refund.status !== 'refunded') {
+                throw new Error(refund.error || 'Refund failed');
+            }
+            return { success: true, message: `${notPlaced} ${i18n.t('payment.refunded')}` };
+        }).catch(error => {
+            console.error(`Error refunding payment ${payment.paymentId}:`, error);
+            return { success: false, message: `${notPlaced} ${i18n.t('payment.refundFailed', { orderId: payment.receipt })}` };
+        });
+    }
+
+    /**
+     * Stop waiting for the payment in progress, e.g. when the customer closes the payment window
+     */
+    abandon() {
+        if (this.activePayment) {
+            this.activePayment.abandon();
+        }
+    }
+
+    /**
+     * Check that a payment confirmation was signed by the gateway for this order. Gateways
+     * with a verify method leave it to the server, which alone holds their key secret.
+     * @param {Object} confirmation - { paymentId, signature }
+     * @param {string} gatewayOrderId - Gateway order the payment was made against
+     * @returns {Promise<boolean>} Whether the signature matches
+     */
+    async verifySignature(confirmation, gatewayOrderId) {
+        if (!confirmation.signature || !confirmation.paymentId) {
+            return false;
+        }
+        if (this.gateway.verify) {
+            return this.gateway.verify(confirmation, gatewayOrderId);
+        }
+        const expected = await createPaymentSignature(this.gateway.keySecret, `${gatewayOrderId}|${confirmation.paymentId}`);
+        return timingSafeEqual(expected, confirmation.signature);
+    }
+
+    /**
+     * Get the message shown while the customer authorizes a payment
+     * @param {Object} adapter - Payment adapter
+     * @returns {string} Message
+     */
+    getAuthorizationPrompt(adapter) {
+        switch (adapter.method) {
+            case 'upi':
+                return i18n.t('payment.approveInUpi');
+            case 'netbanking':
+                return i18n.t('payment.completeOnBank');
+            default:
+                return i18n.t('payment.authorizing');
+        }
+    }
+
+    /**
+     * Track a new payment so it can be abandoned
+     * @returns {Object} Handle with an abandon() function and the promise it rejects
+     */
+    startPayment() {
+        const activePayment = {};
+        activePayment.abandoned = new Promise((resolve, reject) => {
+            activePayment.abandon = () => reject({ status: PAYMENT_STATUS.abandoned });
+        });
+        // Nothing may be waiting on it when the payment is abandoned
+        activePayment.abandoned.catch(() => {});
+        this.activePayment = activePayment;
+        return activePayment;
+    }
+
+    /**
+     * Wait for a gateway step unless the payment is abandoned or the step times out
+     * @param {Object} activePayment - Handle from startPayment
+     * @param {Promise} promise - Gateway step
+     * @param {number} timeoutMs - Time limit for the step
+     * @returns {Promise} Step result
+     */
+    whileActive(activePayment, promise, timeoutMs = null) {
+        const racers = [promise, activePayment.abandoned];
+        if (timeoutMs) {
+            racers.push(this.delay(timeoutMs).then(() => Promise.reject({ status: PAYMENT_STATUS.timeout })));
+        }
+        return Promise.race(racers);
+    }
+
+    /**
+     * @param {number} ms - Delay in milliseconds
+     * @returns {Promise} Resolves after the delay
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Build a payment result
+     * @param {string} status - One of PAYMENT_STATUS
+     * @param {string} message - Message for the customer
+     * @param {Object} payment - Payment record to keep on the order
+     * @returns {Object} Result with success status and message
+     */
+    result(status, message, payment = null) {
+        return {
+            success: status === PAYMENT_STATUS.captured || status === PAYMENT_STATUS.codConfirmed,
+            status,
+            message,
+            payment
+        };
+    }
+}
+
+// Create global payment service with the methods offered at checkout
+const payments = new PaymentService();
+[new UpiPaymentAdapter(), new CardPaymentAdapter(), new NetbankingPaymentAdapter(), new CodPaymentAdapter()]
+    .forEach(adapter => payments.registerAdapter(adapter));
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PaymentService,
+        MockPaymentGateway,
+        ServerPaymentGateway,
+        UpiPaymentAdapter,
+        CardPaymentAdapter,
+        NetbankingPaymentAdapter,
+        CodPaymentAdapter,
+        PAYMENT_STATUS,
+        MOCK_GATEWAY_TEST_DETAILS
+    };
+}
+
+// Make payment service available globally
+window.PaymentService = PaymentService;
+window.payments = payments;
@@ -0,0 +1,311 @@
+/**
+ * Pincode Module for Lunsara
+ * An offline pincode directory: looks up the city and state of an Indian pincode,
+ * checks whether it can be delivered to and whether cash on delivery is offered there,
+ * and estimates delivery dates from the warehouse.
+ */
+
+// Where orders are shipped from, and the pincode prefixes delivered as same-city
+const SHIPPING_ORIGIN = {
+    pincode: '631208',
+    city: 'Tiruvallur',
+    state: 'TN',
+    localPrefixes: ['600', '601', '602', '603', '631']
+};
+
+// States served by each two-digit pincode prefix (the postal circle)
+const PINCODE_STATE_PREFIXES = {
+    '11': ['DL'],
+    '12': ['HR'], '13': ['HR'],
+    '14': ['PB'], '15': ['PB'], '16': ['PB', 'CH'],
+    '17': ['HP'],
+    '18': ['JK'], '19': ['JK', 'LA'],
+    '20': ['UP'], '21': ['UP'], '22': ['UP'], '23': ['UP'], '24': ['UP', 'UT'],
+    '25': ['UP'], '26': ['UP', 'UT'], '27': ['UP'], '28': ['UP'],
+    '30': ['RJ'], '31': ['RJ'], '32': ['RJ'], '33': ['RJ'], '34': ['RJ'],
+    '36': ['GJ'], '37': ['GJ'], '38': ['GJ'], '39': ['GJ'],
+    '40': ['MH', 'GA'], '41': ['MH'], '42': ['MH'], '43': ['MH'], '44': ['MH'],
+    '45': ['MP'], '46': ['MP'], '47': ['MP'], '48': ['MP'], '49': ['CG'],
+    '50': ['TG'], '51': ['AP', 'TG'], '52': ['AP'], '53': ['AP'],
+    '56': ['KA'], '57': ['KA'], '58': ['KA'], '59': ['KA'],
+    '60': ['TN', 'PY'], '61': ['TN'], '62': ['TN'], '63': ['TN'], '64': ['TN'],
+    '67': ['KL'], '68': ['KL'], '69': ['KL'],
+    '70': ['WB'], '71': ['WB'], '72': ['WB'], '73': ['WB', 'SK'], '74': ['WB'],
+    '75': ['OR'], '76': ['OR'], '77': ['OR'],
+    '78': ['AS'], '79': ['AR', 'MN', 'ML', 'MZ', 'NL', 'TR'],
+    '80': ['BR'], '81': ['BR', 'JH'], '82': ['BR', 'JH'], '83': ['JH'], '84': ['BR'], '85': ['BR']
+};
+
+// Known pincodes and pincode prefixes (3 to 6 digits); the longest matching prefix wins.
+// Entries can turn off delivery (serviceable: false) or cash on delivery (cod: false).
+const PINCODE_DIRECTORY = {
+    '110': { city: 'New Delhi', state: 'DL' },
+    '122': { city: 'Gurugram', state: 'HR' },
+    '141': { city: 'Ludhiana', state: 'PB' },
+    '160': { city: 'Chandigarh', state: 'CH' },
+    '171': { city: 'Shimla', state: 'HP' },
+    '180': { city: 'Jammu', state: 'JK' },
+    '190': { city: 'Srinagar', state: 'JK' },
+    '194': { city: 'Leh', state: 'LA', cod: false },
+    '201': { city: 'Ghaziabad', state: 'UP' },
+    '208': { city: 'Kanpur', state: 'UP' },
+    '221': { city: 'Varanasi', state: 'UP' },
+    '226': { city: 'Lucknow', state: 'UP' },
+    '248': { city: 'Dehradun', state: 'UT' },
+    '302': { city: 'Jaipur', state: 'RJ' },
+    '342': { city: 'Jodhpur', state: 'RJ' },
+    '380': { city: 'Ahmedabad', state: 'GJ' },
+    '395': { city: 'Surat', state: 'GJ' },
+    '400': { city: 'Mumbai', state: 'MH' },
+    '403': { city: 'Panaji', state: 'GA' },
+    '411': { city: 'Pune', state: 'MH' },
+    '440': { city: 'Nagpur', state: 'MH' },
+    '452': { city: 'Indore', state: 'MP' },
+    '462': { city: 'Bhopal', state: 'MP' },
+    '492': { city: 'Raipur', state: 'CG' },
+    '500': { city: 'Hyderabad', state: 'TG' },
+    '506': { city: 'Warangal', state: 'TG' },
+    '517': { city: 'Tirupati', state: 'AP' },
+    '520': { city: 'Vijayawada', state: 'AP' },
+    '530': { city: 'Visakhapatnam', state: 'AP' },
+    '560': { city: 'Bengaluru', state: 'KA' },
+    '570': { city: 'Mysuru', state: 'KA' },
+    '575': { city: 'Mangaluru', state: 'KA' },
+    '600': { city: 'Chennai', state: 'TN' },
+    '601': { city: 'Tiruvallur', state: 'TN' },
+    '602': { city: 'Tiruvallur', state: 'TN' },
+    '603': { city: 'Chengalpattu', state: 'TN' },
+    '605': { city: 'Puducherry', state: 'PY' },
+    '606': { city: 'Tiruvannamalai', state: 'TN' },
+    '607': { city: 'Cuddalore', state: 'TN' },
+    '609': { city: 'Karaikal', state: 'PY' },
+    '613': { city: 'Thanjavur', state: 'TN' },
+    '620': { city: 'Tiruchirappalli', state: 'TN' },
+    '625': { city: 'Madurai', state: 'TN' },
+    '627': { city: 'Tirunelveli', state: 'TN' },
+    '628': { city: 'Thoothukudi', state: 'TN' },
+    '631': { city: 'Tiruvallur', state: 'TN' },
+    '632': { city: 'Vellore', state: 'TN' },
+    '636': { city: 'Salem', state: 'TN' },
+    '638': { city: 'Erode', state: 'TN' },
+    '641': { city: 'Coimbatore', state: 'TN' },
+    '643': { city: 'Ooty', state: 'TN' },
+    '682': { city: 'Kochi', state: 'KL' },
+    '6825': { city: 'Lakshadweep', state: 'KL', serviceable: false },
+    '695': { city: 'Thiruvananthapuram', state: 'KL' },
+    '700': { city: 'Kolkata', state: 'WB' },
+    '737': { city: 'Gangtok', state: 'SK' },
+    '744': { city: 'Port Blair', state: null, serviceable: false },
+    '751': { city: 'Bhubaneswar', state: 'OR' },
+    '781': { city: 'Guwahati', state: 'AS' },
+    '791': { city: 'Itanagar', state: 'AR', cod: false },
+    '793': { city: 'Shillong', state: 'ML' },
+    '795': { city: 'Imphal', state: 'MN', cod: false },
+    '796': { city: 'Aizawl', state: 'MZ', cod: false },
+    '797': { city: 'Kohima', state: 'NL', cod: false },
+    '799': { city: 'Agartala', state: 'TR' },
+    '800': { city: 'Patna', state: 'BR' },
+    '834': { city: 'Ranchi', state: 'JH' }
+};
+
+// Delivery zones measured from SHIPPING_ORIGIN, with days from order to delivery
+const DELIVERY_ZONES = {
+    local: { label: 'Same city', days: 2 },
+    state: { label: 'Within the state', days: 3 },
+    regional: { label: 'South India', days: 4 },
+    national: { label: 'Rest of India', days: 6 },
+    remote: { label: 'Remote area', days: 9 }
+};
+
+const REGIONAL_STATES = ['KA', 'KL', 'AP', 'TG', 'PY'];
+// Cash on delivery is not offered in remote zones
+const REMOTE_STATES = ['JK', 'LA', 'HP', 'SK', 'AR', 'MN', 'ML', 'MZ', 'NL', 'TR'];
+
+// Hours after the order is placed that it is packed and shipped, and how long before
+// delivery it goes out for delivery
+const DELIVERY_STEP_HOURS = {
+    packed: 12,
+    shipped: 24,
+    outForDeliveryBefore: 8
+};
+
+class PincodeDirectory {
+    /**
+     * @param {Object} options - Directory options
+     * @param {Object} options.directory - Known pincodes (defaults to PINCODE_DIRECTORY)
+     * @param {Object} options.origin - Where orders ship from (defaults to SHIPPING_ORIGIN)
+     */
+    constructor(options = {}) {
+        this.directory = options.directory || PINCODE_DIRECTORY;
+        this.origin = options.origin || SHIPPING_ORIGIN;
+    }
+
+    /**
+     * Check the format of a pincode
+     * @param {string} pincode - Pincode
+     * @returns {boolean} Whether it has six digits and does not start with 0
+     */
+    isValidFormat(pincode) {
+        return /^[1-9]\d{5}$/.test(String(pincode || '').trim());
+    }
+
+    /**
+     * Look up a pincode
+     * @param {string} pincode - Pincode
+     * @returns {Object} { valid, pincode, city, state, states, serviceable, codAvailable, zone, message }
+     */
+    lookup(pincode) {
+        const code = String(pincode || '').trim();
+        if (!this.isValidFormat(code)) {
+            return { valid: false, pincode: code, message: 'Please enter a valid 6-digit pincode' };
+        }
+
+        const entry = this.findEntry(code);
+        const states = entry && entry.state ? [entry.state] : (PINCODE_STATE_PREFIXES[code.substring(0, 2)] || []);
+        if (!entry && states.length === 0) {
+            return { valid: false, pincode: code, message: `${code} is not a valid pincode` };
+        }
+
+        const state = states.length === 1 ? states[0] : null;
+        const serviceable = !entry || entry.serviceable !== false;
+        const zone = serviceable ? this.getZone(code, states) : null;
+        const codAvailable = serviceable && zone !== 'remote' && !(entry && entry.cod === false);
+
+        return {
+            valid: true,
+            pincode: code,
+            city: entry ? entry.city : null,
+            state,
+            states,
+            serviceable,
+            codAvailable,
+            zone,
+            message: serviceable ? null : `Sorry, we do not deliver to ${code} yet`
+        };
+    }
+
+    /**
+     * Find the directory entry with the longest prefix of a pincode
+     * @param {string} pincode - Six-digit pincode
+     * @returns {Object|null} Entry
+     */
+    findEntry(pincode) {
+        for (let length = 6; length >= 3; length--) {
+            const entry = this.directory[pincode.substring(0, length)];
+            if (entry) {
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check that a pincode belongs to a state
+     * @param {string} pincode - Pincode
+     * @param {string} state - State code
+     * @returns {Object} { valid, message }
+     */
+    checkState(pincode, state) {
+        const result = this.lookup(pincode);
+        if (!result.valid) {
+            return { valid: false, message: result.message };
+        }
+        if (state && result.states.length > 0 && !result.states.includes(state)) {
+            const expected = result.states.map(code => this.getStateName(code)).join(' or ');
+            return { valid: false, message: `Pincode ${result.pincode} is in ${expected}, not ${this.getStateName(state)}` };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Get the delivery zone of a pincode
+     * @param {string} pincode - Pincode
+     * @param {Array} states - States the pincode may be in
+     * @returns {string} Key of DELIVERY_ZONES
+     */
+    getZone(pincode, states) {
+        if (this.origin.localPrefixes.includes(pincode.substring(0, 3))) {
+            return 'local';
+        }
+        if (states.some(state => REMOTE_STATES.includes(state))) {
+            return 'remote';
+        }
+        if (states.includes(this.origin.state)) {
+            return 'state';
+        }
+        if (states.some(state => REGIONAL_STATES.includes(state))) {
+            return 'regional';
+        }
+        return 'national';
+    }
+
+    /**
+     * Estimate when an order to a pincode reaches each delivery step.
+     * There are no deliveries on Sundays.
+     * @param {string} pincode - Delivery pincode
+     * @param {Date} placedAt - When the order is placed (defaults to now)
+     * @returns {Object|null} { zone, zoneLabel, days, deliveryDate, expectedDates }, or null if it cannot be delivered
+     */
+    estimateDelivery(pincode, placedAt = new Date()) {
+        const result = this.lookup(pincode);
+        if (!result.valid || !result.serviceable) {
+            return null;
+        }
+
+        const hour = 60 * 60 * 1000;
+        const zone = DELIVERY_ZONES[result.zone];
+        const delivered = new Date(placedAt.getTime() + zone.days * 24 * hour);
+        if (delivered.getDay() === 0) {
+            delivered.setDate(delivered.getDate() + 1);
+        }
+
+        return {
+            zone: result.zone,
+            zoneLabel: zone.label,
+            days: Math.round((delivered - placedAt) / (24 * hour)),
+            deliveryDate: delivered,
+            expectedDates: {
+                packed: new Date(placedAt.getTime() + DELIVERY_STEP_HOURS.packed * hour).toISOString(),
+                shipped: new Date(placedAt.getTime() + DELIVERY_STEP_HOURS.shipped * hour).toISOString(),
+                out_for_delivery: new Date(delivered.getTime() - DELIVERY_STEP_HOURS.outForDeliveryBefore * hour).toISOString(),
+                delivered: delivered.toISOString()
+            }
+        };
+    }
+
+    /**
+     * Format an estimated delivery date for display
+     * @param {Date} date - Delivery date
+     * @returns {string} Date such as "Mon, 26 Oct"
+     */
+    formatDeliveryDate(date) {
+        return i18n.formatDate(date, { weekday: 'short', day: 'numeric', month: 'short' });
+    }
+
+    /**
+     * Get a state's name
+     * @param {string} stateCode - State code
+     * @returns {string} State name, or the code if it is unknown
+     */
+    getStateName(stateCode) {
+        return typeof GST_STATES !== 'undefined' && GST_STATES[stateCode] ? GST_STATES[stateCode].name : stateCode;
+    }
+}
+
+// Create global pincode directory
+const pincodes = new PincodeDirectory();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PincodeDirectory,
+        PINCODE_DIRECTORY,
+        PINCODE_STATE_PREFIXES,
+        DELIVERY_ZONES,
+        SHIPPING_ORIGIN
+    };
+}
+
+// Make pincode directory available globally
+window.PincodeDirectory = PincodeDirectory;
+window.pincodes = pincodes;
@@ -0,0 +1,525 @@
+/**
+ * Pricing Module for Lunsara
+ * Calculates cart and order totals: MRP, product discounts, automatic offers,
+ * coupon codes, delivery, packaging and GST, with a line-by-line breakdown.
+ * Coupons set up in the admin console and how often each has been used are kept in the shared
+ * coupons and couponUsage repositories, so limits count every shopper's orders.
+ * Requires storage.js and tax.js; uses catalog.js for current prices and categories when it is loaded.
+ */
+
+// IDs of the records in repositories.coupons and repositories.couponUsage
+const COUPONS_RECORD_ID = 'coupons';
+const COUPON_USAGE_RECORD_ID = 'usage';
+
+// Order-level charges, before or including GST as the catalog prices are
+const PRICING_RULES = {
+    // Orders whose items come to at least this much are delivered free
+    freeDeliveryFrom: 500,
+    deliveryCharge: 40,
+    packagingFee: 29
+};
+
+// Coupon codes offered when none have been configured in the admin panel
+const DEFAULT_COUPONS = [
+    {
+        code: 'WELCOME10',
+        description: '10% off your first order (up to ₹1,000)',
+        type: 'percent',
+        value: 10,
+        maxDiscount: 1000,
+        firstOrderOnly: true
+    },
+    {
+        code: 'FLAT500',
+        description: '₹500 off on orders of ₹4,999 or more',
+        type: 'flat',
+        value: 500,
+        minOrder: 4999
+    },
+    {
+        code: 'SILK15',
+        description: '15% off silk sarees on orders of ₹8,000 or more (up to ₹2,500)',
+        type: 'percent',
+        value: 15,
+        maxDiscount: 2500,
+        minOrder: 8000,
+        categories: ['silk-sarees'],
+        expiresAt: '2026-12-31T23:59:59+05:30'
+    },
+    {
+        code: 'LUNGI100',
+        description: '₹100 off lungis worth ₹999 or more',
+        type: 'flat',
+        value: 100,
+        minOrder: 999,
+        categories: ['lungis'],
+        usageLimit: 500
+    },
+    {
+        code: 'FESTIVE750',
+        description: '₹750 off on orders of ₹7,500 or more, once per customer',
+        type: 'flat',
+        value: 750,
+        minOrder: 7500,
+        usageLimit: 100,
+        perUserLimit: 1,
+        expiresAt: '2026-11-30T23:59:59+05:30'
+    },
+    {
+        code: 'PRINTED20',
+        description: '20% off printed sarees',
+        type: 'percent',
+        value: 20,
+        categories: ['printed-sarees'],
+        expiresAt: '2025-12-31T23:59:59+05:30'
+    }
+];
+
+// Offers applied automatically when the cart qualifies
+const DEFAULT_OFFERS = [
+    {
+        id: 'lungi-multi-buy',
+        label: 'Buy 2 lungis, get 10% off',
+        type: 'percent',
+        value: 10,
+        categories: ['lungis'],
+        minQuantity: 2
+    },
+    {
+        id: 'silk-saree-pair',
+        label: 'Buy 2 silk sarees, get ₹1,000 off',
+        type: 'flat',
+        value: 1000,
+        categories: ['silk-sarees'],
+        minQuantity: 2
+    }
+];
+
+class PricingEngine {
+    /**
+     * @param {Object} options - Engine options
+     * @param {Array} options.coupons - Coupon definitions (defaults to the stored or built-in coupons)
+     * @param {Array} options.offers - Automatic offer definitions
+     * @param {Object} options.rules - Overrides for PRICING_RULES
+     * @param {Repository} options.couponRepository - Where coupons are kept (defaults to repositories.coupons)
+     * @param {Repository} options.usageRepository - Where coupon usage is kept (defaults to repositories.couponUsage)
+     */
+    constructor(options = {}) {
+        this.coupons = options.coupons || null;
+        this.offers = options.offers || DEFAULT_OFFERS;
+        this.rules = { ...PRICING_RULES, ...(options.rules || {}) };
+        this.couponRepository = options.couponRepository || repositories.coupons;
+        this.usageRepository = options.usageRepository || repositories.couponUsage;
+        this.ready = this.load();
+    }
+
+    /**
+     * Load the latest coupons and their usage, for lookups
+     * @returns {Promise<void>}
+     */
+    load() {
+        return Promise.all([
+            this.couponRepository.get(COUPONS_RECORD_ID),
+            this.usageRepository.get(COUPON_USAGE_RECORD_ID)
+        ]).then(() => {}, error => console.error('Error loading coupons:', error));
+    }
+
+    /**
+     * Get all coupon definitions
+     * @returns {Array} Coupons
+     */
+    getCoupons() {
+        if (this.coupons) {
+            return this.coupons;
+        }
+        const record = this.couponRepository.peek(COUPONS_RECORD_ID);
+        return record && Array.isArray(record.coupons) ? record.coupons : DEFAULT_COUPONS;
+    }
+
+    /**
+     * Replace the coupon definitions. The change is made again if someone else saved first.
+     * @param {Function} change - Given the current coupons, returns the new list, or undefined to keep them
+     * @returns {Promise<void>} Resolves once the coupons have been saved; rejects if they could not be
+     */
+    saveCoupons(change) {
+        return this.couponRepository.update(COUPONS_RECORD_ID, record => {
+            const coupons = change(record && Array.isArray(record.coupons) ? record.coupons : DEFAULT_COUPONS);
+            return coupons === undefined ? undefined : { coupons };
+        }).then(() => {});
+    }
+
+    /**
+     * Find a coupon by code (case-insensitive)
+     * @param {string} code - Coupon code
+     * @returns {Object|null} Coupon
+     */
+    findCoupon(code) {
+        const normalizedCode = String(code || '').trim().toUpperCase();
+        return this.getCoupons().find(coupon => coupon.code.toUpperCase() === normalizedCode) || null;
+    }
+
+    /**
+     * Get the coupons a customer can currently try
+     * @param {Date} now - Current time
+     * @returns {Array} Active, unexpired coupons
+     */
+    getAvailableCoupons(now = new Date()) {
+        return this.getCoupons().filter(coupon =>
+            coupon.active !== false &&
+            (!coupon.startsAt || new Date(coupon.startsAt) <= now) &&
+            (!coupon.expiresAt || new Date(coupon.expiresAt) >= now)
+        );
+    }
+
+    /**
+     * Get how often each coupon has been used, from the copy loaded last
+     * @returns {Object} Usage keyed by coupon code: { total, users: { userId: count } }
+     */
+    getCouponUsage() {
+        const record = this.usageRepository.peek(COUPON_USAGE_RECORD_ID);
+        return (record && record.coupons) || {};
+    }
+
+    /**
+     * Record that an order used a coupon. The use is counted again if another order was counted first.
+     * @param {string} code - Coupon code
+     * @param {string} userId - User ID (null for guests)
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    recordCouponUsage(code, userId = null) {
+        const coupon = this.findCoupon(code);
+        if (!coupon) {
+            return Promise.resolve({ success: false, message: 'Coupon not found' });
+        }
+
+        return this.usageRepository.update(COUPON_USAGE_RECORD_ID, record => {
+            const usage = { ...((record && record.coupons) || {}) };
+            const couponUsage = usage[coupon.code] || { total: 0, users: {} };
+            usage[coupon.code] = {
+                total: couponUsage.total + 1,
+                users: userId ? { ...couponUsage.users, [userId]: (couponUsage.users[userId] || 0) + 1 } : couponUsage.users
+            };
+            return { coupons: usage };
+        }).then(() => ({ success: true, message: 'Coupon use recorded' }), error => {
+            console.error(`Error recording use of coupon ${coupon.code}:`, error);
+            return { success: false, message: 'The coupon use could not be recorded' };
+        });
+    }
+
+    /**
+     * Get the coupon code the customer has applied to their cart
+     * @returns {string|null} Coupon code
+     */
+    getAppliedCouponCode() {
+        return localStorage.getItem('appliedCoupon');
+    }
+
+    /**
+     * Validate a coupon and remember it for the cart
+     * @param {string} code - Coupon code
+     * @param {Array} items - Cart items
+     * @returns {Object} Result with success status and message
+     */
+    applyCoupon(code, items) {
+        const totals = this.calculate(items, { couponCode: code });
+        if (!totals.coupon) {
+            return { success: false, message: totals.couponMessage };
+        }
+
+        localStorage.setItem('appliedCoupon', totals.coupon.code);
+        return {
+            success: true,
+            message: i18n.t('coupon.applied', { code: totals.coupon.code, amount: this.formatAmount(totals.coupon.amount) })
+        };
+    }
+
+    /**
+     * Remove the applied coupon
+     */
+    removeCoupon() {
+        localStorage.removeItem('appliedCoupon');
+    }
+
+    /**
+     * Describe the current shopper for coupon rules
+     * @returns {Object} Context with userId and the number of orders they have placed
+     */
+    getPricingContext() {
+        if (typeof auth !== 'undefined' && auth.isLoggedIn()) {
+            const currentUser = auth.getCurrentUser();
+            return { userId: currentUser.id, orderCount: auth.getUserOrders(currentUser.id).length };
+        }
+        return { userId: null, orderCount: null };
+    }
+
+    /**
+     * Calculate the full price breakdown of a cart
+     * @param {Array} items - Cart items ({ id, variantId, name, price, originalPrice, quantity, ... })
+     * @param {Object} options - Calculation options
+     * @param {string} options.couponCode - Coupon to apply (defaults to the applied coupon)
+     * @param {Object} options.context - Shopper context (defaults to the logged-in user)
+     * @param {string} options.buyerState - Delivery state code (defaults to the selected delivery address)
+     * @param {Date} options.now - Time used for coupon expiry checks
+     * @returns {Object} Totals with per-line amounts, offers, coupon, charges and GST
+     */
+    calculate(items, options = {}) {
+        const couponCode = options.couponCode !== undefined ? options.couponCode : this.getAppliedCouponCode();
+        const context = options.context || this.getPricingContext();
+        const buyerState = options.buyerState !== undefined ? options.buyerState : taxCalculator.getBuyerState();
+        const now = options.now || new Date();
+
+        const lines = (items || []).map(item => this.createLine(item));
+
+        // Automatic offers
+        const offers = [];
+        this.offers.filter(offer => offer.active !== false).forEach(offer => {
+            const eligibleLines = lines.filter(line => this.isLineEligible(line, offer.categories));
+            const eligibleQuantity = eligibleLines.reduce((sum, line) => sum + line.quantity, 0);
+            const eligibleAmount = eligibleLines.reduce((sum, line) => sum + this.getNetAmount(line), 0);
+
+            if (eligibleLines.length === 0 ||
+                eligibleQuantity < (offer.minQuantity || 0) ||
+                eligibleAmount < (offer.minAmount || 0)) {
+                return;
+            }
+
+            const amount = this.getDiscountAmount(offer, eligibleAmount);
+            if (amount > 0) {
+                this.allocate(amount, eligibleLines, 'offerDiscount');
+                offers.push({ id: offer.id, label: offer.label, amount });
+            }
+        });
+
+        // Coupon
+        let coupon = null;
+        let couponMessage = null;
+        if (couponCode) {
+            const result = this.evaluateCoupon(couponCode, lines, context, now);
+            if (result.success) {
+                this.allocate(result.amount, result.eligibleLines, 'couponDiscount');
+                coupon = { code: result.coupon.code, description: result.coupon.description, amount: result.amount };
+            } else {
+                couponMessage = result.message;
+            }
+        }
+
+        // GST on what the customer pays for each line
+        lines.forEach(line => {
+            Object.assign(line, taxCalculator.calculateLine(line, this.getNetAmount(line), buyerState));
+        });
+
+        const sum = (field, rows = lines) => rows.reduce((total, row) => total + row[field], 0);
+        const lineTotal = sum('total');
+        const freeDelivery = lines.length > 0 && lineTotal >= this.rules.freeDeliveryFrom;
+        const deliveryCharge = lines.length === 0 || freeDelivery ? 0 : this.rules.deliveryCharge;
+        const packagingFee = lines.length > 0 ? this.rules.packagingFee : 0;
+
+        // GST on the charges, which count towards the order's taxable value and tax
+        const charges = [
+            { type: 'delivery', amount: deliveryCharge },
+            { type: 'packaging', amount: packagingFee }
+        ].filter(charge => charge.amount > 0)
+            .map(charge => ({ ...charge, ...taxCalculator.calculateCharge(charge.amount, lines, buyerState) }));
+        const taxed = [...lines, ...charges];
+
+        const totals = {
+            lines,
+            itemCount: sum('quantity'),
+            mrpTotal: sum('mrpTotal'),
+            subtotal: sum('amount'),
+            productDiscount: sum('productDiscount'),
+            offers,
+            offerDiscount: sum('offerDiscount'),
+            coupon,
+            couponMessage,
+            couponDiscount: sum('couponDiscount'),
+            taxableValue: sum('taxableValue', taxed),
+            tax: sum('tax', taxed),
+            cgst: sum('cgst', taxed),
+            sgst: sum('sgst', taxed),
+            igst: sum('igst', taxed),
+            pricesIncludeTax: taxCalculator.pricesIncludeTax,
+            supplyType: taxCalculator.getSupplyType(buyerState),
+            placeOfSupply: buyerState,
+            deliveryCharge,
+            freeDelivery,
+            packagingFee,
+            charges,
+            total: sum('total', taxed)
+        };
+
+        totals.savings = totals.productDiscount + totals.offerDiscount + totals.couponDiscount +
+            (freeDelivery ? this.rules.deliveryCharge : 0);
+
+        return totals;
+    }
+
+    /**
+     * Build a priced line from a cart item, preferring current catalog prices
+     * @param {Object} item - Cart item
+     * @returns {Object} Line
+     */
+    createLine(item) {
+        const product = typeof catalog !== 'undefined' ? catalog.getProduct(item.id) : null;
+        const variant = product ? catalog.getVariant(product, item.variantId) : null;
+        const quantity = parseInt(item.quantity) || 1;
+
+        const unitPrice = Number((variant || product || item).price) || 0;
+        const unitMrp = Math.max(
+            Number(variant ? variant.mrp : (product ? product.mrp : item.originalPrice)) || unitPrice,
+            unitPrice
+        );
+
+        return {
+            key: typeof catalog !== 'undefined' ? catalog.getLineKey(item.id, item.variantId) : String(item.id || item.name),
+            id: item.id,
+            variantId: item.variantId || null,
+            sku: item.sku,
+            name: item.name,
+            variantLabel: item.variantLabel || '',
+            image: item.image,
+            category: product ? product.category : item.category || null,
+            hsn: product ? product.hsn : item.hsn || null,
+            quantity,
+            unitPrice,
+            unitMrp,
+            mrpTotal: unitMrp * quantity,
+            amount: unitPrice * quantity,
+            productDiscount: (unitMrp - unitPrice) * quantity,
+            offerDiscount: 0,
+            couponDiscount: 0
+        };
+    }
+
+    /**
+     * Check a coupon against the cart and shopper
+     * @param {string} code - Coupon code
+     * @param {Array} lines - Priced lines (after automatic offers)
+     * @param {Object} context - Shopper context
+     * @param {Date} now - Current time
+     * @returns {Object} Result with success status, message, amount and eligible lines
+     */
+    evaluateCoupon(code, lines, context, now) {
+        const coupon = this.findCoupon(code);
+        const fail = message => ({ success: false, message });
+
+        if (!coupon || coupon.active === false) {
+            return fail(i18n.t('coupon.invalid'));
+        }
+        if (coupon.startsAt && new Date(coupon.startsAt) > now) {
+            return fail(i18n.t('coupon.notActive'));
+        }
+        if (coupon.expiresAt && new Date(coupon.expiresAt) < now) {
+            return fail(i18n.t('coupon.expired'));
+        }
+
+        const usage = this.getCouponUsage()[coupon.code] || { total: 0, users: {} };
+        if (coupon.usageLimit && usage.total >= coupon.usageLimit) {
+            return fail(i18n.t('coupon.usageLimit'));
+        }
+        if ((coupon.firstOrderOnly || coupon.perUserLimit) && !context.userId) {
+            return fail(i18n.t('coupon.loginRequired'));
+        }
+        if (coupon.firstOrderOnly && context.orderCount > 0) {
+            return fail(i18n.t('coupon.firstOrderOnly'));
+        }
+        if (coupon.perUserLimit && (usage.users[context.userId] || 0) >= coupon.perUserLimit) {
+            return fail(i18n.t('coupon.alreadyUsed'));
+        }
+
+        const eligibleLines = lines.filter(line => this.isLineEligible(line, coupon.categories));
+        const eligibleAmount = eligibleLines.reduce((sum, line) => sum + this.getNetAmount(line), 0);
+        if (eligibleLines.length === 0) {
+            return fail(i18n.t('coupon.noEligibleItems'));
+        }
+        if (coupon.minOrder && eligibleAmount < coupon.minOrder) {
+            return fail(i18n.t('coupon.addMore', { amount: this.formatAmount(coupon.minOrder - eligibleAmount) }));
+        }
+
+        const amount = this.getDiscountAmount(coupon, eligibleAmount);
+        if (amount <= 0) {
+            return fail(i18n.t('coupon.noSaving'));
+        }
+
+        return { success: true, coupon, amount, eligibleLines };
+    }
+
+    /**
+     * Check whether a line falls under a category restriction
+     * @param {Object} line - Priced line
+     * @param {Array<string>} categories - Allowed categories (empty or missing means all)
+     * @returns {boolean} Eligibility
+     */
+    isLineEligible(line, categories) {
+        return !categories || categories.length === 0 || categories.includes(line.category);
+    }
+
+    /**
+     * Amount still payable for a line after the discounts allocated so far
+     * @param {Object} line - Priced line
+     * @returns {number} Amount
+     */
+    getNetAmount(line) {
+        return line.amount - line.offerDiscount - line.couponDiscount;
+    }
+
+    /**
+     * Work out a flat or percentage discount on an amount
+     * @param {Object} rule - Coupon or offer ({ type, value, maxDiscount })
+     * @param {number} amount - Amount the discount applies to
+     * @returns {number} Discount in rupees
+     */
+    getDiscountAmount(rule, amount) {
+        let discount = rule.type === 'percent'
+            ? Math.round(amount * rule.value / 100)
+            : Number(rule.value) || 0;
+
+        if (rule.maxDiscount) {
+            discount = Math.min(discount, rule.maxDiscount);
+        }
+        return Math.max(0, Math.min(discount, amount));
+    }
+
+    /**
+     * Spread an order-level discount over lines in proportion to what each line costs.
+     * Rounding leftovers go to the largest line so the parts add up exactly.
+     * @param {number} amount - Discount to spread
+     * @param {Array} lines - Lines sharing the discount
+     * @param {string} field - Line field to add the share to
+     */
+    allocate(amount, lines, field) {
+        const base = lines.reduce((sum, line) => sum + this.getNetAmount(line), 0);
+        if (base <= 0) return;
+
+        const shares = lines.map(line => Math.floor(amount * this.getNetAmount(line) / base));
+        const remainder = amount - shares.reduce((sum, share) => sum + share, 0);
+        const largestIndex = lines.reduce((best, line, index) =>
+            this.getNetAmount(line) > this.getNetAmount(lines[best]) ? index : best, 0);
+        shares[largestIndex] += remainder;
+
+        lines.forEach((line, index) => {
+            line[field] += shares[index];
+        });
+    }
+
+    /**
+     * Format an amount in rupees for the shopper's language
+     * @param {number} amount - Amount
+     * @returns {string} Formatted amount
+     */
+    formatAmount(amount) {
+        return i18n.formatPrice(amount);
+    }
+}
+
+// Create global pricing instance
+const pricing = new PricingEngine();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PricingEngine, PRICING_RULES, DEFAULT_COUPONS, DEFAULT_OFFERS, COUPONS_RECORD_ID, COUPON_USAGE_RECORD_ID };
+}
+
+// Make pricing available globally
+window.PricingEngine = PricingEngine;
+window.pricing = pricing;
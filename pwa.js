@@ -0,0 +1,328 @@
+/**
+ * Offline Support Module for Lunsara
+ * Registers the service worker (sw.js) that lets the storefront be installed and used
+ * offline, and keeps the shopper informed:
+ *   - a bar at the bottom of the page while the browser is offline, with the number of
+ *     changes (cart, wishlist, addresses) waiting in storage.js's offline queue
+ *   - a short confirmation once those changes have been sent, or the reason the server
+ *     turned some of them down
+ *   - a prompt to reload when a new version of the site has been deployed
+ * Pages can also listen for `connectivityChanged` (detail.online) to adjust what they show.
+ * The records sw.js keeps for the signed-in shopper are deleted when anyone signs in or out,
+ * so the next person on a shared device cannot read them offline.
+ */
+
+const PWA_SETTINGS = {
+    serviceWorkerUrl: 'sw.js',
+    // Cache sw.js keeps the storage API's answers to signed-in requests in
+    accountCacheName: 'lunsara-account',
+    // How often an open page checks for a new version
+    updateCheckMs: 60 * 60 * 1000,
+    // How long the "changes synced" confirmation stays up
+    syncedMessageMs: 4000
+};
+
+class PwaManager {
+    /**
+     * @param {OfflineQueue|null} queue - Offline write queue from storage.js (defaults to offlineQueue)
+     * @param {Object} settings - Overrides for PWA_SETTINGS
+     */
+    constructor(queue = typeof offlineQueue !== 'undefined' ? offlineQueue : null, settings = {}) {
+        this.queue = queue;
+        this.settings = { ...PWA_SETTINGS, ...settings };
+        this.registration = null;
+        // The installed worker waiting to take over, while the update prompt is showing
+        this.waitingWorker = null;
+        this.reloading = false;
+        this.syncedTimer = null;
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.init());
+        } else {
+            this.init();
+        }
+    }
+
+    /**
+     * Register the service worker and start watching the connection
+     */
+    init() {
+        this.createStyles();
+        this.register();
+
+        window.addEventListener('online', () => this.handleConnectivityChange());
+        window.addEventListener('offline', () => this.handleConnectivityChange());
+        window.addEventListener('offlineQueueUpdated', event => this.handleQueueUpdate(event.detail));
+        window.addEventListener('authStateChanged', event => this.handleAuthChange(event.detail));
+
+        this.updateStatus();
+    }
+
+    /**
+     * Forget the previous shopper's cached records when a session starts or ends
+     * @param {Object} detail - authStateChanged detail
+     */
+    handleAuthChange(detail) {
+        if (['login', 'logout', 'expired'].includes(detail.reason)) {
+            this.clearAccountCache();
+        }
+    }
+
+    /**
+     * Delete the storage API responses cached for the signed-in shopper
+     * @returns {Promise<boolean>} Whether there was a cache to delete
+     */
+    clearAccountCache() {
+        if (typeof caches === 'undefined') {
+            return Promise.resolve(false);
+        }
+        return caches.delete(this.settings.accountCacheName).catch(error => {
+            console.error('Error clearing cached account records:', error);
+            return false;
+        });
+    }
+
+    /**
+     * Register the service worker and offer any new version it finds
+     * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null where unsupported
+     */
+    register() {
+        if (!('serviceWorker' in navigator)) {
+            return Promise.resolve(null);
+        }
+
+        // The new worker has taken over at the visitor's request: load the page from it
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.waitingWorker && !this.reloading) {
+                this.reloading = true;
+                window.location.reload();
+            }
+        });
+
+        return navigator.serviceWorker.register(this.settings.serviceWorkerUrl)
+            .then(registration => {
+                this.registration = registration;
+
+                if (registration.waiting && navigator.serviceWorker.controller) {
+                    this.showUpdatePrompt(registration.waiting);
+                }
+                registration.addEventListener('updatefound', () => this.watchInstall(registration.installing));
+                setInterval(() => registration.update().catch(() => {}), this.settings.updateCheckMs);
+
+                return registration;
+            })
+            .catch(error => {
+                console.error('Error registering service worker:', error);
+                return null;
+            });
+    }
+
+    /**
+     * Offer a newly installed worker once it is ready. The first worker a browser
+     * installs has no older version to replace, so it is not offered.
+     * @param {ServiceWorker|null} worker - Installing worker
+     */
+    watchInstall(worker) {
+        if (!worker) return;
+
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt(worker);
+            }
+        });
+    }
+
+    /**
+     * Ask the visitor to reload for the new version
+     * @param {ServiceWorker} worker - Installed worker waiting to take over
+     */
+    showUpdatePrompt(worker) {
+        this.waitingWorker = worker;
+
+        let prompt = document.getElementById('pwa-update-prompt');
+        if (!prompt) {
+            prompt = document.createElement('div');
+            prompt.id = 'pwa-update-prompt';
+            prompt.className = 'pwa-bar pwa-update';
+            prompt.innerHTML = `
+                <span><i class="fas fa-sync-alt"></i> ${i18n.t('pwa.updateAvailable')}</span>
+                <button type="button" class="pwa-button" id="pwa-update-reload">${i18n.t('pwa.reload')}</button>
+                <button type="button" class="pwa-button pwa-button-secondary" id="pwa-update-later">${i18n.t('common.later')}</button>
+            `;
+            document.body.appendChild(prompt);
+            document.getElementById('pwa-update-reload').addEventListener('click', () => this.applyUpdate());
+            document.getElementById('pwa-update-later').addEventListener('click', () => this.hideUpdatePrompt());
+        }
+        prompt.style.display = 'flex';
+    }
+
+    /**
+     * Close the update prompt. The new version is used the next time every tab is closed.
+     */
+    hideUpdatePrompt() {
+        const prompt = document.getElementById('pwa-update-prompt');
+        if (prompt) {
+            prompt.style.display = 'none';
+        }
+    }
+
+    /**
+     * Switch to the waiting version; the page reloads once it has taken over
+     */
+    applyUpdate() {
+        if (!this.waitingWorker) return;
+
+        this.hideUpdatePrompt();
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    /**
+     * Check whether the browser has a network connection
+     * @returns {boolean} Online status
+     */
+    isOnline() {
+        return navigator.onLine !== false;
+    }
+
+    /**
+     * Count the changes waiting to be sent
+     * @returns {number} Waiting changes
+     */
+    getPendingCount() {
+        return this.queue ? this.queue.getPending().length : 0;
+    }
+
+    /**
+     * Get the changes the server turned down
+     * @returns {Array} Rejected changes
+     */
+    getRejected() {
+        return this.queue ? this.queue.getRejected() : [];
+    }
+
+    /**
+     * Update the status bar and tell the page when the connection drops or returns
+     */
+    handleConnectivityChange() {
+        this.updateStatus();
+        window.dispatchEvent(new CustomEvent('connectivityChanged', {
+            detail: { online: this.isOnline() }
+        }));
+    }
+
+    /**
+     * Show the status bar for the offline queue, confirming once everything has been sent
+     * @param {Object} detail - offlineQueueUpdated detail ({pending, synced, rejected})
+     */
+    handleQueueUpdate(detail) {
+        if (detail.synced > 0 && detail.pending === 0 && this.getRejected().length === 0) {
+            this.showStatus(`<i class="fas fa-check-circle"></i> ${i18n.t('pwa.synced')}`, 'pwa-synced');
+            clearTimeout(this.syncedTimer);
+            this.syncedTimer = setTimeout(() => this.updateStatus(), this.settings.syncedMessageMs);
+            return;
+        }
+        this.updateStatus();
+    }
+
+    /**
+     * Show or hide the offline bar
+     */
+    updateStatus() {
+        const pending = this.getPendingCount();
+        const rejected = this.getRejected();
+
+        if (!this.isOnline()) {
+            const message = pending > 0 ? i18n.t('pwa.offlinePending', { count: pending }) : i18n.t('pwa.offline');
+            this.showStatus(`<i class="fas fa-wifi"></i> ${message}`, 'pwa-offline');
+        } else if (pending > 0) {
+            this.showStatus(`<i class="fas fa-sync-alt"></i> ${i18n.t('pwa.syncing', { count: pending })}`, 'pwa-syncing');
+        } else if (rejected.length > 0) {
+            this.showRejected(rejected);
+        } else {
+            this.hideStatus();
+        }
+    }
+
+    /**
+     * Tell the shopper which changes made offline the server turned down, until they dismiss it
+     * @param {Array} rejected - Rejected changes
+     */
+    showRejected(rejected) {
+        const reason = document.createElement('span');
+        reason.textContent = rejected[rejected.length - 1].error.message;
+        const message = i18n.t('pwa.rejected', { count: rejected.length, reason: reason.innerHTML });
+
+        this.showStatus(`<i class="fas fa-exclamation-circle"></i> ${message}`, 'pwa-rejected');
+        const bar = document.getElementById('pwa-status');
+        bar.insertAdjacentHTML('beforeend', `<button type="button" class="pwa-button" id="pwa-rejected-dismiss">${i18n.t('pwa.dismiss')}</button>`);
+        document.getElementById('pwa-rejected-dismiss').addEventListener('click', () => this.queue.dismissRejected());
+    }
+
+    /**
+     * @param {string} html - Message
+     * @param {string} className - Bar style
+     */
+    showStatus(html, className) {
+        let bar = document.getElementById('pwa-status');
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.id = 'pwa-status';
+            document.body.appendChild(bar);
+        }
+        bar.className = `pwa-bar ${className}`;
+        bar.innerHTML = `<span>${html}</span>`;
+        bar.style.display = 'flex';
+    }
+
+    /**
+     * Hide the status bar
+     */
+    hideStatus() {
+        const bar = document.getElementById('pwa-status');
+        if (bar) {
+            bar.style.display = 'none';
+        }
+    }
+
+    /**
+     * Add the styles of the status bar and update prompt to the page
+     */
+    createStyles() {
+        if (document.getElementById('pwa-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'pwa-styles';
+        style.textContent = `
+            .pwa-bar {
+                position: fixed; left: 50%; bottom: 20px; transform: translateX(-50%); z-index: 15000;
+                display: flex; align-items: center; gap: 12px; max-width: calc(100% - 40px);
+                padding: 12px 18px; border-radius: 10px; font-size: 14px; color: white;
+                box-shadow: 0 6px 20px rgba(0, 0, 0, 0.2);
+            }
+            .pwa-offline { background: #34495e; }
+            .pwa-syncing { background: #8e44ad; }
+            .pwa-synced { background: #27ae60; }
+            .pwa-rejected { background: #c0392b; }
+            .pwa-rejected .pwa-button { color: #c0392b; }
+            .pwa-update { background: #8e44ad; bottom: 80px; }
+            .pwa-button {
+                padding: 6px 14px; border: none; border-radius: 6px; cursor: pointer;
+                font-size: 13px; font-weight: 600; background: white; color: #8e44ad;
+            }
+            .pwa-button-secondary { background: transparent; color: white; border: 1px solid rgba(255, 255, 255, 0.6); }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+// Create global offline support instance
+const pwa = new PwaManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PwaManager, PWA_SETTINGS };
+}
+
+// Make offline support available globally
+window.PwaManager = PwaManager;
+window.pwa = pwa;
@@ -0,0 +1,370 @@
+/**
+ * Recommendation Module for Lunsara
+ * Records what each shopper (user or guest, see getStorageOwnerId) views, adds to the cart,
+ * adds to a watchlist and buys, and builds product lists from it on this device:
+ *   recently viewed        - the shopper's last viewed products
+ *   similar                - products close in category, material, colour, collection and price band
+ *   frequently bought together - products that share orders, from every account's order history
+ *   for you                - products similar to what the shopper has shown interest in
+ * Every list leaves out products already in the cart and products out of stock.
+ * Activity is kept under `recommendationActivity`; a guest's activity moves to their account
+ * when they log in. Uses catalog.js for products and stock, cart.js for the cart, and the
+ * users repository for order history.
+ */
+
+const RECOMMENDATION_ACTIVITY_KEY = 'recommendationActivity';
+
+const RECOMMENDATION_SETTINGS = {
+    // Events kept per shopper, newest first
+    maxEventsPerOwner: 200,
+    // How much each kind of event says about what a shopper likes
+    eventWeights: { view: 1, wishlist: 2, cart: 3, purchase: 4 },
+    // Days after which an event counts half as much
+    interestHalfLifeDays: 14,
+    // Products an interest profile is built from
+    interestProducts: 8
+};
+
+// Upper bounds of the price bands similar products are matched on
+const RECOMMENDATION_PRICE_BANDS = [1000, 3000, 7000, 15000, Infinity];
+
+// What makes two products similar, and how much
+const SIMILARITY_WEIGHTS = {
+    category: 3,
+    material: 2,
+    priceBand: 1.5,
+    collection: 1.5,
+    color: 1,
+    maxColors: 2
+};
+
+const RECOMMENDATION_EVENT_TYPES = ['view', 'cart', 'wishlist', 'purchase'];
+
+class RecommendationEngine {
+    /**
+     * @param {Repository} userRepository - Where order history is kept (defaults to repositories.users)
+     * @param {Object} settings - Limits and weights (defaults to RECOMMENDATION_SETTINGS)
+     */
+    constructor(userRepository = repositories.users, settings = RECOMMENDATION_SETTINGS) {
+        this.userRepository = userRepository;
+        this.settings = settings;
+        // Product IDs of each order, loaded from every account's order history by loadOrderHistory
+        this.baskets = null;
+        this.historyPromise = null;
+        this.setupEventListeners();
+    }
+
+    /**
+     * Record something a shopper did with a product
+     * @param {string} type - One of RECOMMENDATION_EVENT_TYPES
+     * @param {string} productId - Catalog product ID
+     * @param {string} ownerId - Shopper (defaults to the current user or guest)
+     * @param {Date} now - Time of the event
+     */
+    recordEvent(type, productId, ownerId = getStorageOwnerId(), now = new Date()) {
+        if (!RECOMMENDATION_EVENT_TYPES.includes(type) || !productId) {
+            return;
+        }
+
+        const activity = this.readActivity();
+        const events = activity[ownerId] || [];
+
+        // Viewing the same product again only moves it to the front
+        const kept = type === 'view'
+            ? events.filter(event => !(event.type === 'view' && event.productId === productId))
+            : events;
+        activity[ownerId] = [{ type, productId, at: now.toISOString() }, ...kept].slice(0, this.settings.maxEventsPerOwner);
+        this.writeActivity(activity);
+    }
+
+    /**
+     * Record a product page view
+     * @param {string} productId - Catalog product ID
+     */
+    recordView(productId) {
+        this.recordEvent('view', productId);
+    }
+
+    /**
+     * Record the products of a new order, and add it to the order history used for
+     * "frequently bought together"
+     * @param {Object} order - Order
+     * @param {string} ownerId - Shopper who placed it
+     */
+    recordPurchase(order, ownerId = getStorageOwnerId()) {
+        const productIds = this.getOrderProductIds(order);
+        productIds.forEach(productId => this.recordEvent('purchase', productId, ownerId));
+        if (this.baskets && productIds.length > 1) {
+            this.baskets.push(productIds);
+        }
+    }
+
+    /**
+     * Events of a shopper, newest first
+     * @param {string} ownerId - Shopper (defaults to the current user or guest)
+     * @returns {Array} Events { type, productId, at }
+     */
+    getEvents(ownerId = getStorageOwnerId()) {
+        return this.readActivity()[ownerId] || [];
+    }
+
+    /**
+     * Load the products of every order on this device. Later calls reuse the first load.
+     * @returns {Promise<Array>} Product IDs of each order with more than one product
+     */
+    loadOrderHistory() {
+        if (!this.historyPromise) {
+            this.historyPromise = this.userRepository.find()
+                .then(users => {
+                    this.baskets = users
+                        .flatMap(user => (user.profile && user.profile.orders) || [])
+                        .filter(order => order.status !== 'cancelled')
+                        .map(order => this.getOrderProductIds(order))
+                        .filter(productIds => productIds.length > 1);
+                    return this.baskets;
+                })
+                .catch(error => {
+                    console.error('Error loading order history:', error);
+                    this.historyPromise = null;
+                    this.baskets = [];
+                    return this.baskets;
+                });
+        }
+        return this.historyPromise;
+    }
+
+    /**
+     * @param {Object} order - Order
+     * @returns {Array} Distinct product IDs of the order
+     */
+    getOrderProductIds(order) {
+        return [...new Set((order.items || []).map(item => item.id).filter(Boolean))];
+    }
+
+    /**
+     * Products the shopper viewed most recently
+     * @param {number} limit - Maximum number of products
+     * @param {Object} options - { exclude: product IDs to leave out, e.g. the product on the page }
+     * @returns {Array} Catalog products
+     */
+    getRecentlyViewed(limit = 6, options = {}) {
+        const productIds = this.getEvents()
+            .filter(event => event.type === 'view')
+            .map(event => event.productId);
+        return this.pickProducts(productIds, limit, options.exclude);
+    }
+
+    /**
+     * Products most like one product
+     * @param {string} productId - Catalog product ID
+     * @param {number} limit - Maximum number of products
+     * @param {Object} options - { exclude: product IDs to leave out }
+     * @returns {Array} Catalog products, most similar first
+     */
+    getSimilar(productId, limit = 4, options = {}) {
+        const product = catalog.getProduct(productId);
+        if (!product) {
+            return [];
+        }
+
+        const ranked = catalog.getAllProducts()
+            .filter(candidate => candidate.id !== product.id)
+            .map(candidate => ({ product: candidate, score: this.getSimilarity(product, candidate) }))
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score || (b.product.rating || 0) - (a.product.rating || 0))
+            .map(entry => entry.product.id);
+        return this.pickProducts(ranked, limit, [product.id, ...(options.exclude || [])]);
+    }
+
+    /**
+     * Products most often ordered together with some products. Call loadOrderHistory first;
+     * until it has loaded the list is empty.
+     * @param {Array} productIds - Catalog product IDs, e.g. the cart's
+     * @param {number} limit - Maximum number of products
+     * @param {Object} options - { exclude: product IDs to leave out }
+     * @returns {Array} Catalog products, most often bought together first
+     */
+    getFrequentlyBoughtTogether(productIds, limit = 4, options = {}) {
+        const counts = {};
+        (this.baskets || [])
+            .filter(basket => basket.some(id => productIds.includes(id)))
+            .forEach(basket => basket
+                .filter(id => !productIds.includes(id))
+                .forEach(id => { counts[id] = (counts[id] || 0) + 1; }));
+
+        const ranked = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+        return this.pickProducts(ranked, limit, [...productIds, ...(options.exclude || [])]);
+    }
+
+    /**
+     * Products for the shopper from everything they have done, weighted by kind of event and
+     * how recent it is. Shoppers without activity get the best-rated products.
+     * @param {number} limit - Maximum number of products
+     * @param {Object} options - { exclude: product IDs to leave out, e.g. ones shown as recently viewed }
+     * @param {Date} now - Current time
+     * @returns {Array} Catalog products
+     */
+    getForYou(limit = 6, options = {}, now = new Date()) {
+        const interests = this.getInterests(now);
+        const seedIds = Object.keys(interests)
+            .sort((a, b) => interests[b] - interests[a])
+            .slice(0, this.settings.interestProducts);
+        const seeds = seedIds.map(id => catalog.getProduct(id)).filter(Boolean);
+        const purchased = this.getEvents().filter(event => event.type === 'purchase').map(event => event.productId);
+
+        const ranked = catalog.getAllProducts()
+            .map(candidate => ({
+                product: candidate,
+                score: seeds.reduce((sum, seed) => sum + interests[seed.id] * this.getSimilarity(seed, candidate), 0)
+            }))
+            .sort((a, b) => b.score - a.score || (b.product.rating || 0) - (a.product.rating || 0))
+            .map(entry => entry.product.id);
+
+        // Products already bought are not suggested again; ones only looked at still can be
+        return this.pickProducts(ranked, limit, [...purchased, ...(options.exclude || [])]);
+    }
+
+    /**
+     * Suggestions for a cart: products bought together with its items, then ones like them
+     * @param {Array} cart - Cart lines
+     * @param {number} limit - Maximum number of products
+     * @returns {Array} Catalog products
+     */
+    getCartRecommendations(cart, limit = 4) {
+        const cartIds = [...new Set(cart.map(item => item.id))];
+        const together = this.getFrequentlyBoughtTogether(cartIds, limit);
+        const similar = cartIds.flatMap(productId => this.getSimilar(productId, limit));
+
+        const seen = new Set();
+        return [...together, ...similar]
+            .filter(product => !seen.has(product.id) && seen.add(product.id))
+            .slice(0, limit);
+    }
+
+    /**
+     * How much the shopper cares about each product, from their events
+     * @param {Date} now - Current time
+     * @returns {Object} Interest score by product ID
+     */
+    getInterests(now = new Date()) {
+        const halfLifeMs = this.settings.interestHalfLifeDays * 24 * 60 * 60 * 1000;
+        const interests = {};
+        this.getEvents().forEach(event => {
+            const age = Math.max(0, now - new Date(event.at));
+            const weight = (this.settings.eventWeights[event.type] || 0) * Math.pow(0.5, age / halfLifeMs);
+            interests[event.productId] = (interests[event.productId] || 0) + weight;
+        });
+        return interests;
+    }
+
+    /**
+     * How alike two products are (see SIMILARITY_WEIGHTS)
+     * @param {Object} a - Catalog product
+     * @param {Object} b - Catalog product
+     * @returns {number} Score, 0 when they have nothing in common
+     */
+    getSimilarity(a, b) {
+        const weights = SIMILARITY_WEIGHTS;
+        const sharedColors = (a.colors || []).filter(color => (b.colors || []).includes(color)).length;
+        const sharedCollection = (a.collections || []).some(collection => (b.collections || []).includes(collection));
+
+        return (a.category === b.category ? weights.category : 0) +
+            (a.material && a.material === b.material ? weights.material : 0) +
+            (this.getPriceBand(a.price) === this.getPriceBand(b.price) ? weights.priceBand : 0) +
+            (sharedCollection ? weights.collection : 0) +
+            Math.min(sharedColors, weights.maxColors) * weights.color;
+    }
+
+    /**
+     * @param {number} price - Price in rupees
+     * @returns {number} Index into RECOMMENDATION_PRICE_BANDS
+     */
+    getPriceBand(price) {
+        return RECOMMENDATION_PRICE_BANDS.findIndex(limit => price < limit);
+    }
+
+    /**
+     * Turn ranked product IDs into products the shopper can buy: in the catalog, in stock,
+     * not in the cart and not excluded
+     * @param {Array} productIds - Catalog product IDs, best first
+     * @param {number} limit - Maximum number of products
+     * @param {Array} exclude - Product IDs to leave out
+     * @returns {Array} Catalog products
+     */
+    pickProducts(productIds, limit, exclude = []) {
+        const cartIds = typeof cartService !== 'undefined' ? cartService.getItems().map(item => item.id) : [];
+        const skip = new Set([...cartIds, ...exclude]);
+        const picked = [];
+
+        for (const productId of productIds) {
+            if (picked.length >= limit) break;
+            if (skip.has(productId)) continue;
+            skip.add(productId);
+
+            const product = catalog.getProduct(productId);
+            if (product && catalog.isInStock(product)) {
+                picked.push(product);
+            }
+        }
+        return picked;
+    }
+
+    /**
+     * Move a guest's activity to the account they logged in to
+     * @param {string} userId - User ID
+     */
+    mergeGuestActivity(userId) {
+        const activity = this.readActivity();
+        const guestEvents = activity[getGuestOwnerId()];
+        if (!guestEvents || guestEvents.length === 0) {
+            return;
+        }
+
+        activity[userId] = [...guestEvents, ...(activity[userId] || [])]
+            .sort((a, b) => new Date(b.at) - new Date(a.at))
+            .slice(0, this.settings.maxEventsPerOwner);
+        delete activity[getGuestOwnerId()];
+        this.writeActivity(activity);
+    }
+
+    /**
+     * @returns {Object} Events by owner ID
+     */
+    readActivity() {
+        try {
+            return JSON.parse(localStorage.getItem(RECOMMENDATION_ACTIVITY_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * @param {Object} activity - Events by owner ID
+     */
+    writeActivity(activity) {
+        localStorage.setItem(RECOMMENDATION_ACTIVITY_KEY, JSON.stringify(activity));
+    }
+
+    /**
+     * Move a guest's activity to their account when they log in
+     */
+    setupEventListeners() {
+        window.addEventListener('authStateChanged', (e) => {
+            if (e.detail.reason === 'login') {
+                this.mergeGuestActivity(e.detail.user.id);
+            }
+        });
+    }
+}
+
+// Create global recommendation engine instance
+const recommendations = new RecommendationEngine();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RecommendationEngine, RECOMMENDATION_SETTINGS, RECOMMENDATION_PRICE_BANDS, SIMILARITY_WEIGHTS, RECOMMENDATION_EVENT_TYPES };
+}
+
+// Make recommendation engine available globally
+window.RecommendationEngine = RecommendationEngine;
+window.recommendations = recommendations;
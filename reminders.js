@@ -0,0 +1,772 @@
+/**
+ * Reminder Module for Lunsara
+ * Finds carts customers have walked away from and changes to the items on their wishlists,
+ * and schedules reminder messages about them:
+ *   abandoned cart  - a logged-in customer's cart, unchanged for a while with no order placed since,
+ *                     with a one-click link that restores the cart (cart.html?restore=...)
+ *   wishlist alert  - wishlisted items whose price dropped below the saved price, or that came back
+ *                     into stock; alerts due together go out as one message
+ * Every account is checked when a page calls runChecks(), at most once per check interval however many
+ * pages are open. With records on a server, the server runs the checks itself on a schedule (see
+ * createReminderJob in server/server.js) and pages leave them to it. Reminders wait until they are due
+ * and are checked again before they go out, so a cart that changed or was ordered in the meantime is not chased.
+ *
+ * Customers choose the channels of each kind of reminder in their notification preferences
+ * (the 'cart' and 'wishlist' categories) and how often they may get one in
+ * `profile.preferences.reminders.frequency`. Every message links to homepage.html?unsubscribe=...,
+ * which turns that kind off without signing in; with records on a server, the server checks the
+ * link's token (POST /api/reminders/unsubscribe).
+ *
+ * Time comes from a clock ({ now() }); pass a FakeClock to step through hours in tests. Messages go
+ * through notifications.js, whose outbox transport keeps them on this device (or in the server's records).
+ * The schedule is one record of the reminders repository. Restore-cart links are kept in the
+ * restoreLinks repository under a hash of their token, so only the link itself opens one.
+ * Uses auth.js and the users, carts and watchlists repositories; checks need catalog.js and
+ * wishlist.js, and restoring a cart needs cart.js.
+ */
+
+// ID of the reminder schedule in the reminders repository
+const REMINDER_STATE_ID = 'state';
+
+const REMINDER_SETTINGS = {
+    // A cart counts as abandoned once it has been left unchanged this long
+    abandonedCartHours: 24,
+    // Reminders about the same cart, and the wait between them
+    cartReminderLimit: 2,
+    cartFollowUpHours: 72,
+    // Wait before a wishlist alert goes out, so changes made together share one message
+    wishlistAlertDelayMinutes: 30,
+    // How long a restore-cart link works
+    restoreLinkDays: 14,
+    // How often the accounts are checked, however often runChecks is called
+    checkIntervalMinutes: 15,
+    // Sent reminders kept per customer for the frequency cap
+    historyLimit: 20
+};
+
+// How often a customer may get a reminder of any kind
+const REMINDER_FREQUENCIES = {
+    daily: { label: 'At most one a day', hours: 24 },
+    weekly: { label: 'At most one a week', hours: 7 * 24 }
+};
+
+const DEFAULT_REMINDER_FREQUENCY = 'daily';
+
+// Kinds of reminder an unsubscribe link can turn off, and their notification categories
+const REMINDER_KINDS = {
+    cart: ['cart'],
+    wishlist: ['wishlist'],
+    all: ['cart', 'wishlist']
+};
+
+/**
+ * Clock that only moves when told to, for stepping through reminder schedules in tests
+ */
+class FakeClock {
+    /**
+     * @param {Date|string|number} start - Time the clock starts at
+     */
+    constructor(start = new Date()) {
+        this.time = new Date(start).getTime();
+    }
+
+    /**
+     * @returns {Date} Current fake time
+     */
+    now() {
+        return new Date(this.time);
+    }
+
+    /**
+     * Move the clock forward
+     * @param {number} hours - Hours to move forward (may be fractional)
+     * @returns {Date} New time
+     */
+    advanceHours(hours) {
+        this.time += hours * 60 * 60 * 1000;
+        return this.now();
+    }
+}
+
+class ReminderService {
+    /**
+     * @param {Object} options - Service options
+     * @param {Object} options.clock - Source of the current time ({ now() }), e.g. a FakeClock
+     * @param {NotificationService} options.notificationService - Sends the messages (defaults to notifications)
+     * @param {Object} options.settings - Overrides for REMINDER_SETTINGS
+     * @param {Repository} options.repository - Where the reminder schedule is kept (defaults to repositories.reminders)
+     * @param {Repository} options.restoreLinks - Where restore-cart links are kept (defaults to repositories.restoreLinks)
+     * @param {boolean} options.checkAccounts - Whether runChecks checks every account here (defaults to when
+     *     records are kept in this browser; with records on a server, the server's reminder job does)
+     */
+    constructor(options = {}) {
+        this.clock = options.clock || { now: () => new Date() };
+        this.notificationService = options.notificationService || (typeof notifications !== 'undefined' ? notifications : null);
+        this.settings = { ...REMINDER_SETTINGS, ...(options.settings || {}) };
+        this.repository = options.repository || repositories.reminders;
+        this.restoreLinks = options.restoreLinks || repositories.restoreLinks;
+        this.checksAccounts = options.checkAccounts !== undefined
+            ? options.checkAccounts
+            : this.repository.adapter instanceof LocalStorageAdapter;
+        this.running = null;
+    }
+
+    // ---- Checks ----
+
+    /**
+     * Check every account for abandoned carts and wishlist changes, then send the reminders
+     * that are due. Requires the catalog to be loaded.
+     * @param {Object} options - { force: check even if the last check was recent }
+     * @returns {Promise<Object>} { checked: accounts checked, sent: reminders sent }
+     */
+    runChecks(options = {}) {
+        if (this.running) {
+            return this.running;
+        }
+
+        const now = this.clock.now();
+        // Without the catalog every item would look discontinued
+        if (catalog.getAllProducts().length === 0 || !this.canCheckAccounts()) {
+            return Promise.resolve({ checked: 0, sent: 0 });
+        }
+
+        // The run is claimed before anything is sent, so pages opened together do not send twice
+        this.running = this.repository.update(REMINDER_STATE_ID, current => {
+            const state = this.toState(current);
+            if (!options.force && state.lastRunAt &&
+                now - new Date(state.lastRunAt) < this.settings.checkIntervalMinutes * 60 * 1000) {
+                return undefined;
+            }
+            return { ...state, lastRunAt: now.toISOString() };
+        })
+            .then(current => {
+                const state = this.toState(current);
+                return state.lastRunAt === now.toISOString() ? this.checkAccounts(state, now) : { checked: 0, sent: 0 };
+            })
+            .catch(error => {
+                console.error('Error checking reminders:', error);
+                return { checked: 0, sent: 0 };
+            })
+            .finally(() => {
+                this.running = null;
+            });
+        return this.running;
+    }
+
+    /**
+     * Check whether the accounts are checked here: when records are kept in this browser, and in
+     * the server's reminder job when they are kept on a server
+     * @returns {boolean} Whether runChecks checks the accounts here
+     */
+    canCheckAccounts() {
+        return this.checksAccounts;
+    }
+
+    /**
+     * Check every account, send the reminders that are due and save the schedule
+     * @param {Object} state - Reminder state, claimed for this run
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} { checked: accounts checked, sent: reminders sent }
+     */
+    checkAccounts(state, now) {
+        return repositories.users.find()
+            .then(users => Promise.all(users.map(user => Promise.all([
+                repositories.carts.get(user.id).catch(() => null),
+                repositories.watchlists.get(user.id).catch(() => null)
+            ]).then(([cart, watchlist]) => ({ user, cart: cart || [], watchlist })))))
+            .then(async accounts => {
+                accounts.forEach(({ user, cart, watchlist }) => {
+                    this.checkCart(state, user, cart, now);
+                    this.checkWishlist(state, user, watchlist, now);
+                });
+
+                const sent = await this.sendDue(state, accounts, now);
+                await this.pruneRestoreLinks(now);
+                await this.repository.update(REMINDER_STATE_ID, () => state);
+                return { checked: accounts.length, sent };
+            });
+    }
+
+    /**
+     * Track a customer's cart and schedule a reminder once it has been left unchanged long enough.
+     * Any change to the cart, or an order placed since it last changed, calls off the reminder.
+     * @param {Object} state - Reminder state
+     * @param {Object} user - User record
+     * @param {Array} cart - The customer's cart lines
+     * @param {Date} now - Current time
+     */
+    checkCart(state, user, cart, now) {
+        const lines = cart.filter(line => line.id && line.quantity > 0);
+        if (lines.length === 0) {
+            delete state.carts[user.id];
+            this.cancel(state, user.id, 'abandoned_cart');
+            return;
+        }
+
+        const signature = this.getCartSignature(lines);
+        const tracked = state.carts[user.id];
+        if (!tracked || tracked.signature !== signature) {
+            // A cart seen for the first time dates from its newest line
+            const lastAdded = Math.max(...lines.map(line => new Date(line.dateAdded || 0).getTime()));
+            state.carts[user.id] = {
+                signature,
+                changedAt: tracked || !lastAdded ? now.toISOString() : new Date(Math.min(lastAdded, now.getTime())).toISOString(),
+                remindersSent: 0,
+                lastRemindedAt: null
+            };
+            this.cancel(state, user.id, 'abandoned_cart');
+        }
+
+        const entry = state.carts[user.id];
+        if (!this.isSubscribed(user.id, 'abandoned_cart') || this.hasOrderSince(user, new Date(entry.changedAt)) ||
+            entry.remindersSent >= this.settings.cartReminderLimit) {
+            this.cancel(state, user.id, 'abandoned_cart');
+            return;
+        }
+
+        const dueAt = entry.remindersSent === 0
+            ? new Date(new Date(entry.changedAt).getTime() + this.settings.abandonedCartHours * 60 * 60 * 1000)
+            : new Date(new Date(entry.lastRemindedAt).getTime() + this.settings.cartFollowUpHours * 60 * 60 * 1000);
+        this.schedule(state, {
+            userId: user.id,
+            type: 'abandoned_cart',
+            key: `cart:${signature}:${entry.remindersSent + 1}`,
+            dueAt
+        });
+    }
+
+    /**
+     * Compare a customer's wishlisted items with the catalog and schedule alerts for price
+     * drops below the saved price and for items back in stock. An item is only announced
+     * again when its price drops further, or after it has sold out and come back again.
+     * @param {Object} state - Reminder state
+     * @param {Object} user - User record
+     * @param {Object|Array|null} stored - The customer's stored wishlists
+     * @param {Date} now - Current time
+     */
+    checkWishlist(state, user, stored, now) {
+        const data = wishlist.normalizeData(stored);
+        const seen = state.wishlists[user.id] || {};
+        const tracked = {};
+        // Changes are still recorded while alerts are off, so turning them back on announces only new ones
+        const subscribed = this.isSubscribed(user.id, 'wishlist_alert');
+
+        data.lists.flatMap(list => list.items).filter(item => item.id).forEach(item => {
+            const key = wishlist.getItemKey(item);
+            const status = wishlist.getItemStatus(item);
+            if (tracked[key]) return;
+
+            const previous = seen[key] || {};
+            if (!status.available) {
+                // Kept for when the product returns to the catalog
+                if (seen[key]) tracked[key] = previous;
+                return;
+            }
+
+            const record = { ...previous, outOfStock: !status.inStock };
+
+            // Sold out since the last check, or sold out when it was saved and not announced yet
+            const restocked = status.inStock && (previous.outOfStock || (!seen[key] && status.backInStock));
+            if (restocked && subscribed) {
+                this.schedule(state, this.createWishlistAlert(user.id, item, 'restock', status, now));
+            } else if (!status.inStock) {
+                this.cancel(state, user.id, 'wishlist_alert', `restock:${key}`);
+            }
+
+            if (status.priceDrop && (previous.alertedPrice === undefined || status.currentPrice < previous.alertedPrice)) {
+                record.alertedPrice = status.currentPrice;
+                if (subscribed) this.schedule(state, this.createWishlistAlert(user.id, item, 'price', status, now));
+            } else if (!status.priceDrop) {
+                delete record.alertedPrice;
+                this.cancel(state, user.id, 'wishlist_alert', `price:${key}`);
+            }
+
+            tracked[key] = record;
+        });
+
+        // Items taken off the wishlist are not announced
+        state.scheduled = state.scheduled.filter(reminder => reminder.userId !== user.id ||
+            reminder.type !== 'wishlist_alert' || (subscribed && tracked[reminder.itemKey]));
+        state.wishlists[user.id] = tracked;
+    }
+
+    /**
+     * @param {string} userId - User ID
+     * @param {Object} item - Wishlist item
+     * @param {string} alert - 'price' or 'restock'
+     * @param {Object} status - Item status from wishlist.getItemStatus
+     * @param {Date} now - Current time
+     * @returns {Object} Reminder to schedule
+     */
+    createWishlistAlert(userId, item, alert, status, now) {
+        const itemKey = wishlist.getItemKey(item);
+        return {
+            userId,
+            type: 'wishlist_alert',
+            key: `${alert}:${itemKey}`,
+            itemKey,
+            productId: item.id,
+            variantId: item.variantId || null,
+            alert,
+            price: status.currentPrice,
+            savedPrice: item.savedPrice || item.price,
+            dueAt: new Date(now.getTime() + this.settings.wishlistAlertDelayMinutes * 60 * 1000)
+        };
+    }
+
+    /**
+     * Check whether a customer gets a kind of reminder on any channel
+     * @param {string} userId - User ID
+     * @param {string} type - Reminder type (notification template)
+     * @returns {boolean} Whether the reminder would go out
+     */
+    isSubscribed(userId, type) {
+        const category = this.notificationService.templates[type].category;
+        return this.notificationService.getChannelsFor(category, this.notificationService.getPreferences(userId)).length > 0;
+    }
+
+    /**
+     * Check whether a customer has placed an order since a time
+     * @param {Object} user - User record
+     * @param {Date} since - Time
+     * @returns {boolean} Whether there is a newer order
+     */
+    hasOrderSince(user, since) {
+        const orders = (user.profile && user.profile.orders) || [];
+        return orders.some(order => new Date(order.placedAt || order.date) >= since);
+    }
+
+    /**
+     * Identify a cart by its lines and quantities, in any order
+     * @param {Array} lines - Cart lines
+     * @returns {string} Signature
+     */
+    getCartSignature(lines) {
+        return lines
+            .map(line => `${catalog.getLineKey(line.id, line.variantId)}x${line.quantity}`)
+            .sort()
+            .join('|');
+    }
+
+    // ---- Scheduling ----
+
+    /**
+     * Add a reminder, or move an already scheduled one with the same key to its new time
+     * @param {Object} state - Reminder state
+     * @param {Object} reminder - { userId, type, key, dueAt, ... }
+     */
+    schedule(state, reminder) {
+        const existing = state.scheduled.find(entry => entry.userId === reminder.userId && entry.key === reminder.key);
+        if (existing) {
+            // A reminder held back by the frequency cap keeps its later time
+            if (!existing.postponed) existing.dueAt = reminder.dueAt.toISOString();
+            return;
+        }
+
+        state.scheduled.push({ ...reminder, dueAt: reminder.dueAt.toISOString() });
+    }
+
+    /**
+     * Call off scheduled reminders
+     * @param {Object} state - Reminder state
+     * @param {string} userId - User ID
+     * @param {string} type - Reminder type
+     * @param {string} key - Only the reminder with this key (defaults to every reminder of the type)
+     */
+    cancel(state, userId, type, key = null) {
+        state.scheduled = state.scheduled.filter(reminder =>
+            !(reminder.userId === userId && reminder.type === type && (!key || reminder.key === key)));
+    }
+
+    /**
+     * Get the scheduled reminders
+     * @param {string} userId - Only this customer's (defaults to everyone's)
+     * @returns {Promise<Array>} Reminders, soonest first
+     */
+    getScheduled(userId = null) {
+        return this.repository.get(REMINDER_STATE_ID).then(record => this.toState(record).scheduled
+            .filter(reminder => !userId || reminder.userId === userId)
+            .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt)));
+    }
+
+    /**
+     * Send the reminders that are due, one message per customer per run. Reminders over a
+     * customer's frequency cap wait until the cap allows another message.
+     * @param {Object} state - Reminder state
+     * @param {Array} accounts - { user, cart } of every account
+     * @param {Date} now - Current time
+     * @returns {Promise<number>} Messages sent
+     */
+    async sendDue(state, accounts, now) {
+        let sent = 0;
+
+        for (const { user, cart } of accounts) {
+            const due = state.scheduled
+                .filter(reminder => reminder.userId === user.id && new Date(reminder.dueAt) <= now)
+                .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+            if (due.length === 0) continue;
+
+            const allowedAt = this.getNextAllowedTime(state, user.id);
+            if (allowedAt > now) {
+                due.forEach(reminder => {
+                    reminder.dueAt = allowedAt.toISOString();
+                    reminder.postponed = true;
+                });
+                continue;
+            }
+
+            // The earliest reminder goes out; wishlist alerts due at the same time go with it
+            const batch = due[0].type === 'wishlist_alert' ? due.filter(reminder => reminder.type === 'wishlist_alert') : [due[0]];
+            let result;
+            try {
+                result = await this.sendReminder(state, user, cart, batch, now);
+            } catch (error) {
+                // Left scheduled, to go out once its links can be saved
+                console.error(`Error sending a reminder to ${user.id}:`, error);
+                continue;
+            }
+            state.scheduled = state.scheduled.filter(reminder => !batch.includes(reminder));
+
+            if (result.notifications.length > 0) {
+                const history = state.history[user.id] || [];
+                state.history[user.id] = [now.toISOString(), ...history].slice(0, this.settings.historyLimit);
+                sent++;
+            }
+        }
+
+        return sent;
+    }
+
+    /**
+     * Send one reminder message, once the links in it have been saved
+     * @param {Object} state - Reminder state
+     * @param {Object} user - User record
+     * @param {Array} cart - The customer's cart lines
+     * @param {Array} batch - Scheduled reminders the message covers
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} Result of notifications.send; rejects if a link could not be saved
+     */
+    async sendReminder(state, user, cart, batch, now) {
+        const recipient = { userId: user.id, name: user.name, email: user.email, phone: user.phone };
+
+        if (batch[0].type === 'abandoned_cart') {
+            const entry = state.carts[user.id];
+            const items = cart.filter(line => line.id && line.quantity > 0);
+            const unsubscribeLink = await this.getUnsubscribeLink(user.id, 'cart');
+            const restoreLink = await this.createRestoreLink(user.id, items, now);
+            entry.remindersSent++;
+            entry.lastRemindedAt = now.toISOString();
+
+            return this.notificationService.send('abandoned_cart', recipient, {
+                items,
+                total: items.reduce((sum, line) => sum + line.price * line.quantity, 0),
+                reminderNumber: entry.remindersSent,
+                restoreLink,
+                unsubscribeLink
+            }, { reference: entry.signature });
+        }
+
+        const alerts = batch.map(reminder => {
+            const product = catalog.getProduct(reminder.productId);
+            return {
+                type: reminder.alert,
+                name: product ? product.name : reminder.itemKey,
+                price: reminder.price,
+                savedPrice: reminder.savedPrice,
+                link: this.notificationService.getLink(catalog.getProductUrl(reminder.productId, reminder.variantId))
+            };
+        });
+
+        return this.notificationService.send('wishlist_alert', recipient, {
+            alerts,
+            unsubscribeLink: await this.getUnsubscribeLink(user.id, 'wishlist')
+        }, { reference: batch.map(reminder => reminder.key).join(',') });
+    }
+
+    // ---- Frequency caps and unsubscribing ----
+
+    /**
+     * Get how often a customer may get reminders
+     * @param {string} userId - User ID
+     * @returns {string} Key of REMINDER_FREQUENCIES
+     */
+    getFrequency(userId) {
+        const preferences = this.getPreferences(userId);
+        return REMINDER_FREQUENCIES[preferences.frequency] ? preferences.frequency : DEFAULT_REMINDER_FREQUENCY;
+    }
+
+    /**
+     * Save how often a customer may get reminders
+     * @param {string} userId - User ID
+     * @param {string} frequency - Key of REMINDER_FREQUENCIES
+     * @returns {Object} Result with success status and message
+     */
+    setFrequency(userId, frequency) {
+        if (!REMINDER_FREQUENCIES[frequency]) {
+            return { success: false, message: 'Unknown reminder frequency' };
+        }
+        return this.savePreferences(userId, { frequency });
+    }
+
+    /**
+     * Work out when a customer may next get a reminder
+     * @param {Object} state - Reminder state
+     * @param {string} userId - User ID
+     * @returns {Date} Earliest time (in the past when a reminder may go out now)
+     */
+    getNextAllowedTime(state, userId) {
+        const lastSent = (state.history[userId] || [])[0];
+        if (!lastSent) {
+            return new Date(0);
+        }
+
+        const hours = REMINDER_FREQUENCIES[this.getFrequency(userId)].hours;
+        return new Date(new Date(lastSent).getTime() + hours * 60 * 60 * 1000);
+    }
+
+    /**
+     * Build the link in a reminder that turns that kind of reminder off
+     * @param {string} userId - User ID
+     * @param {string} kind - Key of REMINDER_KINDS
+     * @returns {Promise<string>} Absolute link to homepage.html; rejects if the token could not be saved
+     */
+    getUnsubscribeLink(userId, kind) {
+        return this.getUnsubscribeToken(userId).then(token => {
+            const params = new URLSearchParams({ unsubscribe: kind, user: userId, token });
+            return this.notificationService.getLink(`homepage.html?${params}`);
+        });
+    }
+
+    /**
+     * Get a customer's unsubscribe token, creating it the first time
+     * @param {string} userId - User ID
+     * @returns {Promise<string>} Token; rejects if a new token could not be saved, since links with it would not work
+     */
+    getUnsubscribeToken(userId) {
+        const preferences = this.getPreferences(userId);
+        if (preferences.unsubscribeToken) {
+            return Promise.resolve(preferences.unsubscribeToken);
+        }
+
+        const token = createRandomToken(16);
+        const result = this.savePreferences(userId, { unsubscribeToken: token });
+        if (!result.success) {
+            return Promise.reject(new Error(result.message));
+        }
+        return result.saved.then(() => token);
+    }
+
+    /**
+     * Turn a kind of reminder off on every channel, from the link in a reminder. No login is needed:
+     * the token in the link is checked here, or by the server when records are kept there.
+     * @param {string} userId - User ID from the link
+     * @param {string} kind - Key of REMINDER_KINDS
+     * @param {string} token - Token from the link
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    unsubscribe(userId, kind, token) {
+        const invalid = { success: false, message: i18n.t('reminders.invalidUnsubscribe') };
+        const failed = { success: false, message: i18n.t('reminders.unsubscribeFailed') };
+        const done = { success: true, message: i18n.t(`reminders.unsubscribed.${kind}`) };
+
+        // Only the signed-in customer's own record can be read from a server
+        const adapter = this.repository.adapter;
+        if (adapter instanceof RestStorageAdapter) {
+            return adapter.post('reminders/unsubscribe', { user: userId, kind, token })
+                .then(() => done)
+                .catch(error => (error.status === 400 ? invalid : failed));
+        }
+
+        const expected = this.getPreferences(userId).unsubscribeToken;
+        if (!REMINDER_KINDS[kind] || !expected || !token || !timingSafeEqual(String(token), expected)) {
+            return Promise.resolve(invalid);
+        }
+
+        const preferences = this.notificationService.getPreferences(userId);
+        Object.keys(preferences).forEach(channel => {
+            REMINDER_KINDS[kind].forEach(category => {
+                preferences[channel][category] = false;
+            });
+        });
+
+        const result = this.notificationService.savePreferences(userId, preferences);
+        if (!result.success) {
+            return Promise.resolve(result);
+        }
+
+        // Reminders already scheduled are called off by the next check, before any are sent
+        const marked = this.savePreferences(userId, { unsubscribedAt: this.clock.now().toISOString() });
+        return Promise.all([result.saved, marked.saved])
+            .then(() => done)
+            .catch(() => failed);
+    }
+
+    /**
+     * Handle an unsubscribe link opened on this page (?unsubscribe=...&user=...&token=...)
+     * and take it out of the address bar
+     * @returns {Promise<Object>|null} Result of unsubscribe, or null when the URL has no link
+     */
+    unsubscribeFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const kind = params.get('unsubscribe');
+        if (!kind) {
+            return null;
+        }
+
+        const result = this.unsubscribe(params.get('user'), kind, params.get('token'));
+        ['unsubscribe', 'user', 'token'].forEach(name => params.delete(name));
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+        return result;
+    }
+
+    /**
+     * @param {string} userId - User ID
+     * @returns {Object} The customer's `profile.preferences.reminders`
+     */
+    getPreferences(userId) {
+        const user = auth.getUserProfile(userId);
+        return (user && user.profile && user.profile.preferences && user.profile.preferences.reminders) || {};
+    }
+
+    /**
+     * @param {string} userId - User ID
+     * @param {Object} changes - Fields of `profile.preferences.reminders` to change
+     * @returns {Object} Result with success status and message, and `saved`: a promise that rejects if the profile could not be saved
+     */
+    savePreferences(userId, changes) {
+        const user = auth.getUserProfile(userId);
+        if (!user) {
+            return { success: false, message: 'User not found' };
+        }
+
+        const profile = user.profile || {};
+        const preferences = profile.preferences || {};
+        const result = auth.updateUserProfile(userId, {
+            profile: { ...profile, preferences: { ...preferences, reminders: { ...(preferences.reminders || {}), ...changes } } }
+        });
+        return result.success ? { success: true, message: 'Reminder preferences saved', saved: result.saved } : result;
+    }
+
+    // ---- Restoring carts ----
+
+    /**
+     * Keep a copy of a cart behind a one-click link
+     * @param {string} userId - Owner of the cart
+     * @param {Array} items - Cart lines
+     * @param {Date} now - Current time
+     * @returns {Promise<string>} Absolute link to cart.html
+     */
+    createRestoreLink(userId, items, now) {
+        const token = createRandomToken(16);
+        return sha256Hex(token)
+            .then(id => this.restoreLinks.save(id, {
+                id,
+                userId,
+                items: items.map(line => ({ id: line.id, variantId: line.variantId || null, quantity: line.quantity })),
+                expiresAt: new Date(now.getTime() + this.settings.restoreLinkDays * 24 * 60 * 60 * 1000).toISOString()
+            }))
+            .then(() => this.notificationService.getLink(`cart.html?restore=${token}`));
+    }
+
+    /**
+     * Put the lines of a restore-cart link back in the current cart. Lines already in the cart
+     * are left as they are, and quantities are capped at the units in stock.
+     * @param {string} token - Token from the link
+     * @returns {Promise<Object>} Result with success status, message and the number of lines restored
+     */
+    restoreCart(token) {
+        return sha256Hex(String(token))
+            .then(id => this.restoreLinks.get(id))
+            .catch(() => null)
+            .then(link => this.restoreLines(link));
+    }
+
+    /**
+     * @param {Object|null} link - Stored restore link
+     * @returns {Object} Result of restoreCart
+     */
+    restoreLines(link) {
+        if (!link || new Date(link.expiresAt) < this.clock.now()) {
+            return { success: false, message: i18n.t('reminders.restoreExpired'), restored: 0 };
+        }
+
+        const cart = cartService.getItems();
+        let restored = 0;
+        link.items.forEach(line => {
+            const product = catalog.getProduct(line.id);
+            if (!product || cart.some(item => catalog.isSameLine(item, line.id, line.variantId))) return;
+
+            const quantity = Math.min(line.quantity, catalog.getStock(product.id, line.variantId));
+            if (quantity > 0 && cartService.addItem(product.id, line.variantId, quantity).success) {
+                restored++;
+            }
+        });
+
+        if (restored === 0) {
+            return { success: false, message: i18n.t('reminders.nothingToRestore'), restored };
+        }
+        return { success: true, message: i18n.t('reminders.restored', { count: restored }), restored };
+    }
+
+    /**
+     * Restore the cart named in the page URL (?restore=...) and take the token out of the address bar
+     * @returns {Promise<Object>|null} Result of restoreCart, or null when the URL has no token
+     */
+    restoreFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const token = params.get('restore');
+        if (!token) {
+            return null;
+        }
+
+        params.delete('restore');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+        return this.restoreCart(token);
+    }
+
+    /**
+     * Drop restore links that have run out
+     * @param {Date} now - Current time
+     * @returns {Promise<void>}
+     */
+    pruneRestoreLinks(now) {
+        return this.restoreLinks.find()
+            .then(links => Promise.all(links
+                .filter(link => new Date(link.expiresAt) < now)
+                .map(link => this.restoreLinks.remove(link.id))))
+            .then(() => {});
+    }
+
+    // ---- State ----
+
+    /**
+     * @param {Object|null} record - Stored reminder schedule
+     * @returns {Object} { id, carts, wishlists, scheduled, history, lastRunAt, version }
+     */
+    toState(record) {
+        return {
+            id: REMINDER_STATE_ID,
+            carts: {},
+            wishlists: {},
+            scheduled: [],
+            history: {},
+            lastRunAt: null,
+            ...(record || {})
+        };
+    }
+}
+
+// Create global reminder service
+const reminders = new ReminderService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReminderService, FakeClock, REMINDER_SETTINGS, REMINDER_FREQUENCIES, REMINDER_KINDS };
+}
+
+// Make reminder service available globally
+window.ReminderService = ReminderService;
+window.FakeClock = FakeClock;
+window.reminders = reminders;
@@ -0,0 +1,590 @@
+/**
+ * Review Module for Lunsara
+ * Star ratings, written reviews and photos from customers who have received the product.
+ * Reviews carry a verified-purchase badge linking them to the delivered order, collect
+ * helpful votes, and can be reported by shoppers; reported reviews are hidden once enough
+ * people report them until an administrator restores or removes them.
+ * Averages, counts and the star distribution are computed from published reviews.
+ * Reviews are kept one record each in the shared reviews repository, so every shopper sees them and
+ * moderation covers them all. Lookups answer from the reviews loaded last; changes are announced with
+ * a `reviewsUpdated` event. Requires storage.js; uses auth.js for the reviewer and their orders.
+ */
+
+// localStorage key under which earlier versions kept this device's reviews
+const DEVICE_REVIEWS_KEY = 'reviews';
+
+const REVIEW_RULES = {
+    maxPhotos: 3,
+    minTextLength: 10,
+    maxTextLength: 2000,
+    maxTitleLength: 100,
+    // Reports from different shoppers that hide a review until it is moderated
+    autoHideReports: 3
+};
+
+// Review statuses: only published reviews are shown and counted
+const REVIEW_STATUSES = {
+    published: 'Published',
+    hidden: 'Hidden'
+};
+
+// Review orders, with the message key of each label
+const REVIEW_SORT_OPTIONS = {
+    helpful: 'review.sort.helpful',
+    recent: 'review.sort.recent',
+    'rating-desc': 'review.sort.ratingDesc',
+    'rating-asc': 'review.sort.ratingAsc'
+};
+
+// Reasons a review can be reported for, with the message key of each label
+const REVIEW_REPORT_REASONS = {
+    spam: 'review.reason.spam',
+    offensive: 'review.reason.offensive',
+    offTopic: 'review.reason.offTopic',
+    personalInfo: 'review.reason.personalInfo',
+    other: 'review.reason.other'
+};
+
+class ReviewManager {
+    /**
+     * @param {Object} options - Manager options
+     * @param {Repository} options.repository - Where reviews are kept (defaults to repositories.reviews)
+     * @param {Object} options.rules - Overrides for REVIEW_RULES
+     */
+    constructor(options = {}) {
+        this.repository = options.repository || repositories.reviews;
+        this.rules = { ...REVIEW_RULES, ...(options.rules || {}) };
+        // Reviews loaded last, and per-product summaries, dropped whenever the reviews change
+        this.reviews = [];
+        this.summaries = {};
+        this.setupEventListeners();
+        this.ready = this.load();
+    }
+
+    /**
+     * Load the latest reviews, for lookups
+     * @returns {Promise<void>}
+     */
+    load() {
+        return this.moveDeviceReviews()
+            .then(() => this.reload('load'))
+            .catch(error => console.error('Error loading reviews:', error));
+    }
+
+    /**
+     * Read every review again and let open pages know
+     * @param {string} source - Why, as for notify
+     * @returns {Promise<void>}
+     */
+    reload(source) {
+        return this.repository.find().then(records => {
+            this.reviews = records;
+            this.summaries = {};
+            this.notify(source);
+        });
+    }
+
+    /**
+     * Move the reviews earlier versions kept on this device into the repository. Only done when the
+     * repository is in local storage too; a server cannot vouch for reviews it never saw.
+     * @returns {Promise<void>}
+     */
+    moveDeviceReviews() {
+        const saved = localStorage.getItem(DEVICE_REVIEWS_KEY);
+        if (saved === null || !(this.repository.adapter instanceof LocalStorageAdapter)) {
+            return Promise.resolve();
+        }
+
+        let state;
+        try {
+            state = JSON.parse(saved) || {};
+        } catch (error) {
+            state = {};
+        }
+        return Promise.all((state.reviews || []).map(review => this.repository.save(review.id, review)))
+            .then(() => localStorage.removeItem(DEVICE_REVIEWS_KEY));
+    }
+
+    /**
+     * Get the reviews of a product
+     * @param {string} productId - Catalog product ID
+     * @param {Object} options - Listing options
+     * @param {string} options.sort - A key of REVIEW_SORT_OPTIONS (defaults to 'helpful')
+     * @param {number} options.stars - Only reviews with this many stars
+     * @param {boolean} options.withPhotos - Only reviews with photos
+     * @param {boolean} options.includeHidden - Include hidden reviews (for moderation)
+     * @returns {Array} Reviews
+     */
+    getReviews(productId, options = {}) {
+        const reviews = this.reviews.filter(review =>
+            review.productId === productId &&
+            (options.includeHidden || review.status === 'published') &&
+            (!options.stars || review.rating === Number(options.stars)) &&
+            (!options.withPhotos || review.photos.length > 0)
+        );
+
+        return this.sort(reviews, options.sort || 'helpful');
+    }
+
+    /**
+     * Sort reviews without modifying the input array
+     * @param {Array} reviews - Reviews
+     * @param {string} sortKey - A key of REVIEW_SORT_OPTIONS
+     * @returns {Array} Sorted reviews
+     */
+    sort(reviews, sortKey) {
+        const newest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+        const sorted = [...reviews];
+
+        switch (sortKey) {
+            case 'recent':
+                return sorted.sort(newest);
+            case 'rating-desc':
+                return sorted.sort((a, b) => b.rating - a.rating || newest(a, b));
+            case 'rating-asc':
+                return sorted.sort((a, b) => a.rating - b.rating || newest(a, b));
+            default:
+                return sorted.sort((a, b) => b.helpful.length - a.helpful.length || newest(a, b));
+        }
+    }
+
+    /**
+     * Find a review by ID
+     * @param {string} reviewId - Review ID
+     * @returns {Object|null} Review
+     */
+    getReview(reviewId) {
+        return this.reviews.find(review => review.id === reviewId) || null;
+    }
+
+    /**
+     * Get a customer's review of a product
+     * @param {string} productId - Catalog product ID
+     * @param {string} userId - User ID (defaults to the logged-in user)
+     * @returns {Object|null} Review
+     */
+    getUserReview(productId, userId = this.getUserId()) {
+        if (!userId) {
+            return null;
+        }
+        return this.reviews.find(review => review.productId === productId && review.userId === userId) || null;
+    }
+
+    /**
+     * Get the rating summary of a product from its published reviews
+     * @param {string} productId - Catalog product ID
+     * @returns {Object} Average (to one decimal, 0 without reviews), count and the number of reviews per star
+     */
+    getSummary(productId) {
+        if (this.summaries[productId]) {
+            return this.summaries[productId];
+        }
+
+        const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+        let total = 0;
+        this.getReviews(productId).forEach(review => {
+            distribution[review.rating]++;
+            total += review.rating;
+        });
+
+        const count = Object.values(distribution).reduce((sum, value) => sum + value, 0);
+        const summary = { average: count > 0 ? Math.round(total / count * 10) / 10 : 0, count, distribution };
+        this.summaries[productId] = summary;
+        return summary;
+    }
+
+    /**
+     * Get the average rating of a product
+     * @param {string} productId - Catalog product ID
+     * @returns {number} Average between 1 and 5, or 0 without reviews
+     */
+    getAverageRating(productId) {
+        return this.getSummary(productId).average;
+    }
+
+    /**
+     * Get the number of published reviews of a product
+     * @param {string} productId - Catalog product ID
+     * @returns {number} Review count
+     */
+    getReviewCount(productId) {
+        return this.getSummary(productId).count;
+    }
+
+    /**
+     * Find the delivered order that lets a customer review a product
+     * @param {string} productId - Catalog product ID
+     * @param {string} userId - User ID
+     * @returns {Object|null} Most recent delivered order containing the product
+     */
+    findVerifiedOrder(productId, userId) {
+        if (!userId || typeof auth === 'undefined') {
+            return null;
+        }
+
+        const wasDelivered = order => order.status === 'delivered' ||
+            (order.history || []).some(event => event.status === 'delivered');
+
+        return auth.getUserOrders(userId)
+            .filter(order => wasDelivered(order) && (order.items || []).some(item => item.id === productId))
+            .sort((a, b) => new Date(b.placedAt || b.date) - new Date(a.placedAt || a.date))[0] || null;
+    }
+
+    /**
+     * Check whether the logged-in customer can review a product
+     * @param {string} productId - Catalog product ID
+     * @returns {Object} Whether they can, a message explaining why not, and the verifying order
+     */
+    canReview(productId) {
+        const userId = this.getUserId();
+        if (!userId) {
+            return { allowed: false, message: i18n.t('review.loginToReview') };
+        }
+
+        const order = this.findVerifiedOrder(productId, userId);
+        if (!order) {
+            return { allowed: false, message: i18n.t('review.deliveredOnly') };
+        }
+
+        return { allowed: true, message: '', order };
+    }
+
+    /**
+     * Validate review fields
+     * @param {Object} data - Rating, title, text and photos
+     * @returns {Object} Validation result with errors keyed by field
+     */
+    validateReview(data) {
+        const errors = {};
+        const rating = Number(data.rating);
+        const text = String(data.text || '').trim();
+
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            errors.rating = i18n.t('review.ratingRequired');
+        }
+        if (String(data.title || '').trim().length > this.rules.maxTitleLength) {
+            errors.title = i18n.t('review.titleTooLong', { count: this.rules.maxTitleLength });
+        }
+        if (text.length < this.rules.minTextLength) {
+            errors.text = i18n.t('review.textTooShort', { count: this.rules.minTextLength });
+        } else if (text.length > this.rules.maxTextLength) {
+            errors.text = i18n.t('review.textTooLong', { count: this.rules.maxTextLength });
+        }
+        if ((data.photos || []).length > this.rules.maxPhotos) {
+            errors.photos = i18n.t('review.tooManyPhotos', { count: this.rules.maxPhotos });
+        }
+
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+
+    /**
+     * Add or update the logged-in customer's review of a product
+     * @param {string} productId - Catalog product ID
+     * @param {Object} data - Rating (1-5), optional title, text and photos (data URLs)
+     * @returns {Promise<Object>} Result with success status, message, the review and any field errors
+     */
+    submitReview(productId, data) {
+        const permission = this.canReview(productId);
+        if (!permission.allowed) {
+            return Promise.resolve({ success: false, message: permission.message });
+        }
+
+        const validation = this.validateReview(data);
+        if (!validation.valid) {
+            return Promise.resolve({ success: false, message: i18n.t('review.correctFields'), errors: validation.errors });
+        }
+
+        const user = auth.getCurrentUser();
+        const profile = auth.getUserProfile(user.id) || user;
+        const existing = this.getUserReview(productId, user.id);
+        const now = new Date().toISOString();
+        const orderItem = permission.order.items.find(item => item.id === productId);
+
+        const fields = {
+            rating: Number(data.rating),
+            title: String(data.title || '').trim(),
+            text: String(data.text).trim(),
+            photos: [...(data.photos || [])],
+            author: profile.name,
+            variantLabel: orderItem.variantLabel || '',
+            verified: true,
+            orderId: permission.order.id
+        };
+
+        const reviewId = existing ? existing.id : `rev_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+        return this.updateReview(reviewId, current => {
+            if (current) {
+                // An edited review is published again and starts without reports
+                const review = { ...current, ...fields, updatedAt: now, status: 'published', reports: [] };
+                return { success: true, message: i18n.t('review.updated'), review };
+            }
+            const review = {
+                id: reviewId,
+                productId,
+                userId: user.id,
+                ...fields,
+                createdAt: now,
+                updatedAt: now,
+                status: 'published',
+                helpful: [],
+                reports: []
+            };
+            return { success: true, message: i18n.t('review.submitted'), review };
+        });
+    }
+
+    /**
+     * Delete the logged-in customer's own review
+     * @param {string} reviewId - Review ID
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    deleteReview(reviewId) {
+        const review = this.getReview(reviewId);
+        if (!review || review.userId !== this.getUserId()) {
+            return Promise.resolve({ success: false, message: i18n.t('review.ownOnly') });
+        }
+
+        return this.deleteRecord(reviewId).then(() => ({ success: true, message: i18n.t('review.deleted') }))
+            .catch(error => ({ success: false, message: this.getSaveErrorMessage(error) }));
+    }
+
+    /**
+     * Mark a review as helpful, or take the vote back
+     * @param {string} reviewId - Review ID
+     * @returns {Promise<Object>} Result with success status, message, whether it is now marked and the vote count
+     */
+    toggleHelpful(reviewId) {
+        const userId = this.getUserId();
+        if (!userId) {
+            return Promise.resolve({ success: false, message: i18n.t('review.loginToVote') });
+        }
+
+        return this.updateReview(reviewId, current => {
+            if (!current) {
+                return { success: false, message: i18n.t('review.notFound') };
+            }
+            if (current.userId === userId) {
+                return { success: false, message: i18n.t('review.ownVote') };
+            }
+
+            const helpful = !current.helpful.includes(userId);
+            const review = { ...current, helpful: helpful ? [...current.helpful, userId] : current.helpful.filter(id => id !== userId) };
+            return { success: true, message: i18n.t(helpful ? 'review.voted' : 'review.voteRemoved'), helpful, count: review.helpful.length, review };
+        });
+    }
+
+    /**
+     * Check whether the logged-in shopper found a review helpful
+     * @param {Object} review - Review
+     * @returns {boolean} Whether they voted for it
+     */
+    hasVotedHelpful(review) {
+        const userId = this.getUserId();
+        return Boolean(userId) && review.helpful.includes(userId);
+    }
+
+    /**
+     * Report a review for moderation. A review reported by enough shoppers is hidden.
+     * @param {string} reviewId - Review ID
+     * @param {string} reason - A key of REVIEW_REPORT_REASONS
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    reportReview(reviewId, reason) {
+        const userId = this.getUserId();
+        if (!userId) {
+            return Promise.resolve({ success: false, message: i18n.t('review.loginToReport') });
+        }
+        if (!Object.prototype.hasOwnProperty.call(REVIEW_REPORT_REASONS, reason)) {
+            return Promise.resolve({ success: false, message: i18n.t('review.reasonRequired') });
+        }
+
+        return this.updateReview(reviewId, current => {
+            if (!current) {
+                return { success: false, message: i18n.t('review.notFound') };
+            }
+            if (current.userId === userId) {
+                return { success: false, message: i18n.t('review.ownReport') };
+            }
+            if (current.reports.some(report => report.userId === userId)) {
+                return { success: false, message: i18n.t('review.alreadyReported') };
+            }
+
+            const review = { ...current, reports: [...current.reports, { userId, reason, at: new Date().toISOString() }] };
+            if (review.status === 'published' && review.reports.length >= this.rules.autoHideReports) {
+                review.status = 'hidden';
+            }
+            return { success: true, message: i18n.t('review.reported'), review };
+        });
+    }
+
+    /**
+     * Get reviews waiting for moderation: reported or hidden
+     * @returns {Array} Reviews, most reported first
+     */
+    getReportedReviews() {
+        return this.reviews
+            .filter(review => review.reports.length > 0 || review.status === 'hidden')
+            .sort((a, b) => b.reports.length - a.reports.length || new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    /**
+     * Get the label of a report reason. Reports made before reasons had keys keep their text.
+     * @param {string} reason - Reason saved with a report
+     * @returns {string} Label
+     */
+    getReportReasonLabel(reason) {
+        return Object.prototype.hasOwnProperty.call(REVIEW_REPORT_REASONS, reason)
+            ? i18n.t(REVIEW_REPORT_REASONS[reason])
+            : reason;
+    }
+
+    /**
+     * Publish or hide a review (administrators only). Restoring a review clears its reports.
+     * The admin console records the change in its audit log.
+     * @param {string} reviewId - Review ID
+     * @param {string} status - One of REVIEW_STATUSES
+     * @returns {Promise<Object>} Result with success status, message, the review and how it was before
+     */
+    setStatus(reviewId, status) {
+        const denied = this.checkModerator();
+        if (denied) {
+            return Promise.resolve(denied);
+        }
+        if (!REVIEW_STATUSES[status]) {
+            return Promise.resolve({ success: false, message: 'Unknown review status' });
+        }
+
+        return this.updateReview(reviewId, current => {
+            if (!current) {
+                return { success: false, message: 'Review not found' };
+            }
+            const review = { ...current, status, reports: status === 'published' ? [] : current.reports };
+            return { success: true, message: status === 'hidden' ? 'Review hidden' : 'Review published', review, before: current };
+        });
+    }
+
+    /**
+     * Remove a review for good (administrators only)
+     * @param {string} reviewId - Review ID
+     * @returns {Promise<Object>} Result with success status, message and the removed review
+     */
+    removeReview(reviewId) {
+        const denied = this.checkModerator();
+        if (denied) {
+            return Promise.resolve(denied);
+        }
+
+        const review = this.getReview(reviewId);
+        if (!review) {
+            return Promise.resolve({ success: false, message: 'Review not found' });
+        }
+
+        return this.deleteRecord(reviewId).then(() => ({ success: true, message: 'Review removed', review }))
+            .catch(error => ({ success: false, message: this.getSaveErrorMessage(error) }));
+    }
+
+    /**
+     * Check that the logged-in user may moderate reviews
+     * @returns {Object|null} Failed result to return, or null when they are an administrator
+     */
+    checkModerator() {
+        const isAdmin = typeof auth !== 'undefined' && auth.isLoggedIn() && auth.getUserRole() === 'admin';
+        return isAdmin ? null : { success: false, message: 'You need an administrator account to do this' };
+    }
+
+    /**
+     * Get the logged-in shopper
+     * @returns {string|null} User ID
+     */
+    getUserId() {
+        return typeof auth !== 'undefined' && auth.isLoggedIn() ? auth.getCurrentUser().id : null;
+    }
+
+    /**
+     * Change the latest saved copy of a review, then the loaded reviews. The change is made again
+     * if someone else saved the review first.
+     * @param {string} reviewId - Review ID
+     * @param {Function} change - Given the latest review (or null), returns a result; its review is
+     *     saved only when the result has success set
+     * @returns {Promise<Object>} Result of the change
+     */
+    updateReview(reviewId, change) {
+        let result;
+        return this.repository.update(reviewId, current => {
+            result = change(current);
+            return result.success ? result.review : undefined;
+        }).then(saved => {
+            if (result.success) {
+                result.review = saved;
+                this.setLoadedReview(reviewId, saved);
+            }
+            return result;
+        }).catch(error => {
+            console.error('Error saving review:', error);
+            return { success: false, message: this.getSaveErrorMessage(error) };
+        });
+    }
+
+    /**
+     * Delete a review, then drop it from the loaded reviews
+     * @param {string} reviewId - Review ID
+     * @returns {Promise<void>}
+     */
+    deleteRecord(reviewId) {
+        return this.repository.remove(reviewId).then(() => this.setLoadedReview(reviewId, null));
+    }
+
+    /**
+     * Replace a review among the loaded reviews and let open pages know
+     * @param {string} reviewId - Review ID
+     * @param {Object|null} review - Its new version, or null once it is deleted
+     */
+    setLoadedReview(reviewId, review) {
+        this.reviews = this.reviews.filter(candidate => candidate.id !== reviewId);
+        if (review) this.reviews.push(review);
+        this.summaries = {};
+        this.notify('local');
+    }
+
+    /**
+     * @param {Error} error - Error from saving a review
+     * @returns {string} Message for the shopper; a full localStorage or a request the server
+     *     finds too large means the photos take too much room
+     */
+    getSaveErrorMessage(error) {
+        const tooLarge = error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.status === 413);
+        return i18n.t(tooLarge ? 'review.tooLarge' : 'review.saveFailed');
+    }
+
+    /**
+     * Let open pages know reviews changed
+     * @param {string} source - 'local' for this tab, 'load' once the latest reviews have been loaded,
+     *     or 'storage' for changes made in another tab
+     */
+    notify(source) {
+        window.dispatchEvent(new CustomEvent('reviewsUpdated', { detail: { source } }));
+    }
+
+    /**
+     * Follow reviews changed in other tabs
+     */
+    setupEventListeners() {
+        window.addEventListener('storage', event => {
+            if (event.key === LOCAL_STORAGE_KEYS.reviews) {
+                this.reload('storage').catch(error => console.error('Error loading reviews:', error));
+            }
+        });
+    }
+}
+
+// Create global review manager instance
+const reviews = new ReviewManager();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReviewManager, REVIEW_RULES, REVIEW_STATUSES, REVIEW_SORT_OPTIONS, REVIEW_REPORT_REASONS };
+}
+
+// Make review manager available globally
+window.ReviewManager = ReviewManager;
+window.reviews = reviews;
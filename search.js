@@ -0,0 +1,447 @@
+/**
+ * Product Search Module for Lunsara
+ * Client-side search index over the catalog with typo tolerance, plus the
+ * header autocomplete box. Requires catalog.js to be loaded first.
+ */
+
+// Spelling and transliteration variants customers type, mapped to the catalog's term
+const SEARCH_SYNONYMS = {
+    kanchipuram: ['kanjeevaram', 'kanjivaram', 'kancheepuram', 'kanchivaram', 'kanjipuram', 'conjeevaram', 'kanchi'],
+    banarasi: ['banarsi', 'benarasi', 'benarsi', 'banaras', 'benares', 'banarasee', 'varanasi'],
+    saree: ['sari', 'saaree', 'saari', 'sarees', 'saris', 'sarée'],
+    lungi: ['lungee', 'lunghi', 'lungis', 'lungies', 'kaili', 'kayili'],
+    silk: ['pattu', 'resham', 'reshmi'],
+    cotton: ['sooti', 'kora'],
+    georgette: ['georget', 'georjette', 'jorjet'],
+    chiffon: ['chifon', 'shifon', 'chiffron'],
+    crepe: ['crape'],
+    zari: ['jari', 'zaree'],
+    bridal: ['wedding', 'marriage', 'kalyanam', 'shaadi', 'shadi'],
+    blend: ['blended'],
+    multi: ['multicolor', 'multicolour', 'multicoloured'],
+    color: ['colour', 'colors', 'colours']
+};
+
+// Words that carry no meaning in a product query
+const SEARCH_STOP_WORDS = ['a', 'an', 'and', 'the', 'for', 'with', 'in', 'of', 'to'];
+
+// How strongly a match in each product field counts
+const SEARCH_FIELD_WEIGHTS = {
+    name: 3,
+    collections: 2,
+    category: 2,
+    material: 2,
+    colors: 2,
+    description: 1,
+    brand: 0.5
+};
+
+class SearchIndex {
+    /**
+     * @param {Array} products - Catalog products to index
+     */
+    constructor(products = []) {
+        this.synonyms = {};
+        this.spellings = {};
+        Object.entries(SEARCH_SYNONYMS).forEach(([canonical, variants]) => {
+            this.spellings[canonical] = [canonical, ...variants];
+            variants.forEach(variant => {
+                this.synonyms[variant] = canonical;
+            });
+        });
+
+        this.documents = [];
+        this.vocabulary = new Set();
+        this.build(products);
+    }
+
+    /**
+     * (Re)build the index
+     * @param {Array} products - Catalog products
+     */
+    build(products) {
+        this.vocabulary = new Set();
+        this.documents = products.map((product, position) => {
+            const category = typeof catalog !== 'undefined' ? catalog.getCategory(product.category) : null;
+            const fields = {
+                name: product.name,
+                collections: (product.collections || []).join(' '),
+                category: category ? category.name : product.category,
+                material: String(product.material || '').replace(/-/g, ' '),
+                colors: (product.colors || []).join(' ').replace(/-/g, ' '),
+                description: product.description,
+                brand: product.brand
+            };
+
+            const tokens = {};
+            Object.entries(fields).forEach(([field, text]) => {
+                tokens[field] = new Set(this.tokenize(text));
+                tokens[field].forEach(token => this.vocabulary.add(token));
+            });
+
+            return { product, position, tokens };
+        });
+    }
+
+    /**
+     * Normalize a single word: lowercase, strip accents and punctuation,
+     * map known variants to the catalog term and drop a plural 's'.
+     * @param {string} word - Raw word
+     * @returns {string} Normalized token
+     */
+    normalizeToken(word) {
+        let token = String(word)
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]/g, '');
+
+        if (this.synonyms[token]) {
+            return this.synonyms[token];
+        }
+
+        if (token.length > 4 && token.endsWith('s') && !token.endsWith('ss')) {
+            const singular = token.slice(0, -1);
+            token = this.synonyms[singular] || singular;
+        }
+
+        return token;
+    }
+
+    /**
+     * Split text into normalized tokens
+     * @param {string} text - Text to tokenize
+     * @returns {Array<string>} Tokens
+     */
+    tokenize(text) {
+        return String(text || '')
+            .split(/[\s\-•&/,.()]+/)
+            .map(word => this.normalizeToken(word))
+            .filter(token => token && !SEARCH_STOP_WORDS.includes(token));
+    }
+
+    /**
+     * Edit distance between two words, counting adjacent swaps as one edit.
+     * Stops early and returns maxDistance + 1 once the limit is exceeded.
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @param {number} maxDistance - Largest distance of interest
+     * @returns {number} Distance
+     */
+    editDistance(a, b, maxDistance) {
+        if (Math.abs(a.length - b.length) > maxDistance) {
+            return maxDistance + 1;
+        }
+
+        let previousPrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMinimum = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+                if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+                }
+                rowMinimum = Math.min(rowMinimum, current[j]);
+            }
+
+            if (rowMinimum > maxDistance) {
+                return maxDistance + 1;
+            }
+            previousPrevious = previous;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Number of typos tolerated for a query word of the given length
+     * @param {string} token - Query token
+     * @returns {number} Allowed edit distance
+     */
+    allowedTypos(token) {
+        if (token.length >= 8) return 2;
+        if (token.length >= 4) return 1;
+        return 0;
+    }
+
+    /**
+     * Score how well a query token matches an indexed token
+     * @param {string} queryToken - Normalized query token
+     * @param {string} indexToken - Normalized index token
+     * @param {boolean} allowPrefix - Whether a partially typed word may match
+     * @returns {number} Match strength between 0 and 1
+     */
+    matchToken(queryToken, indexToken, allowPrefix) {
+        if (queryToken === indexToken) return 1;
+        if (allowPrefix && queryToken.length >= 2) {
+            const spellings = this.spellings[indexToken] || [indexToken];
+            if (spellings.some(spelling => spelling.startsWith(queryToken))) return 0.8;
+        }
+
+        const maxDistance = this.allowedTypos(queryToken);
+        if (maxDistance > 0 && this.editDistance(queryToken, indexToken, maxDistance) <= maxDistance) {
+            return 0.6;
+        }
+        return 0;
+    }
+
+    /**
+     * Search the index. Every query word must match some field of a product.
+     * @param {string} query - Search text
+     * @param {Object} options - Search options
+     * @param {number} options.limit - Maximum number of results
+     * @param {boolean} options.prefix - Let the last word match as a prefix (autocomplete)
+     * @returns {Array<{product: Object, score: number}>} Results, best first
+     */
+    search(query, options = {}) {
+        const queryTokens = this.tokenize(query);
+        if (queryTokens.length === 0) {
+            return [];
+        }
+
+        const results = [];
+
+        this.documents.forEach(document => {
+            let score = 0;
+
+            const allMatched = queryTokens.every((queryToken, index) => {
+                const allowPrefix = options.prefix && index === queryTokens.length - 1;
+                let best = 0;
+
+                Object.entries(document.tokens).forEach(([field, tokens]) => {
+                    tokens.forEach(indexToken => {
+                        const strength = this.matchToken(queryToken, indexToken, allowPrefix);
+                        best = Math.max(best, strength * SEARCH_FIELD_WEIGHTS[field]);
+                    });
+                });
+
+                score += best;
+                return best > 0;
+            });
+
+            if (allMatched) {
+                results.push({ product: document.product, score, position: document.position });
+            }
+        });
+
+        results.sort((a, b) => b.score - a.score || a.position - b.position);
+
+        return results
+            .slice(0, options.limit || results.length)
+            .map(({ product, score }) => ({ product, score }));
+    }
+
+    /**
+     * Autocomplete suggestions for a partially typed query
+     * @param {string} query - Search text typed so far
+     * @param {number} limit - Maximum number of suggestions
+     * @returns {Array<Object>} Suggested products
+     */
+    suggest(query, limit = 6) {
+        return this.search(query, { limit, prefix: true }).map(result => result.product);
+    }
+}
+
+// Search index over the catalog, built the first time it is needed
+let catalogSearchIndex = null;
+
+/**
+ * Get the search index for the catalog, loading the catalog if necessary.
+ * @returns {Promise<SearchIndex>} Search index
+ */
+function getCatalogSearchIndex() {
+    return catalog.load().then(() => {
+        if (!catalogSearchIndex) {
+            catalogSearchIndex = new SearchIndex(catalog.getAllProducts());
+        }
+        return catalogSearchIndex;
+    });
+}
+
+/**
+ * Get the URL of the search results page
+ * @param {string} query - Search text
+ * @returns {string} Results page URL
+ */
+function getSearchUrl(query) {
+    return `search.html?q=${encodeURIComponent(query.trim())}`;
+}
+
+/**
+ * Adds the search box with autocomplete to the page header.
+ */
+function initializeHeaderSearch() {
+    const header = document.querySelector('header');
+    if (!header || document.getElementById('header-search')) return;
+
+    injectSearchStyles();
+
+    const form = document.createElement('form');
+    form.id = 'header-search';
+    form.className = 'header-search';
+    form.setAttribute('role', 'search');
+    form.innerHTML = `
+        <i class="fas fa-search header-search-icon"></i>
+        <input type="search" id="header-search-input" class="header-search-input" placeholder="Search sarees, lungis..." autocomplete="off" aria-label="Search products" aria-controls="header-search-suggestions">
+        <div class="header-search-suggestions" id="header-search-suggestions" role="listbox"></div>
+    `;
+
+    const navbar = header.querySelector('.navbar');
+    if (navbar && navbar.parentElement) {
+        navbar.parentElement.insertBefore(form, navbar);
+    } else {
+        header.appendChild(form);
+    }
+
+    const input = form.querySelector('input');
+    const params = new URLSearchParams(window.location.search);
+    if (window.location.pathname.endsWith('search.html') && params.get('q')) {
+        input.value = params.get('q');
+    }
+
+    let activeIndex = -1;
+
+    input.addEventListener('input', () => {
+        activeIndex = -1;
+        updateSearchSuggestions(input.value);
+    });
+
+    input.addEventListener('focus', () => {
+        if (input.value.trim()) updateSearchSuggestions(input.value);
+    });
+
+    input.addEventListener('keydown', (e) => {
+        const items = form.querySelectorAll('.header-search-suggestion');
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (items.length === 0) return;
+            activeIndex = e.key === 'ArrowDown'
+                ? (activeIndex + 1) % items.length
+                : (activeIndex - 1 + items.length) % items.length;
+            items.forEach((item, index) => item.classList.toggle('active', index === activeIndex));
+        } else if (e.key === 'Enter' && activeIndex >= 0 && items[activeIndex]) {
+            e.preventDefault();
+            window.location.href = items[activeIndex].getAttribute('href');
+        } else if (e.key === 'Escape') {
+            hideSearchSuggestions();
+        }
+    });
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (input.value.trim()) {
+            window.location.href = getSearchUrl(input.value);
+        }
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!form.contains(e.target)) hideSearchSuggestions();
+    });
+}
+
+/**
+ * Shows autocomplete suggestions for the typed text.
+ * @param {string} query - Search text typed so far
+ */
+function updateSearchSuggestions(query) {
+    const container = document.getElementById('header-search-suggestions');
+    if (!container) return;
+
+    if (!query.trim()) {
+        hideSearchSuggestions();
+        return;
+    }
+
+    getCatalogSearchIndex()
+        .then(index => {
+            const suggestions = index.suggest(query);
+            const currentInput = document.getElementById('header-search-input');
+            if (!currentInput || currentInput.value !== query) return;
+
+            container.innerHTML = suggestions.map(product => `
+                <a class="header-search-suggestion" role="option" href="${catalog.getProductUrl(product.id)}">
+                    <img src="${catalog.getPrimaryImage(product)}" alt="">
+                    <span class="header-search-suggestion-name">${catalog.getDisplayName(product)}</span>
+                    <span class="header-search-suggestion-price">${catalog.formatPrice(product.price)}</span>
+                </a>
+            `).join('') + `
+                <a class="header-search-all" href="${getSearchUrl(query)}">
+                    ${suggestions.length > 0 ? 'See all results for' : 'No quick matches. Search for'} "${escapeSearchText(query.trim())}"
+                </a>
+            `;
+            container.style.display = 'block';
+        })
+        .catch(() => hideSearchSuggestions());
+}
+
+function hideSearchSuggestions() {
+    const container = document.getElementById('header-search-suggestions');
+    if (container) {
+        container.style.display = 'none';
+    }
+}
+
+/**
+ * Escapes user-typed text before it is placed in markup.
+ * @param {string} text - Raw text
+ * @returns {string} HTML-safe text
+ */
+function escapeSearchText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Adds the header search styles once per page.
+ */
+function injectSearchStyles() {
+    if (document.getElementById('header-search-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'header-search-styles';
+    style.textContent = `
+        .header-search { position: relative; flex: 1; max-width: 420px; margin: 0 20px; }
+        .header-search-icon { position: absolute; left: 14px; top: 50%; transform: translateY(-50%); color: #8e44ad; }
+        .header-search-input {
+            width: 100%; padding: 10px 14px 10px 38px; border: 2px solid #e0d4ea;
+            border-radius: 20px; font-size: 14px; font-family: inherit; outline: none; background: white; color: #333;
+        }
+        .header-search-input:focus { border-color: #8e44ad; }
+        .header-search-suggestions {
+            display: none; position: absolute; top: calc(100% + 6px); left: 0; right: 0; z-index: 10001;
+            background: white; border-radius: 12px; box-shadow: 0 8px 25px rgba(0, 0, 0, 0.15); overflow: hidden;
+        }
+        .header-search-suggestion, .header-search-all {
+            display: flex; align-items: center; gap: 10px; padding: 8px 12px;
+            color: #333; text-decoration: none; font-size: 14px;
+        }
+        .header-search-suggestion img { width: 36px; height: 36px; object-fit: cover; border-radius: 6px; }
+        .header-search-suggestion-name { flex: 1; }
+        .header-search-suggestion-price { color: #8e44ad; font-weight: 600; }
+        .header-search-suggestion:hover, .header-search-suggestion.active { background: #f5eefa; }
+        .header-search-all { color: #8e44ad; font-weight: 500; border-top: 1px solid #eee; }
+        @media (max-width: 768px) { .header-search { max-width: none; margin: 10px 0; width: 100%; } }
+    `;
+    document.head.appendChild(style);
+}
+
+document.addEventListener('DOMContentLoaded', initializeHeaderSearch);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchIndex, SEARCH_SYNONYMS };
+}
+
+// Make search available globally
+window.SearchIndex = SearchIndex;
+window.getCatalogSearchIndex = getCatalogSearchIndex;
@@ -0,0 +1,2245 @@
+/**
+ * Local Storage Server for Lunsara
+ * Serves the site and a small JSON REST API for RestStorageAdapter in storage.js.
+ * Records are kept in a JSON file so they survive restarts.
+ *
+ * Usage: node server/server.js            (http://localhost:3000)
+ *        PORT=4000 DATA_FILE=/tmp/lunsara.json node server/server.js
+ *        ADMIN_EMAILS=owner@lunsara.com    Accounts that are administrators without being granted the role
+ *        SUPABASE_URL=... SUPABASE_ANON_KEY=...   Also accept Supabase sessions
+ * Then, in the browser console: localStorage.setItem('storageAdapter', 'rest')
+ *
+ * Accounts: local accounts sign in here, and only the server sees their password hashes.
+ *        POST   /api/auth/signup                { name, email, phone, password }
+ *        POST   /api/auth/signin                { email, password }
+ *        POST   /api/auth/refresh               { refreshToken }
+ *        POST   /api/auth/signout               { refreshToken }
+ *        POST   /api/auth/verify-password       { password }
+ *        POST   /api/auth/change-password       { oldPassword, newPassword, refreshToken }
+ *        POST   /api/auth/sign-out-others       { refreshToken }
+ *        POST   /api/auth/reset-request         { email }      The link is sent by the server, never returned
+ *        POST   /api/auth/reset-validate        { token }
+ *        POST   /api/auth/reset                 { token, newPassword }
+ * Sessions are { user, accessToken, refreshToken, expiresAt }, like the identity providers in auth.js.
+ * Wrong passwords lock the account, and the network address they come from, for a while (429);
+ * new passwords must meet the strength policy auth.js applies.
+ *
+ * API:   GET    /api/:collection?field=value   Records matching the query
+ *        GET    /api/:collection/:id           One record
+ *        PUT    /api/:collection/:id           Create or replace a record
+ *        DELETE /api/:collection/:id           Delete a record
+ *        POST   /api/documents/issue           { type, fields }  Number and save an invoice or credit note
+ *        POST   /api/payments/orders           { amount, receipt }  Start a payment through the gateway
+ *        POST   /api/payments/authorize        { orderId, method, testDetail }
+ *        POST   /api/payments/status           { paymentId }
+ *        POST   /api/payments/capture          { paymentId }
+ *        POST   /api/payments/verify           { orderId, paymentId, signature }
+ *        POST   /api/payments/refund           { paymentId }  Only while no order was placed with it
+ *        POST   /api/reminders/unsubscribe     { user, kind, token }  From the link in a reminder, without a login
+ *        POST   /api/analytics/collect         { consent: true, events }  Events of shoppers who allowed analytics
+ * Requests carry the access token as `Authorization: Bearer <token>`. Customers can only read and
+ * write their own user record, cart and watchlist; carts and watchlists of logged-out browsers
+ * (IDs starting with 'guest-') are open to whoever knows the ID. Administrators can use every record.
+ * User records are sent without password and session fields, and customers cannot change roles or
+ * the status and payment details of their orders beyond cancelling or asking for a return.
+ * New orders are priced again with the catalog, coupons and tax rules checkout uses, and must be
+ * paid with a payment the server verified (or be cash on delivery). Payments go through the
+ * server's gateway, whose key secret only the server holds (PAYMENT_KEY_SECRET, or a random one).
+ * The inventory record is shared: anyone can read it, and shoppers may only hold, sell and put back
+ * units as checkInventoryChange allows. Invoices and credit notes are only issued through
+ * /api/documents/issue, which takes the next number of the series and saves the document in one step,
+ * so numbers are never skipped; customers may issue them for orders on their own record. Documents
+ * belong to the customer in their userId (guest orders' documents to whoever knows the ID) and cannot
+ * be changed once issued; the number counters are only for administrators. The reminder schedule
+ * and restore-cart links are only for administrators, except that anyone can read a restore link by
+ * its ID. Reminders are checked by the server itself every 15 minutes, by running reminders.js over the
+ * records here (see createReminderJob); SITE_URL is the address their links point to, and what it keeps
+ * in localStorage, such as the notification outbox, is in serverStorage, only for administrators.
+ * Coupons and catalog changes are read by everyone and changed by administrators; coupon usage
+ * is shared, and shoppers may only count one use of a coupon at a time. The audit log is only for
+ * administrators, and so are the analytics events pages send to /api/analytics/collect; events of
+ * customers who refused analytics are not kept, and refusing it drops those already kept. Reviews are
+ * read by everyone; shoppers may write and delete their own review of a product they received, and
+ * vote for or report other shoppers' reviews (see checkReviewChange).
+ * Every PUT of an object gives it the next `version`. A PUT with `If-Match: "<version>"` is refused
+ * with 409 unless the stored record still has that version; shoppers' changes to shared records must send it.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const vm = require('vm');
+
+const SITE_ROOT = path.resolve(__dirname, '..');
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Collections the API serves. Owned records have the ID of the user they belong to;
+// guest records have an ID starting with 'guest-'. Records of an ownerField collection belong to
+// the user named in that field; those without one were made by logged-out shoppers.
+const COLLECTIONS = {
+    users: { owned: true, guests: false },
+    carts: { owned: true, guests: true },
+    watchlists: { owned: true, guests: true },
+    // One record every shopper reads and changes (see inventory.js), within checkInventoryChange
+    inventory: { shared: true },
+    // Counters of the invoice number series, which only issueDocument moves on
+    counters: { adminOnly: true },
+    // Issued invoices and credit notes (see issueDocument)
+    invoices: { ownerField: 'userId' },
+    // Reminder schedule of every account (see reminders.js)
+    reminders: { adminOnly: true },
+    // Restore-cart links, whose ID is a hash of the secret token in the link that opens them
+    restoreLinks: { adminOnly: true, readById: true },
+    // Coupon codes and catalog changes made in the admin console, which every shopper reads
+    // (see pricing.js and catalog.js)
+    coupons: { adminOnly: true, readById: true },
+    catalogEdits: { adminOnly: true, readById: true },
+    // How often each coupon was used, which shoppers only count their own orders in (see checkCouponUsageChange)
+    couponUsage: { shared: true },
+    // What administrators did (see admin.js)
+    auditLog: { adminOnly: true },
+    // Customer reviews, which everyone reads and shoppers change within checkReviewChange (see reviews.js)
+    reviews: { shared: true },
+    // Payments the server verified, by gateway payment ID, which new orders must be paid with (see handlePaymentRequest)
+    payments: { adminOnly: true },
+    // What the reminder job's scripts keep in localStorage, such as the notification log and outbox (see createReminderJob)
+    serverStorage: { adminOnly: true },
+    // Analytics events shoppers allowed, by event ID, which only collectAnalyticsEvents adds
+    analyticsEvents: { adminOnly: true }
+};
+
+const AUTH_SETTINGS = {
+    accessTokenTtlMs: 60 * 60 * 1000, // 1 hour
+    refreshTokenTtlMs: 30 * 24 * 60 * 60 * 1000, // 30 days
+    resetTokenTtlMs: 15 * 60 * 1000, // 15 minutes
+    passwordHashIterations: 310000, // PBKDF2-SHA256 rounds, as in auth.js
+    maxFailedLogins: 5, // Wrong passwords for one account before it is locked, as in auth.js
+    maxFailedLoginsPerAddress: 20, // Wrong passwords from one network address, on any account, before it is locked out
+    failedLoginWindowMs: 15 * 60 * 1000, // Wrong passwords older than this are forgotten
+    lockoutMs: 15 * 60 * 1000, // How long a locked account or address stays locked
+    // How long a Supabase session checked with Supabase is trusted without asking again
+    identityCacheMs: 60 * 1000
+};
+
+// The strength policy auth.js applies, so that a script cannot skip it
+const PASSWORD_POLICY = {
+    minLength: 8,
+    maxLength: 128,
+    // Of lower case, upper case, digits and symbols
+    minCharacterTypes: 3,
+    commonPasswords: [
+        'password', 'password1', 'password123', '12345678', '123456789', '1234567890', 'qwerty123',
+        'iloveyou', 'welcome1', 'welcome123', 'admin123', 'abc12345', 'letmein1', 'lunsara123'
+    ]
+};
+
+const USER_ROLES = ['customer', 'admin'];
+
+// Fields of a user record that only the server reads and writes
+const PRIVATE_USER_FIELDS = ['passwordHash', 'passwordSalt', 'passwordAlgorithm', 'passwordIterations', 'passwordReset', 'sessions'];
+
+// Status changes a customer may make to their own orders
+const CUSTOMER_ORDER_TRANSITIONS = {
+    placed: ['cancelled'],
+    packed: ['cancelled'],
+    delivered: ['return_requested']
+};
+
+// Order fields a customer may add to an existing order, each once. The return request
+// only comes with the change to return_requested, and document numbers must be those of the
+// order's documents.
+const CUSTOMER_ORDER_FIELDS = ['returnRequest', 'invoiceNumber', 'creditNoteNumber', 'stockRestored'];
+
+// Document series, with the prefix of their numbers, as INVOICE_SERIES in invoices.js
+const DOCUMENT_SERIES = {
+    invoice: { prefix: 'LUN', orderField: 'invoiceNumber' },
+    credit_note: { prefix: 'LCN', orderField: 'creditNoteNumber' }
+};
+
+// Digits of the sequence part of a document number, as in invoices.js
+const DOCUMENT_NUMBER_DIGITS = 5;
+
+// Financial years run from April in Indian Standard Time
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const INVENTORY_SETTINGS = {
+    // Longest a checkout may hold units for, from when it was saved
+    maxReservationMinutes: 30,
+    // Browser clocks may be this far off when a shopper drops someone else's expired hold
+    clockSkewMs: 5 * 60 * 1000,
+    // Order statuses whose units a customer may put back on the shelf
+    restockStatuses: ['cancelled', 'returned']
+};
+
+// As REVIEW_RULES in reviews.js
+const REVIEW_SETTINGS = {
+    maxPhotos: 3,
+    // Reports from different shoppers that hide a review until it is moderated
+    autoHideReports: 3
+};
+
+// As MOCK_GATEWAY_TEST_DETAILS in payments.js: details that make the mock gateway simulate each outcome
+const MOCK_GATEWAY_TEST_DETAILS = {
+    upi: { success: 'success@lunsara', failure: 'failure@lunsara', pending: 'pending@lunsara', timeout: 'timeout@lunsara' },
+    card: { success: '4111111111111111', failure: '4000000000000002', pending: '4000000000000119', timeout: '4000000000000259' },
+    netbanking: { success: 'SBIN', failure: 'FAIL', pending: 'PEND', timeout: 'SLOW' }
+};
+
+const PAYMENT_METHODS = ['upi', 'card', 'netbanking'];
+
+// Browser modules new orders are priced again with, run as checkout runs them
+const PRICING_SCRIPTS = ['tax.js', 'catalog.js', 'pricing.js'];
+
+// Amounts of an order, and of each of its items, that must be what the server works out
+const ORDER_PRICE_FIELDS = [
+    'itemCount', 'mrpTotal', 'subtotal', 'productDiscount', 'offerDiscount', 'couponDiscount',
+    'deliveryCharge', 'packagingFee', 'taxableValue', 'tax', 'cgst', 'sgst', 'igst', 'total'
+];
+const LINE_PRICE_FIELDS = [
+    'quantity', 'unitPrice', 'unitMrp', 'amount', 'productDiscount', 'offerDiscount', 'couponDiscount',
+    'hsn', 'taxRate', 'taxableValue', 'tax', 'cgst', 'sgst', 'igst', 'total'
+];
+
+// Browser modules the reminder job runs, in the order pages load them
+const REMINDER_SCRIPTS = ['storage.js', 'i18n.js', 'catalog.js', 'inventory.js', 'wishlist.js', 'notifications.js', 'reminders.js'];
+
+// How often the reminder job runs, in minutes (reminders.js also waits its own check interval between runs)
+const REMINDER_JOB_MINUTES = 15;
+
+// Kinds of reminder an unsubscribe link can turn off, and their notification categories (as in reminders.js)
+const REMINDER_KINDS = {
+    cart: ['cart'],
+    wishlist: ['wishlist'],
+    all: ['cart', 'wishlist']
+};
+
+// Channels of customers' notification preferences (as in notifications.js)
+const NOTIFICATION_CHANNELS = ['email', 'sms', 'whatsapp'];
+
+// Events analytics.js records (see ANALYTICS_EVENTS there), and the most taken in one request
+const ANALYTICS_EVENT_NAMES = [
+    'view_item_list', 'view_item', 'add_to_cart', 'begin_checkout', 'add_shipping_info', 'add_payment_info', 'purchase', 'refund'
+];
+const ANALYTICS_BATCH_LIMIT = 50;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
+};
+
+class JsonFileStore {
+    /**
+     * @param {string} file - JSON file the records are kept in
+     */
+    constructor(file) {
+        this.file = file;
+        this.data = {};
+        this.load();
+    }
+
+    load() {
+        try {
+            this.data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Could not read ${this.file}, starting empty:`, error.message);
+            }
+            this.data = {};
+        }
+    }
+
+    save() {
+        fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2));
+    }
+
+    /**
+     * @param {string} collection - Collection name
+     * @returns {Object} Records keyed by ID
+     */
+    getCollection(collection) {
+        if (!this.data[collection]) {
+            this.data[collection] = {};
+        }
+        return this.data[collection];
+    }
+
+    get(collection, id) {
+        const records = this.getCollection(collection);
+        return Object.prototype.hasOwnProperty.call(records, id) ? records[id] : null;
+    }
+
+    /**
+     * Find records whose fields equal the query values (strings compared case-insensitively)
+     * @param {string} collection - Collection name
+     * @param {Object} query - Field values
+     * @returns {Array} Matching records
+     */
+    find(collection, query) {
+        return Object.values(this.getCollection(collection)).filter(record =>
+            Object.keys(query).every(field => {
+                const value = record && record[field];
+                return typeof value === 'string'
+                    ? value.toLowerCase() === String(query[field]).toLowerCase()
+                    : String(value) === query[field];
+            })
+        );
+    }
+
+    put(collection, id, value) {
+        this.getCollection(collection)[id] = value;
+        this.save();
+        return value;
+    }
+
+    remove(collection, id) {
+        const records = this.getCollection(collection);
+        const existed = Object.prototype.hasOwnProperty.call(records, id);
+        delete records[id];
+        this.save();
+        return existed;
+    }
+}
+
+/**
+ * Create an error answered with an HTTP status
+ * @param {number} status - HTTP status
+ * @param {string} message - Message for the client
+ * @returns {Error} Error with status
+ */
+function httpError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {*} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<*>} Parsed body
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(httpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(httpError(400, 'Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Decode a percent-encoded part of a URL path
+ * @param {string} value - Encoded path
+ * @returns {string} Decoded path; throws an error with status 400 when the encoding is malformed
+ */
+function decodeUrlPath(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        throw httpError(400, 'Malformed URL');
+    }
+}
+
+/**
+ * Compare two JSON values, ignoring the order of object keys
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Whether they are equal
+ */
+function isSameValue(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+
+    const keys = Object.keys(a).filter(key => a[key] !== undefined);
+    return keys.length === Object.keys(b).filter(key => b[key] !== undefined).length &&
+        keys.every(key => isSameValue(a[key], b[key]));
+}
+
+// ---- Passwords and sessions ----
+
+/**
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Random hex string
+ */
+function createRandomToken(bytes = 32) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * @param {string} value - Value to hash
+ * @returns {string} Hex SHA-256 hash
+ */
+function sha256Hex(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Compare two hex strings in time that does not depend on where they differ
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} Whether they are equal
+ */
+function timingSafeEqualHex(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+/**
+ * Hash a password the way a stored hash was made: PBKDF2-SHA256 over the hex salt's bytes,
+ * or salted SHA-256 for hashes from before PBKDF2 (the same formats auth.js uses)
+ * @param {Object} user - User record with passwordSalt, passwordAlgorithm and passwordIterations
+ * @param {string} password - Password
+ * @returns {Promise<string>} Hex hash
+ */
+function hashPassword(user, password) {
+    if (user.passwordAlgorithm !== 'pbkdf2-sha256') {
+        return Promise.resolve(sha256Hex(`${user.passwordSalt}:${password}`));
+    }
+    return new Promise((resolve, reject) => {
+        crypto.pbkdf2(password, Buffer.from(user.passwordSalt, 'hex'), user.passwordIterations, 32, 'sha256',
+            (error, key) => (error ? reject(error) : resolve(key.toString('hex'))));
+    });
+}
+
+/**
+ * Hash a password with a new random salt
+ * @param {string} password - Password
+ * @returns {Promise<Object>} { passwordHash, passwordSalt, passwordAlgorithm, passwordIterations }
+ */
+async function createPasswordHash(password) {
+    const fields = {
+        passwordSalt: createRandomToken(16),
+        passwordAlgorithm: 'pbkdf2-sha256',
+        passwordIterations: AUTH_SETTINGS.passwordHashIterations
+    };
+    return { passwordHash: await hashPassword(fields, password), ...fields };
+}
+
+/**
+ * Check a password against a user's stored hash
+ * @param {Object} user - User record
+ * @param {string} password - Password to check
+ * @returns {Promise<boolean>} Whether the password is correct
+ */
+async function checkPassword(user, password) {
+    if (!user || !user.passwordHash || !user.passwordSalt || typeof password !== 'string') {
+        return false;
+    }
+    return timingSafeEqualHex(await hashPassword(user, password), user.passwordHash);
+}
+
+/**
+ * Check a new password against PASSWORD_POLICY, as validatePassword in auth.js does
+ * @param {string} password - New password
+ * @param {Object} account - { name, email } of the account, which the password must not contain
+ */
+function checkNewPassword(password, account = {}) {
+    if (typeof password !== 'string' || password.length < PASSWORD_POLICY.minLength || password.length > PASSWORD_POLICY.maxLength) {
+        throw httpError(400, `Passwords must be ${PASSWORD_POLICY.minLength} to ${PASSWORD_POLICY.maxLength} characters long`);
+    }
+
+    const lower = password.toLowerCase();
+    const characterTypes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter(pattern => pattern.test(password)).length;
+    if (characterTypes < PASSWORD_POLICY.minCharacterTypes) {
+        throw httpError(400, `Passwords must mix at least ${PASSWORD_POLICY.minCharacterTypes} of lower case, upper case, digits and symbols`);
+    }
+    if (PASSWORD_POLICY.commonPasswords.includes(lower)) {
+        throw httpError(400, 'This password is too common');
+    }
+
+    const personal = [account.email && String(account.email).split('@')[0], ...String(account.name || '').split(/\s+/)]
+        .filter(part => part && part.length >= 3)
+        .map(part => part.toLowerCase());
+    if (personal.some(part => lower.includes(part))) {
+        throw httpError(400, 'Passwords must not contain your name or email');
+    }
+}
+
+// Recent wrong passwords per account and per network address, in a collection the API does not serve
+class LoginThrottle {
+    /**
+     * @param {JsonFileStore} store - Record store
+     * @param {Object} settings - Limits (defaults to AUTH_SETTINGS)
+     */
+    constructor(store, settings = AUTH_SETTINGS) {
+        this.store = store;
+        this.settings = settings;
+    }
+
+    /**
+     * Refuse a password attempt while the account or the address it comes from is locked
+     * @param {string} email - Account email
+     * @param {string} address - Network address of the caller
+     * @param {number} now - Current time in milliseconds
+     */
+    check(email, address, now = Date.now()) {
+        const lockedUntil = Math.max(this.read(this.getAccountId(email), now).lockedUntil, this.read(this.getAddressId(address), now).lockedUntil);
+        if (lockedUntil > now) {
+            const minutes = Math.max(1, Math.ceil((lockedUntil - now) / 60000));
+            throw httpError(429, `Too many failed sign-in attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+        }
+    }
+
+    /**
+     * Count a wrong password against the account and the address, locking whichever has too many
+     * @param {string} email - Account email
+     * @param {string} address - Network address of the caller
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} Whether the account or address is now locked
+     */
+    recordFailure(email, address, now = Date.now()) {
+        const account = this.count(this.getAccountId(email), this.settings.maxFailedLogins, now);
+        const fromAddress = this.count(this.getAddressId(address), this.settings.maxFailedLoginsPerAddress, now);
+        return account || fromAddress;
+    }
+
+    /**
+     * Forget the wrong passwords of an account once the right one has been given
+     * @param {string} email - Account email
+     */
+    recordSuccess(email) {
+        this.store.remove('loginFailures', this.getAccountId(email));
+    }
+
+    /**
+     * @param {string} id - Record ID
+     * @param {number} limit - Failures that lock
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} Whether this failure locked it
+     */
+    count(id, limit, now) {
+        const record = this.read(id, now);
+        const failures = [...record.failures, now];
+        const locked = failures.length >= limit;
+        this.store.put('loginFailures', id, {
+            id,
+            failures: locked ? [] : failures,
+            lockedUntil: locked ? now + this.settings.lockoutMs : record.lockedUntil
+        });
+        return locked;
+    }
+
+    /**
+     * @param {string} id - Record ID
+     * @param {number} now - Current time in milliseconds
+     * @returns {Object} { failures: recent failure times, lockedUntil }
+     */
+    read(id, now) {
+        const record = this.store.get('loginFailures', id) || {};
+        return {
+            failures: (record.failures || []).filter(at => at > now - this.settings.failedLoginWindowMs),
+            lockedUntil: record.lockedUntil || 0
+        };
+    }
+
+    getAccountId(email) {
+        return `account:${String(email || '').trim().toLowerCase()}`;
+    }
+
+    getAddressId(address) {
+        return `address:${address || 'unknown'}`;
+    }
+}
+
+class AuthService {
+    /**
+     * @param {JsonFileStore} store - Record store; sessions and reset tokens are kept in collections the API does not serve
+     * @param {Object} options - { adminEmails, supabaseUrl, supabaseAnonKey, sendPasswordReset(user, link) }
+     */
+    constructor(store, options = {}) {
+        this.store = store;
+        this.adminEmails = (options.adminEmails || []).map(email => email.trim().toLowerCase()).filter(Boolean);
+        this.supabaseUrl = options.supabaseUrl ? options.supabaseUrl.replace(/\/$/, '') : null;
+        this.supabaseAnonKey = options.supabaseAnonKey || null;
+        this.sendPasswordReset = options.sendPasswordReset || ((user, link) => {
+            console.log(`Password reset link for ${user.email}: ${link}`);
+        });
+        this.identityCache = new Map();
+        this.loginThrottle = new LoginThrottle(store);
+    }
+
+    /**
+     * Find who made a request from its bearer token: a session issued here, or a Supabase session
+     * @param {http.IncomingMessage} req - Request
+     * @returns {Promise<Object|null>} Caller { userId, email, role }, or null for logged-out visitors
+     */
+    async authenticate(req) {
+        const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+        if (!match) {
+            return null;
+        }
+
+        const token = match[1];
+        const session = this.store.find('sessions', { accessTokenHash: sha256Hex(token) })[0];
+        if (session) {
+            if (Date.now() > session.accessExpiresAt) {
+                throw httpError(401, 'Your session has expired');
+            }
+            const user = this.store.get('users', session.userId);
+            if (!user) {
+                throw httpError(401, 'Your session has expired');
+            }
+            return { userId: user.id, email: user.email, role: this.getRole(user) };
+        }
+
+        const identity = await this.getSupabaseIdentity(token);
+        if (!identity) {
+            throw httpError(401, 'Your session has expired');
+        }
+        return { ...identity, role: this.getRole(this.store.get('users', identity.userId), identity) };
+    }
+
+    /**
+     * Ask Supabase whose session a token is, remembering the answer for a short while
+     * @param {string} token - Access token
+     * @returns {Promise<Object|null>} { userId, email, identityRole }, or null if Supabase does not know it
+     */
+    async getSupabaseIdentity(token) {
+        if (!this.supabaseUrl) {
+            return null;
+        }
+
+        const cached = this.identityCache.get(token);
+        if (cached && cached.until > Date.now()) {
+            return cached.identity;
+        }
+
+        const response = await fetch(`${this.supabaseUrl}/auth/v1/user`, {
+            headers: { apikey: this.supabaseAnonKey, Authorization: `Bearer ${token}` }
+        }).catch(() => null);
+        if (!response || !response.ok) {
+            return null;
+        }
+
+        const user = await response.json();
+        const identity = { userId: user.id, email: user.email, identityRole: user.app_metadata && user.app_metadata.role };
+        if (this.identityCache.size > 1000) {
+            this.identityCache.clear();
+        }
+        this.identityCache.set(token, { identity, until: Date.now() + AUTH_SETTINGS.identityCacheMs });
+        return identity;
+    }
+
+    /**
+     * Work out a user's role: the role on their record, else the one their identity provider gives,
+     * else administrator for the ADMIN_EMAILS accounts
+     * @param {Object|null} user - User record
+     * @param {Object} identity - { email, identityRole } from the identity provider
+     * @returns {string} 'customer' or 'admin'
+     */
+    getRole(user, identity = {}) {
+        if (user && USER_ROLES.includes(user.role)) {
+            return user.role;
+        }
+        if (USER_ROLES.includes(identity.identityRole)) {
+            return identity.identityRole;
+        }
+        const email = String((user && user.email) || identity.email || '').toLowerCase();
+        return this.adminEmails.includes(email) ? 'admin' : 'customer';
+    }
+
+    /**
+     * Strip password and session fields from a user record and give it its role
+     * @param {Object} user - User record
+     * @returns {Object} Record as clients see it
+     */
+    toPublicUser(user) {
+        const publicUser = { ...user, role: this.getRole(user) };
+        PRIVATE_USER_FIELDS.forEach(field => delete publicUser[field]);
+        return publicUser;
+    }
+
+    /**
+     * Handle a request under /api/auth
+     * @param {string} action - Path after /api/auth/
+     * @param {Object} body - Request body
+     * @param {Object|null} caller - Caller from authenticate
+     * @param {string} siteUrl - Address of the site, for reset links
+     * @param {string} address - Network address of the caller, for sign-in lockouts
+     * @returns {Promise<Object>} Response body
+     */
+    async handle(action, body, caller, siteUrl, address) {
+        switch (action) {
+            case 'signup':
+                return this.signUp(body);
+            case 'signin':
+                return this.signIn(body.email, body.password, address);
+            case 'refresh':
+                return this.refresh(body.refreshToken);
+            case 'reset-request':
+                return this.requestPasswordReset(body.email, siteUrl);
+            case 'reset-validate': {
+                const reset = this.findReset(body.token);
+                return { valid: true, email: this.store.get('users', reset.userId).email };
+            }
+            case 'reset':
+                return this.resetPassword(body.token, body.newPassword);
+            default:
+                break;
+        }
+
+        if (!caller || !this.store.get('users', caller.userId) || !this.store.get('users', caller.userId).passwordHash) {
+            throw httpError(401, 'Please log in first');
+        }
+        const user = this.store.get('users', caller.userId);
+
+        switch (action) {
+            case 'signout':
+                this.removeSessions(user.id, session => session.refreshTokenHash === sha256Hex(String(body.refreshToken)));
+                return { message: 'Logged out' };
+            case 'verify-password':
+                await this.checkAccountPassword(user, body.password, address, 'Incorrect password');
+                return { message: 'Password confirmed' };
+            case 'change-password':
+                return this.changePassword(user, body, address);
+            case 'sign-out-others': {
+                const ended = this.removeSessions(user.id, session => session.refreshTokenHash !== sha256Hex(String(body.refreshToken)));
+                return { message: ended > 0 ? `Signed out of ${ended} other session${ended === 1 ? '' : 's'}` : 'There were no other sessions' };
+            }
+            default:
+                throw httpError(404, 'Not found');
+        }
+    }
+
+    /**
+     * Create a local account and sign it in
+     * @param {Object} userData - { name, email, phone, password }
+     * @returns {Promise<Object>} { session }
+     */
+    async signUp(userData) {
+        const email = String(userData.email || '').trim().toLowerCase();
+        const name = String(userData.name || '').trim();
+        if (name.length < 2 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            throw httpError(400, 'Please enter your name and a valid email address');
+        }
+        checkNewPassword(userData.password, { name, email });
+        if (this.store.find('users', { email }).length > 0) {
+            throw httpError(409, 'An account with this email already exists');
+        }
+
+        let id = Date.now();
+        while (this.store.get('users', String(id))) {
+            id += 1;
+        }
+        const user = {
+            id: String(id),
+            name,
+            email,
+            phone: String(userData.phone || '').trim(),
+            ...(await createPasswordHash(userData.password)),
+            provider: 'local',
+            createdAt: new Date().toISOString(),
+            profile: { addresses: [], orders: [], preferences: {} }
+        };
+        this.store.put('users', user.id, user);
+        return { message: 'Account created successfully', session: this.createSession(user) };
+    }
+
+    /**
+     * Sign in with email and password. Older hashes are upgraded while the password is known.
+     * @param {string} email - Email
+     * @param {string} password - Password
+     * @param {string} address - Network address of the caller
+     * @returns {Promise<Object>} { session }
+     */
+    async signIn(email, password, address) {
+        const user = this.store.find('users', { email: String(email || '').trim() })[0];
+        await this.checkAccountPassword(user || { email }, password, address, 'Invalid email or password');
+
+        if (user.passwordAlgorithm !== 'pbkdf2-sha256' || user.passwordIterations < AUTH_SETTINGS.passwordHashIterations) {
+            this.store.put('users', user.id, { ...user, ...(await createPasswordHash(password)) });
+        }
+        return { message: 'Login successful', session: this.createSession(user) };
+    }
+
+    /**
+     * Check a password given for an account, counting wrong ones towards locking the account and
+     * the address they come from. Accounts that do not exist are counted and locked the same way.
+     * @param {Object} user - User record, or { email } when there is no such account
+     * @param {string} password - Password given
+     * @param {string} address - Network address of the caller
+     * @param {string} message - Message for a wrong password
+     * @returns {Promise<void>} Rejects with status 401, or 429 while locked
+     */
+    async checkAccountPassword(user, password, address, message) {
+        this.loginThrottle.check(user.email, address);
+        if (await checkPassword(user, password)) {
+            this.loginThrottle.recordSuccess(user.email);
+            return;
+        }
+
+        if (this.loginThrottle.recordFailure(user.email, address)) {
+            throw httpError(429, `Too many failed attempts. This account is locked for ${Math.round(AUTH_SETTINGS.lockoutMs / 60000)} minutes.`);
+        }
+        throw httpError(401, message);
+    }
+
+    /**
+     * Exchange a refresh token for a new session. The refresh token is single-use.
+     * @param {string} refreshToken - Refresh token
+     * @returns {Object} { session }
+     */
+    refresh(refreshToken) {
+        const session = this.store.find('sessions', { refreshTokenHash: sha256Hex(String(refreshToken)) })[0];
+        const user = session && this.store.get('users', session.userId);
+        if (!session || !user || Date.now() > session.expiresAt) {
+            throw httpError(401, 'Your session has expired. Please log in again.');
+        }
+        return { message: 'Session refreshed', session: this.createSession(user, session) };
+    }
+
+    /**
+     * Issue tokens for a user, replacing an earlier session if given. Only hashes of the tokens are kept.
+     * @param {Object} user - User record
+     * @param {Object} replacedSession - Stored session being refreshed
+     * @returns {Object} Session
+     */
+    createSession(user, replacedSession = null) {
+        const now = Date.now();
+        const accessToken = createRandomToken();
+        const refreshToken = createRandomToken();
+
+        if (replacedSession) {
+            this.store.remove('sessions', replacedSession.id);
+        }
+        const session = {
+            id: createRandomToken(8),
+            userId: user.id,
+            accessTokenHash: sha256Hex(accessToken),
+            refreshTokenHash: sha256Hex(refreshToken),
+            accessExpiresAt: now + AUTH_SETTINGS.accessTokenTtlMs,
+            createdAt: replacedSession ? replacedSession.createdAt : new Date(now).toISOString(),
+            expiresAt: now + AUTH_SETTINGS.refreshTokenTtlMs
+        };
+        this.store.put('sessions', session.id, session);
+
+        return {
+            user: { id: user.id, name: user.name, email: user.email, phone: user.phone, role: this.getRole(user) },
+            accessToken,
+            refreshToken,
+            expiresAt: session.accessExpiresAt
+        };
+    }
+
+    /**
+     * End sessions of a user
+     * @param {string} userId - User ID
+     * @param {Function} shouldEnd - Picks the stored sessions to end
+     * @returns {number} Sessions ended
+     */
+    removeSessions(userId, shouldEnd) {
+        const ended = this.store.find('sessions', { userId }).filter(shouldEnd);
+        ended.forEach(session => this.store.remove('sessions', session.id));
+        return ended.length;
+    }
+
+    /**
+     * Change the password of the signed-in user; every other session of the account ends
+     * @param {Object} user - User record
+     * @param {Object} body - { oldPassword, newPassword, refreshToken }
+     * @param {string} address - Network address of the caller
+     * @returns {Promise<Object>} Response body
+     */
+    async changePassword(user, body, address) {
+        await this.checkAccountPassword(user, body.oldPassword, address, 'Current password is incorrect');
+        checkNewPassword(body.newPassword, user);
+
+        this.store.put('users', user.id, { ...user, ...(await createPasswordHash(body.newPassword)) });
+        this.removeSessions(user.id, session => session.refreshTokenHash !== sha256Hex(String(body.refreshToken)));
+        return { message: 'Password changed successfully. You have been signed out on your other devices.' };
+    }
+
+    /**
+     * Send a password reset link. The answer is the same whether or not the account exists.
+     * @param {string} email - Email
+     * @param {string} siteUrl - Address of the site
+     * @returns {Promise<Object>} Response body
+     */
+    async requestPasswordReset(email, siteUrl) {
+        const user = this.store.find('users', { email: String(email || '').trim() })[0];
+        if (user && user.passwordHash) {
+            // Asking again replaces the earlier link
+            this.store.find('passwordResets', { userId: user.id }).forEach(reset => this.store.remove('passwordResets', reset.id));
+
+            const token = createRandomToken();
+            const tokenHash = sha256Hex(token);
+            this.store.put('passwordResets', tokenHash, { id: tokenHash, userId: user.id, expiresAt: Date.now() + AUTH_SETTINGS.resetTokenTtlMs });
+            await this.sendPasswordReset(user, `${siteUrl}/login.html?tab=reset&token=${encodeURIComponent(token)}`);
+        }
+        return { message: 'If an account exists for this email, password reset instructions have been sent to it' };
+    }
+
+    /**
+     * @param {string} token - Reset token
+     * @returns {Object} Stored reset of { id, userId, expiresAt }; throws when the token is unknown or expired
+     */
+    findReset(token) {
+        const reset = token ? this.store.get('passwordResets', sha256Hex(String(token))) : null;
+        if (!reset || !this.store.get('users', reset.userId)) {
+            throw httpError(400, 'Invalid or expired reset token');
+        }
+        if (Date.now() > reset.expiresAt) {
+            throw httpError(400, 'Reset token has expired');
+        }
+        return reset;
+    }
+
+    /**
+     * Set a new password with a reset token. The token works once, and every session of the account ends.
+     * @param {string} token - Reset token
+     * @param {string} newPassword - New password
+     * @returns {Promise<Object>} Response body with the email of the account
+     */
+    async resetPassword(token, newPassword) {
+        const reset = this.findReset(token);
+        const user = this.store.get('users', reset.userId);
+        checkNewPassword(newPassword, user);
+
+        this.store.put('users', user.id, { ...user, ...(await createPasswordHash(newPassword)) });
+        this.store.remove('passwordResets', reset.id);
+        this.removeSessions(user.id, () => true);
+        return { message: 'Password reset successfully', email: user.email };
+    }
+}
+
+// ---- Access to records ----
+
+/**
+ * Check that a caller may use a record
+ * @param {string} collection - Collection name
+ * @param {string|null} id - Record ID, or null for a query
+ * @param {Object|null} caller - Caller from authenticate
+ * @param {Object|null} stored - Stored record, for collections with an ownerField
+ * @param {string} method - HTTP method
+ */
+function authorize(collection, id, caller, stored = null, method = 'GET') {
+    if (caller && caller.role === 'admin') {
+        return;
+    }
+
+    const rules = COLLECTIONS[collection];
+    if (rules.adminOnly) {
+        if (rules.readById && method === 'GET') {
+            return;
+        }
+        throw httpError(caller ? 403 : 401, 'Only administrators can use these records');
+    }
+    if (rules.shared) {
+        return;
+    }
+    // Records without an owner, like guest carts, are open to whoever knows the ID
+    if (id !== null && rules.ownerField && (!stored || stored[rules.ownerField] === null)) {
+        return;
+    }
+    if (id !== null && rules.ownerField) {
+        if (!caller) {
+            throw httpError(401, 'Please log in first');
+        }
+        if (stored[rules.ownerField] !== caller.userId) {
+            throw httpError(403, 'You cannot use this record');
+        }
+        return;
+    }
+    if (id !== null && rules.guests && id.startsWith('guest-')) {
+        return;
+    }
+    if (!caller) {
+        throw httpError(401, 'Please log in first');
+    }
+    if (id !== null && rules.owned && id !== caller.userId) {
+        throw httpError(403, 'You cannot use this record');
+    }
+}
+
+/**
+ * Check a user record sent by a client and merge in the fields only the server keeps
+ * @param {JsonFileStore} store - Record store
+ * @param {AuthService} authService - Auth service
+ * @param {Object|null} stored - Stored record
+ * @param {Object} value - Record sent by the client
+ * @param {string} id - Record ID
+ * @param {Object} caller - Caller from authenticate
+ * @returns {Object} Record to store
+ */
+function prepareUserRecord(store, authService, stored, value, id, caller) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw httpError(400, 'A user record must be an object');
+    }
+    // Passwords only ever arrive at /api/auth, and are kept as salted hashes
+    if (Object.prototype.hasOwnProperty.call(value, 'password')) {
+        throw httpError(400, 'User records must not contain a cleartext password');
+    }
+
+    const isAdmin = caller.role === 'admin';
+    const record = { ...value, id };
+    PRIVATE_USER_FIELDS.forEach(field => {
+        delete record[field];
+        if (stored && stored[field] !== undefined) record[field] = stored[field];
+    });
+
+    // Clients get records with their role filled in; sending it back unchanged is not a change
+    const currentRole = stored ? authService.getRole(stored) : 'customer';
+    if (value.role !== undefined && value.role !== currentRole) {
+        if (!isAdmin) {
+            throw httpError(403, 'Only administrators can change roles');
+        }
+        if (id === caller.userId) {
+            throw httpError(403, 'You cannot change your own role');
+        }
+        if (!USER_ROLES.includes(value.role)) {
+            throw httpError(400, 'Unknown role');
+        }
+    } else if (stored && stored.role !== undefined) {
+        record.role = stored.role;
+    } else {
+        delete record.role;
+    }
+
+    if (!isAdmin) {
+        checkCustomerOrders(store, (stored && stored.profile && stored.profile.orders) || [], (value.profile && value.profile.orders) || [], id);
+    }
+    return record;
+}
+
+/**
+ * Check the orders a customer sends with their record. New orders start as placed, at the prices
+ * and with the payment checkNewOrder accepts; existing ones keep their status, payment and every
+ * other detail, except that the customer may cancel them before dispatch or ask to return them once
+ * delivered, and note the numbers of their documents.
+ * @param {JsonFileStore} store - Record store
+ * @param {Array} storedOrders - Orders on the stored record
+ * @param {Array} orders - Orders sent by the customer
+ * @param {string} userId - Customer the record belongs to
+ */
+function checkCustomerOrders(store, storedOrders, orders, userId) {
+    const sentIds = new Set(orders.map(order => order && order.id));
+    if (storedOrders.some(order => !sentIds.has(order.id))) {
+        throw httpError(403, 'Orders cannot be deleted');
+    }
+    if (sentIds.size !== orders.length) {
+        throw httpError(400, 'Order IDs must be unique');
+    }
+
+    orders.forEach(order => {
+        const saved = storedOrders.find(candidate => candidate.id === order.id);
+        if (!saved) {
+            const history = order.history || [];
+            const started = order.status === 'placed' && history.length === 1 && history[0].status === 'placed';
+            if (!started || ['shipment', ...CUSTOMER_ORDER_FIELDS].some(field => order[field] !== undefined)) {
+                throw httpError(403, 'New orders must start as placed');
+            }
+            checkNewOrder(store, order, storedOrders, userId);
+            return;
+        }
+
+        const savedHistory = saved.history || [];
+        if (order.status !== saved.status) {
+            const history = order.history || [];
+            const allowed = (CUSTOMER_ORDER_TRANSITIONS[saved.status] || []).includes(order.status) &&
+                history.length === savedHistory.length + 1 &&
+                isSameValue(history.slice(0, -1), savedHistory) &&
+                history[history.length - 1].status === order.status;
+            if (!allowed) {
+                throw httpError(403, 'Only the store can change the status of this order');
+            }
+        } else if (!isSameValue(order.history, saved.history)) {
+            throw httpError(403, 'Only the store can change the status of this order');
+        }
+
+        const fields = new Set([...Object.keys(saved), ...Object.keys(order)]);
+        ['status', 'history'].forEach(field => fields.delete(field));
+        fields.forEach(field => {
+            if (isSameValue(saved[field], order[field])) return;
+            const series = Object.keys(DOCUMENT_SERIES).find(type => DOCUMENT_SERIES[type].orderField === field);
+            const issued = series && store.get('invoices', `${series}:${order.id}`);
+            const added = CUSTOMER_ORDER_FIELDS.includes(field) && saved[field] === undefined &&
+                (field !== 'returnRequest' || order.status === 'return_requested') &&
+                (!series || (issued !== null && issued.number === order[field]));
+            if (!added) {
+                throw httpError(403, `The ${field} of an order cannot be changed`);
+            }
+        });
+    });
+}
+
+/**
+ * Check a change to the shared stock record sent by a shopper. Shoppers may hold units for their
+ * own checkout, drop holds that have run out, take the units of their own hold off the shelf
+ * when their order is placed (noting the sale), and put back once the units of their own cancelled
+ * orders, or of a sale whose order was never placed. Everything else is for administrators.
+ * @param {JsonFileStore} store - Record store
+ * @param {Object|null} stored - Stored stock record
+ * @param {Object} value - Stock record sent by the shopper
+ * @param {Object|null} caller - Caller from authenticate
+ * @param {Date} now - Current time
+ */
+function checkInventoryChange(store, stored, value, caller, now = new Date()) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw httpError(400, 'A stock record must be an object');
+    }
+    const saved = stored || {};
+    const fields = new Set([...Object.keys(saved), ...Object.keys(value)]);
+    ['version', 'adjustments', 'reservations', 'restocked', 'sales'].forEach(field => fields.delete(field));
+    fields.forEach(field => {
+        if (!isSameValue(saved[field], value[field])) {
+            throw httpError(403, `The ${field} of the stock record cannot be changed`);
+        }
+    });
+
+    const isOwn = reservation => (caller ? reservation.ownerId === caller.userId : String(reservation.ownerId).startsWith('guest-'));
+    const savedReservations = saved.reservations || [];
+    const reservations = Array.isArray(value.reservations) ? value.reservations : [];
+    const sentById = new Map(reservations.map(reservation => [reservation && reservation.id, reservation]));
+    const savedById = new Map(savedReservations.map(reservation => [reservation.id, reservation]));
+
+    // Units of the caller's holds that this change ends, which are the units it may take off the shelf
+    const released = new Map();
+    const ended = [];
+    savedReservations.forEach(reservation => {
+        const sent = sentById.get(reservation.id);
+        if (sent && isSameValue(sent, reservation)) return;
+        if (isOwn(reservation)) {
+            if (!sent) {
+                reservation.lines.forEach(line => released.set(line.key, (released.get(line.key) || 0) + line.quantity));
+                ended.push(reservation);
+            }
+            return;
+        }
+        if (sent || new Date(reservation.expiresAt).getTime() > now.getTime() + INVENTORY_SETTINGS.clockSkewMs) {
+            throw httpError(403, "Other shoppers' holds cannot be changed");
+        }
+    });
+
+    const latestExpiry = now.getTime() + INVENTORY_SETTINGS.maxReservationMinutes * 60 * 1000;
+    reservations.forEach(reservation => {
+        if (savedById.has(reservation && reservation.id) && isSameValue(reservation, savedById.get(reservation.id))) return;
+        const valid = reservation && typeof reservation.id === 'string' && isOwn(reservation) &&
+            new Date(reservation.expiresAt).getTime() <= latestExpiry &&
+            Array.isArray(reservation.lines) && reservation.lines.length > 0 &&
+            reservation.lines.every(line => line && Number.isInteger(line.quantity) && line.quantity > 0 &&
+                line.key === (line.variantId ? `${line.id}:${line.variantId}` : String(line.id)));
+        if (!valid) {
+            throw httpError(403, `Holds must be your own, for whole units and at most ${INVENTORY_SETTINGS.maxReservationMinutes} minutes`);
+        }
+    });
+    if (reservations.filter(isOwn).length > 1) {
+        throw httpError(403, 'A shopper can only hold one checkout at a time');
+    }
+
+    // Sales are noted with the lines of a hold this change ends, and kept as they are
+    const savedSales = saved.sales || {};
+    const sales = value.sales && typeof value.sales === 'object' ? value.sales : {};
+    Object.keys(savedSales).forEach(orderId => {
+        if (!isSameValue(sales[orderId], savedSales[orderId])) {
+            throw httpError(403, 'Sales cannot be changed');
+        }
+    });
+    Object.keys(sales).filter(orderId => savedSales[orderId] === undefined).forEach(orderId => {
+        const sale = sales[orderId];
+        const hold = sale && isOwn(sale) ? ended.findIndex(reservation => isSameValue(sale.lines, reservation.lines)) : -1;
+        if (hold === -1) {
+            throw httpError(403, 'Sales must be of your own hold');
+        }
+        ended.splice(hold, 1);
+    });
+
+    // Units of the caller's own cancelled orders, or of their sales whose order was never placed, put back by this change
+    const savedRestocked = saved.restocked || {};
+    const restocked = value.restocked && typeof value.restocked === 'object' ? value.restocked : {};
+    const returned = new Map();
+    Object.keys(savedRestocked).forEach(orderId => {
+        if (restocked[orderId] !== savedRestocked[orderId]) {
+            throw httpError(403, 'Restocked orders cannot be changed');
+        }
+    });
+    const newlyRestocked = Object.keys(restocked).filter(orderId => savedRestocked[orderId] === undefined);
+    if (newlyRestocked.length > 0) {
+        const user = caller ? store.get('users', caller.userId) : null;
+        const orders = (user && user.profile && user.profile.orders) || [];
+        newlyRestocked.forEach(orderId => {
+            const order = orders.find(candidate => candidate.id === orderId);
+            const sale = savedSales[orderId];
+            if (!order && sale && caller && sale.ownerId === caller.userId) {
+                sale.lines.forEach(line => returned.set(line.key, (returned.get(line.key) || 0) + line.quantity));
+                return;
+            }
+            if (!order || !order.reservationId || !INVENTORY_SETTINGS.restockStatuses.includes(order.status)) {
+                throw httpError(403, 'Only the units of your own cancelled orders can be put back');
+            }
+            (order.items || []).forEach(item => {
+                const key = item.variantId ? `${item.id}:${item.variantId}` : String(item.id);
+                returned.set(key, (returned.get(key) || 0) + (item.quantity || 1));
+            });
+        });
+    }
+
+    const savedAdjustments = saved.adjustments || {};
+    const adjustments = value.adjustments && typeof value.adjustments === 'object' ? value.adjustments : {};
+    new Set([...Object.keys(savedAdjustments), ...Object.keys(adjustments)]).forEach(key => {
+        const units = adjustments[key] === undefined ? 0 : adjustments[key];
+        if (!Number.isInteger(units)) {
+            throw httpError(400, 'Stock changes must be whole units');
+        }
+        const change = units - (savedAdjustments[key] || 0);
+        if (change < 0 ? -change > (released.get(key) || 0) : change > (returned.get(key) || 0)) {
+            throw httpError(403, 'Only the store can change stock levels');
+        }
+    });
+}
+
+/**
+ * Check a change to the shared coupon usage record sent by a shopper: it may only count one more
+ * use of one coupon, by the shopper themselves (or by nobody in particular for a guest)
+ * @param {Object|null} stored - Stored usage record
+ * @param {Object} value - Usage record sent by the shopper
+ * @param {Object|null} caller - Caller from authenticate
+ */
+function checkCouponUsageChange(stored, value, caller) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw httpError(400, 'A coupon usage record must be an object');
+    }
+    const saved = stored || {};
+    const fields = new Set([...Object.keys(saved), ...Object.keys(value)]);
+    ['version', 'coupons'].forEach(field => fields.delete(field));
+    const savedUsage = saved.coupons || {};
+    const usage = value.coupons && typeof value.coupons === 'object' ? value.coupons : {};
+    const changed = [...new Set([...Object.keys(savedUsage), ...Object.keys(usage)])]
+        .filter(code => !isSameValue(savedUsage[code], usage[code]));
+
+    const counted = code => {
+        const before = savedUsage[code] || { total: 0, users: {} };
+        const after = usage[code] || {};
+        const users = { ...(before.users || {}) };
+        if (caller) users[caller.userId] = (users[caller.userId] || 0) + 1;
+        return after.total === (before.total || 0) + 1 && isSameValue(after.users, users) &&
+            Object.keys(after).every(field => ['total', 'users'].includes(field));
+    };
+    if (fields.size > 0 || changed.length !== 1 || !counted(changed[0])) {
+        throw httpError(403, 'Shoppers can only count one use of a coupon');
+    }
+}
+
+/**
+ * Check a review sent by a shopper. Shoppers may write, edit and publish again their own review of a
+ * product from one of their delivered orders, and add or take back their helpful vote on someone
+ * else's review, or report it once (which hides it once enough shoppers have).
+ * @param {JsonFileStore} store - Record store
+ * @param {Object|null} stored - Stored review
+ * @param {Object} value - Review sent by the shopper
+ * @param {string} id - Review ID
+ * @param {Object|null} caller - Caller from authenticate
+ */
+function checkReviewChange(store, stored, value, id, caller) {
+    if (!caller) {
+        throw httpError(401, 'Please log in first');
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value) || value.id !== id) {
+        throw httpError(400, 'A review must be an object with its ID');
+    }
+
+    if (!stored || stored.userId === caller.userId) {
+        const user = store.get('users', caller.userId);
+        const order = ((user && user.profile && user.profile.orders) || []).find(candidate => candidate.id === value.orderId);
+        const delivered = order && (order.status === 'delivered' || (order.history || []).some(event => event.status === 'delivered'));
+        if (!delivered || !(order.items || []).some(item => item.id === value.productId) || value.verified !== true) {
+            throw httpError(403, 'You can review products from your delivered orders');
+        }
+
+        const unchanged = stored ? ['userId', 'productId', 'createdAt', 'helpful'] : [];
+        const valid = value.userId === caller.userId && value.status === 'published' &&
+            isSameValue(value.reports, []) && isSameValue(value.helpful, stored ? stored.helpful : []) &&
+            unchanged.every(field => isSameValue(value[field], stored[field])) &&
+            Number.isInteger(value.rating) && value.rating >= 1 && value.rating <= 5 &&
+            Array.isArray(value.photos) && value.photos.length <= REVIEW_SETTINGS.maxPhotos &&
+            value.photos.every(photo => typeof photo === 'string' && photo.startsWith('data:image/'));
+        if (!valid) {
+            throw httpError(403, 'Reviews must be published by their author, with their votes and without reports');
+        }
+        return;
+    }
+
+    const changed = [...new Set([...Object.keys(stored), ...Object.keys(value)])]
+        .filter(field => field !== 'version' && !isSameValue(stored[field], value[field]));
+    const helpful = stored.helpful || [];
+    const reports = stored.reports || [];
+
+    const voted = () => {
+        const expected = helpful.includes(caller.userId)
+            ? helpful.filter(userId => userId !== caller.userId)
+            : [...helpful, caller.userId];
+        return changed.length === 1 && changed[0] === 'helpful' && isSameValue(value.helpful, expected);
+    };
+    const reported = () => {
+        const sent = Array.isArray(value.reports) ? value.reports : [];
+        const report = sent[sent.length - 1] || {};
+        const hidden = stored.status === 'published' && value.status === 'hidden' && sent.length >= REVIEW_SETTINGS.autoHideReports;
+        return changed.includes('reports') && changed.every(field => field === 'reports' || (field === 'status' && hidden)) &&
+            sent.length === reports.length + 1 && isSameValue(sent.slice(0, -1), reports) &&
+            !reports.some(candidate => candidate.userId === caller.userId) &&
+            report.userId === caller.userId && typeof report.reason === 'string' && typeof report.at === 'string' &&
+            Object.keys(report).every(field => ['userId', 'reason', 'at'].includes(field));
+    };
+    if (!voted() && !reported()) {
+        throw httpError(403, "You can only vote for or report someone else's review");
+    }
+}
+
+/**
+ * Issue an invoice or credit note: take the next number of its series and save it, in one step so
+ * that no other request can take the same number or leave one unused. An order has one document of
+ * each type, so asking again returns the one issued. Customers may issue documents for orders on
+ * their own record: an invoice for any of them, and a credit note once the order is cancelled or
+ * returned for a refund. Administrators may also issue them for guest orders (userId null).
+ * @param {JsonFileStore} store - Record store
+ * @param {Object} body - { type: 'invoice' or 'credit_note', fields: document contents with orderId and userId }
+ * @param {Object|null} caller - Caller from authenticate
+ * @param {Date} now - Issue time
+ * @returns {Object} { document, issued: false when it had already been issued }
+ */
+function issueDocument(store, body, caller, now = new Date()) {
+    if (!caller) {
+        throw httpError(401, 'Please log in first');
+    }
+    const fields = body.fields;
+    if (!DOCUMENT_SERIES[body.type] || !fields || typeof fields !== 'object' || Array.isArray(fields) ||
+        typeof fields.orderId !== 'string' || !fields.orderId) {
+        throw httpError(400, 'A document needs a type and the order it is for');
+    }
+
+    const type = body.type;
+    const isAdmin = caller.role === 'admin';
+    const userId = fields.userId === undefined ? null : fields.userId;
+    if (!isAdmin && userId !== caller.userId) {
+        throw httpError(403, 'Documents can only be issued to yourself');
+    }
+
+    const id = `${type}:${fields.orderId}`;
+    const existing = store.get('invoices', id);
+    if (existing) {
+        return { document: existing, issued: false };
+    }
+
+    if (userId !== null) {
+        const user = store.get('users', userId);
+        const order = ((user && user.profile && user.profile.orders) || []).find(candidate => candidate && candidate.id === fields.orderId);
+        if (!order) {
+            throw httpError(403, 'Documents can only be issued for orders on the account');
+        }
+        if (type === 'credit_note' && !needsCreditNote(order)) {
+            throw httpError(403, 'Only cancelled or returned orders get a credit note');
+        }
+    }
+    if (type === 'credit_note') {
+        const invoice = store.get('invoices', `invoice:${fields.orderId}`);
+        if (!invoice || invoice.number !== fields.invoiceNumber) {
+            throw httpError(400, 'A credit note must reverse the invoice of its order');
+        }
+    }
+
+    const financialYear = getFinancialYear(now);
+    const counterId = `${type}:${financialYear}`;
+    const counter = store.get('counters', counterId);
+    const sequence = ((counter && counter.value) || 0) + 1;
+    const doc = {
+        ...fields,
+        id,
+        type,
+        userId,
+        number: `${DOCUMENT_SERIES[type].prefix}/${financialYear.slice(2)}/${String(sequence).padStart(DOCUMENT_NUMBER_DIGITS, '0')}`,
+        financialYear,
+        sequence,
+        issuedAt: now.toISOString(),
+        version: 1
+    };
+
+    store.put('counters', counterId, { id: counterId, value: sequence, version: ((counter && counter.version) || 0) + 1 });
+    return { document: store.put('invoices', id, doc), issued: true };
+}
+
+/**
+ * Check whether an order's invoice has to be reversed, as needsCreditNote in invoices.js
+ * @param {Object} order - Order
+ * @returns {boolean} Whether it was cancelled, or returned for a refund rather than an exchange
+ */
+function needsCreditNote(order) {
+    const reached = status => order.status === status || (order.history || []).some(event => event.status === status);
+    const isExchange = Boolean(order.returnRequest && order.returnRequest.type === 'exchange');
+    return reached('cancelled') || (reached('returned') && !isExchange);
+}
+
+/**
+ * Get the financial year a moment falls in, in Indian Standard Time
+ * @param {Date} date - Moment
+ * @returns {string} Year such as '2026-27'
+ */
+function getFinancialYear(date) {
+    const ist = new Date(date.getTime() + IST_OFFSET_MS);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+// ---- Payments and prices ----
+
+/**
+ * The payment gateway the server takes payments through: a local stand-in for a hosted gateway
+ * with the outcomes of MockPaymentGateway in payments.js. It signs captured payments with a key
+ * secret only the server holds, so browsers cannot sign payments themselves.
+ */
+class MockPaymentGateway {
+    /**
+     * @param {Object} options - Gateway options
+     * @param {string} options.keySecret - Secret the gateway signs payments with (a new random one by default)
+     * @param {number} options.pendingPolls - Status checks before a pending payment succeeds
+     * @param {number} options.slowResponseMs - How long a slow bank takes to answer; longer than checkout waits
+     */
+    constructor(options = {}) {
+        this.keySecret = options.keySecret || createRandomToken();
+        this.pendingPolls = options.pendingPolls || 2;
+        this.slowResponseMs = options.slowResponseMs !== undefined ? options.slowResponseMs : 60 * 1000;
+        this.orders = new Map();
+        this.payments = new Map();
+    }
+
+    /**
+     * Create a gateway order for an amount to be collected
+     * @param {number} amount - Amount in rupees
+     * @param {string} receipt - Store order ID
+     * @param {string} userId - Customer paying
+     * @returns {Object} Gateway order
+     */
+    createOrder(amount, receipt, userId) {
+        const order = { id: this.generateId('order'), amount, currency: 'INR', receipt, userId, status: 'created' };
+        this.orders.set(order.id, order);
+        return { ...order };
+    }
+
+    /**
+     * Authorize a payment against a gateway order
+     * @param {string} orderId - Gateway order ID
+     * @param {string} method - Payment method
+     * @param {string} testDetail - UPI ID, card number or bank code the customer used
+     * @returns {Promise<Object>} Payment with status 'authorized', 'failed' or 'pending'
+     */
+    authorize(orderId, method, testDetail) {
+        const testDetails = MOCK_GATEWAY_TEST_DETAILS[method] || {};
+        const outcome = Object.keys(testDetails).find(key => testDetails[key] === testDetail) || 'success';
+        const payment = {
+            id: this.generateId('pay'),
+            orderId,
+            method,
+            amount: this.orders.get(orderId).amount,
+            status: outcome === 'failure' || outcome === 'timeout' ? 'failed' : outcome === 'pending' ? 'pending' : 'authorized',
+            error: outcome === 'failure' ? 'Payment declined by the bank' : outcome === 'timeout' ? 'The bank did not answer' : null,
+            polls: 0
+        };
+        this.payments.set(payment.id, payment);
+
+        const response = { id: payment.id, status: payment.status, error: payment.error };
+        // A slow bank only answers after the checkout has stopped waiting
+        if (outcome === 'timeout') {
+            return new Promise(resolve => setTimeout(() => resolve(response), this.slowResponseMs));
+        }
+        return Promise.resolve(response);
+    }
+
+    /**
+     * Check the status of a payment that was pending
+     * @param {string} paymentId - Payment ID
+     * @returns {Object} Payment with its current status
+     */
+    getPaymentStatus(paymentId) {
+        const payment = this.payments.get(paymentId);
+        if (payment.status === 'pending' && ++payment.polls >= this.pendingPolls) {
+            payment.status = 'authorized';
+        }
+        return { id: payment.id, status: payment.status, error: payment.error };
+    }
+
+    /**
+     * Capture an authorized payment and return the signed confirmation
+     * @param {string} paymentId - Payment ID
+     * @returns {Object} Confirmation with orderId, paymentId and signature
+     */
+    capture(paymentId) {
+        const payment = this.payments.get(paymentId);
+        if (payment.status !== 'authorized') {
+            return { status: 'failed', error: 'Payment is not authorized' };
+        }
+
+        payment.status = 'captured';
+        this.orders.get(payment.orderId).status = 'paid';
+        return { status: 'captured', orderId: payment.orderId, paymentId: payment.id, signature: this.sign(payment.orderId, payment.id) };
+    }
+
+    /**
+     * Give back a captured payment in full
+     * @param {string} paymentId - Payment ID
+     * @returns {Object} Refund with status 'refunded', or 'failed' with an error
+     */
+    refund(paymentId) {
+        const payment = this.payments.get(paymentId);
+        if (payment.status !== 'captured') {
+            return { status: 'failed', error: 'Only captured payments can be refunded' };
+        }
+
+        payment.status = 'refunded';
+        return { status: 'refunded', paymentId: payment.id, amount: payment.amount };
+    }
+
+    /**
+     * @param {string} orderId - Gateway order ID
+     * @returns {Object|null} Gateway order
+     */
+    getOrder(orderId) {
+        return this.orders.get(orderId) || null;
+    }
+
+    /**
+     * @param {string} paymentId - Payment ID
+     * @returns {Object|null} Payment
+     */
+    getPayment(paymentId) {
+        return this.payments.get(paymentId) || null;
+    }
+
+    /**
+     * Sign a payment confirmation with HMAC-SHA256, as hosted gateways do
+     * @param {string} orderId - Gateway order ID
+     * @param {string} paymentId - Payment ID
+     * @returns {string} Hex signature
+     */
+    sign(orderId, paymentId) {
+        return crypto.createHmac('sha256', this.keySecret).update(`${orderId}|${paymentId}`).digest('hex');
+    }
+
+    /**
+     * Generate a gateway-style ID
+     * @param {string} prefix - ID prefix
+     * @returns {string} ID
+     */
+    generateId(prefix) {
+        return `${prefix}_${Date.now().toString(36)}${createRandomToken(4)}`;
+    }
+}
+
+/**
+ * Handle a payment request from checkout (see ServerPaymentGateway in payments.js). Customers pay
+ * through the server's gateway, and a captured payment only counts once its signature has been
+ * checked here: it is then kept in the payments collection, for the order and amount it was made for.
+ * Customers may have a payment refunded while no order on their record was placed with it.
+ * @param {JsonFileStore} store - Record store
+ * @param {MockPaymentGateway} gateway - Payment gateway
+ * @param {string} action - 'orders', 'authorize', 'status', 'capture', 'verify' or 'refund'
+ * @param {Object} body - Request body
+ * @param {Object|null} caller - Caller from authenticate
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>|Object} Gateway response
+ */
+function handlePaymentRequest(store, gateway, action, body, caller, now = new Date()) {
+    if (!caller) {
+        throw httpError(401, 'Please log in first');
+    }
+    if (action === 'orders') {
+        if (typeof body.amount !== 'number' || !(body.amount > 0) || typeof body.receipt !== 'string' || !body.receipt) {
+            throw httpError(400, 'A payment order needs an amount and the order it is for');
+        }
+        return gateway.createOrder(body.amount, body.receipt, caller.userId);
+    }
+
+    // Customers only see their own payments
+    const order = action === 'authorize' ? gateway.getOrder(body.orderId) : null;
+    const payment = action === 'authorize' ? null : gateway.getPayment(body.paymentId);
+    const owner = order || (payment && gateway.getOrder(payment.orderId));
+    if (!owner || owner.userId !== caller.userId) {
+        throw httpError(403, 'Unknown payment');
+    }
+
+    switch (action) {
+        case 'authorize':
+            if (!PAYMENT_METHODS.includes(body.method)) {
+                throw httpError(400, 'Unknown payment method');
+            }
+            return gateway.authorize(order.id, body.method, String(body.testDetail || ''));
+        case 'status':
+            return gateway.getPaymentStatus(payment.id);
+        case 'capture':
+            return gateway.capture(payment.id);
+        case 'verify': {
+            const signed = payment.status === 'captured' && payment.orderId === body.orderId &&
+                timingSafeEqualHex(gateway.sign(payment.orderId, payment.id), body.signature);
+            if (!signed) {
+                return { verified: false };
+            }
+            if (!store.get('payments', payment.id)) {
+                store.put('payments', payment.id, {
+                    id: payment.id,
+                    gatewayOrderId: payment.orderId,
+                    receipt: owner.receipt,
+                    userId: caller.userId,
+                    method: payment.method,
+                    amount: payment.amount,
+                    status: 'captured',
+                    verifiedAt: now.toISOString(),
+                    version: 1
+                });
+            }
+            return { verified: true };
+        }
+        case 'refund': {
+            const user = store.get('users', caller.userId);
+            const orders = (user && user.profile && user.profile.orders) || [];
+            if (orders.some(candidate => candidate && candidate.id === owner.receipt)) {
+                throw httpError(409, 'This payment was made for an order that has been placed');
+            }
+            const refund = gateway.refund(payment.id);
+            const verified = store.get('payments', payment.id);
+            if (refund.status === 'refunded' && verified) {
+                store.put('payments', payment.id, { ...verified, status: 'refunded', refundedAt: now.toISOString(), version: verified.version + 1 });
+            }
+            return refund;
+        }
+        default:
+            throw httpError(404, 'Not found');
+    }
+}
+
+let pricingSources = null;
+
+/**
+ * Price items the way checkout does, by running tax.js, catalog.js and pricing.js with the
+ * catalog, catalog changes, coupons and coupon usage the server has now
+ * @param {JsonFileStore} store - Record store
+ * @param {Array} items - Order items
+ * @param {Object} options - Options for PricingEngine.calculate: couponCode, buyerState, context and now
+ * @returns {Object} Totals, as PricingEngine.calculate returns them
+ */
+function priceItems(store, items, options) {
+    // The scripts and products.json are read once
+    if (!pricingSources) {
+        pricingSources = {
+            scripts: PRICING_SCRIPTS.map(file => new vm.Script(fs.readFileSync(path.join(SITE_ROOT, file), 'utf8'), { filename: file })),
+            catalog: JSON.parse(fs.readFileSync(path.join(SITE_ROOT, 'products.json'), 'utf8'))
+        };
+    }
+
+    const repository = collection => ({
+        get: id => Promise.resolve(store.get(collection, id)),
+        peek: id => store.get(collection, id)
+    });
+    const context = vm.createContext({
+        console,
+        // Only what the scripts read while pricing; messages are not shown to anyone
+        i18n: { t: key => key, getProductText: (product, field) => product[field], formatPrice: amount => String(amount) },
+        localStorage: { getItem: () => null, setItem() {}, removeItem() {} },
+        repositories: { catalogEdits: repository('catalogEdits'), coupons: repository('coupons'), couponUsage: repository('couponUsage') }
+    });
+    context.window = context;
+    pricingSources.scripts.forEach(script => script.runInContext(context));
+    context.catalog.setData(pricingSources.catalog);
+
+    const sold = items.every(item => {
+        const product = context.catalog.getProduct(item.id);
+        return product && (!item.variantId || context.catalog.getVariant(product, item.variantId));
+    });
+    if (!sold) {
+        throw httpError(409, 'Some items of this order are no longer sold');
+    }
+    return JSON.parse(JSON.stringify(context.pricing.calculate(items, options)));
+}
+
+/**
+ * Check the prices and payment of a new order. Its items, discounts, charges, tax and total must be
+ * what checkout works out from the catalog, coupons and delivery state now, and it must be paid with
+ * a payment the server verified for this order and amount, unless it is cash on delivery.
+ * @param {JsonFileStore} store - Record store
+ * @param {Object} order - New order
+ * @param {Array} storedOrders - Orders on the stored record
+ * @param {string} userId - Customer placing the order
+ * @param {Date} now - Current time
+ */
+function checkNewOrder(store, order, storedOrders, userId, now = new Date()) {
+    const items = Array.isArray(order.items) ? order.items : [];
+    // Items without a quantity count as one, as in the cart
+    const counted = item => item.quantity === undefined || (Number.isInteger(item.quantity) && item.quantity >= 1);
+    if (items.length === 0 || items.some(item => !item || typeof item !== 'object' || !counted(item))) {
+        throw httpError(400, 'An order needs items with a quantity');
+    }
+
+    // Units put back after a checkout failed cannot be sold to the order after all
+    const stock = store.get('inventory', 'stock');
+    if (stock && stock.restocked && stock.restocked[order.id] !== undefined) {
+        throw httpError(409, 'The items of this order were put back on sale. Please place it again.');
+    }
+
+    const pricing = order.pricing && typeof order.pricing === 'object' ? order.pricing : {};
+    const couponCode = pricing.coupon ? pricing.coupon.code : null;
+    const totals = priceItems(store, items, {
+        couponCode,
+        buyerState: order.deliveryState || null,
+        context: { userId, orderCount: storedOrders.length },
+        now
+    });
+    const priced = order.total === totals.total &&
+        ORDER_PRICE_FIELDS.every(field => pricing[field] === totals[field]) &&
+        couponCode === (totals.coupon ? totals.coupon.code : null) &&
+        totals.lines.every((line, index) => {
+            const item = items[index];
+            return item.price === line.unitPrice && item.pricing &&
+                LINE_PRICE_FIELDS.every(field => item.pricing[field] === line[field]);
+        });
+    if (!priced) {
+        throw httpError(409, 'The prices of this order have changed. Please check your order and try again.');
+    }
+
+    const payment = order.payment && typeof order.payment === 'object' ? order.payment : {};
+    if (payment.method === 'cod') {
+        if (payment.status !== 'cod_confirmed' || order.paymentMethod !== 'COD') {
+            throw httpError(400, 'Cash on delivery orders must say so');
+        }
+        return;
+    }
+    const verified = typeof payment.paymentId === 'string' ? store.get('payments', payment.paymentId) : null;
+    const paid = verified !== null && verified.status === 'captured' && verified.userId === userId &&
+        verified.receipt === order.id && verified.amount === totals.total &&
+        payment.status === 'captured' && payment.method === verified.method &&
+        order.paymentMethod === verified.method.toUpperCase();
+    if (!paid) {
+        throw httpError(402, 'The payment of this order has not been verified');
+    }
+}
+
+// ---- Analytics ----
+
+/**
+ * @param {Object|null} user - User record
+ * @returns {boolean} Whether the customer refused analytics in their profile
+ */
+function refusesAnalytics(user) {
+    const preferences = user && user.profile && user.profile.preferences;
+    return Boolean(preferences) && preferences.analytics === false;
+}
+
+/**
+ * Keep a batch of events from analytics.js. Pages only send events once the shopper has allowed
+ * analytics, and say so with `consent: true`; events of customers whose profile refuses analytics
+ * are dropped all the same. Malformed events, and events already kept, are skipped.
+ * @param {JsonFileStore} store - Record store
+ * @param {Object} body - { consent, events }
+ * @param {Date} now - Current time
+ * @returns {Object} { success, kept: events kept }
+ */
+function collectAnalyticsEvents(store, body, now = new Date()) {
+    if (body.consent !== true) {
+        throw httpError(400, 'Events are only collected from shoppers who allowed analytics');
+    }
+    const events = Array.isArray(body.events) ? body.events : [];
+    if (events.length === 0 || events.length > ANALYTICS_BATCH_LIMIT) {
+        throw httpError(400, `Send between 1 and ${ANALYTICS_BATCH_LIMIT} events`);
+    }
+
+    let kept = 0;
+    events.forEach(event => {
+        const valid = event && typeof event === 'object' && typeof event.id === 'string' && /^evt_[a-z0-9]+$/.test(event.id) &&
+            ANALYTICS_EVENT_NAMES.includes(event.name) && event.params && typeof event.params === 'object' &&
+            typeof event.sessionId === 'string' && typeof event.shopperId === 'string' && !isNaN(new Date(event.at).getTime());
+        if (!valid || store.get('analyticsEvents', event.id) || refusesAnalytics(store.get('users', event.shopperId))) {
+            return;
+        }
+        store.put('analyticsEvents', event.id, {
+            id: event.id,
+            name: event.name,
+            params: event.params,
+            sessionId: event.sessionId,
+            shopperId: event.shopperId,
+            page: String(event.page || ''),
+            at: new Date(event.at).toISOString(),
+            receivedAt: now.toISOString()
+        });
+        kept++;
+    });
+    return { success: true, kept };
+}
+
+/**
+ * Drop the analytics events kept for a customer, once they refuse analytics
+ * @param {JsonFileStore} store - Record store
+ * @param {string} userId - User ID
+ */
+function forgetAnalyticsEvents(store, userId) {
+    store.find('analyticsEvents', { shopperId: userId }).forEach(event => store.remove('analyticsEvents', event.id));
+}
+
+// ---- Reminders ----
+
+/**
+ * Storage adapter over the record store, for the browser modules the server runs (see storage.js).
+ * Records are copied in and out, and every save makes a new version, as PUTs do.
+ */
+class StoreAdapter {
+    /**
+     * @param {JsonFileStore} store - Record store
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    getSync(collection, id) {
+        return copyRecord(this.store.get(collection, id));
+    }
+
+    get(collection, id) {
+        return Promise.resolve(this.getSync(collection, id));
+    }
+
+    find(collection, query = {}) {
+        return Promise.resolve(copyRecord(this.store.find(collection, query)));
+    }
+
+    /**
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @param {*} value - Record
+     * @param {Object} options - { expectedVersion: only save over this version of the record }
+     * @returns {Promise<*>} Saved record; rejects with status 409 when the record has another version
+     */
+    put(collection, id, value, options = {}) {
+        const stored = this.store.get(collection, id);
+        const version = (stored && stored.version) || 0;
+        if (options.expectedVersion !== undefined && options.expectedVersion !== version) {
+            return Promise.reject(httpError(409, 'The record was changed by someone else'));
+        }
+        const record = copyRecord(value);
+        if (record && typeof record === 'object' && !Array.isArray(record)) {
+            record.version = version + 1;
+        }
+        this.store.put(collection, id, record);
+        return Promise.resolve(copyRecord(record));
+    }
+
+    remove(collection, id) {
+        this.store.remove(collection, id);
+        return Promise.resolve();
+    }
+}
+
+/**
+ * @param {*} record - Record
+ * @returns {*} Copy that shares nothing with it
+ */
+function copyRecord(record) {
+    return record === null || record === undefined ? null : JSON.parse(JSON.stringify(record));
+}
+
+/**
+ * Turn a kind of reminder off on every channel, from the link in a reminder. The token in the link
+ * stands in for a login, so the link works with one click, whoever is signed in on the device.
+ * @param {JsonFileStore} store - Record store
+ * @param {Object} body - { user, kind, token } from the link
+ * @param {Date} now - Current time
+ * @returns {Object} { success, kind }
+ */
+function unsubscribeFromReminders(store, body, now = new Date()) {
+    const user = typeof body.user === 'string' ? store.get('users', body.user) : null;
+    const profile = (user && user.profile) || {};
+    const preferences = profile.preferences || {};
+    const expected = preferences.reminders && preferences.reminders.unsubscribeToken;
+    const token = typeof body.token === 'string' && /^[0-9a-f]+$/.test(body.token) ? body.token : null;
+    if (!Object.prototype.hasOwnProperty.call(REMINDER_KINDS, body.kind) || !expected || !token || !timingSafeEqualHex(token, expected)) {
+        throw httpError(400, 'This unsubscribe link is not valid');
+    }
+
+    // Categories left out of the preferences keep their defaults
+    const notifications = { ...(preferences.notifications || {}) };
+    NOTIFICATION_CHANNELS.forEach(channel => {
+        notifications[channel] = { ...(notifications[channel] || {}) };
+        REMINDER_KINDS[body.kind].forEach(category => {
+            notifications[channel][category] = false;
+        });
+    });
+    store.put('users', body.user, {
+        ...user,
+        profile: {
+            ...profile,
+            preferences: { ...preferences, notifications, reminders: { ...preferences.reminders, unsubscribedAt: now.toISOString() } }
+        },
+        version: (user.version || 0) + 1
+    });
+    return { success: true, kind: body.kind };
+}
+
+/**
+ * Set up the reminder job: reminders.js with the modules it needs, run with the records on the
+ * server as their storage, so that reminders go out whether or not anyone has the site open.
+ * Messages go through notifications.js as in the browser; what it keeps in localStorage (the
+ * delivery log and outbox, and settings such as notificationTransport) is kept in the serverStorage
+ * collection. The job reads every account as administrators can.
+ * @param {JsonFileStore} store - Record store
+ * @param {string} siteUrl - Address of the site, for the links in messages
+ * @returns {Function} Runs the checks: () => Promise<Object> { checked, sent }, as ReminderService.runChecks
+ */
+function createReminderJob(store, siteUrl) {
+    const [storageScript, ...scripts] = REMINDER_SCRIPTS.map(file =>
+        new vm.Script(fs.readFileSync(path.join(SITE_ROOT, file), 'utf8'), { filename: file }));
+    const catalogData = JSON.parse(fs.readFileSync(path.join(SITE_ROOT, 'products.json'), 'utf8'));
+    const site = new URL(siteUrl);
+    const element = () => ({ style: {}, setAttribute() {}, appendChild() {} });
+
+    const context = vm.createContext({
+        console,
+        URL,
+        URLSearchParams,
+        TextEncoder,
+        crypto: crypto.webcrypto,
+        // Retries of failed deliveries do not keep the server running
+        setTimeout: (callback, delay) => setTimeout(callback, delay).unref(),
+        clearTimeout,
+        localStorage: {
+            getItem: key => {
+                const record = store.get('serverStorage', String(key));
+                return record ? record.value : null;
+            },
+            setItem: (key, value) => store.put('serverStorage', String(key), { id: String(key), value: String(value) }),
+            removeItem: key => store.remove('serverStorage', String(key))
+        },
+        navigator: { onLine: true, languages: [] },
+        location: { origin: site.origin, href: site.href, pathname: '/', search: '', hash: '' },
+        // Only what i18n.js touches while it starts up
+        document: {
+            readyState: 'complete',
+            documentElement: {},
+            head: element(),
+            addEventListener() {},
+            querySelectorAll: () => [],
+            getElementById: () => null,
+            createElement: element
+        },
+        addEventListener() {},
+        removeEventListener() {},
+        dispatchEvent: () => true,
+        CustomEvent: class CustomEvent {
+            constructor(type, init = {}) {
+                this.type = type;
+                this.detail = init.detail;
+            }
+        },
+        // The accounts' records, as auth.js gives them to an administrator
+        auth: {
+            isLoggedIn: () => false,
+            getCurrentUser: () => null,
+            getUserProfile: userId => context.repositories.users.peek(userId),
+            updateUserProfile: (userId, updates) => {
+                const user = context.repositories.users.peek(userId);
+                if (!user) {
+                    return { success: false, message: 'User not found' };
+                }
+                const saved = context.repositories.users.save(userId, { ...user, ...updates }).then(() => {});
+                return { success: true, message: 'Profile updated successfully', saved };
+            }
+        },
+        createRandomToken,
+        sha256Hex: value => Promise.resolve(sha256Hex(value))
+    });
+    context.window = context;
+
+    // Every repository reads and writes the record store before the other modules pick theirs up
+    storageScript.runInContext(context);
+    const adapter = new StoreAdapter(store);
+    Object.keys(context.repositories).forEach(collection => {
+        context.repositories[collection] = new context.Repository(collection, adapter);
+    });
+    scripts.forEach(script => script.runInContext(context));
+
+    const service = new context.ReminderService({ checkAccounts: true });
+    return () => {
+        // Picks up catalog changes made since the last run
+        context.catalog.setData(catalogData);
+        return service.runChecks();
+    };
+}
+
+/**
+ * Handle a request under /api
+ * @param {JsonFileStore} store - Record store
+ * @param {AuthService} authService - Auth service
+ * @param {MockPaymentGateway} paymentGateway - Payment gateway
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ * @param {string} siteUrl - Address of the site
+ */
+async function handleApiRequest(store, authService, paymentGateway, req, res, url, siteUrl) {
+    const [collection, rawId, ...rest] = url.pathname.replace(/^\/api\/?/, '').split('/');
+    const id = rawId ? decodeUrlPath(rawId) : null;
+    const caller = await authService.authenticate(req);
+
+    if (collection === 'auth') {
+        if (req.method !== 'POST' || !id || rest.length > 0) {
+            return sendJson(res, 404, { error: 'Not found' });
+        }
+        const body = (await readJsonBody(req)) || {};
+        return sendJson(res, 200, await authService.handle(id, body, caller, siteUrl, req.socket.remoteAddress));
+    }
+
+    if (collection === 'documents') {
+        if (req.method !== 'POST' || id !== 'issue' || rest.length > 0) {
+            return sendJson(res, 404, { error: 'Not found' });
+        }
+        const body = (await readJsonBody(req)) || {};
+        return sendJson(res, 200, issueDocument(store, body, caller));
+    }
+
+    // Payments are taken with POSTs; the payments collection keeps those that were verified
+    if (collection === 'payments' && req.method === 'POST') {
+        if (!id || rest.length > 0) {
+            return sendJson(res, 404, { error: 'Not found' });
+        }
+        const body = (await readJsonBody(req)) || {};
+        return sendJson(res, 200, await handlePaymentRequest(store, paymentGateway, id, body, caller));
+    }
+
+    // Analytics events may come from logged-out shoppers, and as beacons, which carry no login
+    if (collection === 'analytics') {
+        if (req.method !== 'POST' || id !== 'collect' || rest.length > 0) {
+            return sendJson(res, 404, { error: 'Not found' });
+        }
+        const body = (await readJsonBody(req)) || {};
+        return sendJson(res, 200, collectAnalyticsEvents(store, body));
+    }
+
+    // Unsubscribe links carry a token instead of a login
+    if (collection === 'reminders' && req.method === 'POST') {
+        if (id !== 'unsubscribe' || rest.length > 0) {
+            return sendJson(res, 404, { error: 'Not found' });
+        }
+        const body = (await readJsonBody(req)) || {};
+        return sendJson(res, 200, unsubscribeFromReminders(store, body));
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(COLLECTIONS, collection) || rest.length > 0) {
+        return sendJson(res, 404, { error: 'Not found' });
+    }
+    const present = record => (collection === 'users' ? authService.toPublicUser(record) : record);
+
+    if (!id) {
+        if (req.method !== 'GET') {
+            return sendJson(res, 405, { error: 'Method not allowed' });
+        }
+        // Queries only see the caller's own records, unless the caller is an administrator
+        const query = Object.fromEntries(url.searchParams);
+        if (COLLECTIONS[collection].adminOnly && !(caller && caller.role === 'admin')) {
+            return sendJson(res, caller ? 403 : 401, { error: 'Only administrators can use these records' });
+        }
+        if (COLLECTIONS[collection].shared) {
+            return sendJson(res, 200, store.find(collection, query));
+        }
+        if (!caller) {
+            return sendJson(res, 200, []);
+        }
+        const ownerField = COLLECTIONS[collection].ownerField || 'id';
+        const records = caller.role === 'admin'
+            ? store.find(collection, query)
+            : store.find(collection, query).filter(record => record && record[ownerField] === caller.userId);
+        return sendJson(res, 200, records.map(present));
+    }
+
+    const stored = store.get(collection, id);
+    const isAdmin = Boolean(caller && caller.role === 'admin');
+    authorize(collection, id, caller, stored, req.method);
+    switch (req.method) {
+        case 'GET':
+            return stored === null ? sendJson(res, 404, { error: 'Not found' }) : sendJson(res, 200, present(stored));
+        case 'PUT': {
+            const value = await readJsonBody(req);
+            // Saves made with If-Match only go over the version the client worked from. Every save of
+            // an object makes a new version, so those saves also notice saves made without it.
+            const ifMatch = req.headers['if-match'];
+            const version = (stored && stored.version) || 0;
+            if (ifMatch !== undefined) {
+                const expected = Number(String(ifMatch).replace(/^(W\/)?"|"$/g, ''));
+                if (!Number.isInteger(expected) || version !== expected) {
+                    return sendJson(res, 409, { error: 'The record was changed by someone else' });
+                }
+            }
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                value.version = version + 1;
+            }
+            if (COLLECTIONS[collection].shared && !isAdmin && ifMatch === undefined) {
+                return sendJson(res, 428, { error: 'Changes to shared records must be based on their latest version' });
+            }
+            if (!isAdmin) {
+                if (collection === 'inventory') checkInventoryChange(store, stored, value, caller);
+                if (collection === 'couponUsage') checkCouponUsageChange(stored, value, caller);
+                if (collection === 'invoices') throw httpError(403, 'Documents are issued with POST /api/documents/issue');
+                if (collection === 'reviews') checkReviewChange(store, stored, value, id, caller);
+            }
+            if (collection === 'users') {
+                const record = prepareUserRecord(store, authService, stored, value, id, caller);
+                if (refusesAnalytics(record)) {
+                    forgetAnalyticsEvents(store, id);
+                }
+                return sendJson(res, 200, present(store.put(collection, id, record)));
+            }
+            return sendJson(res, 200, store.put(collection, id, value));
+        }
+        case 'DELETE':
+            if (collection === 'users' && caller.role !== 'admin') {
+                return sendJson(res, 403, { error: 'Only administrators can delete accounts' });
+            }
+            // Shoppers may delete their own reviews
+            if ((COLLECTIONS[collection].shared || COLLECTIONS[collection].ownerField) && !isAdmin &&
+                !(collection === 'reviews' && caller && stored && stored.userId === caller.userId)) {
+                return sendJson(res, 403, { error: 'Only administrators can delete this record' });
+            }
+            return store.remove(collection, id) ? sendJson(res, 204) : sendJson(res, 404, { error: 'Not found' });
+        default:
+            return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+}
+
+/**
+ * Serve a file of the site
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ */
+function serveStaticFile(res, url) {
+    let requestedPath;
+    try {
+        requestedPath = decodeUrlPath(url.pathname === '/' ? '/index.html' : url.pathname);
+    } catch (error) {
+        res.writeHead(error.status, { 'Content-Type': 'text/plain; charset=utf-8' });
+        return res.end(error.message);
+    }
+    const filePath = path.resolve(SITE_ROOT, `.${requestedPath}`);
+
+    // Stay inside the site and keep the server's own files private
+    if (!filePath.startsWith(SITE_ROOT + path.sep) || filePath.startsWith(__dirname + path.sep)) {
+        res.writeHead(403);
+        return res.end('Forbidden');
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+/**
+ * Create the server
+ * @param {Object} options - Server options
+ * @param {string} options.dataFile - JSON file for records
+ * @param {Array} options.adminEmails - Accounts that are administrators without being granted the role
+ * @param {string} options.supabaseUrl - Supabase project URL, to accept Supabase sessions
+ * @param {string} options.supabaseAnonKey - Supabase anon key
+ * @param {string} options.siteUrl - Address of the site in reset links and reminders (defaults to the request's host,
+ *     and to localhost for reminders)
+ * @param {Function} options.sendPasswordReset - Sends a reset link: (user, link) => Promise (defaults to logging it)
+ * @param {Object} options.paymentGateway - Options for the MockPaymentGateway payments are taken through
+ * @param {number} options.reminderIntervalMinutes - How often the reminder job runs (defaults to REMINDER_JOB_MINUTES; 0 turns it off)
+ * @returns {http.Server} Server, not yet listening
+ */
+function createServer(options = {}) {
+    const store = new JsonFileStore(options.dataFile || path.join(__dirname, 'data.json'));
+    const authService = new AuthService(store, options);
+    const paymentGateway = new MockPaymentGateway(options.paymentGateway);
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (!url.pathname.startsWith('/api/')) {
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                res.writeHead(405);
+                return res.end();
+            }
+            return serveStaticFile(res, url);
+        }
+
+        const siteUrl = options.siteUrl || `http://${req.headers.host || 'localhost'}`;
+        handleApiRequest(store, authService, paymentGateway, req, res, url, siteUrl).catch(error => {
+            if (!res.headersSent) {
+                sendJson(res, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+            }
+            if (!error.status) {
+                console.error(error);
+            }
+        });
+    });
+
+    // Reminders are checked on a schedule while the server runs, whether or not anyone has the site open
+    const reminderMinutes = options.reminderIntervalMinutes === undefined ? REMINDER_JOB_MINUTES : options.reminderIntervalMinutes;
+    if (reminderMinutes > 0) {
+        let runReminderChecks = null;
+        const timer = setInterval(() => {
+            Promise.resolve()
+                .then(() => {
+                    if (!runReminderChecks) {
+                        runReminderChecks = createReminderJob(store, options.siteUrl || `http://localhost:${server.address().port}`);
+                    }
+                    return runReminderChecks();
+                })
+                .catch(error => console.error('Error checking reminders:', error));
+        }, reminderMinutes * 60 * 1000);
+        timer.unref();
+        server.on('close', () => clearInterval(timer));
+    }
+    return server;
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT, 10) || 3000;
+    createServer({
+        dataFile: process.env.DATA_FILE,
+        adminEmails: (process.env.ADMIN_EMAILS || '').split(','),
+        supabaseUrl: process.env.SUPABASE_URL,
+        supabaseAnonKey: process.env.SUPABASE_ANON_KEY,
+        siteUrl: process.env.SITE_URL,
+        paymentGateway: { keySecret: process.env.PAYMENT_KEY_SECRET }
+    }).listen(port, () => {
+        console.log(`Lunsara running at http://localhost:${port}/ (API at /api)`);
+    });
+}
+
+module.exports = { createServer, createReminderJob, JsonFileStore, AuthService };
@@ -0,0 +1,824 @@
+/**
+ * Storage Module for Lunsara
+ * Repositories for users, carts, watchlists, password resets, the shared stock ledger, invoices and
+ * the counters that number them, the reminder schedule with its restore-cart links, and the coupons,
+ * coupon usage, catalog changes and audit log of the admin console, on top of a swappable storage adapter:
+ * LocalStorageAdapter keeps data in this browser (the default, used for the demo site);
+ * RestStorageAdapter keeps it on a server such as server/server.js, sending the logged-in user's
+ * access token so the server only lets them use their own records.
+ *
+ * The adapter is chosen with the `storageAdapter` localStorage key ('local' or 'rest')
+ * and the REST base URL with `storageApiUrl` (default '/api').
+ *
+ * Writes to the REST adapter made while the browser is offline wait in an OfflineQueue and are
+ * sent, in order, when the connection returns. Reads see the queued changes in the meantime.
+ * Changes the server turns down are set aside and reported in `offlineQueueUpdated` (detail.rejected).
+ *
+ * Records that many shoppers change at once, such as stock, are changed with Repository.update:
+ * the change is applied to the latest copy and only saved if nobody else saved in between
+ * (the record's `version`), and tried again otherwise.
+ */
+
+const STORAGE_CONFIG = {
+    adapter: localStorage.getItem('storageAdapter') || 'local',
+    restBaseUrl: localStorage.getItem('storageApiUrl') || '/api'
+};
+
+// Where each collection lives in localStorage. A string keeps the whole collection
+// as one array of records under that key; a function gives each record its own key.
+const LOCAL_STORAGE_KEYS = {
+    users: 'users',
+    carts: id => (isGuestOwnerId(id) ? 'cart' : `cart_${id}`),
+    watchlists: id => (isGuestOwnerId(id) ? 'watchlist' : `watchlist_${id}`),
+    // Keyed by a hash of the token, so a reset link finds its account without reading the others
+    passwordResets: id => `passwordReset_${id}`,
+    // Stock changes and checkout holds of every shopper, in one record (see inventory.js)
+    inventory: () => 'inventory',
+    // Issued invoices and credit notes, and the counters of their number series (see invoices.js)
+    invoices: 'invoiceDocuments',
+    counters: id => `counter_${id}`,
+    // Reminder schedule of every account, in one record, and restore-cart links keyed by a hash
+    // of their token (see reminders.js)
+    reminders: () => 'reminderState',
+    restoreLinks: 'restoreLinks',
+    // Store settings from the admin console, each in one record: coupon codes (see pricing.js),
+    // how often each was used, and products added, changed or deleted (see catalog.js)
+    coupons: () => 'coupons',
+    couponUsage: () => 'couponUsage',
+    catalogEdits: () => 'catalogEdits',
+    // What administrators did, one record per action (see admin.js)
+    auditLog: 'auditLog',
+    // Customer reviews, one record each (see reviews.js)
+    reviews: 'productReviews'
+};
+
+// How often Repository.update tries again when someone else saved the record first
+const UPDATE_ATTEMPTS = 5;
+
+// Where changes waiting for the connection to return are kept
+const OFFLINE_QUEUE_KEY = 'offlineQueue';
+// Where changes the server turned down are kept until the shopper has seen them
+const OFFLINE_REJECTED_KEY = 'offlineQueueRejected';
+
+class LocalStorageAdapter {
+    /**
+     * @param {Object} keys - Storage keys per collection (defaults to LOCAL_STORAGE_KEYS)
+     */
+    constructor(keys = LOCAL_STORAGE_KEYS) {
+        this.keys = keys;
+    }
+
+    /**
+     * Read a record
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @returns {Promise<*>} Record, or null if there is none
+     */
+    get(collection, id) {
+        return Promise.resolve(this.getSync(collection, id));
+    }
+
+    /**
+     * Find records whose fields equal the query values
+     * @param {string} collection - Collection name
+     * @param {Object} query - Field values to match; strings are compared case-insensitively
+     * @returns {Promise<Array>} Matching records
+     */
+    find(collection, query = {}) {
+        return Promise.resolve(this.findSync(collection, query));
+    }
+
+    /**
+     * Create or replace a record
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @param {*} value - Record
+     * @param {Object} options - { expectedVersion: only save over this version of the record (0 for none) }
+     * @returns {Promise<*>} Saved record; rejects with status 409 when the record has another version
+     */
+    put(collection, id, value, options = {}) {
+        const key = this.getKey(collection, id);
+
+        if (options.expectedVersion !== undefined) {
+            if (getRecordVersion(this.getSync(collection, id)) !== options.expectedVersion) {
+                return Promise.reject(createConflictError());
+            }
+        } else if (isVersionedRecord(value)) {
+            // Any save makes a new version, so a change made with Repository.update meanwhile is refused
+            value = { ...value, version: getRecordVersion(this.getSync(collection, id)) + 1 };
+        }
+
+        try {
+            if (typeof this.keys[collection] === 'function') {
+                this.write(key, value);
+            } else {
+                const records = this.read(key, []);
+                const index = records.findIndex(record => record.id === id);
+                if (index === -1) {
+                    records.push(value);
+                } else {
+                    records[index] = value;
+                }
+                this.write(key, records);
+            }
+        } catch (error) {
+            // Such as a full localStorage
+            return Promise.reject(error);
+        }
+
+        return Promise.resolve(value);
+    }
+
+    /**
+     * Delete a record
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @returns {Promise<void>}
+     */
+    remove(collection, id) {
+        const key = this.getKey(collection, id);
+
+        try {
+            if (typeof this.keys[collection] === 'function') {
+                localStorage.removeItem(key);
+            } else {
+                this.write(key, this.read(key, []).filter(record => record.id !== id));
+            }
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Read a record without waiting. Only this adapter can do this, because the data is local.
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @returns {*} Record, or null if there is none
+     */
+    getSync(collection, id) {
+        const key = this.getKey(collection, id);
+
+        if (typeof this.keys[collection] === 'function') {
+            return this.read(key, null);
+        }
+        return this.read(key, []).find(record => record.id === id) || null;
+    }
+
+    /**
+     * Find records without waiting
+     * @param {string} collection - Collection name
+     * @param {Object} query - Field values to match
+     * @returns {Array} Matching records
+     */
+    findSync(collection, query = {}) {
+        const records = typeof this.keys[collection] === 'function' ? [] : this.read(this.getKey(collection), []);
+        return records.filter(record => matchesStorageQuery(record, query));
+    }
+
+    /**
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @returns {string} localStorage key
+     */
+    getKey(collection, id) {
+        const key = this.keys[collection];
+        if (!key) {
+            throw new Error(`Unknown storage collection: ${collection}`);
+        }
+        return typeof key === 'function' ? key(id) : key;
+    }
+
+    /**
+     * @param {string} key - localStorage key
+     * @param {*} fallback - Value when the key is missing or unreadable
+     * @returns {*} Parsed value
+     */
+    read(key, fallback) {
+        try {
+            const value = JSON.parse(localStorage.getItem(key));
+            return value === null ? fallback : value;
+        } catch (error) {
+            console.error(`Error reading ${key}:`, error);
+            return fallback;
+        }
+    }
+
+    /**
+     * @param {string} key - localStorage key
+     * @param {*} value - Value to store as JSON
+     */
+    write(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+}
+
+class RestStorageAdapter {
+    /**
+     * @param {string} baseUrl - API base URL; records live at `${baseUrl}/${collection}/${id}`
+     */
+    constructor(baseUrl = '/api') {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+    }
+
+    /**
+     * Read a record
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @returns {Promise<*>} Record, or null if there is none
+     */
+    get(collection, id) {
+        return this.request('GET', this.getUrl(collection, id));
+    }
+
+    /**
+     * Find records whose fields equal the query values
+     * @param {string} collection - Collection name
+     * @param {Object} query - Field values to match
+     * @returns {Promise<Array>} Matching records
+     */
+    find(collection, query = {}) {
+        const params = new URLSearchParams(query).toString();
+        return this.request('GET', `${this.baseUrl}/${collection}${params ? `?${params}` : ''}`)
+            .then(records => records || []);
+    }
+
+    /**
+     * Create or replace a record
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @param {*} value - Record
+     * @param {Object} options - { expectedVersion: only save over this version of the record (0 for none) }
+     * @returns {Promise<*>} Saved record; rejects with status 409 when the record has another version
+     */
+    put(collection, id, value, options = {}) {
+        const headers = options.expectedVersion !== undefined ? { 'If-Match': `"${options.expectedVersion}"` } : {};
+        return this.request('PUT', this.getUrl(collection, id), value, { headers });
+    }
+
+    /**
+     * Delete a record
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @returns {Promise<void>}
+     */
+    remove(collection, id) {
+        return this.request('DELETE', this.getUrl(collection, id)).then(() => {});
+    }
+
+    /**
+     * Ask the server to do something only it can do safely, such as numbering a document
+     * @param {string} action - Path under the API base URL, such as 'documents/issue'
+     * @param {Object} body - JSON body
+     * @returns {Promise<*>} Parsed response body; rejects with the server's message and status
+     */
+    post(action, body) {
+        return this.request('POST', `${this.baseUrl}/${action}`, body);
+    }
+
+    /**
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @returns {string} Record URL
+     */
+    getUrl(collection, id) {
+        return `${this.baseUrl}/${collection}/${encodeURIComponent(id)}`;
+    }
+
+    /**
+     * Send a JSON request as the logged-in user. A 404 resolves with null. When the server
+     * turns the access token down, the session is refreshed and the request sent once more.
+     * @param {string} method - HTTP method
+     * @param {string} url - Request URL
+     * @param {*} body - JSON body
+     * @param {Object} requestOptions - { headers: extra headers, retried: whether this is the retry after a refresh }
+     * @returns {Promise<*>} Parsed response body; rejects with the server's message and status
+     */
+    request(method, url, body, requestOptions = {}) {
+        const options = { method, headers: { Accept: 'application/json', ...(requestOptions.headers || {}) } };
+        const accessToken = getStorageAccessToken();
+        if (accessToken) {
+            options.headers.Authorization = `Bearer ${accessToken}`;
+        }
+        if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+
+        return fetch(url, options).then(async response => {
+            if (response.status === 404) {
+                return null;
+            }
+            if (response.status === 401 && accessToken && !requestOptions.retried && typeof auth !== 'undefined' &&
+                await auth.refreshSession()) {
+                return this.request(method, url, body, { ...requestOptions, retried: true });
+            }
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                const message = data.error || `Storage request failed with status ${response.status}`;
+                throw Object.assign(new Error(message), { status: response.status });
+            }
+            return response.status === 204 ? null : response.json();
+        });
+    }
+}
+
+class OfflineQueue {
+    /**
+     * @param {Object} adapter - Remote storage adapter the changes are sent to
+     * @param {string} key - localStorage key the queue is kept under
+     * @param {string} rejectedKey - localStorage key rejected changes are kept under
+     */
+    constructor(adapter, key = OFFLINE_QUEUE_KEY, rejectedKey = OFFLINE_REJECTED_KEY) {
+        this.adapter = adapter;
+        this.key = key;
+        this.rejectedKey = rejectedKey;
+        this.flushing = null;
+    }
+
+    /**
+     * Get the changes waiting to be sent
+     * @returns {Array} Changes ({collection, id, action, value, queuedAt}), oldest first
+     */
+    getPending() {
+        try {
+            return JSON.parse(localStorage.getItem(this.key)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Get the changes the server turned down that the shopper has not dismissed yet
+     * @returns {Array} Changes, each with the server's reason ({..., error: {status, message}, rejectedAt})
+     */
+    getRejected() {
+        try {
+            return JSON.parse(localStorage.getItem(this.rejectedKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Forget the rejected changes once the shopper has seen them
+     */
+    dismissRejected() {
+        localStorage.removeItem(this.rejectedKey);
+        this.write(this.getPending(), 0);
+    }
+
+    /**
+     * Find the waiting change to a record
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @returns {Object|null} Change, or null if the record has none
+     */
+    getPendingRecord(collection, id) {
+        return this.getPending().find(change => change.collection === collection && change.id === id) || null;
+    }
+
+    /**
+     * Queue a change. It replaces any change to the same record that is still waiting,
+     * since only the latest version needs to reach the server.
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @param {string} action - 'put' or 'remove'
+     * @param {*} value - Record to save (for 'put')
+     */
+    enqueue(collection, id, action, value) {
+        const pending = this.getPending().filter(change => !(change.collection === collection && change.id === id));
+        pending.push({ collection, id, action, value: action === 'put' ? value : null, queuedAt: new Date().toISOString() });
+        this.write(pending, 0);
+    }
+
+    /**
+     * Send the waiting changes in order. Stops at the first one that cannot be sent because
+     * the browser is offline or the session has ended (sending resumes after the next sign-in).
+     * A change the server rejects is set aside so it cannot block the rest, and reported.
+     * @returns {Promise<number>} Number of changes sent
+     */
+    flush() {
+        if (this.flushing) {
+            return this.flushing;
+        }
+        if (!isBrowserOnline() || this.getPending().length === 0) {
+            return Promise.resolve(0);
+        }
+
+        const rejected = [];
+        const sendNext = synced => {
+            const change = this.getPending()[0];
+            if (!change || !isBrowserOnline()) {
+                return synced;
+            }
+
+            const request = change.action === 'remove'
+                ? this.adapter.remove(change.collection, change.id)
+                : this.adapter.put(change.collection, change.id, change.value);
+
+            return request
+                .then(() => {
+                    this.settle(change);
+                    return sendNext(synced + 1);
+                })
+                .catch(error => {
+                    if (isOfflineError(error) || error.status === 401) {
+                        return synced;
+                    }
+                    console.error(`Error syncing ${change.collection}/${change.id}, setting the change aside:`, error);
+                    rejected.push(this.reject(change, error));
+                    return sendNext(synced);
+                });
+        };
+
+        this.flushing = sendNext(0).then(synced => {
+            this.write(this.getPending(), synced, rejected);
+            return synced;
+        }).finally(() => {
+            this.flushing = null;
+        });
+
+        return this.flushing;
+    }
+
+    /**
+     * Take a change off the queue once it has been dealt with, unless the record changed again meanwhile
+     * @param {Object} change - Change from getPending
+     */
+    settle(change) {
+        const pending = this.getPending().filter(queued => !(queued.collection === change.collection
+            && queued.id === change.id && queued.queuedAt === change.queuedAt));
+        localStorage.setItem(this.key, JSON.stringify(pending));
+    }
+
+    /**
+     * Take a change the server turned down off the queue and keep it with the reason
+     * @param {Object} change - Change from getPending
+     * @param {Error} error - Request error, with the server's status
+     * @returns {Object} Rejected change
+     */
+    reject(change, error) {
+        const rejected = {
+            ...change,
+            error: { status: error.status || null, message: error.message },
+            rejectedAt: new Date().toISOString()
+        };
+        this.settle(change);
+        localStorage.setItem(this.rejectedKey, JSON.stringify(this.getRejected().concat(rejected)));
+        return rejected;
+    }
+
+    /**
+     * Save the queue and tell the page how many changes are waiting
+     * @param {Array} pending - Changes
+     * @param {number} synced - Changes just sent
+     * @param {Array} rejected - Changes just turned down by the server
+     */
+    write(pending, synced, rejected = []) {
+        localStorage.setItem(this.key, JSON.stringify(pending));
+        window.dispatchEvent(new CustomEvent('offlineQueueUpdated', {
+            detail: { pending: pending.length, synced, rejected }
+        }));
+    }
+}
+
+class Repository {
+    /**
+     * @param {string} collection - Collection name
+     * @param {Object} adapter - Storage adapter
+     * @param {OfflineQueue|null} queue - Where writes wait while offline (remote adapters only)
+     */
+    constructor(collection, adapter, queue = null) {
+        this.collection = collection;
+        this.adapter = adapter;
+        this.queue = queue;
+        // Records read from or written to a remote adapter, for synchronous lookups
+        this.cache = new Map();
+    }
+
+    /**
+     * Load a record. A change still waiting in the offline queue is newer than the server's copy.
+     * @param {string} id - Record ID
+     * @returns {Promise<*>} Record, or null if there is none
+     */
+    get(id) {
+        const pending = this.queue && this.queue.getPendingRecord(this.collection, id);
+        if (pending) {
+            const record = pending.action === 'remove' ? null : pending.value;
+            this.cache.set(id, record);
+            return Promise.resolve(record);
+        }
+
+        return this.adapter.get(this.collection, id).then(record => {
+            this.cache.set(id, record);
+            return record;
+        });
+    }
+
+    /**
+     * Find records by field values
+     * @param {Object} query - Field values to match
+     * @returns {Promise<Array>} Matching records
+     */
+    find(query = {}) {
+        return this.adapter.find(this.collection, query);
+    }
+
+    /**
+     * Find the first record matching field values
+     * @param {Object} query - Field values to match
+     * @returns {Promise<*>} Record, or null if none match
+     */
+    findOne(query) {
+        return this.find(query).then(records => records[0] || null);
+    }
+
+    /**
+     * Save a record. Lookups with peek see the change straight away, and the old record again if saving fails.
+     * @param {string} id - Record ID
+     * @param {*} value - Record
+     * @returns {Promise<*>} Saved record
+     */
+    save(id, value) {
+        const previous = this.cache.get(id);
+        this.cache.set(id, value);
+        if (this.shouldQueue()) {
+            return this.enqueue(id, 'put', value).then(() => value);
+        }
+
+        return this.adapter.put(this.collection, id, value).catch(error => {
+            if (this.queue && isOfflineError(error)) {
+                return this.enqueue(id, 'put', value).then(() => value);
+            }
+            console.error(`Error saving ${this.collection}/${id}:`, error);
+            // Lookups go back to the saved copy, unless something newer was put there meanwhile
+            if (this.cache.get(id) === value) {
+                if (previous === undefined) this.cache.delete(id);
+                else this.cache.set(id, previous);
+            }
+            throw error;
+        });
+    }
+
+    /**
+     * Change a record that others may be changing at the same time. The change is applied to the
+     * latest saved copy and saved only over that version; if someone saved first, it is applied again
+     * to their copy. Changes are never queued offline, since they depend on the latest copy.
+     * @param {string} id - Record ID
+     * @param {Function} change - Given the latest record (or null), returns the new record, or undefined to leave it as it is.
+     *     It may be called more than once.
+     * @param {number} attempts - Tries left (defaults to UPDATE_ATTEMPTS)
+     * @returns {Promise<*>} Saved record; rejects when the record kept changing or could not be saved
+     */
+    update(id, change, attempts = UPDATE_ATTEMPTS) {
+        return this.adapter.get(this.collection, id).then(current => {
+            const next = change(current);
+            if (next === undefined) {
+                this.cache.set(id, current);
+                return current;
+            }
+
+            const version = getRecordVersion(current);
+            const value = { ...next, version: version + 1 };
+            return this.adapter.put(this.collection, id, value, { expectedVersion: version })
+                .then(() => {
+                    this.cache.set(id, value);
+                    return value;
+                })
+                .catch(error => {
+                    if (error.status === 409 && attempts > 1) {
+                        return this.update(id, change, attempts - 1);
+                    }
+                    throw error;
+                });
+        });
+    }
+
+    /**
+     * Delete a record
+     * @param {string} id - Record ID
+     * @returns {Promise<void>}
+     */
+    remove(id) {
+        this.cache.delete(id);
+        if (this.shouldQueue()) {
+            return this.enqueue(id, 'remove');
+        }
+
+        return this.adapter.remove(this.collection, id).catch(error => {
+            if (this.queue && isOfflineError(error)) {
+                return this.enqueue(id, 'remove');
+            }
+            throw error;
+        });
+    }
+
+    /**
+     * Check whether a write has to wait in the offline queue: while offline, and while
+     * earlier changes are still waiting, so that changes reach the server in order
+     * @returns {boolean} Whether to queue
+     */
+    shouldQueue() {
+        return Boolean(this.queue) && (!isBrowserOnline() || this.queue.getPending().length > 0);
+    }
+
+    /**
+     * Queue a write and send the queue if the connection is back
+     * @param {string} id - Record ID
+     * @param {string} action - 'put' or 'remove'
+     * @param {*} value - Record to save
+     * @returns {Promise<void>}
+     */
+    enqueue(id, action, value) {
+        this.queue.enqueue(this.collection, id, action, value);
+        return this.queue.flush().then(() => {});
+    }
+
+    /**
+     * Look a record up without waiting: read straight from local storage, or from the
+     * records a remote adapter has already loaded (see get)
+     * @param {string} id - Record ID
+     * @returns {*} Record, or null if it is not available
+     */
+    peek(id) {
+        if (this.adapter.getSync) {
+            return this.adapter.getSync(this.collection, id);
+        }
+        return this.cache.has(id) ? this.cache.get(id) : null;
+    }
+}
+
+/**
+ * Check a record against a storage query
+ * @param {Object} record - Record
+ * @param {Object} query - Field values; strings are compared case-insensitively
+ * @returns {boolean} Match result
+ */
+function matchesStorageQuery(record, query) {
+    return Object.keys(query).every(field => {
+        const value = record[field];
+        const expected = query[field];
+        return typeof value === 'string' && typeof expected === 'string'
+            ? value.toLowerCase() === expected.toLowerCase()
+            : value === expected;
+    });
+}
+
+/**
+ * @param {Object|null} record - Record changed with Repository.update
+ * @returns {number} Its version, 0 when it has never been saved that way
+ */
+function getRecordVersion(record) {
+    return (record && record.version) || 0;
+}
+
+/**
+ * @param {*} record - Record to save
+ * @returns {boolean} Whether it can carry a version; lists such as carts cannot
+ */
+function isVersionedRecord(record) {
+    return Boolean(record) && typeof record === 'object' && !Array.isArray(record);
+}
+
+/**
+ * @returns {Error} Error for a save over a version of a record that is no longer the latest
+ */
+function createConflictError() {
+    return Object.assign(new Error('The record was changed by someone else'), { status: 409 });
+}
+
+/**
+ * Check whether the browser has a network connection
+ * @returns {boolean} Online status
+ */
+function isBrowserOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+/**
+ * Check whether a failed request failed for want of a connection rather than being rejected
+ * by the server. fetch rejects with a TypeError when the request cannot be sent at all.
+ * @param {Error} error - Request error
+ * @returns {boolean} Whether the request can be sent again later
+ */
+function isOfflineError(error) {
+    return !isBrowserOnline() || error instanceof TypeError;
+}
+
+/**
+ * Get the ID that carts and watchlists are stored under: the logged-in user's ID,
+ * or an ID for this browser when nobody is logged in
+ * @returns {string} Owner ID
+ */
+function getStorageOwnerId() {
+    if (typeof auth !== 'undefined' && auth.isLoggedIn()) {
+        return auth.getCurrentUser().id;
+    }
+    return getGuestOwnerId();
+}
+
+/**
+ * Get the access token of the logged-in user's session, which the REST adapter sends with each request
+ * @returns {string|null} Access token, or null when nobody is logged in
+ */
+function getStorageAccessToken() {
+    try {
+        const session = JSON.parse(localStorage.getItem('currentUser'));
+        return (session && session.accessToken) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the ID that this browser's logged-out cart and watchlist are stored under
+ * @returns {string} Guest owner ID
+ */
+function getGuestOwnerId() {
+    let deviceId = localStorage.getItem('deviceId');
+    if (!deviceId) {
+        deviceId = Date.now().toString(36) + Math.random().toString(36).substring(2, 10);
+        localStorage.setItem('deviceId', deviceId);
+    }
+    return `guest-${deviceId}`;
+}
+
+/**
+ * Check whether an owner ID belongs to a logged-out browser
+ * @param {string} ownerId - Owner ID from getStorageOwnerId
+ * @returns {boolean} Whether it is a guest ID
+ */
+function isGuestOwnerId(ownerId) {
+    return String(ownerId).startsWith('guest-');
+}
+
+/**
+ * Create the adapter named in a storage config
+ * @param {Object} config - Storage config (see STORAGE_CONFIG)
+ * @returns {Object} Storage adapter
+ */
+function createStorageAdapter(config = STORAGE_CONFIG) {
+    return config.adapter === 'rest' ? new RestStorageAdapter(config.restBaseUrl) : new LocalStorageAdapter();
+}
+
+// Create global repositories on the configured adapter. Only a remote adapter needs the
+// offline queue; local storage is always available.
+const storageAdapter = createStorageAdapter();
+const offlineQueue = storageAdapter instanceof RestStorageAdapter ? new OfflineQueue(storageAdapter) : null;
+const repositories = {
+    users: new Repository('users', storageAdapter, offlineQueue),
+    carts: new Repository('carts', storageAdapter, offlineQueue),
+    watchlists: new Repository('watchlists', storageAdapter, offlineQueue),
+    // Local accounts only; the server keeps its own (see server/server.js)
+    passwordResets: new Repository('passwordResets', storageAdapter),
+    inventory: new Repository('inventory', storageAdapter),
+    invoices: new Repository('invoices', storageAdapter),
+    counters: new Repository('counters', storageAdapter),
+    reminders: new Repository('reminders', storageAdapter),
+    restoreLinks: new Repository('restoreLinks', storageAdapter),
+    coupons: new Repository('coupons', storageAdapter),
+    couponUsage: new Repository('couponUsage', storageAdapter),
+    catalogEdits: new Repository('catalogEdits', storageAdapter),
+    auditLog: new Repository('auditLog', storageAdapter),
+    reviews: new Repository('reviews', storageAdapter)
+};
+
+// Send changes made offline, including any left from an earlier visit, once there is a connection
+// and after signing in again. A rejected change is dropped from the cache so the server's copy is read again.
+if (offlineQueue) {
+    window.addEventListener('online', () => offlineQueue.flush());
+    window.addEventListener('authStateChanged', event => {
+        if (event.detail.reason === 'login') offlineQueue.flush();
+    });
+    window.addEventListener('offlineQueueUpdated', event => {
+        (event.detail.rejected || []).forEach(change => {
+            if (repositories[change.collection]) repositories[change.collection].cache.delete(change.id);
+        });
+    });
+    offlineQueue.flush();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LocalStorageAdapter,
+        RestStorageAdapter,
+        OfflineQueue,
+        Repository,
+        matchesStorageQuery,
+        createStorageAdapter,
+        getStorageOwnerId,
+        getGuestOwnerId,
+        getStorageAccessToken,
+        isGuestOwnerId,
+        isBrowserOnline,
+        isOfflineError
+    };
+}
+
+// Make repositories available globally
+window.Repository = Repository;
+window.repositories = repositories;
+window.offlineQueue = offlineQueue;
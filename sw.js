@@ -0,0 +1,234 @@
+/**
+ * Service Worker for Lunsara
+ * Keeps the storefront usable offline. The page shells, scripts, styles and catalog images
+ * are cached when the worker installs and served from the cache after that, so every page
+ * (with any query string, e.g. product-detail.html?id=...) opens without a connection.
+ * The catalog (products.json) and the storage API are fetched from the network first,
+ * falling back to the last copy received, so prices, stock and orders stay current online.
+ * The API's answers to signed-in requests (account records with addresses and orders) are kept
+ * apart in ACCOUNT_CACHE, which pwa.js deletes when the shopper signs in or out.
+ *
+ * Bump CACHE_VERSION whenever the site is deployed. The browser installs the new worker next
+ * to the old one, pwa.js offers the visitor a reload, and the new worker takes over when they
+ * accept (the SKIP_WAITING message), so a page never mixes files from two versions.
+ */
+
+const CACHE_VERSION = 'v8';
+const SHELL_CACHE = `lunsara-shell-${CACHE_VERSION}`;
+// Responses cached while browsing, including the storage API's answers to logged-out requests; kept across versions
+const RUNTIME_CACHE = 'lunsara-runtime';
+// The storage API's answers to requests sent with a signed-in shopper's access token
+const ACCOUNT_CACHE = 'lunsara-account';
+
+// The catalog; its product images are cached along with the shell
+const CATALOG_URL = 'products.json';
+
+// Page served for navigations that are not cached
+const FALLBACK_PAGE = 'homepage.html';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'homepage.html',
+    'silk.html',
+    'printed.html',
+    'lungis.html',
+    'search.html',
+    'product-detail.html',
+    'cart.html',
+    'watchlist.html',
+    'delivery-address.html',
+    'checkout.html',
+    'login.html',
+    'profile.html',
+    'invoice.html',
+    'admin.html',
+    'style.css',
+    'manifest.webmanifest',
+    'storage.js',
+    'i18n.js',
+    'auth.js',
+    'analytics.js',
+    'guards.js',
+    'pwa.js',
+    'catalog.js',
+    'pricing.js',
+    'inventory.js',
+    'cart.js',
+    'wishlist.js',
+    'filters.js',
+    'listing.js',
+    'search.js',
+    'recommendations.js',
+    'reviews.js',
+    'images.js',
+    'html.js',
+    'pincodes.js',
+    'addresses.js',
+    'orders.js',
+    'tax.js',
+    'invoices.js',
+    'payments.js',
+    'notifications.js',
+    'reminders.js',
+    'admin.js',
+    'javascript.js',
+    CATALOG_URL,
+    'images/logo.png',
+    'images/product_thumbnail/printed_thumbnail.jpeg',
+    'images/product_thumbnail/silk_thumbnail.jpeg',
+    'images/product_thumbnail/lungi_thumbnail.jpg',
+    'images/segment_thumbnail/segment_s1.jpg',
+    'images/segment_thumbnail/segment_s2.jpg',
+    'images/segment_thumbnail/segment_s2.webp',
+    'images/segment_thumbnail/segment_s3.webp',
+    'images/segment_thumbnail/segment_s4.jpg'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            // Bypass the HTTP cache so a new version never stores an old copy of a file
+            .then(cache => cache.addAll(SHELL_FILES.map(file => new Request(file, { cache: 'reload' })))
+                .then(() => precacheCatalogImages(cache)))
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('lunsara-') && ![SHELL_CACHE, RUNTIME_CACHE, ACCOUNT_CACHE].includes(name))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (url.origin !== self.location.origin) {
+        // Icon fonts and web fonts from their CDNs; other services (sign-in, email) need the network
+        if (request.destination === 'style' || request.destination === 'font') {
+            event.respondWith(staleWhileRevalidate(request));
+        }
+        return;
+    }
+
+    if (url.pathname.endsWith(`/${CATALOG_URL}`)) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+        return;
+    }
+    if (url.pathname.includes('/api/')) {
+        event.respondWith(networkFirst(request, request.headers.has('Authorization') ? ACCOUNT_CACHE : RUNTIME_CACHE));
+        return;
+    }
+
+    event.respondWith(cacheFirst(request));
+});
+
+/**
+ * Cache the images of every product in the catalog. A missing image is skipped rather
+ * than failing the install.
+ * @param {Cache} cache - Shell cache
+ * @returns {Promise<void>}
+ */
+function precacheCatalogImages(cache) {
+    return cache.match(CATALOG_URL)
+        .then(response => response.json())
+        .then(catalog => {
+            const images = new Set();
+            (catalog.products || []).forEach(product => {
+                (product.images || []).forEach(image => {
+                    if (!/^(data|blob):/.test(image)) images.add(image);
+                });
+            });
+            return Promise.all([...images].map(image => cache.add(image).catch(() => {})));
+        })
+        .catch(error => console.error('Error caching catalog images:', error));
+}
+
+/**
+ * Serve from the cache, going to the network (and caching the response) for anything
+ * not cached yet. Pages are matched without their query string.
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+function cacheFirst(request) {
+    const isPage = request.mode === 'navigate';
+
+    return caches.match(request, { ignoreSearch: isPage }).then(cached => {
+        if (cached) {
+            return cached;
+        }
+
+        return fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(RUNTIME_CACHE).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(error => {
+                if (isPage) {
+                    return caches.match(FALLBACK_PAGE);
+                }
+                throw error;
+            });
+    });
+}
+
+/**
+ * Fetch from the network and keep a copy, serving the last copy when offline
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache the copy is kept in
+ * @returns {Promise<Response>} Response
+ */
+function networkFirst(request, cacheName) {
+    return fetch(request)
+        .then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(cacheName).then(cache => cache.put(request, copy));
+            }
+            return response;
+        })
+        .catch(error => caches.open(cacheName).then(cache => cache.match(request)).then(cached => {
+            if (cached) {
+                return cached;
+            }
+            throw error;
+        }));
+}
+
+/**
+ * Serve the cached copy straight away and refresh it in the background
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+function staleWhileRevalidate(request) {
+    return caches.open(RUNTIME_CACHE).then(cache => cache.match(request).then(cached => {
+        const update = fetch(request)
+            .then(response => {
+                if (response.ok || response.type === 'opaque') {
+                    cache.put(request, response.clone());
+                }
+                return response;
+            })
+            .catch(() => cached);
+
+        return cached || update;
+    }));
+}
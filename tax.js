@@ -0,0 +1,263 @@
+/**
+ * GST Module for Lunsara
+ * Line-level GST from each product's HSN code and per-piece value, split into
+ * CGST + SGST for deliveries within the seller's state and IGST for other states.
+ * Delivery and packaging charges are taxed at the rate of the goods they come with.
+ */
+
+// Registered seller shown on invoices; GST is charged from this state
+const SELLER_DETAILS = {
+    name: 'Lunsara',
+    gstin: '33AAAAA0000A1Z5',
+    state: 'TN',
+    address: '76 Thoppu Street, Podatur Pet, Palli Pet Talluk, Tiruvallur District - 631208'
+};
+
+// States as stored on delivery addresses, with their GST state codes
+const GST_STATES = {
+    AP: { name: 'Andhra Pradesh', code: '37' },
+    AR: { name: 'Arunachal Pradesh', code: '12' },
+    AS: { name: 'Assam', code: '18' },
+    BR: { name: 'Bihar', code: '10' },
+    CG: { name: 'Chhattisgarh', code: '22' },
+    CH: { name: 'Chandigarh', code: '04' },
+    DL: { name: 'Delhi', code: '07' },
+    GA: { name: 'Goa', code: '30' },
+    GJ: { name: 'Gujarat', code: '24' },
+    HR: { name: 'Haryana', code: '06' },
+    HP: { name: 'Himachal Pradesh', code: '02' },
+    JK: { name: 'Jammu and Kashmir', code: '01' },
+    JH: { name: 'Jharkhand', code: '20' },
+    KA: { name: 'Karnataka', code: '29' },
+    KL: { name: 'Kerala', code: '32' },
+    LA: { name: 'Ladakh', code: '38' },
+    MP: { name: 'Madhya Pradesh', code: '23' },
+    MH: { name: 'Maharashtra', code: '27' },
+    MN: { name: 'Manipur', code: '14' },
+    ML: { name: 'Meghalaya', code: '17' },
+    MZ: { name: 'Mizoram', code: '15' },
+    NL: { name: 'Nagaland', code: '13' },
+    OR: { name: 'Odisha', code: '21' },
+    PB: { name: 'Punjab', code: '03' },
+    PY: { name: 'Puducherry', code: '34' },
+    RJ: { name: 'Rajasthan', code: '08' },
+    SK: { name: 'Sikkim', code: '11' },
+    TN: { name: 'Tamil Nadu', code: '33' },
+    TG: { name: 'Telangana', code: '36' },
+    TR: { name: 'Tripura', code: '16' },
+    UP: { name: 'Uttar Pradesh', code: '09' },
+    UT: { name: 'Uttarakhand', code: '05' },
+    WB: { name: 'West Bengal', code: '19' }
+};
+
+// GST slabs per HSN code. A slab with maxUnitValue applies while the taxable
+// value of one piece stays at or below it; the last slab has no limit.
+const HSN_CODES = {
+    '5007': { description: 'Woven fabrics of silk', slabs: [{ rate: 5 }] },
+    '5208': { description: 'Woven fabrics of cotton', slabs: [{ rate: 5 }] },
+    '5211': { description: 'Woven fabrics of cotton mixed with man-made fibres', slabs: [{ rate: 5 }] },
+    '5407': { description: 'Woven fabrics of synthetic filament yarn', slabs: [{ rate: 5 }] },
+    '5408': { description: 'Woven fabrics of artificial filament yarn', slabs: [{ rate: 5 }] },
+    '6211': {
+        description: 'Garments including lungis and dhotis',
+        slabs: [{ maxUnitValue: 2500, rate: 5 }, { rate: 18 }]
+    }
+};
+
+// HSN code used when a product does not specify one
+const DEFAULT_HSN_BY_CATEGORY = {
+    'silk-sarees': '5007',
+    'printed-sarees': '5407',
+    lungis: '6211'
+};
+
+class TaxCalculator {
+    /**
+     * @param {Object} options - Calculator options
+     * @param {Object} options.seller - Seller details (defaults to SELLER_DETAILS)
+     * @param {Object} options.hsnCodes - GST slabs keyed by HSN code
+     * @param {boolean} options.pricesIncludeTax - Whether catalog prices already include GST
+     */
+    constructor(options = {}) {
+        this.seller = options.seller || SELLER_DETAILS;
+        this.hsnCodes = options.hsnCodes || HSN_CODES;
+        this.pricesIncludeTax = options.pricesIncludeTax !== false;
+    }
+
+    /**
+     * Get the HSN code of a product or priced line
+     * @param {Object} item - Object with `hsn` and/or `category`
+     * @returns {string} HSN code
+     */
+    getHsnCode(item) {
+        return item.hsn || DEFAULT_HSN_BY_CATEGORY[item.category] || '5007';
+    }
+
+    /**
+     * Get the GST rate for one piece
+     * @param {string} hsn - HSN code
+     * @param {number} unitAmount - Amount charged for one piece
+     * @returns {number} Rate in percent
+     */
+    getRate(hsn, unitAmount) {
+        // Textiles without a known HSN code fall back to the 5% fabric slab
+        const slabs = (this.hsnCodes[hsn] || { slabs: [{ rate: 5 }] }).slabs;
+
+        const slab = slabs.find(candidate => {
+            if (candidate.maxUnitValue === undefined) return true;
+            // Thresholds apply to the value before tax
+            const unitValue = this.pricesIncludeTax ? unitAmount / (1 + candidate.rate / 100) : unitAmount;
+            return unitValue <= candidate.maxUnitValue;
+        });
+
+        return (slab || slabs[slabs.length - 1]).rate;
+    }
+
+    /**
+     * Work out whether a delivery is within the seller's state
+     * @param {string} buyerState - State code of the delivery address
+     * @returns {string|null} 'intra', 'inter', or null while the state is not known
+     */
+    getSupplyType(buyerState) {
+        if (!buyerState) {
+            return null;
+        }
+        return buyerState === this.seller.state ? 'intra' : 'inter';
+    }
+
+    /**
+     * Calculate GST for one line
+     * @param {Object} line - Line with hsn or category, and quantity
+     * @param {number} amount - Amount charged for the line after discounts
+     * @param {string} buyerState - State code of the delivery address
+     * @returns {Object} HSN, rate, taxable value, CGST/SGST/IGST and line total
+     */
+    calculateLine(line, amount, buyerState) {
+        const hsn = this.getHsnCode(line);
+        const quantity = line.quantity || 1;
+        const rate = this.getRate(hsn, amount / quantity);
+
+        return { hsn, ...this.calculateTax(amount, rate, buyerState) };
+    }
+
+    /**
+     * Calculate GST on a delivery or packaging charge. The charge is part of a composite
+     * supply with the goods, so it takes the HSN code and rate of the principal supply:
+     * the line with the largest taxable value.
+     * @param {number} amount - Amount charged
+     * @param {Array} lines - Lines of the order with calculateLine fields
+     * @param {string} buyerState - State code of the delivery address
+     * @returns {Object} HSN, rate, taxable value, CGST/SGST/IGST and charge total
+     */
+    calculateCharge(amount, lines, buyerState) {
+        const principal = lines.reduce((best, line) => (!best || line.taxableValue > best.taxableValue ? line : best), null);
+        const hsn = principal ? principal.hsn : '5007';
+        const rate = principal ? principal.taxRate : this.getRate(hsn, amount);
+
+        return { hsn, ...this.calculateTax(amount, rate, buyerState) };
+    }
+
+    /**
+     * @param {number} amount - Amount charged, with or without GST as pricesIncludeTax says
+     * @param {number} rate - GST rate in percent
+     * @param {string} buyerState - State code of the delivery address
+     * @returns {Object} Rate, taxable value, CGST/SGST/IGST and total
+     */
+    calculateTax(amount, rate, buyerState) {
+        const tax = this.pricesIncludeTax
+            ? Math.round(amount - amount / (1 + rate / 100))
+            : Math.round(amount * rate / 100);
+        const taxableValue = this.pricesIncludeTax ? amount - tax : amount;
+
+        return {
+            taxRate: rate,
+            taxableValue,
+            tax,
+            ...this.splitTax(tax, buyerState),
+            total: taxableValue + tax
+        };
+    }
+
+    /**
+     * Split a tax amount into CGST + SGST or IGST
+     * @param {number} tax - Total GST
+     * @param {string} buyerState - State code of the delivery address
+     * @returns {Object} cgst, sgst and igst amounts
+     */
+    splitTax(tax, buyerState) {
+        const supplyType = this.getSupplyType(buyerState);
+
+        if (supplyType === 'inter') {
+            return { cgst: 0, sgst: 0, igst: tax };
+        }
+        if (supplyType === 'intra') {
+            const cgst = Math.round(tax / 2);
+            return { cgst, sgst: tax - cgst, igst: 0 };
+        }
+        return { cgst: 0, sgst: 0, igst: 0 };
+    }
+
+    /**
+     * Group taxed lines by HSN code and rate for the invoice tax table
+     * @param {Array} lines - Lines returned with calculateLine fields
+     * @returns {Array} Rows of { hsn, taxRate, taxableValue, cgst, sgst, igst, tax }
+     */
+    summarize(lines) {
+        const rows = {};
+
+        lines.forEach(line => {
+            const key = `${line.hsn}@${line.taxRate}`;
+            const row = rows[key] || (rows[key] = {
+                hsn: line.hsn, taxRate: line.taxRate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, tax: 0
+            });
+            ['taxableValue', 'cgst', 'sgst', 'igst', 'tax'].forEach(field => {
+                row[field] += line[field] || 0;
+            });
+        });
+
+        return Object.values(rows);
+    }
+
+    /**
+     * Describe the tax row for price summaries
+     * @param {Object} totals - Totals with supplyType
+     * @returns {string} Label such as "GST included (CGST + SGST)"
+     */
+    getTaxLabel(totals) {
+        const label = i18n.t(this.pricesIncludeTax ? 'common.gstIncluded' : 'common.gst');
+        if (totals.supplyType === 'intra') return `${label} (CGST + SGST)`;
+        if (totals.supplyType === 'inter') return `${label} (IGST)`;
+        return label;
+    }
+
+    /**
+     * Get the state of the delivery address chosen for the current order
+     * @returns {string|null} State code
+     */
+    getBuyerState() {
+        const selectedAddress = JSON.parse(localStorage.getItem('selectedDeliveryAddress') || 'null');
+        return selectedAddress && selectedAddress.state ? selectedAddress.state : null;
+    }
+
+    /**
+     * Get a state's display name
+     * @param {string} stateCode - State code
+     * @returns {string} State name with GST state code, e.g. "Tamil Nadu (33)"
+     */
+    getStateLabel(stateCode) {
+        const state = GST_STATES[stateCode];
+        return state ? `${state.name} (${state.code})` : stateCode || '';
+    }
+}
+
+// Create global tax calculator instance
+const taxCalculator = new TaxCalculator();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TaxCalculator, SELLER_DETAILS, GST_STATES, HSN_CODES };
+}
+
+// Make tax calculator available globally
+window.TaxCalculator = TaxCalculator;
+window.taxCalculator = taxCalculator;
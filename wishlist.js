@@ -0,0 +1,679 @@
+/**
+ * Wishlist Module for Lunsara
+ * Named wishlists and the saved-for-later list of the current browser or user, kept in
+ * the watchlists repository. Items are flagged when their price drops or they come back
+ * into stock, and a list can be shared as a read-only link.
+ * Changes are announced with a `watchlistUpdated` event.
+ * Requires storage.js, catalog.js and cart.js; additions are recorded by recommendations.js when it is loaded.
+ */
+
+const DEFAULT_WISHLIST_ID = 'default';
+const DEFAULT_WISHLIST_NAME = 'My Watchlist';
+const MAX_WISHLIST_NAME_LENGTH = 40;
+
+class WishlistManager {
+    /**
+     * @param {Repository} wishlistRepository - Where wishlists are kept (defaults to repositories.watchlists)
+     */
+    constructor(wishlistRepository = repositories.watchlists) {
+        this.wishlistRepository = wishlistRepository;
+        this.merging = null;
+        this.setupEventListeners();
+    }
+
+    /**
+     * Get the wishlists and saved-for-later items without waiting
+     * @returns {Object} { lists, savedForLater }
+     */
+    getData() {
+        const ownerId = getStorageOwnerId();
+        return this.upgradeData(ownerId, this.wishlistRepository.peek(ownerId));
+    }
+
+    /**
+     * Load the wishlists, first merging in the guest's lists if a user has logged in
+     * @returns {Promise<Object>} { lists, savedForLater }
+     */
+    load() {
+        const ownerId = getStorageOwnerId();
+        return this.mergeGuestLists()
+            .then(() => this.wishlistRepository.get(ownerId))
+            .then(data => this.upgradeData(ownerId, data));
+    }
+
+    /**
+     * Save the wishlists and announce the change
+     * @param {Object} data - { lists, savedForLater }
+     * @returns {Promise<Object>} Saved data
+     */
+    save(data) {
+        const saved = this.wishlistRepository.save(getStorageOwnerId(), data).catch(() => data);
+        window.dispatchEvent(new CustomEvent('watchlistUpdated'));
+        return saved;
+    }
+
+    /**
+     * Normalize stored data, saving it if it had to be upgraded. Earlier versions kept one
+     * array of items under `watchlist` and cart.html's saved items under a `savedForLater` key;
+     * both are moved into the record of whoever opens the site first.
+     * @param {string} ownerId - Owner of the data
+     * @param {Object|Array|null} stored - Stored data
+     * @returns {Object} { lists, savedForLater }
+     */
+    upgradeData(ownerId, stored) {
+        const legacySaved = localStorage.getItem('savedForLater');
+        if (!Array.isArray(stored) && legacySaved === null) {
+            return this.normalizeData(stored);
+        }
+
+        const data = this.normalizeData(stored);
+        try {
+            data.savedForLater.push(...(JSON.parse(legacySaved) || []));
+        } catch (error) {
+            console.error('Error reading savedForLater:', error);
+        }
+
+        this.wishlistRepository.save(ownerId, data).catch(() => {});
+        localStorage.removeItem('savedForLater');
+        return data;
+    }
+
+    /**
+     * Bring stored data into the current shape
+     * @param {Object|Array|null} data - Stored data
+     * @returns {Object} { lists, savedForLater }
+     */
+    normalizeData(data) {
+        if (Array.isArray(data) || !data) {
+            data = {
+                lists: [this.createListRecord(DEFAULT_WISHLIST_ID, DEFAULT_WISHLIST_NAME, data || [])],
+                savedForLater: []
+            };
+        }
+
+        if (!data.lists.some(list => list.id === DEFAULT_WISHLIST_ID)) {
+            data.lists.unshift(this.createListRecord(DEFAULT_WISHLIST_ID, DEFAULT_WISHLIST_NAME));
+        }
+        data.savedForLater = data.savedForLater || [];
+        return data;
+    }
+
+    /**
+     * @param {string} id - List ID
+     * @param {string} name - List name
+     * @param {Array} items - Items
+     * @returns {Object} List
+     */
+    createListRecord(id, name, items = []) {
+        return { id, name, items, createdAt: new Date().toISOString() };
+    }
+
+    /**
+     * Get the key identifying an item. Legacy entries without a product ID only have a name.
+     * @param {Object} item - Wishlist item
+     * @returns {string} Item key
+     */
+    getItemKey(item) {
+        return item.id ? catalog.getLineKey(item.id, item.variantId) : item.name;
+    }
+
+    /**
+     * Get every named list
+     * @returns {Array} Lists, the default list first
+     */
+    getLists() {
+        return this.getData().lists;
+    }
+
+    /**
+     * Get a list by ID
+     * @param {string} listId - List ID (defaults to the default list)
+     * @returns {Object|null} List
+     */
+    getList(listId = DEFAULT_WISHLIST_ID) {
+        return this.getLists().find(list => list.id === listId) || null;
+    }
+
+    /**
+     * Get the items of a list
+     * @param {string} listId - List ID (defaults to the default list)
+     * @returns {Array} Items
+     */
+    getItems(listId = DEFAULT_WISHLIST_ID) {
+        const list = this.getList(listId);
+        return list ? list.items : [];
+    }
+
+    /**
+     * Count the items in all lists
+     * @returns {number} Item count
+     */
+    getItemCount() {
+        return this.getLists().reduce((sum, list) => sum + list.items.length, 0);
+    }
+
+    /**
+     * Create a named list
+     * @param {string} name - List name, e.g. "Wedding"
+     * @returns {Object} Result with the new list
+     */
+    createList(name) {
+        const validation = this.validateListName(name);
+        if (!validation.valid) {
+            return { success: false, message: validation.message };
+        }
+
+        const data = this.getData();
+        const list = this.createListRecord(`list-${Date.now().toString(36)}`, name.trim());
+        data.lists.push(list);
+        this.save(data);
+        return { success: true, message: i18n.t('wishlist.created', { name: list.name }), list };
+    }
+
+    /**
+     * Rename a list
+     * @param {string} listId - List ID
+     * @param {string} name - New name
+     * @returns {Object} Result
+     */
+    renameList(listId, name) {
+        const validation = this.validateListName(name, listId);
+        if (!validation.valid) {
+            return { success: false, message: validation.message };
+        }
+
+        const data = this.getData();
+        const list = data.lists.find(item => item.id === listId);
+        if (!list) {
+            return { success: false, message: i18n.t('wishlist.listNotFound') };
+        }
+
+        list.name = name.trim();
+        this.save(data);
+        return { success: true, message: i18n.t('wishlist.renamed', { name: list.name }) };
+    }
+
+    /**
+     * Delete a list and its items. The default list cannot be deleted.
+     * @param {string} listId - List ID
+     * @returns {Object} Result
+     */
+    deleteList(listId) {
+        if (listId === DEFAULT_WISHLIST_ID) {
+            return { success: false, message: i18n.t('wishlist.cannotDeleteDefault', { name: DEFAULT_WISHLIST_NAME }) };
+        }
+
+        const data = this.getData();
+        const list = data.lists.find(item => item.id === listId);
+        if (!list) {
+            return { success: false, message: i18n.t('wishlist.listNotFound') };
+        }
+
+        data.lists = data.lists.filter(item => item.id !== listId);
+        this.save(data);
+        return { success: true, message: i18n.t('wishlist.deleted', { name: list.name }) };
+    }
+
+    /**
+     * @param {string} name - Proposed list name
+     * @param {string} listId - List being renamed, if any
+     * @returns {Object} Validation result
+     */
+    validateListName(name, listId = null) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            return { valid: false, message: i18n.t('wishlist.nameRequired') };
+        }
+        if (trimmed.length > MAX_WISHLIST_NAME_LENGTH) {
+            return { valid: false, message: i18n.t('wishlist.nameTooLong', { max: MAX_WISHLIST_NAME_LENGTH }) };
+        }
+        if (this.getLists().some(list => list.id !== listId && list.name.toLowerCase() === trimmed.toLowerCase())) {
+            return { valid: false, message: i18n.t('wishlist.nameTaken', { name: trimmed }) };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Check whether a product is in a list
+     * @param {string} productId - Product ID
+     * @param {string} variantId - Variant ID; leave out to match any variant
+     * @param {string} listId - List ID; leave out to check every list
+     * @returns {boolean} Whether it is saved
+     */
+    hasProduct(productId, variantId = undefined, listId = null) {
+        const lists = listId ? [this.getList(listId)].filter(Boolean) : this.getLists();
+        return lists.some(list => list.items.some(item =>
+            String(item.id) === String(productId) &&
+            (variantId === undefined || catalog.isSameLine(item, productId, variantId))
+        ));
+    }
+
+    /**
+     * Add a product variant to a list
+     * @param {string} productId - Product ID
+     * @param {string} variantId - Variant ID (defaults to the product's default variant)
+     * @param {string} listId - List ID (defaults to the default list)
+     * @returns {Object} Result
+     */
+    addItem(productId, variantId = null, listId = DEFAULT_WISHLIST_ID) {
+        const product = catalog.getProduct(productId);
+        if (!product) {
+            return { success: false, message: i18n.t('cart.unavailable') };
+        }
+
+        const variant = variantId ? catalog.getVariant(product, variantId) : catalog.getDefaultVariant(product);
+        return this.addLine({ ...catalog.toLineItem(product, variant) }, listId);
+    }
+
+    /**
+     * Add a stored line (from the cart or another list) to a list
+     * @param {Object} line - Line item
+     * @param {string} listId - List ID
+     * @returns {Object} Result
+     */
+    addLine(line, listId = DEFAULT_WISHLIST_ID) {
+        const data = this.getData();
+        const list = data.lists.find(item => item.id === listId);
+        if (!list) {
+            return { success: false, message: i18n.t('wishlist.listNotFound') };
+        }
+
+        if (list.items.some(item => this.getItemKey(item) === this.getItemKey(line))) {
+            return { success: false, message: i18n.t('wishlist.alreadySaved', { list: list.name }), alreadySaved: true };
+        }
+
+        list.items.push(this.toWishlistItem(line));
+        this.save(data);
+        if (typeof recommendations !== 'undefined') {
+            recommendations.recordEvent('wishlist', line.id);
+        }
+        return { success: true, message: i18n.t('wishlist.added', { name: line.name, list: list.name }) };
+    }
+
+    /**
+     * Remove an item from a list
+     * @param {string} itemKey - Item key
+     * @param {string} listId - List ID (defaults to the default list)
+     * @returns {Object} Result with the removed item
+     */
+    removeItem(itemKey, listId = DEFAULT_WISHLIST_ID) {
+        const data = this.getData();
+        const list = data.lists.find(item => item.id === listId);
+        const removed = list ? list.items.find(item => this.getItemKey(item) === itemKey) : null;
+
+        if (!removed) {
+            return { success: false, message: i18n.t('wishlist.itemNotFound') };
+        }
+
+        list.items = list.items.filter(item => item !== removed);
+        this.save(data);
+        return { success: true, message: i18n.t('wishlist.removedFrom', { name: removed.name, list: list.name }), item: removed };
+    }
+
+    /**
+     * Add a product's default variant to the default list, or remove every variant
+     * of it from all lists if it is already saved. Used by the heart buttons on cards.
+     * @param {string} productId - Product ID
+     * @returns {Object} Result; `added` tells which way it went
+     */
+    toggleProduct(productId) {
+        const product = catalog.getProduct(productId);
+        if (!product) {
+            return { success: false, message: i18n.t('cart.unavailable') };
+        }
+
+        if (!this.hasProduct(productId)) {
+            return { ...this.addItem(productId), added: true };
+        }
+
+        const data = this.getData();
+        data.lists.forEach(list => {
+            list.items = list.items.filter(item => String(item.id) !== String(productId));
+        });
+        this.save(data);
+        return { success: true, added: false, message: i18n.t('wishlist.removed', { name: i18n.getProductText(product, 'name') }) };
+    }
+
+    /**
+     * Move an item from one list to another
+     * @param {string} itemKey - Item key
+     * @param {string} fromListId - Current list
+     * @param {string} toListId - Target list
+     * @returns {Object} Result
+     */
+    moveItem(itemKey, fromListId, toListId) {
+        const item = this.getItems(fromListId).find(line => this.getItemKey(line) === itemKey);
+        if (!item) {
+            return { success: false, message: i18n.t('wishlist.itemNotFound') };
+        }
+
+        const result = this.addLine(item, toListId);
+        if (!result.success && !result.alreadySaved) {
+            return result;
+        }
+
+        this.removeItem(itemKey, fromListId);
+        return { success: true, message: i18n.t('wishlist.moved', { name: item.name, list: this.getList(toListId).name }) };
+    }
+
+    /**
+     * Move a list item into the cart
+     * @param {string} itemKey - Item key
+     * @param {string} listId - List ID
+     * @returns {Object} Result
+     */
+    moveToCart(itemKey, listId = DEFAULT_WISHLIST_ID) {
+        const item = this.getItems(listId).find(line => this.getItemKey(line) === itemKey);
+        if (!item || !item.id) {
+            return { success: false, message: i18n.t('wishlist.noDetails') };
+        }
+
+        const result = cartService.addItem(item.id, item.variantId, 1);
+        if (result.success) {
+            this.removeItem(itemKey, listId);
+        }
+        return result;
+    }
+
+    /**
+     * Move a cart line into a list
+     * @param {number} cartIndex - Index of the line in the cart
+     * @param {string} listId - List ID (defaults to the default list)
+     * @returns {Object} Result
+     */
+    moveCartItemToList(cartIndex, listId = DEFAULT_WISHLIST_ID) {
+        const cart = cartService.getItems();
+        const line = cart[cartIndex];
+        if (!line) {
+            return { success: false, message: i18n.t('wishlist.itemNotFound') };
+        }
+
+        const result = this.addLine(line, listId);
+        if (!result.success && !result.alreadySaved) {
+            return result;
+        }
+
+        cart.splice(cartIndex, 1);
+        cartService.save(cart);
+        return { success: true, message: i18n.t('wishlist.moved', { name: line.name, list: this.getList(listId).name }) };
+    }
+
+    /**
+     * Get the items saved for later
+     * @returns {Array} Saved items, with the quantity they had in the cart
+     */
+    getSavedForLater() {
+        return this.getData().savedForLater;
+    }
+
+    /**
+     * Move a cart line to saved-for-later
+     * @param {number} cartIndex - Index of the line in the cart
+     * @returns {Object} Result
+     */
+    saveForLater(cartIndex) {
+        const cart = cartService.getItems();
+        const line = cart[cartIndex];
+        if (!line) {
+            return { success: false, message: i18n.t('wishlist.itemNotFound') };
+        }
+
+        const data = this.getData();
+        const existing = data.savedForLater.find(item => this.getItemKey(item) === this.getItemKey(line));
+        if (existing) {
+            existing.quantity = (existing.quantity || 1) + line.quantity;
+        } else {
+            data.savedForLater.push(this.toWishlistItem(line));
+        }
+
+        cart.splice(cartIndex, 1);
+        cartService.save(cart);
+        this.save(data);
+        return { success: true, message: i18n.t('wishlist.savedForLater') };
+    }
+
+    /**
+     * Move a saved-for-later item back into the cart, as many units as stock allows
+     * @param {string} itemKey - Item key
+     * @returns {Object} Result
+     */
+    moveSavedToCart(itemKey) {
+        const data = this.getData();
+        const item = data.savedForLater.find(line => this.getItemKey(line) === itemKey);
+        if (!item || !item.id) {
+            return { success: false, message: i18n.t('wishlist.noDetails') };
+        }
+
+        const wanted = item.quantity || 1;
+        let result = cartService.addItem(item.id, item.variantId, wanted);
+        if (!result.success && result.available > 0) {
+            result = cartService.addItem(item.id, item.variantId, result.available);
+        }
+
+        if (result.success) {
+            data.savedForLater = data.savedForLater.filter(line => line !== item);
+            this.save(data);
+        }
+        return result;
+    }
+
+    /**
+     * Remove an item from saved-for-later
+     * @param {string} itemKey - Item key
+     * @returns {Object} Result
+     */
+    removeSaved(itemKey) {
+        const data = this.getData();
+        const before = data.savedForLater.length;
+        data.savedForLater = data.savedForLater.filter(item => this.getItemKey(item) !== itemKey);
+
+        if (data.savedForLater.length === before) {
+            return { success: false, message: i18n.t('wishlist.itemNotFound') };
+        }
+        this.save(data);
+        return { success: true, message: i18n.t('wishlist.itemRemoved') };
+    }
+
+    /**
+     * Build a stored wishlist item from a line. The price and stock at the time it is
+     * saved are what price drops and restocks are measured against.
+     * @param {Object} line - Cart, watchlist or catalog line
+     * @returns {Object} Wishlist item
+     */
+    toWishlistItem(line) {
+        const stock = line.id ? catalog.getStock(line.id, line.variantId) : Infinity;
+        return {
+            ...line,
+            savedPrice: line.savedPrice || line.price,
+            wasOutOfStock: Boolean(line.wasOutOfStock) || stock <= 0,
+            dateAdded: line.dateAdded || new Date().toISOString()
+        };
+    }
+
+    /**
+     * Compare a saved item with the catalog
+     * @param {Object} item - Wishlist item
+     * @returns {Object} { available, inStock, stock, currentPrice, priceDrop, priceDropAmount, backInStock }
+     */
+    getItemStatus(item) {
+        const product = item.id ? catalog.getProduct(item.id) : null;
+        if (!product) {
+            return { available: false, inStock: false, stock: 0, currentPrice: null, priceDrop: false, priceDropAmount: 0, backInStock: false };
+        }
+
+        const variant = item.variantId ? catalog.getVariant(product, item.variantId) : catalog.getDefaultVariant(product);
+        const currentPrice = variant ? variant.price : product.price;
+        const savedPrice = item.savedPrice || item.price;
+        const stock = catalog.getStock(product.id, variant ? variant.id : null);
+
+        return {
+            available: true,
+            inStock: stock > 0,
+            stock,
+            currentPrice,
+            priceDrop: currentPrice < savedPrice,
+            priceDropAmount: Math.max(0, savedPrice - currentPrice),
+            backInStock: Boolean(item.wasOutOfStock) && stock > 0
+        };
+    }
+
+    /**
+     * Remember which saved items are out of stock now, so they can be flagged as
+     * back in stock later. Call once the catalog is loaded.
+     */
+    refreshStockFlags() {
+        const data = this.getData();
+        let changed = false;
+
+        data.lists.concat({ items: data.savedForLater }).forEach(list => {
+            list.items.forEach(item => {
+                const status = this.getItemStatus(item);
+                if (!item.wasOutOfStock && status.available && !status.inStock) {
+                    item.wasOutOfStock = true;
+                    changed = true;
+                }
+            });
+        });
+
+        if (changed) {
+            this.wishlistRepository.save(getStorageOwnerId(), data).catch(() => {});
+        }
+    }
+
+    /**
+     * Build a read-only link to a list. The link carries the product variants,
+     * so whoever opens it sees the list with current catalog prices.
+     * @param {string} listId - List ID
+     * @returns {string|null} URL of watchlist.html showing the shared list
+     */
+    getShareUrl(listId = DEFAULT_WISHLIST_ID) {
+        const list = this.getList(listId);
+        if (!list) {
+            return null;
+        }
+
+        const payload = JSON.stringify({
+            name: list.name,
+            items: list.items.filter(item => item.id).map(item => catalog.getLineKey(item.id, item.variantId))
+        });
+        const encoded = btoa(unescape(encodeURIComponent(payload)))
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+        const url = new URL('watchlist.html', window.location.href);
+        url.search = `?shared=${encoded}`;
+        return url.toString();
+    }
+
+    /**
+     * Read a shared list from the `shared` URL parameter
+     * @param {string} encoded - Value of the `shared` parameter
+     * @returns {Object|null} { name, items } with items built from the catalog, or null if invalid
+     */
+    parseSharedList(encoded) {
+        try {
+            const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+            const payload = JSON.parse(decodeURIComponent(escape(atob(base64))));
+
+            const items = (payload.items || []).map(key => {
+                const [productId, variantId] = String(key).split(':');
+                const product = catalog.getProduct(productId);
+                return product ? catalog.toLineItem(product, variantId ? catalog.getVariant(product, variantId) : undefined) : null;
+            }).filter(Boolean);
+
+            return { name: String(payload.name || 'Shared list').slice(0, MAX_WISHLIST_NAME_LENGTH), items };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Move the guest's lists into the logged-in user's lists, by list name
+     * @returns {Promise<void>}
+     */
+    mergeGuestLists() {
+        if (this.merging) {
+            return this.merging;
+        }
+
+        const ownerId = getStorageOwnerId();
+        const guestId = getGuestOwnerId();
+        if (ownerId === guestId) {
+            return Promise.resolve();
+        }
+
+        this.merging = this.wishlistRepository.get(guestId)
+            .then(guestStored => {
+                const guestData = guestStored ? this.normalizeData(guestStored) : null;
+                const hasItems = guestData &&
+                    (guestData.savedForLater.length > 0 || guestData.lists.some(list => list.items.length > 0));
+                if (!hasItems) {
+                    return null;
+                }
+
+                return this.wishlistRepository.get(ownerId).then(userStored => {
+                    const data = this.normalizeData(userStored);
+
+                    guestData.lists.forEach(guestList => {
+                        let list = data.lists.find(item => item.id === guestList.id || item.name.toLowerCase() === guestList.name.toLowerCase());
+                        if (!list) {
+                            list = this.createListRecord(guestList.id, guestList.name);
+                            data.lists.push(list);
+                        }
+                        guestList.items
+                            .filter(guestItem => !list.items.some(item => this.getItemKey(item) === this.getItemKey(guestItem)))
+                            .forEach(guestItem => list.items.push(guestItem));
+                    });
+                    guestData.savedForLater
+                        .filter(guestItem => !data.savedForLater.some(item => this.getItemKey(item) === this.getItemKey(guestItem)))
+                        .forEach(guestItem => data.savedForLater.push(guestItem));
+
+                    return this.wishlistRepository.save(ownerId, data)
+                        .then(() => this.wishlistRepository.remove(guestId))
+                        .then(() => window.dispatchEvent(new CustomEvent('watchlistUpdated')));
+                });
+            })
+            .catch(error => console.error('Error merging guest wishlists:', error))
+            .finally(() => {
+                this.merging = null;
+            });
+
+        return this.merging;
+    }
+
+    /**
+     * Follow logins, logouts and wishlist changes made in other tabs
+     */
+    setupEventListeners() {
+        window.addEventListener('storage', (e) => {
+            const adapter = this.wishlistRepository.adapter;
+            if (adapter.getKey && e.key === adapter.getKey(this.wishlistRepository.collection, getStorageOwnerId())) {
+                window.dispatchEvent(new CustomEvent('watchlistUpdated'));
+            }
+        });
+
+        window.addEventListener('authStateChanged', (e) => {
+            if (e.detail.reason === 'login') {
+                this.load().then(() => window.dispatchEvent(new CustomEvent('watchlistUpdated'))).catch(() => {});
+            } else if (e.detail.reason === 'logout') {
+                window.dispatchEvent(new CustomEvent('watchlistUpdated'));
+            }
+        });
+    }
+}
+
+// Create global wishlist instance
+const wishlist = new WishlistManager();
+
+// Load the wishlists on every page, so counts and hearts are right
+document.addEventListener('DOMContentLoaded', () => {
+    wishlist.load().then(() => window.dispatchEvent(new CustomEvent('watchlistUpdated'))).catch(() => {});
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WishlistManager;
+}
+
+// Make wishlist available globally
+window.WishlistManager = WishlistManager;
+window.wishlist = wishlist;